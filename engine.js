@@ -0,0 +1,4169 @@
+/*
+  Game engine for the Idle Tribal Game.
+
+  This module holds the game rules: building definitions, cost and time
+  curves, the construction, training and raid queues and the event-by-event
+  simulation that advances them. It never touches the DOM or localStorage.
+  A game holds several villages; most functions work on one village passed
+  in as an explicit `state` object, and the few that deal with the game as a
+  whole (movements between villages, quests, achievements) take the game.
+  The current time is passed in as `now` (milliseconds) and randomness
+  comes from an injected `rng` function returning numbers in [0, 1), so the
+  rules can be run and tested outside the browser. The numbers behind the
+  rules (buildings, units, camps and cost curves) come from
+  data/balance.json, see applyBalance.
+
+  The file is loaded as a plain script in the browser, where it exposes
+  `window.IdleTribalEngine`, and as a CommonJS module in Node.
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    const engine = factory();
+    const errors = engine.applyBalance(require('./data/balance.json'));
+    if (errors.length > 0) throw new Error(`data/balance.json is invalid: ${errors.join('; ')}`);
+    module.exports = engine;
+  } else {
+    root.IdleTribalEngine = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  // Resources tracked in the player's stockpile. Plugins can add more, see
+  // registerResource.
+  const RESOURCES = ['wood', 'stone', 'food'];
+  // Stockpile of a new village.
+  const STARTING_RESOURCES = { wood: 50, stone: 50, food: 50 };
+  // Resources and queues added by plugins, see registerResource and
+  // registerQueue.
+  const PLUGIN_RESOURCES = [];
+  const PLUGIN_QUEUES = [];
+
+  /**
+   * Definitions for each building type, filled from the balance data by
+   * applyBalance. Each building produces one resource and has a base
+   * cost/time associated with construction. Upgrade costs and times scale
+   * with the level using a multiplier, and single levels may have a fixed
+   * cost or time instead. Buildings with `housing` add that many villagers to
+   * the population cap per level. Plugins can add more, see
+   * registerBuildingType.
+   */
+  const BUILDING_TYPES = {};
+
+  // Default growth of construction costs and times per level. Building
+  // types may set their own, see calculateCost and calculateTime.
+  let COST_MULTIPLIER;
+  let TIME_MULTIPLIER;
+
+  // Storage cap for each resource without any storage buildings. Every level
+  // of a building storing that resource multiplies the cap by STORAGE_GROWTH,
+  // which matches COST_MULTIPLIER so storage keeps pace with upgrade costs.
+  const BASE_STORAGE = 500;
+  const STORAGE_GROWTH = 1.5;
+
+  // Villagers available without any housing. Each villager either works in a
+  // producing building or serves as a troop.
+  const BASE_POPULATION = 5;
+  // Worker slots per level of a producing building. Production scales with
+  // the share of slots that are filled.
+  const WORKERS_PER_LEVEL = 2;
+  // Food eaten per second by every worker.
+  const FOOD_UPKEEP = 0.05;
+  // Share of normal output buildings produce while the food store is empty.
+  const STARVATION_OUTPUT = 0.5;
+  // Stockpiles below this count as empty, absorbing floating point rounding
+  // when production is replayed up to the moment a store runs out.
+  const EMPTY_THRESHOLD = 1e-6;
+
+  // Construction queue settings. Up to QUEUE_SLOTS jobs may wait in the queue
+  // and the first one is always the job in progress. Cancelling a job refunds
+  // CANCEL_REFUND_RATIO of the resources that were spent on it.
+  const QUEUE_SLOTS = 3;
+  const CANCEL_REFUND_RATIO = 0.75;
+
+  /**
+   * Technologies researched at the academy. Each one needs the academy at
+   * academyLevel or higher and every technology in `requires` researched (or
+   * queued ahead of it) first. Effects feed the modifier pipeline, see
+   * applyModifiers.
+   */
+  const TECHNOLOGIES = {
+    betterAxes: {
+      key: 'betterAxes',
+      name: 'Better Axes',
+      description: '+20% wood production',
+      academyLevel: 1,
+      requires: [],
+      cost: { wood: 100, stone: 60, food: 40 },
+      researchTime: 60000, // milliseconds
+      effects: [{ stat: 'production', target: 'wood', percent: 0.2 }],
+    },
+    cropRotation: {
+      key: 'cropRotation',
+      name: 'Crop Rotation',
+      description: '+20% food production',
+      academyLevel: 1,
+      requires: [],
+      cost: { wood: 80, stone: 40, food: 60 },
+      researchTime: 60000,
+      effects: [{ stat: 'production', target: 'food', percent: 0.2 }],
+    },
+    masonry: {
+      key: 'masonry',
+      name: 'Masonry',
+      description: '-10% stone cost of buildings',
+      academyLevel: 2,
+      requires: ['betterAxes'],
+      cost: { wood: 150, stone: 200, food: 50 },
+      researchTime: 120000,
+      effects: [{ stat: 'buildCost', target: 'stone', percent: -0.1 }],
+    },
+    drill: {
+      key: 'drill',
+      name: 'Drill',
+      description: '-15% troop training time',
+      academyLevel: 2,
+      requires: ['cropRotation'],
+      cost: { wood: 120, stone: 80, food: 150 },
+      researchTime: 120000,
+      effects: [{ stat: 'trainingTime', percent: -0.15 }],
+    },
+    architecture: {
+      key: 'architecture',
+      name: 'Architecture',
+      description: '-10% construction time',
+      academyLevel: 3,
+      requires: ['masonry'],
+      cost: { wood: 300, stone: 300, food: 100 },
+      researchTime: 240000,
+      effects: [{ stat: 'buildTime', percent: -0.1 }],
+    },
+    logistics: {
+      key: 'logistics',
+      name: 'Logistics',
+      description: '+1 raid slot',
+      academyLevel: 3,
+      requires: ['drill', 'masonry'],
+      cost: { wood: 250, stone: 200, food: 250 },
+      researchTime: 240000,
+      effects: [{ stat: 'raidSlots', flat: 1 }],
+    },
+  };
+  // Technologies that can wait in the research queue, including the one
+  // being researched.
+  const RESEARCH_QUEUE_SLOTS = 2;
+
+  /**
+   * Unit types that can be trained in the barracks. Attack is used when
+   * raiding, defense when holding ground, and carry is how many resources a
+   * surviving unit brings home. Units follow a rock-paper-scissors scheme:
+   * each deals COUNTER_BONUS times its normal strength against the unit type
+   * it is strong against, and is weaker by the same factor against the unit
+   * type that counters it. Filled from the balance data by applyBalance.
+   */
+  const UNIT_TYPES = {};
+
+  const COUNTER_BONUS = 1.5;
+  // Raid attack strength varies randomly by up to this fraction either way.
+  const LUCK_RANGE = 0.1;
+
+  /**
+   * Enemy camps that can be raided. Each has a garrison that defends it and
+   * ranges of loot that can be taken, limited by what the surviving raiders
+   * can carry. On the world map a camp's stores hold the top of each range
+   * and refill over CAMP_REGEN_TIME after being raided. Filled from the
+   * balance data by applyBalance.
+   */
+  const ENEMY_CAMPS = {};
+
+  /**
+   * Unguarded resource nodes on the world map. They are raided like camps
+   * but have no garrison, so any army brings back what it can carry of the
+   * node's single resource. Filled from the balance data by applyBalance.
+   */
+  const RESOURCE_NODES = {};
+
+  // Round trip of a raid that was not sent from the world map, e.g. one
+  // still in flight in a save from before the map, in milliseconds.
+  let RAID_TIME;
+  // Raids that can be out at the same time before any research.
+  const RAID_SLOTS = 1;
+
+  /**
+   * The nobleman is a special unit that does not fight. Sent out alone he
+   * founds a new village; sent along with an army he conquers the camp it
+   * defeats. Training one needs an academy.
+   */
+  const NOBLEMAN = {
+    key: 'nobleman',
+    name: 'Nobleman',
+    cost: { wood: 400, stone: 400, food: 400 },
+    trainTime: 60000,
+    speed: 12,
+  };
+  // Camps defend harder against an army that comes to stay.
+  const CONQUEST_GARRISON_MULTIPLIER = 2;
+  // Merchants per market level, the resources each one carries and the
+  // seconds they need per tile.
+  const MERCHANTS_PER_LEVEL = 2;
+  const MERCHANT_CAPACITY = 100;
+  const MERCHANT_SPEED = 5;
+
+  // The world map is a square of WORLD_SIZE tiles with the first village in
+  // the middle. Sites are scattered around it from the game's world seed,
+  // WORLD_SITES giving how many of each and how far out they lie.
+  const WORLD_SIZE = 25;
+  const WORLD_CENTER = Math.floor(WORLD_SIZE / 2);
+  const WORLD_SITES = [
+    { kind: 'camp', type: 'outpost', count: 5, minDistance: 2, maxDistance: 5 },
+    { kind: 'camp', type: 'camp', count: 4, minDistance: 4, maxDistance: 8 },
+    { kind: 'camp', type: 'fortress', count: 2, minDistance: 7, maxDistance: 11 },
+    { kind: 'node', type: 'grove', count: 2, minDistance: 2, maxDistance: 9 },
+    { kind: 'node', type: 'rockfield', count: 2, minDistance: 2, maxDistance: 9 },
+    { kind: 'node', type: 'pasture', count: 2, minDistance: 2, maxDistance: 9 },
+    { kind: 'ruins', type: null, count: 4, minDistance: 3, maxDistance: 10 },
+  ];
+  // Time for the stores of a raided camp or node to refill from empty.
+  const CAMP_REGEN_TIME = 30 * 60000; // 30 minutes
+  // Number of battle reports kept in the save.
+  const MAX_BATTLE_REPORTS = 10;
+  // The event log of each village, see logEvent: the categories of entries
+  // and the number of entries kept.
+  const LOG_CATEGORIES = {
+    construction: { key: 'construction', name: 'Construction' },
+    training: { key: 'training', name: 'Training' },
+    research: { key: 'research', name: 'Research' },
+    raid: { key: 'raid', name: 'Raids' },
+    attack: { key: 'attack', name: 'Attacks' },
+    spending: { key: 'spending', name: 'Spending' },
+  };
+  const LOG_LENGTH = 300;
+  // Income is totalled per source and per INCOME_BUCKET_TIME apart from the
+  // log, so a busy log cannot push it out; see recordIncome and getIncome.
+  const INCOME_SOURCES = ['buildings', 'raids'];
+  const INCOME_BUCKET_TIME = 60 * 60000; // 1 hour
+  const INCOME_PERIOD = 24 * 60 * 60000; // 24 hours
+  // A clock going back by less than this (e.g. when the device corrects its
+  // time) is not recorded as a jump, see advanceGame.
+  const CLOCK_JUMP_TOLERANCE = 60000; // 1 minute
+  // Points of the village score, see getVillageScore: per building level,
+  // per SCORE_PRODUCTION_UNIT resources ever produced, per unit and per
+  // raid or conquest won.
+  const SCORE_POINTS = { buildingLevel: 10, production: 1, troop: 2, raidWon: 25 };
+  const SCORE_PRODUCTION_UNIT = 100;
+  // The score and lifetime statistics are sampled at most this often, and
+  // the last HISTORY_LENGTH samples are kept for the statistics charts.
+  const HISTORY_INTERVAL = 10 * 60000; // 10 minutes
+  const HISTORY_LENGTH = 288; // 2 days of play
+
+  // Prestige: resetting the tribe earns renown, the square root of the
+  // score reached over all runs in PRESTIGE_SCORE_UNITs, less the renown
+  // already earned, so every run pays less than the one before unless it
+  // gets further. See prestige.
+  const PRESTIGE_SCORE_UNIT = 500;
+
+  /**
+   * Permanent upgrades bought with renown. They survive every reset and
+   * apply to every village; each level adds the effects once more, see
+   * getEffects. The next level costs `cost` times that level in renown.
+   * startingResources is a flat bonus to every resource of new villages.
+   */
+  const PRESTIGE_UPGRADES = {
+    swiftBuilders: {
+      key: 'swiftBuilders',
+      name: 'Swift Builders',
+      description: '-5% construction time per level',
+      maxLevel: 5,
+      cost: 1,
+      effects: [{ stat: 'buildTime', percent: -0.05 }],
+    },
+    richHarvest: {
+      key: 'richHarvest',
+      name: 'Rich Harvest',
+      description: '+10% production per level',
+      maxLevel: 10,
+      cost: 1,
+      effects: [{ stat: 'production', percent: 0.1 }],
+    },
+    provisions: {
+      key: 'provisions',
+      name: 'Provisions',
+      description: '+100 of every starting resource per level',
+      maxLevel: 5,
+      cost: 1,
+      effects: [{ stat: 'startingResources', flat: 100 }],
+    },
+    masterPlanner: {
+      key: 'masterPlanner',
+      name: 'Master Planner',
+      description: '+1 construction queue slot',
+      maxLevel: 1,
+      cost: 5,
+      effects: [{ stat: 'queueSlots', flat: 1 }],
+    },
+  };
+
+  // Alerts the player can be notified of, see getAlerts. Each can be shown
+  // in the game and/or as a browser notification. Incoming attacks are
+  // announced once they become visible, see isAttackVisible.
+  const NOTIFICATION_TYPES = {
+    construction: { key: 'construction', name: 'Construction finished' },
+    training: { key: 'training', name: 'Troops trained' },
+    raid: { key: 'raid', name: 'Raid returned' },
+    affordable: { key: 'affordable', name: 'Watched upgrade affordable' },
+    storage: { key: 'storage', name: 'Storage full' },
+    attack: { key: 'attack', name: 'Enemy attack' },
+  };
+  const NOTIFICATION_CHANNELS = ['toast', 'browser'];
+
+  // Incoming attacks. Enemy waves arrive every ATTACK_INTERVAL, give or take
+  // ATTACK_JITTER of it, and grow by ATTACK_GROWTH units per wave. A wave
+  // that beats the defenders plunders PLUNDER_RATIO of each resource (as much
+  // as it can carry) and may knock a building down a level.
+  const ATTACK_INTERVAL = 30 * 60000; // 30 minutes
+  const ATTACK_JITTER = 0.25;
+  const ATTACK_BASE_SIZE = 2;
+  const ATTACK_GROWTH = 2;
+  const PLUNDER_RATIO = 0.3;
+  const BUILDING_DAMAGE_CHANCE = 0.5;
+  // Each wall level adds flat defense and multiplies the defenders' strength.
+  const WALL_DEFENSE_PER_LEVEL = 20;
+  const WALL_MULTIPLIER_PER_LEVEL = 0.1;
+  // How long before arrival an attack shows up, extended by watchtowers.
+  const BASE_WARNING_TIME = 60000; // 1 minute
+  const WARNING_TIME_PER_WATCHTOWER_LEVEL = 2 * 60000; // 2 minutes
+
+  /**
+   * Quests, in the order they are offered. A quest becomes available once
+   * the quest named in `after` has been claimed, so the first ones form a
+   * tutorial chain; `highlight` names the button the tutorial points at.
+   * Objectives are checked against the state, see getObjectiveProgress.
+   */
+  const QUESTS = [
+    {
+      key: 'firstWoodcutter',
+      name: 'Timber!',
+      description: 'Build a Woodcutter to start producing wood.',
+      objective: { type: 'building', building: 'woodcutter', count: 1 },
+      reward: { wood: 0, stone: 30, food: 20 },
+      after: null,
+      highlight: { section: 'construction', key: 'woodcutter' },
+    },
+    {
+      key: 'firstFarm',
+      name: 'Daily Bread',
+      description: 'Build a Farm to feed your workers.',
+      objective: { type: 'building', building: 'farm', count: 1 },
+      reward: { wood: 30, stone: 20, food: 0 },
+      after: 'firstWoodcutter',
+      highlight: { section: 'construction', key: 'farm' },
+    },
+    {
+      key: 'firstQuarry',
+      name: 'Set in Stone',
+      description: 'Build a Quarry to produce stone.',
+      objective: { type: 'building', building: 'quarry', count: 1 },
+      reward: { wood: 40, stone: 0, food: 20 },
+      after: 'firstFarm',
+      highlight: { section: 'construction', key: 'quarry' },
+    },
+    {
+      key: 'firstBarracks',
+      name: 'Call to Arms',
+      description: 'Build Barracks so you can train troops.',
+      objective: { type: 'building', building: 'barracks', count: 1 },
+      reward: { wood: 40, stone: 40, food: 40 },
+      after: 'firstQuarry',
+      highlight: { section: 'construction', key: 'barracks' },
+    },
+    {
+      key: 'firstTroop',
+      name: 'First Recruit',
+      description: 'Train a Spearman to protect the village.',
+      objective: { type: 'stat', stat: 'troopsTrained', count: 1 },
+      reward: { wood: 30, stone: 30, food: 50 },
+      after: 'firstBarracks',
+      highlight: { section: 'troops', key: 'spearman' },
+    },
+    {
+      key: 'twoFarms',
+      name: 'Growing Village',
+      description: 'Build 2 Farms.',
+      objective: { type: 'building', building: 'farm', count: 2 },
+      reward: { wood: 60, stone: 40, food: 0 },
+      after: 'firstTroop',
+    },
+    {
+      key: 'woodcutterLevel5',
+      name: 'Master Lumberjack',
+      description: 'Upgrade a Woodcutter to Lv 5.',
+      objective: { type: 'building', building: 'woodcutter', level: 5 },
+      reward: { wood: 0, stone: 150, food: 100 },
+      after: 'twoFarms',
+    },
+    {
+      key: 'threeRaids',
+      name: 'Raider',
+      description: 'Win 3 raids.',
+      objective: { type: 'stat', stat: 'raidsWon', count: 3 },
+      reward: { wood: 150, stone: 150, food: 150 },
+      after: 'twoFarms',
+    },
+    {
+      key: 'firstResearch',
+      name: 'Eureka',
+      description: 'Research a technology at the Academy.',
+      objective: { type: 'research', count: 1 },
+      reward: { wood: 100, stone: 100, food: 100 },
+      after: 'woodcutterLevel5',
+    },
+  ];
+
+  /**
+   * Achievements are permanent milestones. They unlock by themselves, with
+   * the time they were reached, and give no reward.
+   */
+  const ACHIEVEMENTS = [
+    {
+      key: 'founder',
+      name: 'Founder',
+      description: 'Build your first building',
+      objective: { type: 'buildings', count: 1 },
+    },
+    {
+      key: 'township',
+      name: 'Township',
+      description: 'Have 10 buildings',
+      objective: { type: 'buildings', count: 10 },
+    },
+    {
+      key: 'lumberBaron',
+      name: 'Lumber Baron',
+      description: 'Upgrade a Woodcutter to Lv 10',
+      objective: { type: 'building', building: 'woodcutter', level: 10 },
+    },
+    {
+      key: 'warlord',
+      name: 'Warlord',
+      description: 'Win 10 raids',
+      objective: { type: 'stat', stat: 'raidsWon', count: 10 },
+    },
+    {
+      key: 'unbreakable',
+      name: 'Unbreakable',
+      description: 'Repel 5 enemy waves',
+      objective: { type: 'stat', stat: 'attacksRepelled', count: 5 },
+    },
+    {
+      key: 'scholar',
+      name: 'Scholar',
+      description: 'Research every technology',
+      objective: { type: 'research', count: Object.keys(TECHNOLOGIES).length },
+    },
+  ];
+
+  // Version of the save format. Bump it whenever the shape of the state
+  // changes and append a migration to MIGRATIONS.
+  const SCHEMA_VERSION = 15;
+
+  /**
+   * Migrations between save schema versions. MIGRATIONS[n] turns a version n
+   * save into a version n + 1 save. Saves written before versioning was
+   * introduced have no schemaVersion and are treated as version 0.
+   */
+  const MIGRATIONS = [
+    // 0 -> 1: troops, training and raids were added
+    (save, now) => {
+      if (!save.lastUpdate) save.lastUpdate = now;
+      if (save.troops === undefined) save.troops = 0;
+      if (save.trainingQueue === undefined) save.trainingQueue = null;
+      if (save.raidQueue === undefined) save.raidQueue = null;
+      return save;
+    },
+    // 1 -> 2: the single construction job became a queue of jobs
+    (save) => {
+      if (!Array.isArray(save.queue)) {
+        save.queue = save.queue ? [save.queue] : [];
+      }
+      save.queue.forEach((job) => {
+        if (!job.cost) job.cost = calculateCost(job.type, job.level);
+        if (!job.duration) job.duration = job.endTime - job.startTime;
+      });
+      return save;
+    },
+    // 2 -> 3: troops became unit types and raids became battles against camps.
+    // All existing troops were the original 5-per-raid spearmen.
+    (save) => {
+      if (typeof save.troops === 'number') {
+        save.troops = { ...createArmy(), spearman: save.troops };
+      }
+      if (save.trainingQueue && !save.trainingQueue.unit) {
+        save.trainingQueue.unit = 'spearman';
+      }
+      if (save.raidQueue && save.raidQueue.reward) {
+        const { startTime, endTime, reward } = save.raidQueue;
+        save.raidQueue = {
+          camp: 'outpost',
+          startTime,
+          endTime,
+          sent: { ...createArmy(), spearman: 5 },
+          losses: createArmy(),
+          enemyLosses: { ...ENEMY_CAMPS.outpost.garrison },
+          won: true,
+          loot: reward,
+        };
+      }
+      if (!save.battleReports) save.battleReports = [];
+      return save;
+    },
+    // 3 -> 4: enemy waves attack the village. The first wave is scheduled
+    // from the moment the save is upgraded so nobody is attacked on load.
+    (save, now) => {
+      if (save.attackSeed === undefined) save.attackSeed = save.lastUpdate >>> 0;
+      if (!save.defenseReports) save.defenseReports = [];
+      if (!save.nextAttack) scheduleAttack(save, 1, now);
+      return save;
+    },
+    // 4 -> 5: buildings are staffed by workers. Existing buildings are staffed
+    // in order as far as housing allows; troops are not counted so nobody
+    // loses production, even if that leaves the village over capacity.
+    (save) => {
+      let room = getPopulationCapacity(save);
+      save.buildings.forEach((building) => {
+        building.workers = Math.min(getWorkerSlots(building), room);
+        room -= building.workers;
+      });
+      return save;
+    },
+    // 5 -> 6: technologies were added, and raids in flight became a list so
+    // more than one raid can be out at a time
+    (save) => {
+      if (!save.technologies) save.technologies = [];
+      if (!save.researchQueue) save.researchQueue = [];
+      if (!Array.isArray(save.raidQueue)) {
+        save.raidQueue = save.raidQueue ? [save.raidQueue] : [];
+      }
+      return save;
+    },
+    // 6 -> 7: quests, achievements and the lifetime counters they check.
+    // Counters start from the reports still kept in the save.
+    (save) => {
+      if (!save.stats) {
+        save.stats = {
+          troopsTrained: 0,
+          raidsWon: save.battleReports.filter((report) => report.won).length,
+          attacksRepelled: save.defenseReports.filter((report) => report.repelled).length,
+        };
+      }
+      if (!save.quests) save.quests = [];
+      if (!save.achievements) save.achievements = {};
+      return save;
+    },
+    // 7 -> 8: the save holds several villages. Everything but the quests and
+    // achievements moves into the first village.
+    (save) => {
+      const { schemaVersion, quests, achievements, ...village } = save;
+      village.name = 'Village 1';
+      village.noblemen = 0;
+      return {
+        schemaVersion,
+        villages: [village],
+        activeVillage: 0,
+        movements: [],
+        quests,
+        achievements,
+        lastUpdate: village.lastUpdate,
+      };
+    },
+    // 8 -> 9: villages stand on the world map. The first village takes the
+    // middle and later ones the nearest free tiles; nobles already on their
+    // way settle on a free tile too, having no site to head for.
+    (save) => {
+      save.world = { seed: save.lastUpdate >>> 0, sites: {} };
+      save.villages.forEach((village, index) => {
+        const tile = index === 0 ? { x: WORLD_CENTER, y: WORLD_CENTER } : findFreeTile(save);
+        village.x = tile.x;
+        village.y = tile.y;
+        village.raidQueue.forEach((raid) => {
+          raid.site = null;
+        });
+      });
+      save.movements.forEach((movement) => {
+        if (movement.kind !== 'transport' && movement.site === undefined) movement.site = null;
+      });
+      return save;
+    },
+    // 9 -> 10: plugins keep their own state in the game and in each village
+    (save) => {
+      save.plugins = {};
+      save.villages.forEach((village) => {
+        village.plugins = {};
+      });
+      return save;
+    },
+    // 10 -> 11: clocks set back are recorded
+    (save) => {
+      save.clockJumps = createClockJumps();
+      return save;
+    },
+    // 11 -> 12: more lifetime statistics, counted from now on, and their
+    // history
+    (save) => {
+      save.villages.forEach((village) => {
+        village.stats = { ...createStats(), ...village.stats };
+      });
+      save.history = [];
+      return save;
+    },
+    // 12 -> 13: prestige resets and their permanent upgrades
+    (save) => {
+      save.prestige = createPrestige();
+      save.villages.forEach((village) => {
+        village.prestige = {};
+      });
+      return save;
+    },
+    // 13 -> 14: notification settings
+    (save) => {
+      save.notifications = createNotifications();
+      return save;
+    },
+    // 14 -> 15: event log and income totals, started empty
+    (save) => {
+      save.villages.forEach((village) => {
+        village.log = [];
+        village.income = [];
+      });
+      return save;
+    },
+  ];
+
+  // Entries the balance data must define because the rules, quests and
+  // technologies refer to them by key. The camps and nodes it must define
+  // are the ones placed on the map, see WORLD_SITES.
+  const REQUIRED_BUILDINGS = [
+    'woodcutter',
+    'quarry',
+    'farm',
+    'house',
+    'barracks',
+    'wall',
+    'watchtower',
+    'warehouse',
+    'granary',
+    'market',
+    'academy',
+  ];
+  const REQUIRED_UNITS = ['spearman', 'archer', 'cavalry'];
+  // Building types that came from the balance data, as opposed to plugins.
+  const balanceBuildings = [];
+
+  /**
+   * Check balance data, as found in data/balance.json, before it is applied.
+   * Returns a list of problems, which is empty when the data is usable.
+   * data/balance.schema.json describes the same format for editors.
+   * @param {Object} data
+   * @returns {string[]}
+   */
+  function validateBalance(data) {
+    if (!isObject(data)) return ['balance data must be an object'];
+    const errors = [];
+    const isNumber = (value, min = 0) => Number.isFinite(value) && value >= min;
+    const checkFields = (entry, path, fields) => {
+      Object.keys(entry).forEach((field) => {
+        if (!fields.includes(field)) errors.push(`${path}.${field} is not a known field`);
+      });
+    };
+    const checkAmounts = (amounts, path) => {
+      if (!isObject(amounts)) {
+        errors.push(`${path} must be an object of amounts per resource`);
+        return;
+      }
+      Object.keys(amounts).forEach((res) => {
+        if (!RESOURCES.includes(res)) errors.push(`${path}.${res} is not a known resource`);
+        else if (!isNumber(amounts[res])) errors.push(`${path}.${res} must be a non-negative number`);
+      });
+    };
+    const checkTable = (table, path, required, checkEntry) => {
+      if (!isObject(table)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      required.forEach((key) => {
+        if (!isObject(table[key])) errors.push(`${path}.${key} is missing; the game refers to it`);
+      });
+      Object.keys(table).forEach((key) => {
+        if (!isObject(table[key])) {
+          if (required.includes(key)) return;
+          errors.push(`${path}.${key} must be an object`);
+          return;
+        }
+        if (typeof table[key].name !== 'string') errors.push(`${path}.${key}.name must be a string`);
+        checkEntry(table[key], `${path}.${key}`);
+      });
+    };
+
+    checkFields(data, 'balance data', [
+      '$schema',
+      'costMultiplier',
+      'timeMultiplier',
+      'raidTime',
+      'buildings',
+      'units',
+      'enemyCamps',
+      'resourceNodes',
+    ]);
+    ['costMultiplier', 'timeMultiplier'].forEach((field) => {
+      if (!isNumber(data[field], 1)) errors.push(`${field} must be a number of at least 1`);
+    });
+    if (!isNumber(data.raidTime)) errors.push('raidTime must be a non-negative number of milliseconds');
+
+    checkTable(data.buildings, 'buildings', REQUIRED_BUILDINGS, (def, path) => {
+      checkFields(def, path, [
+        'name',
+        'description',
+        'resource',
+        'baseRate',
+        'housing',
+        'storage',
+        'baseCost',
+        'baseTime',
+        'costMultiplier',
+        'timeMultiplier',
+        'levels',
+      ]);
+      if (def.description !== undefined && typeof def.description !== 'string') {
+        errors.push(`${path}.description must be a string`);
+      }
+      if (def.resource !== undefined && def.resource !== null && !RESOURCES.includes(def.resource)) {
+        errors.push(`${path}.resource must be a known resource or null`);
+      }
+      ['baseRate', 'housing'].forEach((field) => {
+        if (def[field] !== undefined && !isNumber(def[field])) {
+          errors.push(`${path}.${field} must be a non-negative number`);
+        }
+      });
+      const isResourceList = (list) => Array.isArray(list) && list.every((res) => RESOURCES.includes(res));
+      if (def.storage !== undefined && !isResourceList(def.storage)) {
+        errors.push(`${path}.storage must be a list of known resources`);
+      }
+      checkAmounts(def.baseCost, `${path}.baseCost`);
+      if (!isNumber(def.baseTime)) {
+        errors.push(`${path}.baseTime must be a non-negative number of seconds`);
+      }
+      ['costMultiplier', 'timeMultiplier'].forEach((field) => {
+        if (def[field] !== undefined && !isNumber(def[field], 1)) {
+          errors.push(`${path}.${field} must be a number of at least 1`);
+        }
+      });
+      if (def.levels === undefined) return;
+      if (!isObject(def.levels)) {
+        errors.push(`${path}.levels must be an object of overrides per level`);
+        return;
+      }
+      Object.keys(def.levels).forEach((level) => {
+        const override = def.levels[level];
+        const levelPath = `${path}.levels.${level}`;
+        if (!/^[1-9][0-9]*$/.test(level)) errors.push(`${levelPath} must be keyed by a level from 1 up`);
+        if (!isObject(override) || (override.cost === undefined && override.time === undefined)) {
+          errors.push(`${levelPath} must set a cost, a time or both`);
+          return;
+        }
+        checkFields(override, levelPath, ['cost', 'time']);
+        if (override.cost !== undefined) checkAmounts(override.cost, `${levelPath}.cost`);
+        if (override.time !== undefined && !isNumber(override.time)) {
+          errors.push(`${levelPath}.time must be a non-negative number of seconds`);
+        }
+      });
+    });
+    const pluginBuildings = Object.keys(BUILDING_TYPES).filter((type) => !balanceBuildings.includes(type));
+    if (isObject(data.buildings)) {
+      Object.keys(data.buildings)
+        .filter((type) => pluginBuildings.includes(type))
+        .forEach((type) => errors.push(`buildings.${type} is already registered by a plugin`));
+    }
+
+    const unitKeys = isObject(data.units) ? Object.keys(data.units) : [];
+    checkTable(data.units, 'units', REQUIRED_UNITS, (def, path) => {
+      const fields = ['name', 'attack', 'defense', 'carry', 'strongAgainst', 'cost', 'trainTime', 'speed'];
+      checkFields(def, path, fields);
+      ['attack', 'defense', 'carry'].forEach((field) => {
+        if (!isNumber(def[field])) errors.push(`${path}.${field} must be a non-negative number`);
+      });
+      if (!unitKeys.includes(def.strongAgainst)) errors.push(`${path}.strongAgainst must be a unit type`);
+      checkAmounts(def.cost, `${path}.cost`);
+      if (!isNumber(def.trainTime)) {
+        errors.push(`${path}.trainTime must be a non-negative number of milliseconds`);
+      }
+      if (!(def.speed > 0 && isNumber(def.speed))) {
+        errors.push(`${path}.speed must be a positive number of seconds per tile`);
+      }
+    });
+
+    const checkTarget = (def, path) => {
+      checkFields(def, path, ['name', 'garrison', 'loot']);
+      if (def.garrison !== undefined) {
+        if (!isObject(def.garrison)) {
+          errors.push(`${path}.garrison must be an object of unit counts`);
+        } else {
+          Object.keys(def.garrison).forEach((unit) => {
+            if (!unitKeys.includes(unit)) errors.push(`${path}.garrison.${unit} is not a known unit type`);
+            else if (!isCount(def.garrison[unit])) {
+              errors.push(`${path}.garrison.${unit} must be a non-negative integer`);
+            }
+          });
+        }
+      }
+      if (!isObject(def.loot)) {
+        errors.push(`${path}.loot must be an object of [min, max] ranges per resource`);
+        return;
+      }
+      Object.keys(def.loot).forEach((res) => {
+        const range = def.loot[res];
+        if (!RESOURCES.includes(res)) {
+          errors.push(`${path}.loot.${res} is not a known resource`);
+        } else if (
+          !Array.isArray(range) ||
+          range.length !== 2 ||
+          !range.every(isCount) ||
+          range[0] > range[1]
+        ) {
+          errors.push(`${path}.loot.${res} must be a [min, max] range of non-negative integers`);
+        }
+      });
+    };
+    const siteTypes = (kind) => WORLD_SITES.filter((site) => site.kind === kind).map((site) => site.type);
+    checkTable(data.enemyCamps, 'enemyCamps', siteTypes('camp'), checkTarget);
+    checkTable(data.resourceNodes, 'resourceNodes', siteTypes('node'), checkTarget);
+    if (isObject(data.enemyCamps) && isObject(data.resourceNodes)) {
+      Object.keys(data.resourceNodes)
+        .filter((key) => Object.prototype.hasOwnProperty.call(data.enemyCamps, key))
+        .forEach((key) => errors.push(`resourceNodes.${key} has the same key as a camp`));
+    }
+    return errors;
+  }
+
+  /**
+   * Replace the balance of the game with new balance data, after checking it
+   * with validateBalance. Nothing changes when the data has problems.
+   * Building types registered by plugins are kept. In Node the data in
+   * data/balance.json is applied when the engine is loaded; in the browser
+   * the user interface loads it before the save.
+   * @param {Object} data
+   * @returns {string[]} Problems found in the data, empty when it was applied
+   */
+  function applyBalance(data) {
+    const errors = validateBalance(data);
+    if (errors.length > 0) return errors;
+    const copy = JSON.parse(JSON.stringify(data));
+    COST_MULTIPLIER = copy.costMultiplier;
+    TIME_MULTIPLIER = copy.timeMultiplier;
+    RAID_TIME = copy.raidTime;
+    balanceBuildings.splice(0).forEach((type) => delete BUILDING_TYPES[type]);
+    Object.keys(copy.buildings).forEach((key) => {
+      BUILDING_TYPES[key] = { key, resource: null, baseRate: 0, ...copy.buildings[key] };
+      balanceBuildings.push(key);
+    });
+    const replace = (table, entries, fill) => {
+      Object.keys(table).forEach((key) => delete table[key]);
+      Object.keys(entries).forEach((key) => {
+        table[key] = fill({ key, ...entries[key] });
+      });
+    };
+    replace(UNIT_TYPES, copy.units, (def) => def);
+    // Units left out of a garrison are not there
+    const emptyGarrison = Object.fromEntries(Object.keys(UNIT_TYPES).map((unit) => [unit, 0]));
+    const fillGarrison = (def) => ({ ...def, garrison: { ...emptyGarrison, ...def.garrison } });
+    replace(ENEMY_CAMPS, copy.enemyCamps, fillGarrison);
+    replace(RESOURCE_NODES, copy.resourceNodes, fillGarrison);
+    return [];
+  }
+
+  /**
+   * Create a fresh game state for a new player, with a single village.
+   * @param {number} now
+   * @returns {Object}
+   */
+  function createInitialState(now) {
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      villages: [createVillage(now, 'Village 1')],
+      activeVillage: 0, // index of the village shown in the UI
+      movements: [], // nobles, conquest armies and merchants on the road, see checkMovements
+      // Seed of the world map, and the stores of camps and nodes raided so far
+      world: { seed: now >>> 0, sites: {} },
+      quests: [], // keys of claimed quests
+      achievements: {}, // unlock time per achievement key
+      plugins: {}, // state of each plugin, by plugin key, see getPluginState
+      clockJumps: createClockJumps(), // see advanceGame
+      history: [], // samples of the score and statistics, see recordHistory
+      prestige: createPrestige(), // kept through prestige resets
+      notifications: createNotifications(),
+      lastUpdate: now,
+    };
+  }
+
+  /**
+   * Create the lifetime counters of a new village: units trained, raids
+   * sent and won (conquests included), attacks repelled, and per resource
+   * the amounts produced and brought home from raids.
+   * @returns {Object}
+   */
+  function createStats() {
+    const perResource = () => Object.fromEntries(RESOURCES.map((res) => [res, 0]));
+    return {
+      troopsTrained: 0,
+      raidsSent: 0,
+      raidsWon: 0,
+      attacksRepelled: 0,
+      produced: perResource(),
+      looted: perResource(),
+    };
+  }
+
+  /**
+   * Create the record of clocks set back: how often it happened, the
+   * largest jump in milliseconds and when the last one was noticed.
+   * @returns {{count: number, largest: number, last: number|null}}
+   */
+  function createClockJumps() {
+    return { count: 0, largest: 0, last: null };
+  }
+
+  /**
+   * Create the prestige record of a new game: unspent renown, renown earned
+   * in total, the number of resets, the score reached in the runs before
+   * the current one, when the last reset happened and the level of each
+   * upgrade bought.
+   * @returns {Object}
+   */
+  function createPrestige() {
+    return { renown: 0, earned: 0, resets: 0, pastScore: 0, lastReset: null, upgrades: {} };
+  }
+
+  /**
+   * Create the notification settings of a new game: whether browser
+   * notifications are on at all, the channels each type of alert is shown
+   * in, and the building upgrade the player waits to afford, if any.
+   * @returns {Object}
+   */
+  function createNotifications() {
+    return {
+      browser: false,
+      types: Object.fromEntries(
+        Object.keys(NOTIFICATION_TYPES).map((key) => [key, { toast: true, browser: true }])
+      ),
+      watch: null, // { village, index, level }, see watchUpgrade
+    };
+  }
+
+  /**
+   * Create a new, empty village. Most engine functions work on a single
+   * village; only the ones taking a game deal with the save as a whole.
+   * @param {number} now
+   * @param {string} name
+   * @param {{x: number, y: number}} [tile] - Position on the world map,
+   *   the middle by default
+   * @param {Object} [resources] - Starting resources
+   * @param {Object} [prestige] - Levels of the prestige upgrades bought,
+   *   see game.prestige.upgrades
+   * @returns {Object}
+   */
+  function createVillage(
+    now,
+    name,
+    tile = { x: WORLD_CENTER, y: WORLD_CENTER },
+    resources = STARTING_RESOURCES,
+    prestige = {}
+  ) {
+    const state = {
+      name,
+      x: tile.x,
+      y: tile.y,
+      resources: { ...resources },
+      buildings: [], // { type: 'woodcutter', level: 1, workers: 2 }
+      queue: [], // [{ type, targetIndex, level, cost, duration, startTime, endTime }]
+      troops: createArmy(), // trained units at home, per unit type
+      trainingQueue: null, // { unit, startTime, endTime }
+      raidQueue: [], // [{ camp, startTime, endTime, sent, losses, enemyLosses, won, loot }]
+      battleReports: [], // most recent first, see checkRaidQueue
+      attackSeed: now >>> 0, // seeds the random makeup of enemy waves
+      nextAttack: null, // { wave, arrival, army, luck, damageRoll, targetRoll }
+      defenseReports: [], // most recent first, see checkAttack
+      log: [], // most recent first, see logEvent
+      income: [], // [{ time, buildings, raids }] per hour, most recent first, see recordIncome
+      technologies: [], // keys of researched technologies, in order
+      researchQueue: [], // [{ tech, cost, duration, startTime, endTime }]
+      stats: createStats(), // lifetime counters
+      noblemen: 0, // noblemen at home
+      plugins: {}, // state of each plugin in this village, see getPluginState
+      // Copy of game.prestige.upgrades, so the village's formulas apply them
+      prestige: { ...prestige },
+      lastUpdate: now,
+    };
+    scheduleAttack(state, 1, now);
+    return state;
+  }
+
+  /**
+   * Check that a value is a plain object.
+   * @param {*} value
+   * @returns {boolean}
+   */
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Check that a value is a non-negative integer.
+   * @param {*} value
+   * @returns {boolean}
+   */
+  function isCount(value) {
+    return Number.isInteger(value) && value >= 0;
+  }
+
+  /**
+   * Check that a game state has the shape the engine expects, including
+   * every village in it. Returns a list of problems, which is empty when the
+   * state is valid.
+   * @param {Object} game
+   * @returns {string[]}
+   */
+  function validateState(game) {
+    if (!isObject(game)) return ['save must be an object'];
+    const errors = [];
+    if (!Array.isArray(game.villages) || game.villages.length === 0) {
+      errors.push('villages must be a non-empty array');
+    } else {
+      game.villages.forEach((village, i) => {
+        validateVillage(village).forEach((error) => errors.push(`villages[${i}].${error}`));
+      });
+    }
+    const villageCount = Array.isArray(game.villages) ? game.villages.length : 0;
+    const isVillageIndex = (index) => Number.isInteger(index) && index >= 0 && index < villageCount;
+    if (!isObject(game.world) || !Number.isInteger(game.world.seed) || !isObject(game.world.sites)) {
+      errors.push('world must have an integer seed and an object of sites');
+      return errors;
+    }
+    const siteCount = generateWorld(game.world.seed).length;
+    const isSiteIndex = (index) => Number.isInteger(index) && index >= 0 && index < siteCount;
+    Object.keys(game.world.sites).forEach((id) => {
+      const site = game.world.sites[id];
+      if (!isSiteIndex(Number(id)) || !isObject(site) || !isObject(site.stores)) {
+        errors.push(`world.sites.${id} must be the stores of a known site`);
+      } else if (!Number.isFinite(site.lastUpdate)) {
+        errors.push(`world.sites.${id}.lastUpdate must be a finite number`);
+      }
+    });
+    if (!isVillageIndex(game.activeVillage)) {
+      errors.push('activeVillage must be the index of a village');
+    }
+    if (!Array.isArray(game.movements)) {
+      errors.push('movements must be an array');
+    } else {
+      game.movements.forEach((movement, i) => {
+        const path = `movements[${i}]`;
+        if (!isObject(movement) || !['found', 'conquest', 'transport'].includes(movement.kind)) {
+          errors.push(`${path}.kind must be found, conquest or transport`);
+          return;
+        }
+        if (!isVillageIndex(movement.from)) errors.push(`${path}.from must be the index of a village`);
+        if (movement.kind !== 'transport' && movement.site !== null && !isSiteIndex(movement.site)) {
+          errors.push(`${path}.site must be the index of a site or null`);
+        }
+        if (!Number.isFinite(movement.endTime)) errors.push(`${path}.endTime must be a finite number`);
+        if (movement.kind === 'transport') {
+          if (!isVillageIndex(movement.to)) errors.push(`${path}.to must be the index of a village`);
+          if (!isCount(movement.merchants)) {
+            errors.push(`${path}.merchants must be a non-negative integer`);
+          }
+          if (!Number.isFinite(movement.returnTime)) {
+            errors.push(`${path}.returnTime must be a finite number`);
+          }
+          if (!isObject(movement.resources)) errors.push(`${path}.resources must be an object`);
+        }
+        if (movement.kind === 'conquest') {
+          if (!ENEMY_CAMPS[movement.camp]) errors.push(`${path}.camp must be a known camp`);
+          if (!isObject(movement.sent) || !isObject(movement.losses)) {
+            errors.push(`${path}.sent and losses must be objects`);
+          }
+        }
+      });
+    }
+    if (
+      !Array.isArray(game.quests) ||
+      !game.quests.every((key) => QUESTS.some((quest) => quest.key === key))
+    ) {
+      errors.push('quests must be an array of known quests');
+    }
+    if (!isObject(game.achievements)) {
+      errors.push('achievements must be an object');
+    } else {
+      Object.keys(game.achievements).forEach((key) => {
+        if (!ACHIEVEMENTS.some((achievement) => achievement.key === key)) {
+          errors.push(`achievements.${key} is not a known achievement`);
+        } else if (!Number.isFinite(game.achievements[key])) {
+          errors.push(`achievements.${key} must be a finite number`);
+        }
+      });
+    }
+    // What a plugin keeps in its entry is up to the plugin
+    if (!isObject(game.plugins)) errors.push('plugins must be an object');
+    const jumps = game.clockJumps;
+    if (
+      !isObject(jumps) ||
+      !isCount(jumps.count) ||
+      !(Number.isFinite(jumps.largest) && jumps.largest >= 0) ||
+      !(jumps.last === null || Number.isFinite(jumps.last))
+    ) {
+      errors.push('clockJumps must hold a count, the largest jump and the time of the last one');
+    }
+    if (
+      !Array.isArray(game.history) ||
+      !game.history.every((sample) => isObject(sample) && Number.isFinite(sample.time) && isCount(sample.score))
+    ) {
+      errors.push('history must be an array of samples with a time and a score');
+    }
+    const { prestige } = game;
+    if (
+      !isObject(prestige) ||
+      !isCount(prestige.renown) ||
+      !isCount(prestige.earned) ||
+      !isCount(prestige.resets) ||
+      !isCount(prestige.pastScore) ||
+      !(prestige.lastReset === null || Number.isFinite(prestige.lastReset))
+    ) {
+      errors.push('prestige must hold the renown, resets, past score and time of the last reset');
+    } else {
+      const upgradeErrors = validateUpgrades(prestige.upgrades);
+      upgradeErrors.forEach((error) => errors.push(`prestige.upgrades${error}`));
+      // Each village applies its own copy of the upgrades, see createVillage
+      const level = (upgrades, key) => (isObject(upgrades) && upgrades[key]) || 0;
+      if (upgradeErrors.length === 0 && Array.isArray(game.villages)) {
+        game.villages.forEach((village, i) => {
+          const copy = isObject(village) && village.prestige;
+          if (Object.keys(PRESTIGE_UPGRADES).some((key) => level(copy, key) !== level(prestige.upgrades, key))) {
+            errors.push(`villages[${i}].prestige must match prestige.upgrades`);
+          }
+        });
+      }
+    }
+    const { notifications } = game;
+    if (!isObject(notifications) || typeof notifications.browser !== 'boolean' || !isObject(notifications.types)) {
+      errors.push('notifications must hold the browser switch and the channels of each type');
+    } else {
+      const keys = new Set([...Object.keys(NOTIFICATION_TYPES), ...Object.keys(notifications.types)]);
+      keys.forEach((key) => {
+        const channels = notifications.types[key];
+        if (
+          !Object.prototype.hasOwnProperty.call(NOTIFICATION_TYPES, key) ||
+          !isObject(channels) ||
+          !NOTIFICATION_CHANNELS.every((channel) => typeof channels[channel] === 'boolean')
+        ) {
+          errors.push(`notifications.types.${key} must be the channels of a known type`);
+        }
+      });
+      const { watch } = notifications;
+      if (
+        watch !== null &&
+        !(isObject(watch) && isVillageIndex(watch.village) && isCount(watch.index) && isCount(watch.level))
+      ) {
+        errors.push('notifications.watch must be null or a village, building index and level');
+      }
+    }
+    if (!Number.isFinite(game.lastUpdate)) errors.push('lastUpdate must be a finite number');
+    return errors;
+  }
+
+  /**
+   * Check levels of prestige upgrades. Problems are returned as paths
+   * within the levels, e.g. ".swiftBuilders must be ...".
+   * @param {Object} upgrades
+   * @returns {string[]}
+   */
+  function validateUpgrades(upgrades) {
+    if (!isObject(upgrades)) return [' must be an object'];
+    return Object.keys(upgrades)
+      .filter((key) => {
+        const def = Object.prototype.hasOwnProperty.call(PRESTIGE_UPGRADES, key) && PRESTIGE_UPGRADES[key];
+        return !def || !isCount(upgrades[key]) || upgrades[key] > def.maxLevel;
+      })
+      .map((key) => `.${key} must be the level of a known upgrade`);
+  }
+
+  /**
+   * Check that a village has the shape the engine expects. Returns a list of
+   * problems, which is empty when the village is valid.
+   * @param {Object} state - Village
+   * @returns {string[]}
+   */
+  function validateVillage(state) {
+    const errors = [];
+    const isBuildingType = (type) =>
+      typeof type === 'string' && Object.prototype.hasOwnProperty.call(BUILDING_TYPES, type);
+    const isTechnology = (key) =>
+      typeof key === 'string' && Object.prototype.hasOwnProperty.call(TECHNOLOGIES, key);
+    const checkAmounts = (amounts, path) => {
+      if (!isObject(amounts)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      Object.keys(amounts).forEach((res) => {
+        if (!Number.isFinite(amounts[res])) errors.push(`${path}.${res} must be a finite number`);
+      });
+    };
+    const checkTimer = (timer, path) => {
+      if (timer === null) return;
+      if (!isObject(timer)) {
+        errors.push(`${path} must be an object or null`);
+        return;
+      }
+      if (!Number.isFinite(timer.startTime)) errors.push(`${path}.startTime must be a finite number`);
+      if (!Number.isFinite(timer.endTime)) errors.push(`${path}.endTime must be a finite number`);
+    };
+
+    // Armies in reports only list the unit types that took part
+    const isUnitType = (unit) => Object.prototype.hasOwnProperty.call(UNIT_TYPES, unit);
+    const checkUnits = (army, path) => {
+      if (!isObject(army) || !Object.keys(army).every((unit) => isUnitType(unit) && isCount(army[unit]))) {
+        errors.push(`${path} must give a count per known unit type`);
+      }
+    };
+    const checkLogEntry = (entry, path) => {
+      if (!isObject(entry) || !Object.prototype.hasOwnProperty.call(LOG_CATEGORIES, entry.category)) {
+        errors.push(`${path}.category must be a known log category`);
+        return;
+      }
+      if (!Number.isFinite(entry.time)) errors.push(`${path}.time must be a finite number`);
+      const { category } = entry;
+      if (category === 'construction') {
+        if (!isBuildingType(entry.type)) errors.push(`${path}.type must be a known building type`);
+        if (!Number.isInteger(entry.level) || entry.level < 1) errors.push(`${path}.level must be a positive integer`);
+      } else if (category === 'training') {
+        if (!getUnitDef(entry.unit)) errors.push(`${path}.unit must be a known unit type`);
+      } else if (category === 'research') {
+        if (!isTechnology(entry.tech)) errors.push(`${path}.tech must be a known technology`);
+      } else if (category === 'raid') {
+        if (!getRaidTarget(entry.camp)) errors.push(`${path}.camp must be a known camp`);
+        if (typeof entry.won !== 'boolean') errors.push(`${path}.won must be a boolean`);
+        ['sent', 'losses', 'enemyLosses'].forEach((key) => checkUnits(entry[key], `${path}.${key}`));
+        checkAmounts(entry.loot, `${path}.loot`);
+        checkAmounts(entry.stored, `${path}.stored`);
+      } else if (category === 'attack') {
+        if (!isCount(entry.wave)) errors.push(`${path}.wave must be a non-negative integer`);
+        if (typeof entry.repelled !== 'boolean') errors.push(`${path}.repelled must be a boolean`);
+        ['attackers', 'attackerLosses', 'defenders', 'losses'].forEach((key) => {
+          checkUnits(entry[key], `${path}.${key}`);
+        });
+        checkAmounts(entry.plundered, `${path}.plundered`);
+        const { damaged } = entry;
+        if (damaged !== null && !(isObject(damaged) && isBuildingType(damaged.type) && isCount(damaged.level))) {
+          errors.push(`${path}.damaged must be null or a building type and level`);
+        }
+      } else {
+        // Spending: refunds are for a building or a technology
+        const subjects = {
+          construction: isBuildingType,
+          training: getUnitDef,
+          research: isTechnology,
+          refund: (key) => isBuildingType(key) || isTechnology(key),
+        };
+        const isSubject = Object.prototype.hasOwnProperty.call(subjects, entry.reason) && subjects[entry.reason];
+        if (!isSubject) errors.push(`${path}.reason must be construction, training, research or refund`);
+        else if (!isSubject(entry.key)) errors.push(`${path}.key must be what the resources were spent on`);
+        checkAmounts(entry.resources, `${path}.resources`);
+      }
+    };
+
+    if (!isObject(state)) return ['village must be an object'];
+    if (typeof state.name !== 'string') errors.push('name must be a string');
+    const isCoordinate = (value) => Number.isInteger(value) && value >= 0 && value < WORLD_SIZE;
+    if (!isCoordinate(state.x) || !isCoordinate(state.y)) {
+      errors.push('x and y must be tiles of the world map');
+    }
+    if (!isCount(state.noblemen)) errors.push('noblemen must be a non-negative integer');
+    if (!isObject(state.resources)) {
+      errors.push('resources must be an object');
+    } else {
+      RESOURCES.forEach((res) => {
+        if (!Number.isFinite(state.resources[res])) {
+          errors.push(`resources.${res} must be a finite number`);
+        }
+      });
+    }
+    if (!Array.isArray(state.buildings)) {
+      errors.push('buildings must be an array');
+    } else {
+      state.buildings.forEach((building, i) => {
+        if (!isObject(building) || !isBuildingType(building.type)) {
+          errors.push(`buildings[${i}].type must be a known building type`);
+        } else if (!Number.isInteger(building.level) || building.level < 1) {
+          errors.push(`buildings[${i}].level must be a positive integer`);
+        } else if (!isCount(building.workers) || building.workers > getWorkerSlots(building)) {
+          errors.push(`buildings[${i}].workers must be between 0 and the building's worker slots`);
+        }
+      });
+    }
+    if (!Array.isArray(state.queue)) {
+      errors.push('queue must be an array');
+    } else {
+      state.queue.forEach((job, i) => {
+        const path = `queue[${i}]`;
+        if (!isObject(job) || !isBuildingType(job.type)) {
+          errors.push(`${path}.type must be a known building type`);
+          return;
+        }
+        if (!Number.isInteger(job.level) || job.level < 1) {
+          errors.push(`${path}.level must be a positive integer`);
+        }
+        const buildingCount = Array.isArray(state.buildings) ? state.buildings.length : 0;
+        if (
+          job.targetIndex !== null &&
+          !(Number.isInteger(job.targetIndex) && job.targetIndex >= 0 && job.targetIndex < buildingCount)
+        ) {
+          errors.push(`${path}.targetIndex must be null or the index of a building`);
+        }
+        checkAmounts(job.cost, `${path}.cost`);
+        if (!Number.isFinite(job.duration) || job.duration < 0) {
+          errors.push(`${path}.duration must be a non-negative number`);
+        }
+        if (job.startTime !== null) checkTimer(job, path);
+      });
+    }
+    const checkArmy = (army, path) => {
+      if (!isObject(army)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      Object.keys(UNIT_TYPES).forEach((unit) => {
+        if (!isCount(army[unit])) errors.push(`${path}.${unit} must be a non-negative integer`);
+      });
+    };
+    checkArmy(state.troops, 'troops');
+    checkTimer(state.trainingQueue, 'trainingQueue');
+    if (isObject(state.trainingQueue) && !getUnitDef(state.trainingQueue.unit)) {
+      errors.push('trainingQueue.unit must be a known unit type');
+    }
+    if (!Array.isArray(state.raidQueue)) {
+      errors.push('raidQueue must be an array');
+    } else {
+      state.raidQueue.forEach((raid, i) => {
+        const path = `raidQueue[${i}]`;
+        if (!isObject(raid)) {
+          errors.push(`${path} must be an object`);
+          return;
+        }
+        checkTimer(raid, path);
+        if (!getRaidTarget(raid.camp)) errors.push(`${path}.camp must be a known camp`);
+        if (raid.site !== null && !isCount(raid.site)) errors.push(`${path}.site must be an index or null`);
+        checkArmy(raid.sent, `${path}.sent`);
+        checkArmy(raid.losses, `${path}.losses`);
+        checkAmounts(raid.loot, `${path}.loot`);
+      });
+    }
+    if (!Array.isArray(state.battleReports)) errors.push('battleReports must be an array');
+    if (!Number.isInteger(state.attackSeed)) errors.push('attackSeed must be an integer');
+    if (!isObject(state.nextAttack)) {
+      errors.push('nextAttack must be an object');
+    } else {
+      if (!Number.isFinite(state.nextAttack.arrival)) {
+        errors.push('nextAttack.arrival must be a finite number');
+      }
+      checkArmy(state.nextAttack.army, 'nextAttack.army');
+    }
+    if (!Array.isArray(state.defenseReports)) errors.push('defenseReports must be an array');
+    if (!Array.isArray(state.log)) {
+      errors.push('log must be an array');
+    } else {
+      state.log.forEach((entry, i) => checkLogEntry(entry, `log[${i}]`));
+    }
+    if (!Array.isArray(state.income)) {
+      errors.push('income must be an array');
+    } else {
+      state.income.forEach((bucket, i) => {
+        if (!isObject(bucket) || !Number.isFinite(bucket.time)) {
+          errors.push(`income[${i}].time must be a finite number`);
+          return;
+        }
+        INCOME_SOURCES.forEach((source) => checkAmounts(bucket[source], `income[${i}].${source}`));
+      });
+    }
+    if (!Array.isArray(state.technologies) || !state.technologies.every(isTechnology)) {
+      errors.push('technologies must be an array of known technologies');
+    }
+    validateUpgrades(state.prestige).forEach((error) => errors.push(`prestige${error}`));
+    if (!Array.isArray(state.researchQueue)) {
+      errors.push('researchQueue must be an array');
+    } else {
+      state.researchQueue.forEach((job, i) => {
+        const path = `researchQueue[${i}]`;
+        if (!isObject(job) || !isTechnology(job.tech)) {
+          errors.push(`${path}.tech must be a known technology`);
+          return;
+        }
+        checkAmounts(job.cost, `${path}.cost`);
+        if (!Number.isFinite(job.duration) || job.duration < 0) {
+          errors.push(`${path}.duration must be a non-negative number`);
+        }
+        if (job.startTime !== null) checkTimer(job, path);
+      });
+    }
+    if (!isObject(state.stats)) {
+      errors.push('stats must be an object');
+    } else {
+      ['troopsTrained', 'raidsSent', 'raidsWon', 'attacksRepelled'].forEach((key) => {
+        if (!isCount(state.stats[key])) errors.push(`stats.${key} must be a non-negative integer`);
+      });
+      // Resources registered after the village was saved are not counted yet
+      ['produced', 'looted'].forEach((key) => {
+        const amounts = state.stats[key];
+        if (
+          !isObject(amounts) ||
+          !Object.keys(amounts).every((res) => Number.isFinite(amounts[res]) && amounts[res] >= 0)
+        ) {
+          errors.push(`stats.${key} must give a non-negative amount per resource`);
+        }
+      });
+    }
+    if (!isObject(state.plugins)) errors.push('plugins must be an object');
+    if (!Number.isFinite(state.lastUpdate)) errors.push('lastUpdate must be a finite number');
+    return errors;
+  }
+
+  /**
+   * Parse a serialized save, migrate it to the current schema version and
+   * validate the result. Saves from a newer version of the game are
+   * rejected rather than guessed at.
+   * @param {string} data - Serialized state, as produced by serializeState
+   * @param {number} now
+   * @returns {{state: Object|null, errors: string[]}} state is null when the
+   *   save cannot be used; errors then explains why
+   */
+  function parseSave(data, now) {
+    let save;
+    try {
+      save = JSON.parse(data);
+    } catch {
+      return { state: null, errors: ['save is not valid JSON'] };
+    }
+    if (save === null || typeof save !== 'object' || Array.isArray(save)) {
+      return { state: null, errors: ['save must be an object'] };
+    }
+    const version = save.schemaVersion === undefined ? 0 : save.schemaVersion;
+    if (!Number.isInteger(version) || version < 0) {
+      return { state: null, errors: ['schemaVersion must be a non-negative integer'] };
+    }
+    if (version > SCHEMA_VERSION) {
+      return {
+        state: null,
+        errors: [`save uses schema version ${version}, this game supports up to ${SCHEMA_VERSION}`],
+      };
+    }
+    for (let v = version; v < SCHEMA_VERSION; v += 1) {
+      try {
+        save = MIGRATIONS[v](save, now);
+      } catch (err) {
+        return { state: null, errors: [`migration to version ${v + 1} failed: ${err.message}`] };
+      }
+    }
+    save.schemaVersion = SCHEMA_VERSION;
+    // Resources added by plugins since the save was written start empty
+    if (Array.isArray(save.villages)) {
+      save.villages.forEach((village) => {
+        if (!isObject(village) || !isObject(village.resources)) return;
+        PLUGIN_RESOURCES.forEach((res) => {
+          if (village.resources[res] === undefined) village.resources[res] = 0;
+        });
+      });
+    }
+    const errors = validateState(save);
+    if (errors.length > 0) return { state: null, errors };
+    save.villages.forEach((village) => {
+      startNextJob(village.queue, now);
+      startNextJob(village.researchQueue, now);
+    });
+    return { state: save, errors: [] };
+  }
+
+  /**
+   * Load the game from a save, falling back to the last known good backup
+   * when the save is unusable. A fresh state is only created when there is
+   * no save at all, or when neither the save nor the backup can be used.
+   * @param {string|null} data - Serialized save
+   * @param {string|null} backup - Serialized backup of the last known good save
+   * @param {number} now
+   * @returns {{state: Object, source: string, errors: string[]}} source is
+   *   'save', 'backup', 'new' (no save) or 'reset' (save and backup unusable);
+   *   errors lists the problems found in the save
+   */
+  function loadSave(data, backup, now) {
+    if (!data) return { state: createInitialState(now), source: 'new', errors: [] };
+    const primary = parseSave(data, now);
+    if (primary.state) return { state: primary.state, source: 'save', errors: [] };
+    const fallback = backup ? parseSave(backup, now) : { state: null };
+    if (fallback.state) return { state: fallback.state, source: 'backup', errors: primary.errors };
+    return { state: createInitialState(now), source: 'reset', errors: primary.errors };
+  }
+
+  /**
+   * Compare two game states for an import preview. Returns one row for the
+   * villages, then one per resource, building type, unit type and the
+   * technologies, totalled over all villages, with a flag marking rows that
+   * differ.
+   * @param {Object} current
+   * @param {Object} incoming
+   * @returns {{label: string, before: string, after: string, changed: boolean}[]}
+   */
+  function diffStates(current, incoming) {
+    const describeLevels = (game, type) => {
+      const levels = game.villages
+        .flatMap((village) => village.buildings)
+        .filter((b) => b.type === type)
+        .map((b) => `Lv ${b.level}`);
+      return levels.length > 0 ? levels.join(', ') : 'none';
+    };
+    const total = (game, read) => game.villages.reduce((sum, village) => sum + read(village), 0);
+    const rows = [];
+    rows.push({
+      label: 'Villages',
+      before: current.villages.map((village) => village.name).join(', '),
+      after: incoming.villages.map((village) => village.name).join(', '),
+    });
+    RESOURCES.forEach((res) => {
+      rows.push({
+        label: res,
+        before: String(Math.floor(total(current, (village) => village.resources[res]))),
+        after: String(Math.floor(total(incoming, (village) => village.resources[res]))),
+      });
+    });
+    Object.keys(BUILDING_TYPES).forEach((type) => {
+      rows.push({
+        label: BUILDING_TYPES[type].name,
+        before: describeLevels(current, type),
+        after: describeLevels(incoming, type),
+      });
+    });
+    Object.keys(UNIT_TYPES).forEach((unit) => {
+      rows.push({
+        label: UNIT_TYPES[unit].name,
+        before: String(total(current, (village) => village.troops[unit])),
+        after: String(total(incoming, (village) => village.troops[unit])),
+      });
+    });
+    const describeTechnologies = (game) =>
+      [...new Set(game.villages.flatMap((village) => village.technologies))]
+        .map((key) => TECHNOLOGIES[key].name)
+        .join(', ') || 'none';
+    rows.push({
+      label: 'Technologies',
+      before: describeTechnologies(current),
+      after: describeTechnologies(incoming),
+    });
+    const describePrestige = (game) => `${game.prestige.resets} resets, ${game.prestige.earned} renown earned`;
+    rows.push({ label: 'Prestige', before: describePrestige(current), after: describePrestige(incoming) });
+    return rows.map((row) => ({ ...row, changed: row.before !== row.after }));
+  }
+
+  /**
+   * Serialize a state for storage.
+   * @param {Object} state
+   * @returns {string}
+   */
+  function serializeState(state) {
+    return JSON.stringify(state);
+  }
+
+  /**
+   * Collect every effect currently applied to the village. An effect is
+   * `{ stat, target, percent, flat }`; target narrows it to one resource and
+   * is omitted for effects that apply across the board. Sources are the
+   * researched technologies and the prestige upgrades, whose effects count
+   * once per level.
+   * @param {Object} state
+   * @returns {Object[]}
+   */
+  function getEffects(state) {
+    // Saves being migrated from before research or prestige have neither yet
+    const prestige = state.prestige || {};
+    return (state.technologies || [])
+      .flatMap((key) => TECHNOLOGIES[key].effects)
+      .concat(
+        Object.keys(prestige).flatMap((key) =>
+          PRESTIGE_UPGRADES[key].effects.map((effect) => ({
+            ...effect,
+            percent: (effect.percent || 0) * prestige[key],
+            flat: (effect.flat || 0) * prestige[key],
+          }))
+        )
+      );
+  }
+
+  /**
+   * The modifier pipeline every formula reads from. Percent effects on the
+   * same stat add up and are applied once, then flat effects are added, so
+   * bonuses compose the same way whatever order they were gained in.
+   * Stats: production, buildCost, buildTime, trainingTime, raidSlots,
+   * queueSlots, storage, startingResources.
+   * @param {Object} state
+   * @param {string} stat
+   * @param {number} value - Value before modifiers
+   * @param {string} [target] - Resource the value is for, if any
+   * @returns {number}
+   */
+  function applyModifiers(state, stat, value, target) {
+    let percent = 0;
+    let flat = 0;
+    getEffects(state).forEach((effect) => {
+      if (effect.stat !== stat || (effect.target && effect.target !== target)) return;
+      percent += effect.percent || 0;
+      flat += effect.flat || 0;
+    });
+    if (percent === 0 && flat === 0) return value;
+    const modified = value * Math.max(0, 1 + percent) + flat;
+    // Drop floating point noise so rounded costs come out as expected
+    // (30 * 0.9 is 27.000000000000004, which would round up to 28)
+    return Math.round(modified * 1e9) / 1e9;
+  }
+
+  /**
+   * Calculate the production per second for a building based on its level
+   * and how many of its worker slots are filled. When a state is given its
+   * modifiers are applied.
+   * @param {Object} building
+   * @param {Object} [state]
+   * @returns {number}
+   */
+  function getProduction(building, state) {
+    const def = BUILDING_TYPES[building.type];
+    const slots = getWorkerSlots(building);
+    if (slots === 0) return 0;
+    const base = def.baseRate * building.level * (building.workers / slots);
+    return state ? applyModifiers(state, 'production', base, def.resource) : base;
+  }
+
+  /**
+   * Number of workers a building can employ. Only buildings that produce
+   * resources employ workers.
+   * @param {Object} building
+   * @returns {number}
+   */
+  function getWorkerSlots(building) {
+    const def = BUILDING_TYPES[building.type];
+    if (!def.resource || def.baseRate <= 0) return 0;
+    return WORKERS_PER_LEVEL * building.level;
+  }
+
+  /**
+   * Calculate the population cap from the base population and housing.
+   * @param {Object} state
+   * @returns {number}
+   */
+  function getPopulationCapacity(state) {
+    return state.buildings.reduce(
+      (total, building) => total + (BUILDING_TYPES[building.type].housing || 0) * building.level,
+      BASE_POPULATION
+    );
+  }
+
+  /**
+   * Count the villagers in each role. Troops include noblemen, units in
+   * training and the survivors of a raid still on its way home.
+   * @param {Object} state
+   * @returns {{capacity: number, workers: number, troops: number, free: number}}
+   */
+  function getPopulation(state) {
+    const capacity = getPopulationCapacity(state);
+    const workers = state.buildings.reduce((total, building) => total + building.workers, 0);
+    let troops = countUnits(state.troops) + state.noblemen;
+    if (state.trainingQueue) troops += 1;
+    state.raidQueue.forEach((raid) => {
+      troops += countUnits(raid.sent) - countUnits(raid.losses);
+    });
+    return { capacity, workers, troops, free: Math.max(0, capacity - workers - troops) };
+  }
+
+  /**
+   * Fill a building's empty worker slots with free villagers.
+   * @param {Object} state
+   * @param {Object} building
+   */
+  function staffBuilding(state, building) {
+    const open = getWorkerSlots(building) - building.workers;
+    building.workers += Math.max(0, Math.min(open, getPopulation(state).free));
+  }
+
+  /**
+   * Set the number of workers in a building. Requires enough free villagers
+   * for any workers added. Production up to now is credited at the old
+   * staffing first.
+   * @param {Object} state
+   * @param {number} index
+   * @param {number} workers
+   * @param {number} now
+   * @returns {boolean}
+   */
+  function assignWorkers(state, index, workers, now) {
+    const building = state.buildings[index];
+    if (!building || !Number.isInteger(workers)) return false;
+    if (workers < 0 || workers > getWorkerSlots(building)) return false;
+    if (workers - building.workers > getPopulation(state).free) return false;
+    updateResources(state, now);
+    building.workers = workers;
+    return true;
+  }
+
+  /**
+   * Check whether the village is starving: the food store is empty and the
+   * farms cannot feed the workers.
+   * @param {Object} state
+   * @returns {boolean}
+   */
+  function isStarving(state) {
+    if (state.resources.food > EMPTY_THRESHOLD) return false;
+    const farms = state.buildings
+      .filter((building) => BUILDING_TYPES[building.type].resource === 'food')
+      .reduce((total, building) => total + getProduction(building, state), 0);
+    return farms < getPopulation(state).workers * FOOD_UPKEEP;
+  }
+
+  /**
+   * Calculate the cost for constructing or upgrading a building at a given
+   * level. For level 1 (new building), we use the base cost. For higher
+   * levels, we multiply the base cost by the building's costMultiplier (or
+   * COST_MULTIPLIER) to the power of level - 1, unless the balance data fixes
+   * the cost of that level. When a state is given its modifiers are applied.
+   * @param {string} type
+   * @param {number} level
+   * @param {Object} [state]
+   */
+  function calculateCost(type, level, state) {
+    const def = BUILDING_TYPES[type];
+    const override = def.levels && def.levels[level] && def.levels[level].cost;
+    const multiplier = Math.pow(def.costMultiplier || COST_MULTIPLIER, level - 1);
+    const costs = override || def.baseCost;
+    const cost = {};
+    Object.keys(costs).forEach((res) => {
+      const base = override ? override[res] : def.baseCost[res] * multiplier;
+      cost[res] = Math.ceil(state ? applyModifiers(state, 'buildCost', base, res) : base);
+    });
+    return cost;
+  }
+
+  /**
+   * Calculate construction or upgrade time in milliseconds for a given level,
+   * growing like the cost does with the building's timeMultiplier (or
+   * TIME_MULTIPLIER) unless the balance data fixes the time of that level.
+   * When a state is given its modifiers are applied.
+   * @param {string} type
+   * @param {number} level
+   * @param {Object} [state]
+   */
+  function calculateTime(type, level, state) {
+    const def = BUILDING_TYPES[type];
+    const override = def.levels && def.levels[level] && def.levels[level].time;
+    const seconds =
+      override === undefined || override === null
+        ? def.baseTime * Math.pow(def.timeMultiplier || TIME_MULTIPLIER, level - 1)
+        : override;
+    const ms = seconds * 1000;
+    return Math.ceil(state ? applyModifiers(state, 'buildTime', ms) : ms);
+  }
+
+  /**
+   * Number of jobs the construction queue can hold.
+   * @param {Object} state
+   * @returns {number}
+   */
+  function getQueueSlots(state) {
+    return applyModifiers(state, 'queueSlots', QUEUE_SLOTS);
+  }
+
+  /**
+   * Number of raids that can be out at the same time.
+   * @param {Object} state
+   * @returns {number}
+   */
+  function getRaidSlots(state) {
+    return applyModifiers(state, 'raidSlots', RAID_SLOTS);
+  }
+
+  /**
+   * Check if the player has enough resources to afford a cost object.
+   * @param {Object} state
+   * @param {Object} cost
+   */
+  function hasResources(state, cost) {
+    return Object.keys(cost).every((res) => state.resources[res] >= cost[res]);
+  }
+
+  /**
+   * Deduct a cost object from the player's resources.
+   * @param {Object} state
+   * @param {Object} cost
+   */
+  function deductResources(state, cost) {
+    Object.keys(cost).forEach((res) => {
+      state.resources[res] -= cost[res];
+    });
+  }
+
+  /**
+   * Refund CANCEL_REFUND_RATIO of a cancelled job's cost, up to the storage
+   * cap.
+   * @param {Object} state
+   * @param {Object} cost
+   * @returns {Object} Amount refunded per resource
+   */
+  function refundCost(state, cost) {
+    return addResources(
+      state,
+      Object.fromEntries(
+        Object.keys(cost).map((res) => [res, Math.floor(cost[res] * CANCEL_REFUND_RATIO)])
+      )
+    );
+  }
+
+  /**
+   * Add an entry to the front of a village's event log, dropping the oldest
+   * entries beyond LOG_LENGTH.
+   * @param {Object} state
+   * @param {Object} entry - { time, category, ... }; category is a key of
+   *   LOG_CATEGORIES
+   */
+  function logEvent(state, entry) {
+    state.log.unshift(entry);
+    state.log.length = Math.min(state.log.length, LOG_LENGTH);
+  }
+
+  /**
+   * Add resources a village gained between two times to its hourly income
+   * totals, spread evenly over the hours the stretch covers. Totals that
+   * ended more than INCOME_PERIOD ago are dropped.
+   * @param {Object} state
+   * @param {string} source - One of INCOME_SOURCES
+   * @param {number} from
+   * @param {number} time - Equal to from for a one-off gain such as loot
+   * @param {Object} amounts - Amount gained per resource; negative for food
+   *   eaten
+   */
+  function recordIncome(state, source, from, time, amounts) {
+    const length = time - from;
+    let start = from;
+    do {
+      const bucketTime = Math.floor(start / INCOME_BUCKET_TIME) * INCOME_BUCKET_TIME;
+      const end = Math.min(time, bucketTime + INCOME_BUCKET_TIME);
+      const share = length > 0 ? (end - start) / length : 1;
+      let bucket = state.income.find((other) => other.time === bucketTime);
+      if (!bucket) {
+        bucket = { time: bucketTime };
+        INCOME_SOURCES.forEach((key) => {
+          bucket[key] = Object.fromEntries(RESOURCES.map((res) => [res, 0]));
+        });
+        const index = state.income.findIndex((other) => other.time < bucketTime);
+        state.income.splice(index < 0 ? state.income.length : index, 0, bucket);
+      }
+      Object.keys(amounts).forEach((res) => {
+        bucket[source][res] = (bucket[source][res] || 0) + amounts[res] * share;
+      });
+      start = end;
+    } while (start < time);
+    state.income = state.income.filter((bucket) => bucket.time + INCOME_BUCKET_TIME > time - INCOME_PERIOD);
+  }
+
+  /**
+   * Sum the resources a village gained over the INCOME_PERIOD before a given
+   * time: what its buildings produced (net of the food eaten) and what its
+   * raids brought home. The hour the period starts in counts in proportion,
+   * as if its income was spread evenly over it.
+   * @param {Object} state
+   * @param {number} now
+   * @returns {{buildings: Object, raids: Object}} Amount per resource
+   */
+  function getIncome(state, now) {
+    const start = now - INCOME_PERIOD;
+    const income = Object.fromEntries(
+      INCOME_SOURCES.map((source) => [source, Object.fromEntries(RESOURCES.map((res) => [res, 0]))])
+    );
+    state.income.forEach((bucket) => {
+      const end = bucket.time + INCOME_BUCKET_TIME;
+      if (end <= start || bucket.time > now) return;
+      const share = bucket.time < start ? (end - start) / INCOME_BUCKET_TIME : 1;
+      INCOME_SOURCES.forEach((source) => {
+        RESOURCES.forEach((res) => {
+          income[source][res] += (bucket[source][res] || 0) * share;
+        });
+      });
+    });
+    return income;
+  }
+
+  /**
+   * Collect the log entries of every village, most recent first, each with
+   * the index of its village.
+   * @param {Object} game
+   * @param {string[]} [categories] - Only keep entries of these categories
+   * @returns {Object[]}
+   */
+  function getLog(game, categories) {
+    return game.villages
+      .flatMap((village, index) => village.log.map((entry) => ({ ...entry, village: index })))
+      .filter((entry) => !categories || categories.includes(entry.category))
+      .sort((a, b) => b.time - a.time);
+  }
+
+  /**
+   * Create an empty summary for advanceState and the check functions to
+   * record what happened in.
+   * @param {number} elapsed - Length of the simulated period in milliseconds
+   * @returns {Object}
+   */
+  function createSummary(elapsed) {
+    return {
+      elapsed,
+      produced: Object.fromEntries(RESOURCES.map((res) => [res, 0])),
+      constructions: [],
+      troops: [],
+      raids: [],
+      attacks: [],
+      research: [],
+      achievements: [],
+      villages: [],
+      transports: [],
+      // How far the clock was set back, see advanceGame
+      clockJump: 0,
+      // Entries recorded by plugin queues, by queue key
+      plugins: Object.fromEntries(PLUGIN_QUEUES.map((queue) => [queue.key, []])),
+    };
+  }
+
+  /**
+   * Calculate the storage cap for every resource from the levels of the
+   * buildings that store it.
+   * @param {Object} state
+   * @returns {Object} Cap per resource
+   */
+  function getStorageCapacity(state) {
+    const levels = Object.fromEntries(RESOURCES.map((res) => [res, 0]));
+    state.buildings.forEach((building) => {
+      const def = BUILDING_TYPES[building.type];
+      if (!def.storage) return;
+      def.storage.forEach((res) => {
+        levels[res] += building.level;
+      });
+    });
+    return Object.fromEntries(
+      RESOURCES.map((res) => [
+        res,
+        applyModifiers(state, 'storage', BASE_STORAGE * Math.pow(STORAGE_GROWTH, levels[res]), res),
+      ])
+    );
+  }
+
+  /**
+   * Add resources to the stockpile without exceeding the storage cap. A
+   * stockpile already above the cap is left as it is. Negative amounts
+   * remove resources but never take a stockpile below zero.
+   * @param {Object} state
+   * @param {Object} amounts - Amounts to add per resource
+   * @returns {Object} Amounts actually added per resource
+   */
+  function addResources(state, amounts) {
+    const capacity = getStorageCapacity(state);
+    const added = {};
+    Object.keys(amounts).forEach((res) => {
+      const room = Math.max(0, capacity[res] - state.resources[res]);
+      added[res] = Math.max(-state.resources[res], Math.min(amounts[res], room));
+      state.resources[res] += added[res];
+    });
+    return added;
+  }
+
+  /**
+   * Calculate the combined production per second of every resource, net of
+   * the food eaten by workers. Output drops while the village is starving.
+   * @param {Object} state
+   * @returns {Object} Production per second per resource
+   */
+  function getProductionRates(state) {
+    const rates = Object.fromEntries(RESOURCES.map((res) => [res, 0]));
+    const output = isStarving(state) ? STARVATION_OUTPUT : 1;
+    state.buildings.forEach((building) => {
+      const def = BUILDING_TYPES[building.type];
+      // Skip buildings that do not generate resources
+      if (!def.resource || def.baseRate <= 0) return;
+      rates[def.resource] += getProduction(building, state) * output;
+    });
+    rates.food -= getPopulation(state).workers * FOOD_UPKEEP;
+    return rates;
+  }
+
+  /**
+   * Time until a resource reaches its storage cap at the current production
+   * rate.
+   * @param {Object} state
+   * @param {string} res
+   * @returns {number} Milliseconds; 0 when already full, Infinity when the
+   *   resource is not being produced
+   */
+  function getTimeUntilFull(state, res) {
+    const room = getStorageCapacity(state)[res] - state.resources[res];
+    if (room <= 0) return 0;
+    const rate = getProductionRates(state)[res];
+    return rate > 0 ? (room / rate) * 1000 : Infinity;
+  }
+
+  /**
+   * Time until a resource runs out at the current net production rate.
+   * @param {Object} state
+   * @param {string} res
+   * @returns {number} Milliseconds; 0 when already empty, Infinity when the
+   *   stockpile is not shrinking
+   */
+  function getTimeUntilEmpty(state, res) {
+    if (state.resources[res] <= EMPTY_THRESHOLD) return 0;
+    const rate = getProductionRates(state)[res];
+    return rate < 0 ? (state.resources[res] / -rate) * 1000 : Infinity;
+  }
+
+  /**
+   * Add resources based on building production between state.lastUpdate and
+   * a given time, up to the storage cap. Building levels are assumed
+   * constant over that period.
+   * @param {Object} state
+   * @param {number} time
+   * @param {Object} [produced] - Optional totals the stored amounts are added to
+   */
+  function updateResources(state, time, produced) {
+    const deltaSeconds = (time - state.lastUpdate) / 1000;
+    if (deltaSeconds <= 0) return;
+    const rates = getProductionRates(state);
+    const gained = addResources(
+      state,
+      Object.fromEntries(RESOURCES.map((res) => [res, rates[res] * deltaSeconds]))
+    );
+    RESOURCES.forEach((res) => {
+      // Food eaten is not production taken back
+      state.stats.produced[res] = (state.stats.produced[res] || 0) + Math.max(0, gained[res]);
+      if (produced) produced[res] += gained[res];
+    });
+    recordIncome(state, 'buildings', state.lastUpdate, time, gained);
+    state.lastUpdate = time;
+  }
+
+  /**
+   * Find the earliest endTime among the construction, training, raid,
+   * research and plugin queues, or null when nothing is running. The moment
+   * the food store runs out also counts, since output drops from then on.
+   * @param {Object} state
+   * @returns {number|null}
+   */
+  function getNextEventTime(state) {
+    const times = [];
+    const untilHungry = getTimeUntilEmpty(state, 'food');
+    if (untilHungry > 0 && untilHungry !== Infinity) {
+      // Step forward by at least a microsecond so rounding cannot stall replay
+      times.push(state.lastUpdate + Math.max(untilHungry, 0.001));
+    }
+    if (state.queue.length > 0) times.push(state.queue[0].endTime);
+    if (state.trainingQueue) times.push(state.trainingQueue.endTime);
+    state.raidQueue.forEach((raid) => times.push(raid.endTime));
+    if (state.researchQueue.length > 0) times.push(state.researchQueue[0].endTime);
+    if (state.nextAttack) times.push(state.nextAttack.arrival);
+    PLUGIN_QUEUES.forEach((queue) => {
+      const time = queue.getNextEventTime(state);
+      if (time !== null && time !== undefined) times.push(time);
+    });
+    return times.length > 0 ? Math.min(...times) : null;
+  }
+
+  /**
+   * Advance the game to a given time. Rather than crediting production in one
+   * lump, the period is replayed event by event: resources are produced up to
+   * the next job's endTime, the job's effect is applied, and production
+   * continues at the new rates. An open tab and a long absence therefore reach
+   * exactly the same state. This moves a single village; see advanceGame.
+   * @param {Object} state - Village
+   * @param {number} now
+   * @returns {Object} Summary of what was produced and completed
+   */
+  function advanceState(state, now) {
+    const summary = createSummary(Math.max(0, now - state.lastUpdate));
+    let next = getNextEventTime(state);
+    while (next !== null && next <= now) {
+      updateResources(state, next, summary.produced);
+      checkQueue(state, next, summary);
+      checkTrainingQueue(state, next, summary);
+      checkRaidQueue(state, next, summary);
+      checkResearchQueue(state, next, summary);
+      checkAttack(state, next, summary);
+      PLUGIN_QUEUES.forEach((queue) => queue.check(state, next, summary));
+      next = getNextEventTime(state);
+    }
+    updateResources(state, now, summary.produced);
+    return summary;
+  }
+
+  /**
+   * Start the job at the front of a construction or research queue if it is
+   * not already running.
+   * @param {Object[]} queue
+   * @param {number} time - Moment the job starts
+   */
+  function startNextJob(queue, time) {
+    const job = queue[0];
+    if (!job || job.startTime !== null) return;
+    job.startTime = time;
+    job.endTime = time + job.duration;
+  }
+
+  /**
+   * Check the construction queue and complete every job that has finished by
+   * a given time. Each following job starts the moment its predecessor ended,
+   * so a chain of jobs queued before the tab was closed resolves in order.
+   * New worker slots are filled from the free villagers.
+   * @param {Object} state
+   * @param {number} now
+   * @param {Object} [summary] - Completed jobs are appended to summary.constructions
+   */
+  function checkQueue(state, now, summary) {
+    while (state.queue.length > 0 && now >= state.queue[0].endTime) {
+      const { type, targetIndex, level, endTime } = state.queue.shift();
+      let building;
+      if (targetIndex === null) {
+        // new building
+        building = { type, level, workers: 0 };
+        state.buildings.push(building);
+      } else {
+        // upgrade existing
+        building = state.buildings[targetIndex];
+        building.level = level;
+      }
+      staffBuilding(state, building);
+      logEvent(state, { time: endTime, category: 'construction', type, level });
+      if (summary) summary.constructions.push({ type, level });
+      startNextJob(state.queue, endTime);
+    }
+  }
+
+  /**
+   * Get the level a building will reach once all of its queued upgrades
+   * have finished.
+   * @param {Object} state
+   * @param {number} index
+   * @returns {number}
+   */
+  function getQueuedLevel(state, index) {
+    return state.queue.reduce(
+      (level, job) => (job.targetIndex === index ? Math.max(level, job.level) : level),
+      state.buildings[index].level
+    );
+  }
+
+  /**
+   * Pay for a construction job and append it to the queue. Returns false if
+   * the queue is full or resources are insufficient.
+   * @param {Object} state
+   * @param {string} type
+   * @param {number|null} targetIndex - Building to upgrade, or null for a new one
+   * @param {number} level - Level the building will have once the job is done
+   * @param {number} now
+   * @returns {boolean}
+   */
+  function enqueueJob(state, type, targetIndex, level, now) {
+    if (state.queue.length >= getQueueSlots(state)) return false;
+    const cost = calculateCost(type, level, state);
+    if (!hasResources(state, cost)) return false;
+    deductResources(state, cost);
+    logEvent(state, { time: now, category: 'spending', reason: 'construction', key: type, resources: { ...cost } });
+    state.queue.push({
+      type,
+      targetIndex,
+      level,
+      cost,
+      duration: calculateTime(type, level, state),
+      startTime: null,
+      endTime: null,
+    });
+    startNextJob(state.queue, now);
+    return true;
+  }
+
+  /**
+   * Queue the construction of a new building.
+   * @param {Object} state
+   * @param {string} type
+   * @param {number} now
+   * @returns {boolean} False if the type is unknown, resources are
+   *   insufficient or the queue is full
+   */
+  function buildNew(state, type, now) {
+    if (!Object.prototype.hasOwnProperty.call(BUILDING_TYPES, type)) return false;
+    return enqueueJob(state, type, null, 1, now);
+  }
+
+  /**
+   * Queue an upgrade of an existing building at a given index. Upgrades
+   * already waiting in the queue are taken into account, so the new job
+   * targets the level after the last queued one.
+   * @param {Object} state
+   * @param {number} index
+   * @param {number} now
+   * @returns {boolean} False if there is no such building, resources are
+   *   insufficient or the queue is full
+   */
+  function upgradeBuilding(state, index, now) {
+    const building = state.buildings[index];
+    if (!building) return false;
+    return enqueueJob(state, building.type, index, getQueuedLevel(state, index) + 1, now);
+  }
+
+  /**
+   * Cancel the job at a given queue position and refund part of its cost.
+   * Later upgrades of the same building depend on this job and are
+   * cancelled along with it. If the running job is cancelled, the next one
+   * starts immediately.
+   * @param {Object} state
+   * @param {number} position
+   * @param {number} now
+   * @returns {boolean} False if there is no job at that position
+   */
+  function cancelJob(state, position, now) {
+    const job = state.queue[position];
+    if (!job) return false;
+    const cancelled = state.queue.filter(
+      (other, i) =>
+        i === position ||
+        (i > position && job.targetIndex !== null && other.targetIndex === job.targetIndex)
+    );
+    cancelled.forEach((other) => {
+      const refund = refundCost(state, other.cost);
+      logEvent(state, { time: now, category: 'spending', reason: 'refund', key: other.type, resources: refund });
+    });
+    state.queue = state.queue.filter((other) => !cancelled.includes(other));
+    startNextJob(state.queue, now);
+    return true;
+  }
+
+  /**
+   * Move a waiting job one position up or down the queue. The running job
+   * cannot be moved, and two upgrades of the same building keep their
+   * relative order so levels are always reached in sequence.
+   * @param {Object} state
+   * @param {number} position
+   * @param {number} offset - -1 to move up, 1 to move down
+   * @returns {boolean} False if the move is not allowed
+   */
+  function moveJob(state, position, offset) {
+    const target = position + offset;
+    if (position < 1 || target < 1 || target >= state.queue.length) return false;
+    const job = state.queue[position];
+    const other = state.queue[target];
+    if (job.targetIndex !== null && job.targetIndex === other.targetIndex) return false;
+    state.queue[position] = other;
+    state.queue[target] = job;
+    return true;
+  }
+
+  /**
+   * Create an army with zero units of every type.
+   * @returns {Object}
+   */
+  function createArmy() {
+    return Object.fromEntries(Object.keys(UNIT_TYPES).map((unit) => [unit, 0]));
+  }
+
+  /**
+   * Count the units in an army.
+   * @param {Object} army - Unit counts keyed by unit type
+   * @returns {number}
+   */
+  function countUnits(army) {
+    return Object.values(army).reduce((sum, count) => sum + count, 0);
+  }
+
+  /**
+   * Look up the definition of a unit that can be trained: one of
+   * UNIT_TYPES, or the nobleman.
+   * @param {string} unit
+   * @returns {Object|null}
+   */
+  function getUnitDef(unit) {
+    if (unit === NOBLEMAN.key) return NOBLEMAN;
+    return Object.prototype.hasOwnProperty.call(UNIT_TYPES, unit) ? UNIT_TYPES[unit] : null;
+  }
+
+  /**
+   * Total amount of resources an army can carry home.
+   * @param {Object} army
+   * @returns {number}
+   */
+  function getCarryCapacity(army) {
+    return Object.keys(army).reduce((sum, unit) => sum + army[unit] * UNIT_TYPES[unit].carry, 0);
+  }
+
+  /**
+   * Calculate the total level of all barracks buildings. Higher levels
+   * reduce troop training time.
+   * @param {Object} state
+   */
+  function getTotalBarracksLevel(state) {
+    return getBuildingLevel(state, 'barracks');
+  }
+
+  /**
+   * Compute the training duration in milliseconds for a unit type, factoring
+   * in the total level of barracks and modifiers. Each barracks level
+   * increases the training speed by 50%. We ensure a minimum duration of 1
+   * second.
+   * @param {Object} state
+   * @param {string} unit
+   */
+  function calculateTrainingDuration(state, unit) {
+    const total = getTotalBarracksLevel(state);
+    const multiplier = 1 + 0.5 * total;
+    const duration = applyModifiers(state, 'trainingTime', getUnitDef(unit).trainTime / multiplier);
+    return Math.max(1000, duration);
+  }
+
+  /**
+   * Start training a single unit. Requires sufficient resources, a free
+   * villager and an available training queue; a nobleman also needs an
+   * academy.
+   * @param {Object} state
+   * @param {string} unit
+   * @param {number} now
+   * @returns {boolean}
+   */
+  function trainTroop(state, unit, now) {
+    if (state.trainingQueue) return false;
+    const def = getUnitDef(unit);
+    if (!def || !hasResources(state, def.cost)) return false;
+    if (def === NOBLEMAN && getBuildingLevel(state, 'academy') < 1) return false;
+    if (getPopulation(state).free < 1) return false;
+    deductResources(state, def.cost);
+    logEvent(state, { time: now, category: 'spending', reason: 'training', key: unit, resources: { ...def.cost } });
+    const duration = calculateTrainingDuration(state, unit);
+    state.trainingQueue = {
+      unit,
+      startTime: now,
+      endTime: now + duration,
+    };
+    return true;
+  }
+
+  /**
+   * Check if the troop training queue has finished by a given time. If
+   * complete, add the unit to the player's troops and clear the queue.
+   * @param {Object} state
+   * @param {number} now
+   * @param {Object} [summary] - The trained unit is added to summary.troops
+   */
+  function checkTrainingQueue(state, now, summary) {
+    if (!state.trainingQueue) return;
+    if (now >= state.trainingQueue.endTime) {
+      const { unit, endTime } = state.trainingQueue;
+      if (unit === NOBLEMAN.key) state.noblemen += 1;
+      else state.troops[unit] += 1;
+      state.stats.troopsTrained += 1;
+      logEvent(state, { time: endTime, category: 'training', unit });
+      state.trainingQueue = null;
+      if (summary) summary.troops.push({ unit });
+    }
+  }
+
+  /**
+   * How effective a unit type is against an opposing army: the average of
+   * its counter modifiers, weighted by the opposing unit counts.
+   * @param {string} unit
+   * @param {Object} opponents
+   * @returns {number}
+   */
+  function getEffectiveness(unit, opponents) {
+    const total = countUnits(opponents);
+    if (total === 0) return 1;
+    return Object.keys(opponents).reduce((sum, other) => {
+      let factor = 1;
+      if (UNIT_TYPES[unit].strongAgainst === other) factor = COUNTER_BONUS;
+      else if (UNIT_TYPES[other].strongAgainst === unit) factor = 1 / COUNTER_BONUS;
+      return sum + (factor * opponents[other]) / total;
+    }, 0);
+  }
+
+  /**
+   * Resolve a battle between an attacking and a defending army. The side
+   * with the greater power wins and the loser is wiped out; the winner loses
+   * a share of every unit type equal to (loser power / winner power)^1.5.
+   * @param {Object} attackers - Unit counts keyed by unit type
+   * @param {Object} defenders - Unit counts keyed by unit type
+   * @param {Function} rng - Returns a number in [0, 1), used for luck
+   * @param {{multiplier: number, bonus: number}} [fortification] - Scales the
+   *   defenders' strength and adds flat defense, e.g. from walls
+   * @returns {{won: boolean, attackPower: number, defensePower: number,
+   *   attackerLosses: Object, defenderLosses: Object}} won is from the
+   *   attacker's point of view
+   */
+  function resolveBattle(attackers, defenders, rng, fortification = { multiplier: 1, bonus: 0 }) {
+    const luck = 1 - LUCK_RANGE + rng() * 2 * LUCK_RANGE;
+    const attackPower =
+      Object.keys(attackers).reduce(
+        (sum, unit) =>
+          sum + attackers[unit] * UNIT_TYPES[unit].attack * getEffectiveness(unit, defenders),
+        0
+      ) * luck;
+    const defenseStrength = Object.keys(defenders).reduce(
+      (sum, unit) =>
+        sum + defenders[unit] * UNIT_TYPES[unit].defense * getEffectiveness(unit, attackers),
+      0
+    );
+    const defensePower = defenseStrength * fortification.multiplier + fortification.bonus;
+    const won = attackPower > defensePower;
+    const winnerPower = Math.max(attackPower, defensePower);
+    const ratio = Math.pow(Math.min(attackPower, defensePower) / winnerPower, 1.5);
+    const applyLosses = (army) =>
+      Object.fromEntries(Object.keys(army).map((unit) => [unit, Math.round(army[unit] * ratio)]));
+    return {
+      won,
+      attackPower,
+      defensePower,
+      attackerLosses: won ? applyLosses(attackers) : { ...attackers },
+      defenderLosses: won ? { ...defenders } : applyLosses(defenders),
+    };
+  }
+
+  /**
+   * Limit loot to what an army can carry, scaling every resource down by
+   * the same factor when there is too much.
+   * @param {Object} loot
+   * @param {number} capacity
+   * @returns {Object}
+   */
+  function capLoot(loot, capacity) {
+    const total = Object.values(loot).reduce((sum, amount) => sum + amount, 0);
+    if (total <= capacity) return { ...loot };
+    const scale = capacity / total;
+    return Object.fromEntries(
+      Object.keys(loot).map((res) => [res, Math.floor(loot[res] * scale)])
+    );
+  }
+
+  /**
+   * Look up an enemy camp or resource node by key.
+   * @param {string} key
+   * @returns {Object|null}
+   */
+  function getRaidTarget(key) {
+    if (Object.prototype.hasOwnProperty.call(ENEMY_CAMPS, key)) return ENEMY_CAMPS[key];
+    if (Object.prototype.hasOwnProperty.call(RESOURCE_NODES, key)) return RESOURCE_NODES[key];
+    return null;
+  }
+
+  /**
+   * Send units to raid an enemy camp or resource node. The battle is fought
+   * as the raid leaves, so its outcome is fixed by the rng at that moment;
+   * survivors and loot come home after RAID_TIME, or after twice the travel
+   * time when one is given. If every raid slot is in use, the camp is
+   * unknown, no units are selected or more units are selected than are at
+   * home, nothing happens. Raids on the world map go through raidSite.
+   * @param {Object} state
+   * @param {string} campKey
+   * @param {Object} units - Unit counts to send, keyed by unit type
+   * @param {number} now
+   * @param {Function} rng - Returns a number in [0, 1)
+   * @param {Object} [options]
+   * @param {number} [options.site] - Index of the world map site raided
+   * @param {number} [options.travelTime] - One-way travel time in milliseconds
+   * @param {Object} [options.stores] - Resources at the target; when given
+   *   the loot is what is there instead of a random amount
+   * @returns {boolean}
+   */
+  function raid(state, campKey, units, now, rng, options = {}) {
+    if (state.raidQueue.length >= getRaidSlots(state)) return false;
+    const camp = getRaidTarget(campKey);
+    if (!camp) return false;
+    const sent = { ...createArmy(), ...units };
+    const valid = Object.keys(sent).every(
+      (unit) =>
+        UNIT_TYPES[unit] &&
+        Number.isInteger(sent[unit]) &&
+        sent[unit] >= 0 &&
+        sent[unit] <= state.troops[unit]
+    );
+    if (!valid || countUnits(sent) === 0) return false;
+    Object.keys(sent).forEach((unit) => {
+      state.troops[unit] -= sent[unit];
+    });
+    const battle = resolveBattle(sent, camp.garrison, rng);
+    const survivors = Object.fromEntries(
+      Object.keys(sent).map((unit) => [unit, sent[unit] - battle.attackerLosses[unit]])
+    );
+    // Take the target's stores, or generate random loot within its ranges
+    const loot = {};
+    Object.keys(camp.loot).forEach((res) => {
+      const [min, max] = camp.loot[res];
+      const amount = options.stores
+        ? Math.floor(options.stores[res])
+        : Math.floor(min + rng() * (max - min + 1));
+      loot[res] = battle.won ? amount : 0;
+    });
+    const duration = options.travelTime === undefined ? RAID_TIME : 2 * options.travelTime;
+    state.raidQueue.push({
+      camp: campKey,
+      site: options.site === undefined ? null : options.site,
+      startTime: now,
+      endTime: now + duration,
+      sent,
+      losses: battle.attackerLosses,
+      enemyLosses: battle.defenderLosses,
+      won: battle.won,
+      loot: capLoot(loot, getCarryCapacity(survivors)),
+    });
+    state.stats.raidsSent += 1;
+    return true;
+  }
+
+  /**
+   * Check which raids have returned by a given time. On return, surviving
+   * units rejoin the troops at home, the loot is added to the player's
+   * resources and a battle report is filed.
+   * @param {Object} state
+   * @param {number} now
+   * @param {Object} [summary] - Battle reports are appended to summary.raids
+   */
+  function checkRaidQueue(state, now, summary) {
+    const returned = state.raidQueue
+      .filter((raid) => now >= raid.endTime)
+      .sort((a, b) => a.endTime - b.endTime);
+    returned.forEach(({ camp, site, endTime, sent, losses, enemyLosses, won, loot }) => {
+      Object.keys(sent).forEach((unit) => {
+        state.troops[unit] += sent[unit] - losses[unit];
+      });
+      const brought = addResources(state, loot);
+      Object.keys(brought).forEach((res) => {
+        state.stats.looted[res] = (state.stats.looted[res] || 0) + brought[res];
+      });
+      if (won) state.stats.raidsWon += 1;
+      const report = { camp, site, time: endTime, sent, losses, enemyLosses, won, loot };
+      state.battleReports.unshift(report);
+      state.battleReports.length = Math.min(state.battleReports.length, MAX_BATTLE_REPORTS);
+      logEvent(state, { ...report, category: 'raid', stored: brought });
+      recordIncome(state, 'raids', endTime, endTime, brought);
+      if (summary) summary.raids.push(report);
+    });
+    state.raidQueue = state.raidQueue.filter((raid) => !returned.includes(raid));
+  }
+
+  /**
+   * Check whether a technology can be queued for research: the academy is
+   * high enough and every prerequisite is researched or already queued, and
+   * the technology itself is neither.
+   * @param {Object} state
+   * @param {string} key
+   * @returns {boolean}
+   */
+  function canResearch(state, key) {
+    if (!Object.prototype.hasOwnProperty.call(TECHNOLOGIES, key)) return false;
+    const tech = TECHNOLOGIES[key];
+    const known = state.technologies.concat(state.researchQueue.map((job) => job.tech));
+    if (known.includes(key)) return false;
+    if (getBuildingLevel(state, 'academy') < tech.academyLevel) return false;
+    return tech.requires.every((req) => known.includes(req));
+  }
+
+  /**
+   * Pay for a technology and append it to the research queue. Returns false
+   * if the queue is full, the technology cannot be researched yet or
+   * resources are insufficient.
+   * @param {Object} state
+   * @param {string} key
+   * @param {number} now
+   * @returns {boolean}
+   */
+  function research(state, key, now) {
+    if (state.researchQueue.length >= RESEARCH_QUEUE_SLOTS) return false;
+    if (!canResearch(state, key)) return false;
+    const tech = TECHNOLOGIES[key];
+    if (!hasResources(state, tech.cost)) return false;
+    deductResources(state, tech.cost);
+    logEvent(state, { time: now, category: 'spending', reason: 'research', key, resources: { ...tech.cost } });
+    state.researchQueue.push({
+      tech: key,
+      cost: { ...tech.cost },
+      duration: tech.researchTime,
+      startTime: null,
+      endTime: null,
+    });
+    startNextJob(state.researchQueue, now);
+    return true;
+  }
+
+  /**
+   * Cancel the research at a given queue position and refund part of its
+   * cost. Queued technologies that require it are cancelled along with it.
+   * @param {Object} state
+   * @param {number} position
+   * @param {number} now
+   * @returns {boolean} False if there is no research at that position
+   */
+  function cancelResearch(state, position, now) {
+    const job = state.researchQueue[position];
+    if (!job) return false;
+    const cancelled = [job.tech];
+    state.researchQueue.slice(position + 1).forEach((other) => {
+      if (TECHNOLOGIES[other.tech].requires.some((req) => cancelled.includes(req))) {
+        cancelled.push(other.tech);
+      }
+    });
+    state.researchQueue
+      .filter((other) => cancelled.includes(other.tech))
+      .forEach((other) => {
+        const refund = refundCost(state, other.cost);
+        logEvent(state, { time: now, category: 'spending', reason: 'refund', key: other.tech, resources: refund });
+      });
+    state.researchQueue = state.researchQueue.filter((other) => !cancelled.includes(other.tech));
+    startNextJob(state.researchQueue, now);
+    return true;
+  }
+
+  /**
+   * Complete every research that has finished by a given time. Each
+   * following research starts the moment its predecessor ended.
+   * @param {Object} state
+   * @param {number} now
+   * @param {Object} [summary] - Finished technologies are appended to summary.research
+   */
+  function checkResearchQueue(state, now, summary) {
+    while (state.researchQueue.length > 0 && now >= state.researchQueue[0].endTime) {
+      const { tech, endTime } = state.researchQueue.shift();
+      state.technologies.push(tech);
+      logEvent(state, { time: endTime, category: 'research', tech });
+      if (summary) summary.research.push(tech);
+      startNextJob(state.researchQueue, endTime);
+    }
+  }
+
+  /**
+   * Create a seeded pseudo-random number generator (mulberry32). The same
+   * seed always yields the same sequence of numbers in [0, 1).
+   * @param {number} seed
+   * @returns {Function}
+   */
+  function createRng(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Sum the levels of every building of a given type.
+   * @param {Object} state
+   * @param {string} type
+   * @returns {number}
+   */
+  function getBuildingLevel(state, type) {
+    return state.buildings.filter((b) => b.type === type).reduce((sum, b) => sum + b.level, 0);
+  }
+
+  /**
+   * Strength added to the village's defense by its walls.
+   * @param {Object} state
+   * @returns {{multiplier: number, bonus: number}}
+   */
+  function getFortification(state) {
+    const level = getBuildingLevel(state, 'wall');
+    return {
+      multiplier: 1 + WALL_MULTIPLIER_PER_LEVEL * level,
+      bonus: WALL_DEFENSE_PER_LEVEL * level,
+    };
+  }
+
+  /**
+   * How long before its arrival an incoming attack becomes visible.
+   * @param {Object} state
+   * @returns {number} Milliseconds
+   */
+  function getWarningTime(state) {
+    return (
+      BASE_WARNING_TIME + WARNING_TIME_PER_WATCHTOWER_LEVEL * getBuildingLevel(state, 'watchtower')
+    );
+  }
+
+  /**
+   * Whether the next attack has been spotted by a given time.
+   * @param {Object} state
+   * @param {number} now
+   * @returns {boolean}
+   */
+  function isAttackVisible(state, now) {
+    return now >= state.nextAttack.arrival - getWarningTime(state);
+  }
+
+  /**
+   * Schedule an enemy wave. Its arrival time, army and the dice for its
+   * battle are drawn from a generator seeded by state.attackSeed and the wave
+   * number, so replaying an absence always produces the same attacks.
+   * @param {Object} state
+   * @param {number} wave - Wave number, starting at 1
+   * @param {number} after - Time the interval to the attack is counted from
+   */
+  function scheduleAttack(state, wave, after) {
+    const rng = createRng(state.attackSeed + wave);
+    const interval = ATTACK_INTERVAL * (1 - ATTACK_JITTER + rng() * 2 * ATTACK_JITTER);
+    const army = createArmy();
+    const unitKeys = Object.keys(UNIT_TYPES);
+    const size = ATTACK_BASE_SIZE + ATTACK_GROWTH * (wave - 1);
+    for (let i = 0; i < size; i += 1) {
+      army[unitKeys[Math.floor(rng() * unitKeys.length)]] += 1;
+    }
+    state.nextAttack = {
+      wave,
+      arrival: Math.round(after + interval),
+      army,
+      luck: rng(),
+      damageRoll: rng(),
+      targetRoll: rng(),
+    };
+  }
+
+  /**
+   * Resolve the next attack if it has arrived by a given time. The wave
+   * fights the troops at home, helped by the walls. If the wave wins it
+   * plunders resources and may damage a building that has no upgrade
+   * queued. Either way a defense report is filed and the next wave is
+   * scheduled.
+   * @param {Object} state
+   * @param {number} now
+   * @param {Object} [summary] - The defense report is appended to summary.attacks
+   */
+  function checkAttack(state, now, summary) {
+    const attack = state.nextAttack;
+    if (!attack || now < attack.arrival) return;
+    const defenders = { ...state.troops };
+    const fortification = getFortification(state);
+    const battle = resolveBattle(attack.army, defenders, () => attack.luck, fortification);
+    Object.keys(defenders).forEach((unit) => {
+      state.troops[unit] -= battle.defenderLosses[unit];
+    });
+    const plundered = Object.fromEntries(RESOURCES.map((res) => [res, 0]));
+    let damaged = null;
+    if (battle.won) {
+      const survivors = Object.fromEntries(
+        Object.keys(attack.army).map((unit) => [
+          unit,
+          attack.army[unit] - battle.attackerLosses[unit],
+        ])
+      );
+      const share = Object.fromEntries(
+        RESOURCES.map((res) => [res, Math.floor(state.resources[res] * PLUNDER_RATIO)])
+      );
+      Object.assign(plundered, capLoot(share, getCarryCapacity(survivors)));
+      deductResources(state, plundered);
+      if (attack.damageRoll < BUILDING_DAMAGE_CHANCE) {
+        const candidates = state.buildings
+          .map((building, index) => index)
+          .filter(
+            (index) =>
+              state.buildings[index].level > 1 &&
+              !state.queue.some((job) => job.targetIndex === index)
+          );
+        if (candidates.length > 0) {
+          const target = candidates[Math.floor(attack.targetRoll * candidates.length)];
+          const building = state.buildings[target];
+          building.level -= 1;
+          building.workers = Math.min(building.workers, getWorkerSlots(building));
+          damaged = { type: building.type, level: building.level };
+        }
+      }
+    }
+    const report = {
+      wave: attack.wave,
+      time: attack.arrival,
+      attackers: attack.army,
+      attackerLosses: battle.attackerLosses,
+      defenders,
+      losses: battle.defenderLosses,
+      repelled: !battle.won,
+      plundered,
+      damaged,
+    };
+    if (report.repelled) state.stats.attacksRepelled += 1;
+    state.defenseReports.unshift(report);
+    state.defenseReports.length = Math.min(state.defenseReports.length, MAX_BATTLE_REPORTS);
+    logEvent(state, { ...report, category: 'attack' });
+    if (summary) summary.attacks.push(report);
+    scheduleAttack(state, attack.wave + 1, attack.arrival);
+  }
+
+  /**
+   * Sum the lifetime counters of every village.
+   * @param {Object} game
+   * @returns {Object} Shaped like a village's stats, see createStats
+   */
+  function getLifetimeStats(game) {
+    const total = createStats();
+    game.villages.forEach((village) => {
+      Object.keys(village.stats).forEach((key) => {
+        const value = village.stats[key];
+        if (isObject(value)) {
+          Object.keys(value).forEach((res) => {
+            total[key][res] = (total[key][res] || 0) + value[res];
+          });
+        } else {
+          total[key] = (total[key] || 0) + value;
+        }
+      });
+    });
+    return total;
+  }
+
+  /**
+   * Work out the score of a village from its building levels, the resources
+   * it ever produced, its units and its raids won, see SCORE_POINTS.
+   * @param {Object} state
+   * @returns {{buildings: number, production: number, troops: number,
+   *   raids: number, total: number}} Points per part, and their sum
+   */
+  function getVillageScore(state) {
+    const levels = state.buildings.reduce((total, building) => total + building.level, 0);
+    const produced = Object.values(state.stats.produced).reduce((total, amount) => total + amount, 0);
+    const score = {
+      buildings: levels * SCORE_POINTS.buildingLevel,
+      production: Math.floor(produced / SCORE_PRODUCTION_UNIT) * SCORE_POINTS.production,
+      troops: getPopulation(state).troops * SCORE_POINTS.troop,
+      raids: state.stats.raidsWon * SCORE_POINTS.raidWon,
+    };
+    score.total = score.buildings + score.production + score.troops + score.raids;
+    return score;
+  }
+
+  /**
+   * Work out the score of the whole game: the sum of its villages' scores.
+   * @param {Object} game
+   * @returns {Object} Shaped like the result of getVillageScore
+   */
+  function getScore(game) {
+    const score = { buildings: 0, production: 0, troops: 0, raids: 0, total: 0 };
+    game.villages.forEach((village) => {
+      const part = getVillageScore(village);
+      Object.keys(score).forEach((key) => {
+        score[key] += part[key];
+      });
+    });
+    return score;
+  }
+
+  /**
+   * Take a sample of the score and lifetime statistics, as kept in the
+   * history.
+   * @param {Object} game
+   * @param {number} now
+   * @returns {{time: number, score: number, produced: Object, looted: Object,
+   *   raidsWon: number}} Amounts rounded down to whole resources
+   */
+  function createHistorySample(game, now) {
+    const stats = getLifetimeStats(game);
+    const whole = (amounts) => Object.fromEntries(Object.keys(amounts).map((res) => [res, Math.floor(amounts[res])]));
+    return {
+      time: now,
+      score: getScore(game).total,
+      produced: whole(stats.produced),
+      looted: whole(stats.looted),
+      raidsWon: stats.raidsWon,
+    };
+  }
+
+  /**
+   * Add a sample to the history, at most one every HISTORY_INTERVAL,
+   * keeping the last HISTORY_LENGTH. Samples are only taken when the game
+   * is updated, so a long absence shows as a gap.
+   * @param {Object} game
+   * @param {number} now
+   */
+  function recordHistory(game, now) {
+    const last = game.history[game.history.length - 1];
+    if (last && now - last.time < HISTORY_INTERVAL) return;
+    game.history.push(createHistorySample(game, now));
+    if (game.history.length > HISTORY_LENGTH) game.history.splice(0, game.history.length - HISTORY_LENGTH);
+  }
+
+  /**
+   * Resources a new village starts with, the Provisions upgrade included.
+   * @param {Object} upgrades - Levels of the prestige upgrades bought
+   * @returns {Object}
+   */
+  function getStartingResources(upgrades) {
+    // Only prestige upgrades apply to a village that does not exist yet
+    const founding = { prestige: upgrades };
+    return Object.fromEntries(
+      Object.keys(STARTING_RESOURCES).map((res) => [
+        res,
+        applyModifiers(founding, 'startingResources', STARTING_RESOURCES[res], res),
+      ])
+    );
+  }
+
+  /**
+   * Work out the renown a prestige reset would earn now, see
+   * PRESTIGE_SCORE_UNIT.
+   * @param {Object} game
+   * @returns {number}
+   */
+  function getPrestigeGain(game) {
+    const { pastScore, earned } = game.prestige;
+    const total = Math.floor(Math.sqrt((pastScore + getScore(game).total) / PRESTIGE_SCORE_UNIT));
+    return Math.max(0, total - earned);
+  }
+
+  /**
+   * Reset the tribe for renown: every village, with its buildings,
+   * resources, troops, technologies and statistics, is replaced by a new
+   * village on the first one's tile, and everything on the road is lost.
+   * Renown, upgrades, quests, achievements and the history are kept.
+   * Requires the reset to earn at least one renown.
+   * @param {Object} game - Advanced to now
+   * @param {number} now
+   * @returns {boolean}
+   */
+  function prestigeReset(game, now) {
+    const gain = getPrestigeGain(game);
+    if (gain < 1) return false;
+    const record = game.prestige;
+    record.pastScore += getScore(game).total;
+    record.renown += gain;
+    record.earned += gain;
+    record.resets += 1;
+    record.lastReset = now;
+    const home = game.villages[0];
+    const tile = { x: home.x, y: home.y };
+    game.villages = [createVillage(now, home.name, tile, getStartingResources(record.upgrades), record.upgrades)];
+    game.activeVillage = 0;
+    game.movements = [];
+    game.notifications.watch = null;
+    return true;
+  }
+
+  /**
+   * Renown needed for the next level of a prestige upgrade.
+   * @param {Object} game
+   * @param {string} key
+   * @returns {number|null} null once the upgrade is at its highest level
+   */
+  function getUpgradeCost(game, key) {
+    const def = PRESTIGE_UPGRADES[key];
+    const level = game.prestige.upgrades[key] || 0;
+    return level >= def.maxLevel ? null : def.cost * (level + 1);
+  }
+
+  /**
+   * Buy the next level of a prestige upgrade with renown. Production up to
+   * now is credited at the old rates first.
+   * @param {Object} game
+   * @param {string} key
+   * @param {number} now
+   * @returns {boolean}
+   */
+  function buyUpgrade(game, key, now) {
+    if (!Object.prototype.hasOwnProperty.call(PRESTIGE_UPGRADES, key)) return false;
+    const cost = getUpgradeCost(game, key);
+    if (cost === null || game.prestige.renown < cost) return false;
+    game.villages.forEach((village) => updateResources(village, now));
+    game.prestige.renown -= cost;
+    game.prestige.upgrades[key] = (game.prestige.upgrades[key] || 0) + 1;
+    game.villages.forEach((village) => {
+      village.prestige = { ...game.prestige.upgrades };
+    });
+    return true;
+  }
+
+  /**
+   * Turn a channel of a type of alert on or off.
+   * @param {Object} game
+   * @param {string} type - Key of NOTIFICATION_TYPES
+   * @param {string} channel - 'toast' or 'browser'
+   * @param {boolean} on
+   * @returns {boolean} False for an unknown type or channel
+   */
+  function setNotification(game, type, channel, on) {
+    if (!Object.prototype.hasOwnProperty.call(NOTIFICATION_TYPES, type)) return false;
+    if (!NOTIFICATION_CHANNELS.includes(channel)) return false;
+    game.notifications.types[type][channel] = on;
+    return true;
+  }
+
+  /**
+   * Turn browser notifications on or off as a whole. The settings of each
+   * type are kept either way.
+   * @param {Object} game
+   * @param {boolean} on
+   * @returns {boolean} Always true
+   */
+  function setBrowserNotifications(game, on) {
+    game.notifications.browser = on;
+    return true;
+  }
+
+  /**
+   * Wait for the next upgrade of a building to become affordable, or stop
+   * waiting for it when it is already watched. Only one upgrade is watched
+   * at a time.
+   * @param {Object} game
+   * @param {number} villageIndex
+   * @param {number} index - Building index in that village
+   * @returns {boolean} False if there is no such building
+   */
+  function watchUpgrade(game, villageIndex, index) {
+    const village = game.villages[villageIndex];
+    if (!village || !village.buildings[index]) return false;
+    const level = getQueuedLevel(village, index) + 1;
+    const { watch } = game.notifications;
+    const watched = watch && watch.village === villageIndex && watch.index === index && watch.level === level;
+    game.notifications.watch = watched ? null : { village: villageIndex, index, level };
+    return true;
+  }
+
+  /**
+   * The upgrade the player is waiting to afford with its cost, or null when
+   * none is watched or it has been queued since.
+   * @param {Object} game
+   * @returns {{village: number, index: number, level: number, type: string, cost: Object}|null}
+   */
+  function getWatchedUpgrade(game) {
+    const { watch } = game.notifications;
+    const village = watch && game.villages[watch.village];
+    const building = village && village.buildings[watch.index];
+    if (!building || getQueuedLevel(village, watch.index) >= watch.level) return null;
+    return { ...watch, type: building.type, cost: calculateCost(building.type, watch.level, village) };
+  }
+
+  /**
+   * Take note of the conditions that raise an alert when they start to
+   * hold: resources at their storage cap, attacks about to arrive and the
+   * watched upgrade being affordable. See getAlerts.
+   * @param {Object} game
+   * @param {number} now
+   * @returns {{full: string[], danger: string[], affordable: string|null}}
+   */
+  function getAlertState(game, now) {
+    const full = [];
+    const danger = [];
+    game.villages.forEach((village, i) => {
+      const capacity = getStorageCapacity(village);
+      RESOURCES.forEach((res) => {
+        if (village.resources[res] >= capacity[res]) full.push(`${i}:${res}`);
+      });
+      if (village.nextAttack && isAttackVisible(village, now)) danger.push(`${i}:${village.nextAttack.wave}`);
+    });
+    const watched = getWatchedUpgrade(game);
+    const affordable =
+      watched && hasResources(game.villages[watched.village], watched.cost)
+        ? `${watched.village}:${watched.index}:${watched.level}`
+        : null;
+    return { full, danger, affordable };
+  }
+
+  /**
+   * List the alerts raised by an update: jobs completed during it (from its
+   * summary) and conditions that started to hold (from the alert states
+   * before and after it). Like summary entries, alerts from a village other
+   * than the first are tagged with its name. Alert types:
+   * - construction: { building, level } - building is its type
+   * - training: { units } - count per unit type
+   * - raid: a battle report, see checkRaidQueue
+   * - attack: a defense report, see checkAttack, or { wave, arrival } for
+   *   one about to arrive
+   * - storage: { resource }
+   * - affordable: { building, level } - type of the watched building
+   * @param {Object} game
+   * @param {Object} summary - Result of advanceGame
+   * @param {Object} before - Result of getAlertState before the update
+   * @param {Object} after - Result of getAlertState after it
+   * @returns {Object[]} Alerts, each with the key of its type in `type`
+   */
+  function getAlerts(game, summary, before, after) {
+    const alerts = [];
+    const tag = (i, alert) => (Number(i) === 0 ? alert : { ...alert, village: game.villages[i].name });
+    summary.constructions.forEach(({ type, ...entry }) => alerts.push({ type: 'construction', building: type, ...entry }));
+    const trained = new Map();
+    summary.troops.forEach(({ unit, village }) => {
+      if (!trained.has(village)) trained.set(village, {});
+      const units = trained.get(village);
+      units[unit] = (units[unit] || 0) + 1;
+    });
+    trained.forEach((units, village) => {
+      alerts.push(village === undefined ? { type: 'training', units } : { type: 'training', units, village });
+    });
+    summary.raids.forEach((entry) => alerts.push({ ...entry, type: 'raid' }));
+    summary.attacks.forEach((entry) => alerts.push({ ...entry, type: 'attack' }));
+    after.danger
+      .filter((key) => !before.danger.includes(key))
+      .forEach((key) => {
+        const [i] = key.split(':');
+        const { wave, arrival } = game.villages[i].nextAttack;
+        alerts.push(tag(i, { type: 'attack', wave, arrival }));
+      });
+    after.full
+      .filter((key) => !before.full.includes(key))
+      .forEach((key) => {
+        const [i, resource] = key.split(':');
+        alerts.push(tag(i, { type: 'storage', resource }));
+      });
+    if (after.affordable !== null && after.affordable !== before.affordable) {
+      const watched = getWatchedUpgrade(game);
+      alerts.push(tag(watched.village, { type: 'affordable', building: watched.type, level: watched.level }));
+    }
+    return alerts;
+  }
+
+  /**
+   * Measure progress towards a quest or achievement objective. Objective
+   * types:
+   * - building: `count` buildings of a type, or one of them at `level`
+   * - buildings: total number of buildings
+   * - stat: a lifetime counter in stats, summed over the villages
+   * - research: number of technologies researched in any village
+   * Buildings are counted across all villages.
+   * @param {Object} game
+   * @param {Object} objective
+   * @returns {{current: number, target: number}}
+   */
+  function getObjectiveProgress(game, objective) {
+    const state = {
+      buildings: game.villages.flatMap((village) => village.buildings),
+      stats: getLifetimeStats(game),
+      technologies: [...new Set(game.villages.flatMap((village) => village.technologies))],
+    };
+    switch (objective.type) {
+      case 'building': {
+        const matching = state.buildings.filter((b) => b.type === objective.building);
+        if (objective.level) {
+          const best = matching.reduce((max, b) => Math.max(max, b.level), 0);
+          return { current: best, target: objective.level };
+        }
+        return { current: matching.length, target: objective.count };
+      }
+      case 'buildings':
+        return { current: state.buildings.length, target: objective.count };
+      case 'stat':
+        return { current: state.stats[objective.stat], target: objective.count };
+      case 'research':
+        return { current: state.technologies.length, target: objective.count };
+      default:
+        return { current: 0, target: 1 };
+    }
+  }
+
+  /**
+   * Check whether an objective has been met.
+   * @param {Object} game
+   * @param {Object} objective
+   * @returns {boolean}
+   */
+  function isObjectiveMet(game, objective) {
+    const { current, target } = getObjectiveProgress(game, objective);
+    return current >= target;
+  }
+
+  /**
+   * List the quests currently offered: not yet claimed, and following a
+   * quest that has been claimed.
+   * @param {Object} game
+   * @returns {Object[]}
+   */
+  function getAvailableQuests(game) {
+    return QUESTS.filter(
+      (quest) =>
+        !game.quests.includes(quest.key) && (quest.after === null || game.quests.includes(quest.after))
+    );
+  }
+
+  /**
+   * Claim the reward of a finished quest. The reward goes to a village, the
+   * active one by default, up to its storage cap.
+   * @param {Object} game
+   * @param {string} key
+   * @param {number} [index] - Index of the village receiving the reward
+   * @returns {boolean} False if the quest is not offered or not finished
+   */
+  function claimQuest(game, key, index = game.activeVillage) {
+    const quest = getAvailableQuests(game).find((q) => q.key === key);
+    if (!quest || !game.villages[index] || !isObjectiveMet(game, quest.objective)) return false;
+    addResources(game.villages[index], quest.reward);
+    game.quests.push(key);
+    return true;
+  }
+
+  /**
+   * Find what the tutorial should point at: the highlight of the first
+   * offered quest that has one and is not finished yet.
+   * @param {Object} game
+   * @returns {{section: string, key: string}|null}
+   */
+  function getTutorialHighlight(game) {
+    const step = getAvailableQuests(game).find(
+      (quest) => quest.highlight && !isObjectiveMet(game, quest.objective)
+    );
+    return step ? step.highlight : null;
+  }
+
+  /**
+   * Unlock every achievement whose objective has been met, stamped with the
+   * given time.
+   * @param {Object} game
+   * @param {number} now
+   * @param {Object} [summary] - Unlocked keys are appended to summary.achievements
+   */
+  function checkAchievements(game, now, summary) {
+    ACHIEVEMENTS.forEach((achievement) => {
+      if (game.achievements[achievement.key] !== undefined) return;
+      if (!isObjectiveMet(game, achievement.objective)) return;
+      game.achievements[achievement.key] = now;
+      if (summary) summary.achievements.push(achievement.key);
+    });
+  }
+
+  /**
+   * Scatter the sites of the world map around its middle tile. The same
+   * seed always gives the same map; sites are indexed in the order they
+   * were placed, which is also their id.
+   * @param {number} seed
+   * @returns {{id: number, kind: string, type: string|null, x: number, y: number}[]}
+   *   kind is 'camp', 'node' or 'ruins'; type is the key in ENEMY_CAMPS or
+   *   RESOURCE_NODES
+   */
+  function generateWorld(seed) {
+    const rng = createRng(seed);
+    const taken = new Set([`${WORLD_CENTER},${WORLD_CENTER}`]);
+    const sites = [];
+    WORLD_SITES.forEach(({ kind, type, count, minDistance, maxDistance }) => {
+      // Give up on a site rather than loop forever on a crowded map
+      for (let placed = 0, tries = 0; placed < count && tries < count * 100; tries += 1) {
+        const angle = rng() * 2 * Math.PI;
+        const distance = minDistance + rng() * (maxDistance - minDistance);
+        const x = Math.round(WORLD_CENTER + Math.cos(angle) * distance);
+        const y = Math.round(WORLD_CENTER + Math.sin(angle) * distance);
+        if (x < 0 || y < 0 || x >= WORLD_SIZE || y >= WORLD_SIZE || taken.has(`${x},${y}`)) continue;
+        taken.add(`${x},${y}`);
+        sites.push({ id: sites.length, kind, type, x, y });
+        placed += 1;
+      }
+    });
+    return sites;
+  }
+
+  // The last generated map, as the same seed is asked for on every render
+  let worldCache = { seed: null, sites: [] };
+
+  /**
+   * Get every site of a game's world map, including the ones villages now
+   * stand on.
+   * @param {Object} game
+   * @returns {Object[]}
+   */
+  function getWorld(game) {
+    if (worldCache.seed !== game.world.seed) {
+      worldCache = { seed: game.world.seed, sites: generateWorld(game.world.seed) };
+    }
+    return worldCache.sites;
+  }
+
+  /**
+   * Find a site no village stands on yet.
+   * @param {Object} game
+   * @param {number} siteId
+   * @returns {Object|null}
+   */
+  function getOpenSite(game, siteId) {
+    const site = getWorld(game)[siteId];
+    if (!site || game.villages.some((village) => village.x === site.x && village.y === site.y)) {
+      return null;
+    }
+    // Only one noble can be heading for a site at a time
+    if (game.movements.some((movement) => movement.kind !== 'transport' && movement.site === siteId)) {
+      return null;
+    }
+    return site;
+  }
+
+  /**
+   * Find the free tile nearest to the middle of the map, searching ring by
+   * ring outwards. Used to place villages that have no site.
+   * @param {Object} game
+   * @returns {{x: number, y: number}}
+   */
+  function findFreeTile(game) {
+    const sites = game.world ? generateWorld(game.world.seed) : [];
+    const isFree = (x, y) =>
+      !game.villages.some((village) => village.x === x && village.y === y) &&
+      !sites.some((site) => site.x === x && site.y === y);
+    for (let ring = 1; ring <= WORLD_CENTER; ring += 1) {
+      for (let dx = -ring; dx <= ring; dx += 1) {
+        for (let dy = -ring; dy <= ring; dy += 1) {
+          if (Math.max(Math.abs(dx), Math.abs(dy)) !== ring) continue;
+          if (isFree(WORLD_CENTER + dx, WORLD_CENTER + dy)) {
+            return { x: WORLD_CENTER + dx, y: WORLD_CENTER + dy };
+          }
+        }
+      }
+    }
+    return { x: WORLD_CENTER, y: WORLD_CENTER };
+  }
+
+  /**
+   * Distance in tiles between two points of the map.
+   * @param {{x: number, y: number}} a
+   * @param {{x: number, y: number}} b
+   * @returns {number}
+   */
+  function getDistance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  /**
+   * Seconds per tile of an army, which moves at the pace of its slowest
+   * unit. 0 for an empty army.
+   * @param {Object} army
+   * @returns {number}
+   */
+  function getArmyPace(army) {
+    return Object.keys(army)
+      .filter((unit) => army[unit] > 0 && UNIT_TYPES[unit])
+      .reduce((pace, unit) => Math.max(pace, UNIT_TYPES[unit].speed), 0);
+  }
+
+  /**
+   * Time in milliseconds to cover a distance at a given pace.
+   * @param {number} distance - Tiles
+   * @param {number} pace - Seconds per tile
+   * @returns {number}
+   */
+  function getTravelTime(distance, pace) {
+    return Math.round(distance * pace * 1000);
+  }
+
+  /**
+   * Stores of a camp or node nobody has raided: the top of each loot range.
+   * @param {string} key - Camp or node type
+   * @returns {Object}
+   */
+  function getFullStores(key) {
+    const { loot } = getRaidTarget(key);
+    return Object.fromEntries(Object.keys(loot).map((res) => [res, loot[res][1]]));
+  }
+
+  /**
+   * Resources at a camp or node at a given time. Raided stores refill
+   * evenly, from empty to full over CAMP_REGEN_TIME.
+   * @param {Object} game
+   * @param {Object} site
+   * @param {number} now
+   * @returns {Object} Amount per resource; empty for ruins
+   */
+  function getSiteStores(game, site, now) {
+    if (site.kind === 'ruins') return {};
+    const full = getFullStores(site.type);
+    const saved = game.world.sites[site.id];
+    if (!saved) return full;
+    const regen = Math.max(0, now - saved.lastUpdate) / CAMP_REGEN_TIME;
+    return Object.fromEntries(
+      Object.keys(full).map((res) => [res, Math.min(full[res], saved.stores[res] + full[res] * regen)])
+    );
+  }
+
+  /**
+   * Raid a camp or resource node on the world map. The army travels at the
+   * pace of its slowest unit and brings back what it can carry of the
+   * site's current stores, which are emptied by that much.
+   * @param {Object} game
+   * @param {number} from - Index of the village sending the raid
+   * @param {number} siteId
+   * @param {Object} units - Unit counts to send, keyed by unit type
+   * @param {number} now
+   * @param {Function} rng - Returns a number in [0, 1)
+   * @returns {boolean} False if the site cannot be raided or raid refuses
+   */
+  function raidSite(game, from, siteId, units, now, rng) {
+    const village = game.villages[from];
+    const site = getOpenSite(game, siteId);
+    if (!village || !site || site.kind === 'ruins') return false;
+    const sent = { ...createArmy(), ...units };
+    const travelTime = getTravelTime(getDistance(village, site), getArmyPace(sent));
+    const stores = getSiteStores(game, site, now);
+    if (!raid(village, site.type, sent, now, rng, { site: site.id, travelTime, stores })) return false;
+    const { loot } = village.raidQueue[village.raidQueue.length - 1];
+    game.world.sites[site.id] = {
+      stores: Object.fromEntries(Object.keys(stores).map((res) => [res, stores[res] - loot[res]])),
+      lastUpdate: now,
+    };
+    return true;
+  }
+
+  /**
+   * Where an army, noble or merchant is on the map at a given time, moving
+   * in a straight line out and, for raids and merchants, back again.
+   * @param {{x: number, y: number}} origin
+   * @param {{x: number, y: number}} target
+   * @param {number} startTime
+   * @param {number} arrival - Time it reaches the target
+   * @param {number} [returnTime] - Time it is back at the origin, if it returns
+   * @param {number} now
+   * @returns {{x: number, y: number}}
+   */
+  function getMarchPosition(origin, target, startTime, arrival, returnTime, now) {
+    let progress;
+    if (now <= arrival) {
+      progress = arrival > startTime ? (now - startTime) / (arrival - startTime) : 1;
+    } else if (returnTime !== undefined && returnTime > arrival) {
+      progress = 1 - Math.min(1, (now - arrival) / (returnTime - arrival));
+    } else {
+      progress = 1;
+    }
+    progress = Math.max(0, progress);
+    return {
+      x: origin.x + (target.x - origin.x) * progress,
+      y: origin.y + (target.y - origin.y) * progress,
+    };
+  }
+
+  /**
+   * List everything on the march between villages and sites, with its
+   * current position on the map: raids from every village, nobles, conquest
+   * armies and merchants.
+   * @param {Object} game
+   * @param {number} now
+   * @returns {{kind: string, from: number, x: number, y: number}[]} kind is
+   *   'raid', 'found', 'conquest' or 'transport'
+   */
+  function getMarches(game, now) {
+    const world = getWorld(game);
+    const marches = [];
+    game.villages.forEach((village, index) => {
+      village.raidQueue.forEach((raid) => {
+        if (raid.site === null) return;
+        const middle = (raid.startTime + raid.endTime) / 2;
+        const position = getMarchPosition(
+          village,
+          world[raid.site],
+          raid.startTime,
+          middle,
+          raid.endTime,
+          now
+        );
+        marches.push({ kind: 'raid', from: index, ...position });
+      });
+    });
+    game.movements.forEach((movement) => {
+      const origin = game.villages[movement.from];
+      let target;
+      if (movement.kind === 'transport') target = game.villages[movement.to];
+      else if (movement.site !== null) target = world[movement.site];
+      if (!target) return;
+      const position = getMarchPosition(
+        origin,
+        target,
+        movement.startTime,
+        movement.endTime,
+        movement.returnTime,
+        now
+      );
+      marches.push({ kind: movement.kind, from: movement.from, ...position });
+    });
+    return marches;
+  }
+
+  /**
+   * Count the merchants a village has: MERCHANTS_PER_LEVEL for every market
+   * level.
+   * @param {Object} state - Village
+   * @returns {number}
+   */
+  function getMerchantCount(state) {
+    return getBuildingLevel(state, 'market') * MERCHANTS_PER_LEVEL;
+  }
+
+  /**
+   * Count the merchants of a village that are at home, i.e. not out on a
+   * transport or on their way back from one.
+   * @param {Object} game
+   * @param {number} index - Index of the village
+   * @returns {number}
+   */
+  function getFreeMerchants(game, index) {
+    const busy = game.movements
+      .filter((movement) => movement.kind === 'transport' && movement.from === index)
+      .reduce((total, movement) => total + movement.merchants, 0);
+    return Math.max(0, getMerchantCount(game.villages[index]) - busy);
+  }
+
+  /**
+   * Send a nobleman out to found a new village on a ruins site. It is
+   * created when he arrives and starts out like the first village did.
+   * @param {Object} game
+   * @param {number} from - Index of the village sending the nobleman
+   * @param {number} siteId - Index of the ruins on the world map
+   * @param {number} now
+   * @returns {boolean} False if the village has no nobleman at home or the
+   *   site is not free ruins
+   */
+  function foundVillage(game, from, siteId, now) {
+    const village = game.villages[from];
+    const site = getOpenSite(game, siteId);
+    if (!village || village.noblemen < 1 || !site || site.kind !== 'ruins') return false;
+    village.noblemen -= 1;
+    const travelTime = getTravelTime(getDistance(village, site), NOBLEMAN.speed);
+    game.movements.push({
+      kind: 'found',
+      from,
+      site: site.id,
+      startTime: now,
+      endTime: now + travelTime,
+    });
+    return true;
+  }
+
+  /**
+   * Send a nobleman with an army to conquer an enemy camp on the world map.
+   * As with raids the battle is fought as the army leaves, against a
+   * garrison CONQUEST_GARRISON_MULTIPLIER times the usual size, and the army
+   * marches at the nobleman's pace. If the army wins, the camp becomes a new
+   * village when it arrives: the survivors stay there as its troops and the
+   * camp's stores fill its storage. If it loses, the nobleman is lost with
+   * the army. A battle report is filed at home either way.
+   * @param {Object} game
+   * @param {number} from - Index of the village sending the army
+   * @param {number} siteId - Index of the camp on the world map
+   * @param {Object} units - Unit counts to send, keyed by unit type
+   * @param {number} now
+   * @param {Function} rng - Returns a number in [0, 1)
+   * @returns {boolean} False if there is no nobleman at home, the site is
+   *   not a free camp, or no units or more units than are at home are
+   *   selected
+   */
+  function conquer(game, from, siteId, units, now, rng) {
+    const village = game.villages[from];
+    const site = getOpenSite(game, siteId);
+    if (!village || !site || site.kind !== 'camp' || village.noblemen < 1) return false;
+    const camp = ENEMY_CAMPS[site.type];
+    const sent = { ...createArmy(), ...units };
+    const valid = Object.keys(sent).every(
+      (unit) =>
+        UNIT_TYPES[unit] &&
+        Number.isInteger(sent[unit]) &&
+        sent[unit] >= 0 &&
+        sent[unit] <= village.troops[unit]
+    );
+    if (!valid || countUnits(sent) === 0) return false;
+    Object.keys(sent).forEach((unit) => {
+      village.troops[unit] -= sent[unit];
+    });
+    village.noblemen -= 1;
+    const garrison = Object.fromEntries(
+      Object.keys(camp.garrison).map((unit) => [
+        unit,
+        camp.garrison[unit] * CONQUEST_GARRISON_MULTIPLIER,
+      ])
+    );
+    const battle = resolveBattle(sent, garrison, rng);
+    const pace = Math.max(getArmyPace(sent), NOBLEMAN.speed);
+    game.movements.push({
+      kind: 'conquest',
+      from,
+      site: site.id,
+      camp: site.type,
+      startTime: now,
+      endTime: now + getTravelTime(getDistance(village, site), pace),
+      sent,
+      losses: battle.attackerLosses,
+      enemyLosses: battle.defenderLosses,
+      won: battle.won,
+    });
+    village.stats.raidsSent += 1;
+    return true;
+  }
+
+  /**
+   * Send resources from one village to another. Every merchant carries up to
+   * MERCHANT_CAPACITY and they travel at MERCHANT_SPEED, so the resources
+   * arrive after the travel time and the merchants are back home the same
+   * time later. Whatever does not fit into the target's storage is carried
+   * back.
+   * @param {Object} game
+   * @param {number} from - Index of the sending village
+   * @param {number} to - Index of the receiving village
+   * @param {Object} resources - Amount of each resource to send
+   * @param {number} now
+   * @returns {boolean} False if the villages are the same or unknown, nothing
+   *   or more than is in stock is sent, or there are too few merchants at home
+   */
+  function sendTransport(game, from, to, resources, now) {
+    const village = game.villages[from];
+    const target = game.villages[to];
+    if (!village || !target || from === to) return false;
+    const cargo = Object.fromEntries(RESOURCES.map((res) => [res, resources[res] || 0]));
+    const valid = RESOURCES.every(
+      (res) => Number.isInteger(cargo[res]) && cargo[res] >= 0 && cargo[res] <= village.resources[res]
+    );
+    const total = RESOURCES.reduce((sum, res) => sum + cargo[res], 0);
+    if (!valid || total === 0) return false;
+    const merchants = Math.ceil(total / MERCHANT_CAPACITY);
+    if (merchants > getFreeMerchants(game, from)) return false;
+    deductResources(village, cargo);
+    const travelTime = getTravelTime(getDistance(village, target), MERCHANT_SPEED);
+    game.movements.push({
+      kind: 'transport',
+      from,
+      to,
+      resources: cargo,
+      merchants,
+      delivered: false,
+      startTime: now,
+      endTime: now + travelTime,
+      returnTime: now + 2 * travelTime,
+    });
+    return true;
+  }
+
+  /**
+   * The next moment a movement needs handling: its arrival, or for merchants
+   * who have delivered, their return.
+   * @param {Object} movement
+   * @returns {number}
+   */
+  function getMovementTime(movement) {
+    if (movement.kind === 'transport' && movement.delivered) return movement.returnTime;
+    return movement.endTime;
+  }
+
+  /**
+   * Give a new village a name that is not taken yet.
+   * @param {Object} game
+   * @param {string} base
+   * @returns {string}
+   */
+  function nameVillage(game, base) {
+    const taken = (name) => game.villages.some((village) => village.name === name);
+    let name = base;
+    for (let n = 2; taken(name); n += 1) name = `${base} ${n}`;
+    return name;
+  }
+
+  /**
+   * Handle every movement that has arrived by a given time, in order of
+   * arrival. Villages must already be advanced to that time.
+   * @param {Object} game
+   * @param {number} now
+   * @param {Object} [summary] - Founded and conquered village names are
+   *   appended to summary.villages, conquest battle reports to summary.raids
+   *   and delivered transports to summary.transports
+   */
+  function checkMovements(game, now, summary) {
+    const due = game.movements
+      .filter((movement) => now >= getMovementTime(movement))
+      .sort((a, b) => getMovementTime(a) - getMovementTime(b));
+    due.forEach((movement) => {
+      const home = game.villages[movement.from];
+      // Nobles sent before there was a map have no site to settle on
+      const settle = () => (movement.site === null ? findFreeTile(game) : getWorld(game)[movement.site]);
+      if (movement.kind === 'found') {
+        const tile = settle();
+        const name = nameVillage(game, `Village ${game.villages.length + 1}`);
+        const village = createVillage(
+          movement.endTime,
+          name,
+          tile,
+          getStartingResources(game.prestige.upgrades),
+          game.prestige.upgrades
+        );
+        game.villages.push(village);
+        if (summary) summary.villages.push(village.name);
+      } else if (movement.kind === 'conquest') {
+        const { camp, site, endTime, sent, losses, enemyLosses, won } = movement;
+        const loot = Object.fromEntries(RESOURCES.map((res) => [res, 0]));
+        const report = { camp, site, time: endTime, sent, losses, enemyLosses, won, loot };
+        home.battleReports.unshift(report);
+        home.battleReports.length = Math.min(home.battleReports.length, MAX_BATTLE_REPORTS);
+        logEvent(home, { ...report, category: 'raid', conquest: true, stored: loot });
+        if (summary) summary.raids.push(movement.from === 0 ? report : { ...report, village: home.name });
+        if (won) {
+          home.stats.raidsWon += 1;
+          const tile = settle();
+          const stores = site === null ? getFullStores(camp) : getSiteStores(game, tile, endTime);
+          const name = nameVillage(game, ENEMY_CAMPS[camp].name);
+          const village = createVillage(endTime, name, tile, loot, game.prestige.upgrades);
+          addResources(village, stores);
+          if (site !== null) delete game.world.sites[site];
+          Object.keys(sent).forEach((unit) => {
+            village.troops[unit] = sent[unit] - losses[unit];
+          });
+          game.villages.push(village);
+          if (summary) summary.villages.push(village.name);
+        }
+      } else if (!movement.delivered) {
+        const target = game.villages[movement.to];
+        const added = addResources(target, movement.resources);
+        // Merchants carry back whatever did not fit
+        movement.resources = Object.fromEntries(
+          RESOURCES.map((res) => [res, movement.resources[res] - added[res]])
+        );
+        movement.delivered = true;
+        if (summary) summary.transports.push({ from: home.name, to: target.name, resources: added });
+        return;
+      } else {
+        addResources(home, movement.resources);
+      }
+      game.movements.splice(game.movements.indexOf(movement), 1);
+    });
+  }
+
+  /**
+   * Find the earliest event in any village or on the road, or null when
+   * nothing is going on.
+   * @param {Object} game
+   * @returns {number|null}
+   */
+  function getNextGameEventTime(game) {
+    const times = game.villages.map(getNextEventTime).filter((time) => time !== null);
+    game.movements.forEach((movement) => times.push(getMovementTime(movement)));
+    return times.length > 0 ? Math.min(...times) : null;
+  }
+
+  /**
+   * Advance the whole game to a given time. All villages are moved forward
+   * together, event by event, so that movements between them are handled
+   * at the right moment and see up-to-date villages. Summary entries from a
+   * village other than the first are tagged with its name.
+   * @param {Object} game
+   * @param {number} now
+   * @returns {Object} Summary of what happened, as for advanceState, with
+   *   new villages in summary.villages, delivered transports in
+   *   summary.transports and in summary.clockJump how far the clock was set
+   *   back since the last update, if it was
+   */
+  function advanceGame(game, now) {
+    const summary = createSummary(Math.max(0, now - game.lastUpdate));
+    // Villages never go back in time, so a clock set back (say after being
+    // set forward to skip waiting) only stalls them until it catches up.
+    // Setting it back is still recorded, for leaderboards to judge.
+    const jump = game.lastUpdate - now;
+    if (jump > CLOCK_JUMP_TOLERANCE) {
+      game.clockJumps.count += 1;
+      game.clockJumps.largest = Math.max(game.clockJumps.largest, jump);
+      game.clockJumps.last = now;
+      summary.clockJump = jump;
+    }
+    const advanceVillages = (time) => {
+      game.villages.forEach((village, index) => {
+        const part = advanceState(village, time);
+        RESOURCES.forEach((res) => {
+          summary.produced[res] += part.produced[res];
+        });
+        const tag = (entry) => (index === 0 ? entry : { ...entry, village: village.name });
+        summary.troops.push(...part.troops.map(tag));
+        summary.constructions.push(...part.constructions.map(tag));
+        summary.raids.push(...part.raids.map(tag));
+        summary.attacks.push(...part.attacks.map(tag));
+        summary.research.push(...part.research);
+        Object.keys(part.plugins).forEach((key) => {
+          summary.plugins[key].push(...part.plugins[key].map(tag));
+        });
+      });
+    };
+    let next = getNextGameEventTime(game);
+    while (next !== null && next <= now) {
+      advanceVillages(next);
+      checkMovements(game, next, summary);
+      checkAchievements(game, next, summary);
+      next = getNextGameEventTime(game);
+    }
+    advanceVillages(now);
+    // Actions taken since the last update may also have reached milestones
+    checkAchievements(game, now, summary);
+    recordHistory(game, now);
+    game.lastUpdate = now;
+    return summary;
+  }
+
+  // Argument checks for COMMANDS.
+  const COMMAND_ARGS = {
+    string: (value) => typeof value === 'string',
+    integer: Number.isInteger,
+    boolean: (value) => typeof value === 'boolean',
+    units: (value) =>
+      isObject(value) &&
+      Object.keys(value).every((unit) => Object.prototype.hasOwnProperty.call(UNIT_TYPES, unit) && isCount(value[unit])),
+    resources: (value) =>
+      isObject(value) && Object.keys(value).every((res) => RESOURCES.includes(res) && isCount(value[res])),
+  };
+
+  /**
+   * Player actions as plain data, so they can be sent to a server and
+   * replayed there with the same rules. Every command names its type and
+   * the index of the village acting; the arguments each type takes besides
+   * are listed with the check they must pass.
+   */
+  const COMMANDS = {
+    buildNew: {
+      args: { building: 'string' },
+      run: (game, c, now) => buildNew(game.villages[c.village], c.building, now),
+    },
+    upgradeBuilding: {
+      args: { index: 'integer' },
+      run: (game, c, now) => upgradeBuilding(game.villages[c.village], c.index, now),
+    },
+    assignWorkers: {
+      args: { index: 'integer', workers: 'integer' },
+      run: (game, c, now) => assignWorkers(game.villages[c.village], c.index, c.workers, now),
+    },
+    cancelJob: {
+      args: { position: 'integer' },
+      run: (game, c, now) => cancelJob(game.villages[c.village], c.position, now),
+    },
+    moveJob: {
+      args: { position: 'integer', offset: 'integer' },
+      run: (game, c) => Math.abs(c.offset) === 1 && moveJob(game.villages[c.village], c.position, c.offset),
+    },
+    research: {
+      args: { tech: 'string' },
+      run: (game, c, now) => research(game.villages[c.village], c.tech, now),
+    },
+    cancelResearch: {
+      args: { position: 'integer' },
+      run: (game, c, now) => cancelResearch(game.villages[c.village], c.position, now),
+    },
+    claimQuest: {
+      args: { quest: 'string' },
+      run: (game, c) => claimQuest(game, c.quest, c.village),
+    },
+    trainTroop: {
+      args: { unit: 'string' },
+      run: (game, c, now) => trainTroop(game.villages[c.village], c.unit, now),
+    },
+    raidSite: {
+      args: { site: 'integer', units: 'units' },
+      run: (game, c, now, rng) => raidSite(game, c.village, c.site, c.units, now, rng),
+    },
+    conquer: {
+      args: { site: 'integer', units: 'units' },
+      run: (game, c, now, rng) => conquer(game, c.village, c.site, c.units, now, rng),
+    },
+    foundVillage: {
+      args: { site: 'integer' },
+      run: (game, c, now) => foundVillage(game, c.village, c.site, now),
+    },
+    sendTransport: {
+      args: { to: 'integer', resources: 'resources' },
+      run: (game, c, now) => sendTransport(game, c.village, c.to, c.resources, now),
+    },
+    prestigeReset: {
+      args: {},
+      run: (game, c, now) => prestigeReset(game, now),
+    },
+    buyUpgrade: {
+      args: { upgrade: 'string' },
+      run: (game, c, now) => buyUpgrade(game, c.upgrade, now),
+    },
+    setNotification: {
+      args: { notification: 'string', channel: 'string', on: 'boolean' },
+      run: (game, c) => setNotification(game, c.notification, c.channel, c.on),
+    },
+    setBrowserNotifications: {
+      args: { on: 'boolean' },
+      run: (game, c) => setBrowserNotifications(game, c.on),
+    },
+    watchUpgrade: {
+      args: { index: 'integer' },
+      run: (game, c) => watchUpgrade(game, c.village, c.index),
+    },
+  };
+
+  /**
+   * Carry out a player action given as a command, see COMMANDS. Commands
+   * that are malformed or that the rules refuse change nothing.
+   * @param {Object} game
+   * @param {Object} command - { type, village, ...arguments }
+   * @param {number} now
+   * @param {Function} rng - Returns a number in [0, 1)
+   * @returns {boolean}
+   */
+  function applyCommand(game, command, now, rng) {
+    if (!isObject(command) || !Object.prototype.hasOwnProperty.call(COMMANDS, command.type)) return false;
+    if (!Number.isInteger(command.village) || !game.villages[command.village]) return false;
+    const { args, run } = COMMANDS[command.type];
+    if (!Object.keys(args).every((name) => COMMAND_ARGS[args[name]](command[name]))) return false;
+    return run(game, command, now, rng);
+  }
+
+  /**
+   * Check that a key is a non-empty string not already used in a registry.
+   * @param {string} key
+   * @param {boolean} taken
+   * @param {string} kind - What is being registered, for the error message
+   */
+  function checkPluginKey(key, taken, kind) {
+    if (typeof key !== 'string' || key === '') throw new Error(`${kind} key must be a non-empty string`);
+    if (taken) throw new Error(`${kind} ${key} is already registered`);
+  }
+
+  /**
+   * Add a resource to the stockpile of every village. Villages in saves
+   * written before the resource was registered start without any. Register
+   * resources before the game is loaded, since saves are validated against
+   * them.
+   * @param {{key: string, start?: number}} def - start is the amount a new
+   *   village begins with, 0 by default
+   */
+  function registerResource(def) {
+    checkPluginKey(def.key, RESOURCES.includes(def.key), 'resource');
+    const start = def.start === undefined ? 0 : def.start;
+    if (!Number.isFinite(start) || start < 0) {
+      throw new Error(`resource ${def.key} start must be a non-negative number`);
+    }
+    RESOURCES.push(def.key);
+    PLUGIN_RESOURCES.push(def.key);
+    STARTING_RESOURCES[def.key] = start;
+  }
+
+  /**
+   * Add a building type, shaped like the entries of BUILDING_TYPES. Buildings
+   * without a resource produce nothing; their effect comes from plugin
+   * queues or from reading their level with getBuildingLevel. Register
+   * building types before the game is loaded, since saves are validated
+   * against them.
+   * @param {Object} def - key, name, baseCost and baseTime (seconds) are
+   *   required; resource, baseRate, description, housing and storage are
+   *   optional
+   */
+  function registerBuildingType(def) {
+    checkPluginKey(def.key, Object.prototype.hasOwnProperty.call(BUILDING_TYPES, def.key), 'building type');
+    const isResource = (res) => RESOURCES.includes(res);
+    if (typeof def.name !== 'string') throw new Error(`building type ${def.key} needs a name`);
+    if (
+      !isObject(def.baseCost) ||
+      !Object.keys(def.baseCost).every((res) => isResource(res) && Number.isFinite(def.baseCost[res]))
+    ) {
+      throw new Error(`building type ${def.key} baseCost must give an amount per known resource`);
+    }
+    if (!Number.isFinite(def.baseTime) || def.baseTime < 0) {
+      throw new Error(`building type ${def.key} baseTime must be a non-negative number`);
+    }
+    if (def.resource && !isResource(def.resource)) {
+      throw new Error(`building type ${def.key} produces an unknown resource`);
+    }
+    if (def.storage && !(Array.isArray(def.storage) && def.storage.every(isResource))) {
+      throw new Error(`building type ${def.key} stores an unknown resource`);
+    }
+    BUILDING_TYPES[def.key] = { resource: null, baseRate: 0, description: '', ...def };
+  }
+
+  /**
+   * Add a queue of timed events to every village. The queue keeps its jobs
+   * in the village's plugin state and takes part in the event-by-event
+   * replay like the built-in queues, so its jobs complete at the right
+   * moment during offline catch-up too. check must clear every job that is
+   * due, or the replay would stop at the same time forever. Whatever check
+   * records in summary.plugins[key] (one object per entry) is collected by
+   * advanceGame.
+   * @param {Object} def
+   * @param {string} def.key - Also the key of the queue's state, see getPluginState
+   * @param {Function} def.getNextEventTime - (village) => time of the
+   *   queue's next event, or null
+   * @param {Function} def.check - (village, now, summary) => completes the
+   *   jobs that are due at now
+   */
+  function registerQueue(def) {
+    checkPluginKey(def.key, PLUGIN_QUEUES.some((queue) => queue.key === def.key), 'queue');
+    if (typeof def.getNextEventTime !== 'function' || typeof def.check !== 'function') {
+      throw new Error(`queue ${def.key} needs getNextEventTime and check functions`);
+    }
+    PLUGIN_QUEUES.push(def);
+  }
+
+  /**
+   * Get the state a plugin keeps in the game or in a village, creating an
+   * empty object the first time. It is saved, exported and migrated along
+   * with the rest of the save; what goes in it is up to the plugin.
+   * @param {Object} owner - Game or village
+   * @param {string} key - Plugin key
+   * @returns {Object}
+   */
+  function getPluginState(owner, key) {
+    if (!isObject(owner.plugins[key])) owner.plugins[key] = {};
+    return owner.plugins[key];
+  }
+
+  return {
+    RESOURCES,
+    STARTING_RESOURCES,
+    BUILDING_TYPES,
+    // Set by applyBalance, so read when used rather than when exported
+    get COST_MULTIPLIER() {
+      return COST_MULTIPLIER;
+    },
+    get TIME_MULTIPLIER() {
+      return TIME_MULTIPLIER;
+    },
+    BASE_STORAGE,
+    STORAGE_GROWTH,
+    BASE_POPULATION,
+    WORKERS_PER_LEVEL,
+    FOOD_UPKEEP,
+    STARVATION_OUTPUT,
+    QUEUE_SLOTS,
+    CANCEL_REFUND_RATIO,
+    TECHNOLOGIES,
+    RESEARCH_QUEUE_SLOTS,
+    QUESTS,
+    ACHIEVEMENTS,
+    UNIT_TYPES,
+    COUNTER_BONUS,
+    ENEMY_CAMPS,
+    get RAID_TIME() {
+      return RAID_TIME;
+    },
+    RAID_SLOTS,
+    MAX_BATTLE_REPORTS,
+    LOG_CATEGORIES,
+    LOG_LENGTH,
+    INCOME_SOURCES,
+    INCOME_BUCKET_TIME,
+    INCOME_PERIOD,
+    ATTACK_INTERVAL,
+    PLUNDER_RATIO,
+    RESOURCE_NODES,
+    NOBLEMAN,
+    CONQUEST_GARRISON_MULTIPLIER,
+    MERCHANTS_PER_LEVEL,
+    MERCHANT_CAPACITY,
+    MERCHANT_SPEED,
+    WORLD_SIZE,
+    WORLD_CENTER,
+    WORLD_SITES,
+    CAMP_REGEN_TIME,
+    SCHEMA_VERSION,
+    CLOCK_JUMP_TOLERANCE,
+    SCORE_POINTS,
+    SCORE_PRODUCTION_UNIT,
+    HISTORY_INTERVAL,
+    HISTORY_LENGTH,
+    PRESTIGE_SCORE_UNIT,
+    PRESTIGE_UPGRADES,
+    NOTIFICATION_TYPES,
+    NOTIFICATION_CHANNELS,
+    COMMANDS,
+    validateBalance,
+    applyBalance,
+    createInitialState,
+    createPrestige,
+    createNotifications,
+    createVillage,
+    validateState,
+    validateVillage,
+    parseSave,
+    loadSave,
+    diffStates,
+    serializeState,
+    getEffects,
+    applyModifiers,
+    getProduction,
+    getWorkerSlots,
+    getPopulationCapacity,
+    getPopulation,
+    assignWorkers,
+    isStarving,
+    calculateCost,
+    calculateTime,
+    getQueueSlots,
+    getRaidSlots,
+    hasResources,
+    createSummary,
+    getStorageCapacity,
+    addResources,
+    logEvent,
+    recordIncome,
+    getIncome,
+    getLog,
+    getProductionRates,
+    getTimeUntilFull,
+    getTimeUntilEmpty,
+    updateResources,
+    getNextEventTime,
+    advanceState,
+    checkQueue,
+    getQueuedLevel,
+    buildNew,
+    upgradeBuilding,
+    cancelJob,
+    moveJob,
+    createArmy,
+    countUnits,
+    getCarryCapacity,
+    getTotalBarracksLevel,
+    calculateTrainingDuration,
+    trainTroop,
+    checkTrainingQueue,
+    resolveBattle,
+    capLoot,
+    getRaidTarget,
+    raid,
+    checkRaidQueue,
+    canResearch,
+    research,
+    cancelResearch,
+    checkResearchQueue,
+    createRng,
+    getBuildingLevel,
+    getFortification,
+    getWarningTime,
+    isAttackVisible,
+    scheduleAttack,
+    checkAttack,
+    getObjectiveProgress,
+    isObjectiveMet,
+    getAvailableQuests,
+    claimQuest,
+    getTutorialHighlight,
+    checkAchievements,
+    createStats,
+    getLifetimeStats,
+    getVillageScore,
+    getScore,
+    createHistorySample,
+    recordHistory,
+    getStartingResources,
+    getPrestigeGain,
+    prestigeReset,
+    getUpgradeCost,
+    buyUpgrade,
+    setNotification,
+    setBrowserNotifications,
+    watchUpgrade,
+    getWatchedUpgrade,
+    getAlertState,
+    getAlerts,
+    generateWorld,
+    getWorld,
+    getOpenSite,
+    findFreeTile,
+    getDistance,
+    getArmyPace,
+    getTravelTime,
+    getSiteStores,
+    raidSite,
+    getMarches,
+    getMerchantCount,
+    getFreeMerchants,
+    foundVillage,
+    conquer,
+    sendTransport,
+    checkMovements,
+    getNextGameEventTime,
+    advanceGame,
+    applyCommand,
+    registerResource,
+    registerBuildingType,
+    registerQueue,
+    getPluginState,
+  };
+});
@@ -0,0 +1,108 @@
+/*
+  Event bus for the Idle Tribal Game.
+
+  The user interface announces what happens in the game (resources
+  changing, buildings finishing, troops being trained, raids returning, a
+  save being loaded) on a bus that plugins can listen to. The bus is typed:
+  only the event types it was created with can be listened to or emitted,
+  so a misspelt event name fails loudly instead of never firing.
+
+  Like engine.js it works as a plain browser script (exposing
+  `window.IdleTribalEvents`) and as a CommonJS module in Node.
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.IdleTribalEvents = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  /**
+   * Events emitted by the game and their payloads:
+   * - resourcesUpdated: { village, resources, produced } after every update,
+   *   with the name and stockpile of the village on screen and the amounts
+   *   produced in every village since the last update
+   * - constructionCompleted: { type, level, village } per finished job
+   * - troopTrained: { unit, village } per trained unit
+   * - raidReturned: the battle report of each returning raid or conquest,
+   *   with its village
+   * - stateLoaded: { game, source, summary } once a save was loaded, with
+   *   where it came from (see loadSave, 'import', 'cloud' or 'server') and
+   *   the summary of the time caught up since it was written; also after a
+   *   prestige reset, with source 'prestige' and an empty summary
+   */
+  const EVENT_TYPES = [
+    'resourcesUpdated',
+    'constructionCompleted',
+    'troopTrained',
+    'raidReturned',
+    'stateLoaded',
+  ];
+
+  /**
+   * Create an event bus for a fixed set of event types. A handler that
+   * throws does not stop the others or the game; the error is passed to
+   * onError instead.
+   * @param {string[]} [types] - Event types the bus accepts
+   * @param {Function} [onError] - Called with the error and event type when
+   *   a handler throws; logs to the console by default
+   * @returns {{on: Function, off: Function, emit: Function}}
+   */
+  function createEventBus(types = EVENT_TYPES, onError = (err) => console.error(err)) {
+    const handlers = new Map(types.map((type) => [type, []]));
+    const getHandlers = (type) => {
+      if (!handlers.has(type)) throw new Error(`unknown event type: ${type}`);
+      return handlers.get(type);
+    };
+
+    /**
+     * Stop calling a handler for an event type.
+     * @param {string} type
+     * @param {Function} handler
+     */
+    function off(type, handler) {
+      const list = getHandlers(type);
+      const index = list.indexOf(handler);
+      if (index !== -1) list.splice(index, 1);
+    }
+
+    /**
+     * Call a handler every time an event of a given type is emitted.
+     * @param {string} type
+     * @param {Function} handler - Called with the event's payload
+     * @returns {Function} Removes the handler again
+     */
+    function on(type, handler) {
+      if (typeof handler !== 'function') throw new Error('event handler must be a function');
+      getHandlers(type).push(handler);
+      return () => off(type, handler);
+    }
+
+    /**
+     * Call every handler of an event type with a payload, in the order they
+     * were added.
+     * @param {string} type
+     * @param {Object} payload
+     */
+    function emit(type, payload) {
+      // Copied so handlers may remove themselves while being called
+      getHandlers(type)
+        .slice()
+        .forEach((handler) => {
+          try {
+            handler(payload);
+          } catch (err) {
+            onError(err, type);
+          }
+        });
+    }
+
+    return { on, off, emit };
+  }
+
+  return {
+    EVENT_TYPES,
+    createEventBus,
+  };
+});
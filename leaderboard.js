@@ -0,0 +1,133 @@
+/*
+  Leaderboard backends for the Idle Tribal Game.
+
+  The leaderboard panel submits the player's score (see getScore in
+  engine.js) to a backend and lists the best scores it holds. A backend is
+  any object with:
+
+    name                 shown above the list
+    submit(entry)     -> Promise, resolved once the entry is stored
+    getTop(limit)     -> Promise of the best entries, highest score first
+
+  An entry is { name, score, time, flagged }: flagged when the game saw its
+  clock set back. A backend decides what it does with that; the local one
+  keeps it for display. The score is the client's own claim, even when an
+  authoritative game server plays the game, so a backend that must trust
+  it needs to check it with that server itself.
+
+  createLocalLeaderboard is a mock kept in the browser's storage, with a
+  few rival tribes so there is something to beat. Another backend can be
+  set from a plugin with window.IdleTribal.setLeaderboard. Like engine.js
+  this module works as a plain browser script (exposing
+  `window.IdleTribalLeaderboard`) and as a CommonJS module in Node.
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.IdleTribalLeaderboard = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  const NAME_LENGTH = 24;
+
+  // Made-up tribes on the local leaderboard.
+  const LOCAL_RIVALS = [
+    { name: 'Stonefang Clan', score: 2500 },
+    { name: 'River Folk', score: 900 },
+    { name: 'Ashwood Raiders', score: 400 },
+    { name: 'Moss Hollow', score: 120 },
+  ];
+
+  /**
+   * Check an entry before it is submitted.
+   * @param {Object} entry
+   * @returns {string|null} What is wrong with it, null when it is usable
+   */
+  function checkEntry(entry) {
+    if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) return 'name is missing';
+    if (entry.name.length > NAME_LENGTH) return `name is longer than ${NAME_LENGTH} characters`;
+    if (!Number.isInteger(entry.score) || entry.score < 0) return 'score must be a non-negative integer';
+    if (!Number.isFinite(entry.time)) return 'time must be a number';
+    return null;
+  }
+
+  /**
+   * Sort entries by score, highest first, earlier entries first on ties.
+   * @param {Array<Object>} entries
+   * @param {number} limit
+   * @returns {Array<Object>} The best entries, each with its 1-based rank
+   */
+  function rankEntries(entries, limit) {
+    return entries
+      .slice()
+      .sort((a, b) => b.score - a.score || (a.time || 0) - (b.time || 0))
+      .slice(0, limit)
+      .map((entry, i) => ({ ...entry, rank: i + 1 }));
+  }
+
+  /**
+   * Create a leaderboard kept in a Storage, holding the best score of each
+   * name.
+   * @param {Storage} storage - localStorage, or anything with getItem and
+   *   setItem
+   * @param {Object} [options]
+   * @param {string} [options.key] - Storage key of the scores
+   * @param {Array<Object>} [options.rivals] - Entries always on the list
+   * @returns {{name: string, submit: Function, getTop: Function}}
+   */
+  function createLocalLeaderboard(storage, { key = 'idleTribalLeaderboard', rivals = LOCAL_RIVALS } = {}) {
+    const read = () => {
+      try {
+        const entries = JSON.parse(storage.getItem(key));
+        return Array.isArray(entries) ? entries.filter((entry) => !checkEntry(entry)) : [];
+      } catch (e) {
+        return [];
+      }
+    };
+
+    /**
+     * Store an entry, unless its name already has a better score.
+     * @param {Object} entry
+     * @returns {Promise<void>} Rejected when the entry is invalid
+     */
+    function submit(entry) {
+      const problem = checkEntry(entry);
+      if (problem) return Promise.reject(new Error(problem));
+      const entries = read();
+      const name = entry.name.trim();
+      const index = entries.findIndex((other) => other.name === name);
+      if (index >= 0 && entries[index].score >= entry.score) return Promise.resolve();
+      const stored = {
+        name,
+        score: entry.score,
+        time: entry.time,
+        flagged: Boolean(entry.flagged),
+      };
+      if (index >= 0) entries[index] = stored;
+      else entries.push(stored);
+      storage.setItem(key, JSON.stringify(entries));
+      return Promise.resolve();
+    }
+
+    /**
+     * List the best entries, the rivals included.
+     * @param {number} [limit=10]
+     * @returns {Promise<Array<Object>>}
+     */
+    function getTop(limit = 10) {
+      const rivalEntries = rivals.map((rival) => ({ time: 0, flagged: false, ...rival, rival: true }));
+      return Promise.resolve(rankEntries(rivalEntries.concat(read()), limit));
+    }
+
+    return { name: 'this device', submit, getTop };
+  }
+
+  return {
+    NAME_LENGTH,
+    LOCAL_RIVALS,
+    checkEntry,
+    rankEntries,
+    createLocalLeaderboard,
+  };
+});
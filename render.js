@@ -0,0 +1,244 @@
+/*
+  Render layer for the Idle Tribal Game.
+
+  script.js redraws the game every second. Rather than emptying each
+  section and building it again, a section is built off the page as a
+  draft and patchChildren brings the nodes on the page in line with it:
+  nodes are reused wherever the draft has a node of the same kind in the
+  same place (or with the same data-key), so a second that changed one
+  number changes one text node. Cards, buttons and their focus survive;
+  click handlers are carried over from the draft.
+
+  Progress bars are not redrawn at all: their bar is moved by a single
+  requestAnimationFrame loop, see createProgressLoop. An element marked
+  with a data-live attribute keeps its contents between patches, only its
+  own attributes are patched.
+
+  The patcher counts what it does to the page, so the DOM churn of a long
+  session can be measured, see createPatcher. Like engine.js this module
+  works as a plain browser script (exposing `window.IdleTribalRender`) and
+  as a CommonJS module in Node.
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.IdleTribalRender = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  const TEXT_NODE = 3;
+  // Properties set by script.js that are not reflected as attributes.
+  const HANDLERS = ['onclick', 'onchange'];
+
+  /**
+   * The data-key of a node: what it shows, for nodes in lists whose entries
+   * come and go (such as queued jobs).
+   * @param {Node} node
+   * @returns {string|null} null for nodes without one
+   */
+  function getKey(node) {
+    return node.nodeType === TEXT_NODE ? null : node.getAttribute('data-key');
+  }
+
+  /**
+   * Check whether a node on the page can be patched into a draft node
+   * rather than replaced by it.
+   * @param {Node} current
+   * @param {Node} next
+   * @returns {boolean}
+   */
+  function isSameKind(current, next) {
+    return (
+      current.nodeType === next.nodeType && current.nodeName === next.nodeName && getKey(current) === getKey(next)
+    );
+  }
+
+  /**
+   * Create a patcher, which keeps count of the changes it makes to the
+   * page: nodes inserted, removed and moved, attributes set or removed,
+   * texts changed and canvases redrawn.
+   * @returns {{patchChildren: Function, counts: Object}}
+   */
+  function createPatcher() {
+    const counts = { inserted: 0, removed: 0, moved: 0, attributes: 0, texts: 0, canvases: 0 };
+
+    /**
+     * Bring an element's attributes and handlers in line with a draft.
+     * @param {Element} current
+     * @param {Element} next
+     */
+    function patchAttributes(current, next) {
+      Array.from(current.attributes).forEach(({ name }) => {
+        if (!next.hasAttribute(name)) {
+          current.removeAttribute(name);
+          counts.attributes += 1;
+        }
+      });
+      Array.from(next.attributes).forEach(({ name, value }) => {
+        if (current.getAttribute(name) !== value) {
+          current.setAttribute(name, value);
+          counts.attributes += 1;
+        }
+      });
+      HANDLERS.forEach((handler) => {
+        if (current[handler] !== next[handler]) current[handler] = next[handler];
+      });
+    }
+
+    /**
+     * Bring a node on the page in line with a draft node of the same kind.
+     * @param {Node} current
+     * @param {Node} next
+     */
+    function patchNode(current, next) {
+      if (next.nodeType === TEXT_NODE) {
+        if (current.nodeValue !== next.nodeValue) {
+          current.nodeValue = next.nodeValue;
+          counts.texts += 1;
+        }
+        return;
+      }
+      patchAttributes(current, next);
+      if (next.nodeName === 'CANVAS') {
+        // A drawing is not part of the DOM: copy it over
+        const ctx = current.getContext('2d');
+        ctx.clearRect(0, 0, current.width, current.height);
+        ctx.drawImage(next, 0, 0);
+        counts.canvases += 1;
+        return;
+      }
+      if (!next.hasAttribute('data-live')) patchChildren(current, next);
+    }
+
+    /**
+     * Make the children of an element on the page match the children of a
+     * draft element, reusing nodes where possible. Draft nodes with no
+     * match on the page are moved there.
+     * @param {Element} parent - On the page
+     * @param {Element} draft - Built off the page
+     */
+    function patchChildren(parent, draft) {
+      const nextNodes = Array.from(draft.childNodes);
+      const keys = new Set(nextNodes.map(getKey));
+      nextNodes.forEach((next, i) => {
+        let current = parent.childNodes[i];
+        // Entries gone from a list, e.g. a finished job, are removed first
+        while (current && getKey(current) !== null && !keys.has(getKey(current))) {
+          parent.removeChild(current);
+          counts.removed += 1;
+          current = parent.childNodes[i];
+        }
+        if (current && isSameKind(current, next)) {
+          patchNode(current, next);
+          return;
+        }
+        // A keyed entry may be further down, e.g. after a new one ahead of it
+        const match =
+          getKey(next) !== null &&
+          Array.from(parent.childNodes)
+            .slice(i + 1)
+            .find((node) => isSameKind(node, next));
+        if (match) {
+          parent.insertBefore(match, current || null);
+          counts.moved += 1;
+          patchNode(match, next);
+        } else {
+          parent.insertBefore(next, current || null);
+          counts.inserted += 1;
+        }
+      });
+      while (parent.childNodes.length > nextNodes.length) {
+        parent.removeChild(parent.lastChild);
+        counts.removed += 1;
+      }
+    }
+
+    return { patchChildren, counts };
+  }
+
+  /**
+   * Work out the width of a timer's progress bar.
+   * @param {number} startTime
+   * @param {number} endTime
+   * @param {number} now
+   * @returns {string} A CSS percentage, rounded so a bar only changes when
+   *   it visibly moves
+   */
+  function getProgressWidth(startTime, endTime, now) {
+    const total = endTime - startTime;
+    const ratio = total <= 0 ? 1 : Math.max(0, Math.min(1, (now - startTime) / total));
+    return `${(ratio * 100).toFixed(1)}%`;
+  }
+
+  /**
+   * Create a progress bar for a timer. It is kept moving by a progress
+   * loop, so patching it leaves the bar inside alone.
+   * @param {Document} document
+   * @param {number} startTime
+   * @param {number} endTime
+   * @param {number} now
+   * @returns {HTMLElement}
+   */
+  function createProgressBar(document, startTime, endTime, now) {
+    const progress = document.createElement('div');
+    progress.className = 'progress-bar';
+    progress.setAttribute('data-live', '');
+    progress.setAttribute('data-start', String(startTime));
+    progress.setAttribute('data-end', String(endTime));
+    const bar = document.createElement('div');
+    bar.style.width = getProgressWidth(startTime, endTime, now);
+    progress.appendChild(bar);
+    return progress;
+  }
+
+  /**
+   * Create the loop that moves every progress bar on the page, once per
+   * animation frame. Frames are skipped by the browser while the page is
+   * hidden, so the loop costs nothing then.
+   * @param {Object} options
+   * @param {ParentNode} options.root - Where to look for progress bars
+   * @param {Function} options.now - The game clock
+   * @param {Function} options.requestFrame - requestAnimationFrame
+   * @returns {{start: Function, update: Function}}
+   */
+  function createProgressLoop({ root, now, requestFrame }) {
+    let running = false;
+
+    /**
+     * Move every progress bar to the current time.
+     */
+    function update() {
+      const time = now();
+      root.querySelectorAll('.progress-bar[data-end]').forEach((progress) => {
+        const start = Number(progress.getAttribute('data-start'));
+        const width = getProgressWidth(start, Number(progress.getAttribute('data-end')), time);
+        const bar = progress.firstChild;
+        if (bar && bar.style.width !== width) bar.style.width = width;
+      });
+    }
+
+    const frame = () => {
+      update();
+      requestFrame(frame);
+    };
+
+    /**
+     * Start the loop. Starting it again does nothing.
+     */
+    function start() {
+      if (running) return;
+      running = true;
+      requestFrame(frame);
+    }
+
+    return { start, update };
+  }
+
+  return {
+    createPatcher,
+    getProgressWidth,
+    createProgressBar,
+    createProgressLoop,
+  };
+});
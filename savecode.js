@@ -0,0 +1,216 @@
+/*
+  Portable save encoding for the Idle Tribal Game.
+
+  Converts a serialized save into a compact text code that can be copied
+  between browsers, or into a JSON file for download, and back again. Codes
+  are LZW-compressed, base64-encoded and carry a CRC-32 checksum of the save
+  so damaged or edited codes are rejected. Files carry the same checksum.
+
+  This module only deals with encoding; whether the decoded save is usable
+  is decided by the engine's parseSave. Like engine.js it works as a plain
+  browser script (exposing `window.IdleTribalSaveCode`) and as a CommonJS
+  module in Node.
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.IdleTribalSaveCode = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  // Prefix identifying save codes, including the code format version.
+  const CODE_PREFIX = 'ITG1';
+  // Marker stored in exported save files.
+  const FILE_FORMAT = 'idle-tribal-save';
+  // LZW codes are stored as 16-bit numbers, which caps the dictionary size.
+  const MAX_CODES = 65536;
+
+  const CRC_TABLE = (() => {
+    const table = [];
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table.push(c >>> 0);
+    }
+    return table;
+  })();
+
+  /**
+   * Convert a string to a binary string holding its UTF-8 bytes, one byte
+   * per character.
+   * @param {string} text
+   * @returns {string}
+   */
+  function toUtf8(text) {
+    return Array.from(new TextEncoder().encode(text), (b) => String.fromCharCode(b)).join('');
+  }
+
+  /**
+   * Convert a binary string of UTF-8 bytes back to a string.
+   * @param {string} binary
+   * @returns {string}
+   */
+  function fromUtf8(binary) {
+    const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  }
+
+  /**
+   * Compute the CRC-32 checksum of a string's UTF-8 bytes as 8 hex digits.
+   * @param {string} text
+   * @returns {string}
+   */
+  function checksum(text) {
+    const binary = toUtf8(text);
+    let crc = 0xffffffff;
+    for (let i = 0; i < binary.length; i += 1) {
+      crc = CRC_TABLE[(crc ^ binary.charCodeAt(i)) & 0xff] ^ (crc >>> 8);
+    }
+    return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * LZW-compress a binary string into a list of codes.
+   * @param {string} binary
+   * @returns {number[]}
+   */
+  function compress(binary) {
+    const dict = new Map();
+    for (let i = 0; i < 256; i += 1) dict.set(String.fromCharCode(i), i);
+    const codes = [];
+    let word = '';
+    for (const char of binary) {
+      const extended = word + char;
+      if (dict.has(extended)) {
+        word = extended;
+      } else {
+        codes.push(dict.get(word));
+        if (dict.size < MAX_CODES) dict.set(extended, dict.size);
+        word = char;
+      }
+    }
+    if (word) codes.push(dict.get(word));
+    return codes;
+  }
+
+  /**
+   * Expand a list of LZW codes back into a binary string. Throws if the codes
+   * could not have been produced by compress.
+   * @param {number[]} codes
+   * @returns {string}
+   */
+  function decompress(codes) {
+    if (codes.length === 0) return '';
+    const dict = [];
+    for (let i = 0; i < 256; i += 1) dict.push(String.fromCharCode(i));
+    if (codes[0] >= 256) throw new Error('invalid code');
+    let word = dict[codes[0]];
+    const parts = [word];
+    for (let i = 1; i < codes.length; i += 1) {
+      const code = codes[i];
+      let entry;
+      if (code < dict.length) {
+        entry = dict[code];
+      } else if (code === dict.length) {
+        entry = word + word[0];
+      } else {
+        throw new Error('invalid code');
+      }
+      parts.push(entry);
+      if (dict.length < MAX_CODES) dict.push(word + entry[0]);
+      word = entry;
+    }
+    return parts.join('');
+  }
+
+  /**
+   * Encode a serialized save as a text code of the form
+   * `ITG1.<base64 payload>.<checksum>`.
+   * @param {string} data - Serialized save
+   * @returns {string}
+   */
+  function encodeSaveCode(data) {
+    const packed = compress(toUtf8(data))
+      .map((code) => String.fromCharCode(code >> 8, code & 0xff))
+      .join('');
+    return `${CODE_PREFIX}.${btoa(packed)}.${checksum(data)}`;
+  }
+
+  /**
+   * Decode a text code produced by encodeSaveCode.
+   * @param {string} code
+   * @returns {{data: string|null, errors: string[]}} data is the serialized
+   *   save, or null with errors explaining why the code was rejected
+   */
+  function decodeSaveCode(code) {
+    const parts = String(code).trim().split('.');
+    if (parts.length !== 3 || parts[0] !== CODE_PREFIX) {
+      return { data: null, errors: ['this is not an Idle Tribal save code'] };
+    }
+    let data;
+    try {
+      const packed = atob(parts[1]);
+      if (packed.length % 2 !== 0) throw new Error('odd length');
+      const codes = [];
+      for (let i = 0; i < packed.length; i += 2) {
+        codes.push((packed.charCodeAt(i) << 8) | packed.charCodeAt(i + 1));
+      }
+      data = fromUtf8(decompress(codes));
+    } catch {
+      return { data: null, errors: ['save code is damaged and cannot be read'] };
+    }
+    if (checksum(data) !== parts[2]) {
+      return { data: null, errors: ['checksum mismatch: the save code was modified or damaged'] };
+    }
+    return { data, errors: [] };
+  }
+
+  /**
+   * Wrap a serialized save in the JSON file format used for downloads.
+   * @param {string} data - Serialized save
+   * @returns {string}
+   */
+  function createSaveFile(data) {
+    return JSON.stringify(
+      { format: FILE_FORMAT, checksum: checksum(data), save: JSON.parse(data) },
+      null,
+      2
+    );
+  }
+
+  /**
+   * Read a save file produced by createSaveFile.
+   * @param {string} text - File contents
+   * @returns {{data: string|null, errors: string[]}} data is the serialized
+   *   save, or null with errors explaining why the file was rejected
+   */
+  function readSaveFile(text) {
+    let file;
+    try {
+      file = JSON.parse(text);
+    } catch {
+      return { data: null, errors: ['file is not valid JSON'] };
+    }
+    if (!file || file.format !== FILE_FORMAT || file.save === undefined) {
+      return { data: null, errors: ['this is not an Idle Tribal save file'] };
+    }
+    const data = JSON.stringify(file.save);
+    if (checksum(data) !== file.checksum) {
+      return { data: null, errors: ['checksum mismatch: the save file was modified or damaged'] };
+    }
+    return { data, errors: [] };
+  }
+
+  return {
+    checksum,
+    compress,
+    decompress,
+    encodeSaveCode,
+    decodeSaveCode,
+    createSaveFile,
+    readSaveFile,
+  };
+});
@@ -0,0 +1,167 @@
+/*
+  Tick scheduler for the Idle Tribal Game.
+
+  The game rules advance the game from the time that passed (see
+  advanceGame in engine.js), so the simulation does not depend on how
+  often it is stepped. The scheduler decides when to step it, when to draw
+  the result and when to save:
+
+    * while the page is visible the game is stepped and drawn every second;
+    * while it is hidden nothing is drawn, and the game is only stepped when
+      something is due to happen (so completed jobs are still announced on
+      time), and at least every minute;
+    * when the page is shown again the game catches up at once, event by
+      event, and is drawn;
+    * saves are batched: the first change since the last save asks for one a
+      few seconds later, and later changes join it. flush writes a pending
+      save right away, e.g. when the page is hidden or closed.
+
+  It needs no DOM, only a clock and timers, so it works in a Web Worker as
+  well as on the page. Like engine.js this module works as a plain browser
+  script (exposing `self.IdleTribalScheduler`) and as a CommonJS module in
+  Node.
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.IdleTribalScheduler = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  const TICK_INTERVAL = 1000; // 1 second
+  const HIDDEN_INTERVAL = 60000; // 1 minute
+  const SAVE_DELAY = 5000; // 5 seconds
+
+  /**
+   * Create a scheduler. It does nothing until started.
+   * @param {Object} options
+   * @param {Function} options.now - The game clock
+   * @param {Function} options.step - (now) => advance the game to now
+   * @param {Function} options.render - Draw the game, only called while
+   *   visible
+   * @param {Function} options.save - Write the game to storage
+   * @param {Function} [options.getNextEventTime] - () => when something is
+   *   next due to happen, or null; see engine.getNextGameEventTime
+   * @param {Function} [options.setTimer] - setTimeout
+   * @param {Function} [options.clearTimer] - clearTimeout
+   * @param {number} [options.interval] - Time between steps while visible
+   * @param {number} [options.hiddenInterval] - Longest time between steps
+   *   while hidden
+   * @param {number} [options.saveDelay] - Time from the first unsaved
+   *   change to the save
+   * @returns {{start: Function, stop: Function, tick: Function, setVisible: Function, requestSave: Function, flush: Function}}
+   */
+  function createScheduler({
+    now,
+    step,
+    render,
+    save,
+    getNextEventTime = () => null,
+    setTimer = (fn, ms) => setTimeout(fn, ms),
+    clearTimer = (id) => clearTimeout(id),
+    interval = TICK_INTERVAL,
+    hiddenInterval = HIDDEN_INTERVAL,
+    saveDelay = SAVE_DELAY,
+  }) {
+    let running = false;
+    let visible = true;
+    let tickTimer = null;
+    let saveTimer = null;
+
+    /**
+     * Work out how long to wait before the next step.
+     * @returns {number}
+     */
+    function getDelay() {
+      if (visible) return interval;
+      const next = getNextEventTime();
+      if (next === null) return hiddenInterval;
+      return Math.max(interval, Math.min(hiddenInterval, next - now()));
+    }
+
+    /**
+     * Set the timer for the next step, replacing any set before.
+     */
+    function schedule() {
+      if (tickTimer !== null) clearTimer(tickTimer);
+      tickTimer = running ? setTimer(tick, getDelay()) : null;
+    }
+
+    /**
+     * Step the game to the current time, and draw it if the page is
+     * visible. Also used to bring the game up to date outside the schedule.
+     * The next step is scheduled even if this one throws, so one error does
+     * not stop the game.
+     */
+    function tick() {
+      try {
+        step(now());
+        if (visible) render();
+      } finally {
+        schedule();
+      }
+    }
+
+    /**
+     * Start stepping the game. Starting it again does nothing.
+     */
+    function start() {
+      if (running) return;
+      running = true;
+      schedule();
+    }
+
+    /**
+     * Stop stepping the game and write any pending save.
+     */
+    function stop() {
+      running = false;
+      schedule();
+      flush();
+    }
+
+    /**
+     * Tell the scheduler whether the page is visible. Hiding it saves
+     * right away; showing it catches the game up and draws it.
+     * @param {boolean} isVisible
+     */
+    function setVisible(isVisible) {
+      if (isVisible === visible) return;
+      visible = isVisible;
+      if (!visible) {
+        flush();
+        schedule();
+      } else if (running) {
+        tick();
+      }
+    }
+
+    /**
+     * Ask for the game to be saved. Requests made before the save is
+     * written are served by the same save.
+     */
+    function requestSave() {
+      if (saveTimer === null) saveTimer = setTimer(flush, saveDelay);
+    }
+
+    /**
+     * Write a pending save now.
+     */
+    function flush() {
+      if (saveTimer === null) return;
+      clearTimer(saveTimer);
+      saveTimer = null;
+      save();
+    }
+
+    return { start, stop, tick, setVisible, requestSave, flush };
+  }
+
+  return {
+    TICK_INTERVAL,
+    HIDDEN_INTERVAL,
+    SAVE_DELAY,
+    createScheduler,
+  };
+});
@@ -1,730 +1,3307 @@
 /*
-  Main game logic for the Idle Tribal Game.
+  User interface for the Idle Tribal Game.
 
-  This script defines the core state management, resource generation and user
-  interface rendering. Game state is stored in localStorage so that progress
-  persists across sessions. A single construction queue is used to enforce
-  sequential building and upgrading. All times are measured in milliseconds
-  using Date.now().
+  The game rules live in engine.js; this script owns the DOM and storage side.
+  It keeps the current state, persists it to localStorage so progress
+  survives across sessions, forwards player actions to the engine using the
+  real clock and Math.random, and renders the result (see render.js). In authoritative mode
+  a game server keeps the game and the clock instead, see readAuthority. It also exposes the
+  plugin API as `window.IdleTribal`, see the end of this file.
 
   Author: OpenAI ChatGPT
 */
 
 (() => {
-  /**
-   * Base definitions for each building type. Each building produces one
-   * resource and has a base cost/time associated with construction. Upgrade
-   * costs and times scale with the level using a multiplier.
-   */
-  const BUILDING_TYPES = {
-    woodcutter: {
-      key: 'woodcutter',
-      name: 'Woodcutter',
-      resource: 'wood',
-      baseRate: 1, // per second
-      baseCost: { wood: 0, stone: 20, food: 10 },
-      baseTime: 5, // seconds
-    },
-    quarry: {
-      key: 'quarry',
-      name: 'Quarry',
-      resource: 'stone',
-      baseRate: 0.8,
-      baseCost: { wood: 20, stone: 0, food: 10 },
-      baseTime: 5,
-    },
-    farm: {
-      key: 'farm',
-      name: 'Farm',
-      resource: 'food',
-      baseRate: 0.5,
-      baseCost: { wood: 20, stone: 10, food: 0 },
-      baseTime: 5,
-    },
+  const engine = window.IdleTribalEngine;
+  const saveCode = window.IdleTribalSaveCode;
+  const sync = window.IdleTribalSync;
+  const leaderboards = window.IdleTribalLeaderboard;
+  const events = window.IdleTribalEvents.createEventBus();
+  const renderer = window.IdleTribalRender;
+  const schedulers = window.IdleTribalScheduler;
+  const {
+    BUILDING_TYPES,
+    CANCEL_REFUND_RATIO,
+    TECHNOLOGIES,
+    RESEARCH_QUEUE_SLOTS,
+    ACHIEVEMENTS,
+    UNIT_TYPES,
+    ENEMY_CAMPS,
+    NOBLEMAN,
+    MERCHANT_CAPACITY,
+    MERCHANT_SPEED,
+    WORLD_SIZE,
+    PRESTIGE_UPGRADES,
+    NOTIFICATION_TYPES,
+    LOG_CATEGORIES,
+  } = engine;
 
-    // Barracks allow training troops. They do not directly produce
-    // resources per second, but higher levels decrease troop training
-    // time. Inspired by troop training mechanics in Clash of Clans and
-    // Kingshot【521200255890287†L90-L122】【385794094328824†L139-L186】.
-    barracks: {
-      key: 'barracks',
-      name: 'Barracks',
-      resource: null, // does not generate resources passively
-      baseRate: 0,
-      baseCost: { wood: 100, stone: 50, food: 50 },
-      baseTime: 8,
-    },
-  };
+  // Absences shorter than this do not show a "while you were away" summary.
+  const OFFLINE_SUMMARY_MIN_TIME = 60000; // 1 minute
+
+  // localStorage keys: the save itself, a backup of the last save that
+  // passed validation, and the last save that was rejected on load (kept so
+  // a broken save is never thrown away).
+  const SAVE_KEY = 'idleTribalState';
+  const BACKUP_KEY = 'idleTribalStateBackup';
+  const REJECTED_KEY = 'idleTribalStateRejected';
+  const BACKUP_INTERVAL = 5 * 60000; // 5 minutes
+
+  // Cloud save: the settings (server, sync code, revision last synced and
+  // player actions since) and a random ID for this device, both kept in
+  // localStorage. Syncs run every minute and when the browser comes back
+  // online; until then the game simply keeps playing on this device.
+  const SYNC_KEY = 'idleTribalSync';
+  const DEVICE_KEY = 'idleTribalDevice';
+  const SYNC_INTERVAL = 60000; // 1 minute
+
+  // Authoritative mode: with ?server=URL a game server (see
+  // server/game-server.js) keeps the game and owns the clock, under a
+  // player ID kept in localStorage. Actions are shown right away and sent
+  // to it as commands; its answers replace the game, with the actions still
+  // on their way replayed on top. Besides, the game is fetched again every
+  // minute, and failed requests are retried after a few seconds.
+  const PLAYER_KEY = 'idleTribalPlayer';
+  const SERVER_REFRESH_INTERVAL = 60000; // 1 minute
+  const SERVER_RETRY_TIME = 5000; // 5 seconds
+
+  // Leaderboard: the name scores are submitted under, kept in
+  // localStorage, and how many of the best scores are listed.
+  const LEADERBOARD_NAME_KEY = 'idleTribalName';
+  const LEADERBOARD_KEY = 'idleTribalLeaderboard';
+  const LEADERBOARD_SIZE = 10;
+
+  // Notifications: the alerts shown so far are kept in localStorage for the
+  // history list, up to NOTIFICATION_HISTORY_LENGTH of them. Toasts close
+  // by themselves after TOAST_TIME.
+  const NOTIFICATION_HISTORY_KEY = 'idleTribalNotifications';
+  const NOTIFICATION_HISTORY_LENGTH = 50;
+  const TOAST_TIME = 6000; // 6 seconds
+
+  // Event log: how many of the latest entries the log section lists, and
+  // how many raids and attacks the reports section lists.
+  const LOG_VIEW_LENGTH = 50;
+  const REPORT_VIEW_LENGTH = 20;
+
+  // Stats charts: canvas size in pixels, and the colour of each line.
+  // Resources added by plugins take the spare colours in turn.
+  const CHART_WIDTH = 320;
+  const CHART_HEIGHT = 120;
+  const CHART_COLOURS = { score: '#ffa502', wood: '#cd8a52', stone: '#a4b0be', food: '#7bed9f' };
+  const SPARE_CHART_COLOURS = ['#70a1ff', '#ff6b81', '#eccc68', '#5352ed'];
+
+  // Balance data loaded before the save. A ?config= URL parameter names
+  // another file to playtest with; its games are stored under their own
+  // keys so playtesting never touches the real save.
+  const BALANCE_URL = 'data/balance.json';
+  let storageSuffix = '';
+
+  // The whole save, and the village on screen, which is one of
+  // game.villages. Almost everything below works on the village.
+  let game;
+  let state;
 
-  const COST_MULTIPLIER = 1.5;
-  const TIME_MULTIPLIER = 1.6;
-
-  // Constants for troop training and raids. These values determine the cost
-  // and duration for training a single troop and sending raids. Raid rewards
-  // are randomized within the specified ranges.
-  const TRAIN_COST = { wood: 15, stone: 15, food: 10 };
-  const BASE_TRAIN_TIME = 5000; // 5 seconds in milliseconds
-  const RAID_COST_TROOPS = 5;
-  const RAID_TIME = 30000; // 30 seconds
-  const RAID_REWARD_RANGES = {
-    wood: [20, 40],
-    stone: [20, 40],
-    food: [10, 30],
+  // Map site and units picked in the map and raid panels. Kept outside the
+  // state because it is only a selection, not game progress. The units are
+  // reset once the balance data has defined the unit types, see setGame.
+  const raidSelection = { site: null, units: {} };
+  // Tile in the middle of the map view, and how many tiles it shows on
+  // each side of it.
+  const mapView = { x: 0, y: 0 };
+  const MAP_VIEW_RADIUS = 5;
+  // Target village and resources picked in the transport panel.
+  const transportSelection = { to: null, resources: {} };
+  // Whether the prestige panel is asking the player to confirm a reset.
+  let confirmingPrestige = false;
+  // Log category shown in the log section, null for all of them, and the
+  // report shown in full in the reports section, if any.
+  let logFilter = null;
+  let openReport = null;
+
+  // Cloud save settings, null when not syncing (always while playtesting);
+  // the save on the server while the player decides a conflict; and
+  // whether a sync is under way.
+  let cloud = null;
+  let cloudConflict = null;
+  let syncing = false;
+  // Authoritative mode: server URL, player ID, how far the server's clock
+  // is ahead of this device's, commands not confirmed yet and whether one
+  // is being sent. null when the device keeps the game.
+  let authority = null;
+  // Leaderboard backend, see leaderboard.js. Unless a plugin sets another
+  // one, the local mock is created once the save's storage keys are known.
+  let leaderboard = null;
+  // Conditions that raise an alert once they start to hold, as of the last
+  // update (see engine.getAlertState); null until the first update after
+  // the game was loaded or replaced. And the alerts shown, newest first.
+  let alertState = null;
+  let notificationHistory = [];
+
+  // Icon per resource in the resource bar. Resources added by plugins may
+  // bring their own.
+  const RESOURCE_ICONS = {
+    wood: 'assets/wood.png',
+    stone: 'assets/stone.png',
+    food: 'assets/food.png',
   };
+  // Sections added by plugins, see registerPanel.
+  const pluginPanels = [];
+  // Brings the sections on the page in line with their drafts, see
+  // renderInto. Its counts are the DOM churn so far.
+  const patcher = renderer.createPatcher();
+  // Update loop: steps, draws and saves the game, see scheduler.js.
+  const scheduler = schedulers.createScheduler({
+    now: currentTime,
+    step,
+    render: renderAll,
+    save: writeState,
+    getNextEventTime: () => engine.getNextGameEventTime(game),
+  });
 
   /**
-   * Default initial game state.
+   * The current time: the device's clock, or in authoritative mode the
+   * server's clock as of its last answer.
+   * @returns {number}
    */
-  const DEFAULT_STATE = {
-    resources: {
-      wood: 50,
-      stone: 50,
-      food: 50,
-    },
-    buildings: [], // { type: 'woodcutter', level: 1 }
-    queue: null, // { type, targetIndex, level, startTime, endTime }
-    troops: 0, // number of trained troops available
-    trainingQueue: null, // { startTime, endTime }
-    raidQueue: null, // { startTime, endTime, reward }
-    lastUpdate: Date.now(),
-  };
+  function currentTime() {
+    return Date.now() + (authority ? authority.offset : 0);
+  }
 
-  let state;
+  /**
+   * Render a section: build its contents into a draft off the page, then
+   * patch the container on the page to match, so only what changed since
+   * the last second is touched. See render.js.
+   * @param {string} id - The container's element ID
+   * @param {Function} build - Called with the draft to fill
+   */
+  function renderInto(id, build) {
+    const container = document.getElementById(id);
+    if (!container) return;
+    const draft = document.createElement(container.tagName);
+    build(draft);
+    patcher.patchChildren(container, draft);
+  }
 
   /**
-   * Persist the current state to localStorage.
+   * Create the progress bar of a timer. The progress loop started at load
+   * keeps it moving between renders.
+   * @param {number} startTime
+   * @param {number} endTime
+   * @returns {HTMLElement}
    */
-  function saveState() {
-    localStorage.setItem('idleTribalState', JSON.stringify(state));
+  function renderProgressBar(startTime, endTime) {
+    return renderer.createProgressBar(document, startTime, endTime, currentTime());
   }
 
   /**
-   * Load the state from localStorage or fall back to defaults.
+   * The localStorage key used for a save, backup or rejected save with the
+   * balance data in use.
+   * @param {string} key - SAVE_KEY, BACKUP_KEY or REJECTED_KEY
+   * @returns {string}
    */
-  function loadState() {
-    const data = localStorage.getItem('idleTribalState');
-    if (data) {
-      try {
-        state = JSON.parse(data);
-      } catch {
-        state = JSON.parse(JSON.stringify(DEFAULT_STATE));
-      }
-    } else {
-      state = JSON.parse(JSON.stringify(DEFAULT_STATE));
-    }
-    // Ensure lastUpdate exists
-    if (!state.lastUpdate) state.lastUpdate = Date.now();
+  function storageKey(key) {
+    return key + storageSuffix;
+  }
 
-    // Ensure new properties exist for backward compatibility
-    if (state.troops === undefined) state.troops = 0;
-    if (state.trainingQueue === undefined) state.trainingQueue = null;
-    if (state.raidQueue === undefined) state.raidQueue = null;
+  /**
+   * Load balance data into the engine.
+   * @param {string} url
+   * @returns {Promise<string[]>} Problems with the data, empty when it was applied
+   */
+  function fetchBalance(url) {
+    return fetch(url)
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then(
+        (data) => engine.applyBalance(data),
+        (err) => [`it could not be read (${err.message})`]
+      );
   }
 
   /**
-   * Calculate the production per second for a building based on its level.
-   * @param {Object} building
-   * @returns {number}
+   * Describe the problems found in balance data for a notice.
+   * @param {string} url
+   * @param {string[]} errors
+   * @returns {string}
    */
-  function getProduction(building) {
-    const def = BUILDING_TYPES[building.type];
-    return def.baseRate * building.level;
+  function describeBalanceErrors(url, errors) {
+    errors.forEach((error) => console.error(`${url}: ${error}`));
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more, see the console)` : '';
+    return `The game data in ${url} is unusable: ${errors[0]}${more}.`;
   }
 
   /**
-   * Calculate the cost for constructing or upgrading a building at a given
-   * level. For level 1 (new building), we use the base cost. For higher
-   * levels, we multiply the base cost by COST_MULTIPLIER^(level - 1).
-   * @param {string} type
-   * @param {number} level
+   * Load the balance data, or the playtest file named by ?config= when
+   * there is one. A playtest file with problems falls back to the standard
+   * data, and so do games kept by a game server, which plays by the
+   * standard data.
+   * @returns {Promise<boolean>} Whether the game can start
    */
-  function calculateCost(type, level) {
-    const def = BUILDING_TYPES[type];
-    const multiplier = Math.pow(COST_MULTIPLIER, level - 1);
-    const cost = {};
-    Object.keys(def.baseCost).forEach((res) => {
-      cost[res] = Math.ceil(def.baseCost[res] * multiplier);
+  function loadBalance() {
+    const config = authority ? null : new URLSearchParams(location.search).get('config');
+    const loadDefault = () =>
+      fetchBalance(BALANCE_URL).then((errors) => {
+        if (errors.length === 0) return true;
+        renderNotice(`${describeBalanceErrors(BALANCE_URL, errors)} The game cannot start without it.`);
+        return false;
+      });
+    if (!config) return loadDefault();
+    return fetchBalance(config).then((errors) => {
+      if (errors.length > 0) {
+        renderNotice(`${describeBalanceErrors(config, errors)} Playing with the standard balance instead.`);
+        return loadDefault();
+      }
+      storageSuffix = `@${config}`;
+      renderNotice(`Playtesting with ${config}. This game is saved apart from your normal one.`);
+      return true;
     });
-    return cost;
   }
 
   /**
-   * Calculate construction or upgrade time in milliseconds for a given level.
-   * @param {string} type
-   * @param {number} level
+   * Ask for the current state to be persisted to localStorage. Saves are
+   * batched by the scheduler, see writeState.
+   * @param {boolean} [action=true] - Whether a player action changed the
+   *   game, rather than time passing, which cloud sync needs to know
    */
-  function calculateTime(type, level) {
-    const def = BUILDING_TYPES[type];
-    const seconds = def.baseTime * Math.pow(TIME_MULTIPLIER, level - 1);
-    return Math.ceil(seconds * 1000);
+  function saveState(action = true) {
+    // The game server keeps the game in authoritative mode
+    if (authority) return;
+    scheduler.requestSave();
+    if (action) markChanged();
   }
 
   /**
-   * Add resources based on building production and elapsed time.
+   * Write the current state to localStorage.
    */
-  function updateResources() {
-    const now = Date.now();
-    const deltaSeconds = (now - state.lastUpdate) / 1000;
-    if (deltaSeconds <= 0) return;
-    state.buildings.forEach((building) => {
-      const def = BUILDING_TYPES[building.type];
-      // Skip buildings that do not generate resources
-      if (!def.resource || def.baseRate <= 0) return;
-      const amount = def.baseRate * building.level * deltaSeconds;
-      state.resources[def.resource] += amount;
-    });
-    state.lastUpdate = now;
-    saveState();
+  function writeState() {
+    if (authority) return;
+    localStorage.setItem(storageKey(SAVE_KEY), engine.serializeState(game));
   }
 
   /**
-   * Check the construction queue and complete the job if finished.
+   * Store the current state as the last known good backup, provided it
+   * passes validation.
    */
-  function checkQueue() {
-    if (!state.queue) return;
-    const now = Date.now();
-    if (now >= state.queue.endTime) {
-      const { type, targetIndex, level } = state.queue;
-      if (targetIndex === null) {
-        // new building
-        state.buildings.push({ type, level });
-      } else {
-        // upgrade existing
-        state.buildings[targetIndex].level = level;
-      }
-      state.queue = null;
-      saveState();
-    }
+  function backupState() {
+    if (authority || engine.validateState(game).length > 0) return;
+    localStorage.setItem(storageKey(BACKUP_KEY), engine.serializeState(game));
   }
 
   /**
-   * Attempt to start constructing a new building. If resources are insufficient
-   * or a job is already queued, the function does nothing. Otherwise it
-   * deducts resources and sets the queue.
-   * @param {string} type
+   * Replace the game being played, e.g. after loading or importing a save,
+   * and show its active village with no units picked for a raid.
+   * @param {Object} loaded
    */
-  function buildNew(type) {
-    if (state.queue) return;
-    const cost = calculateCost(type, 1);
-    if (!hasResources(cost)) return;
-    // Deduct resources
-    deductResources(cost);
-    const duration = calculateTime(type, 1);
-    state.queue = {
-      type,
-      targetIndex: null,
-      level: 1,
-      startTime: Date.now(),
-      endTime: Date.now() + duration,
-    };
-    saveState();
-    renderQueue();
-    renderConstructionOptions();
-    renderResources();
+  function setGame(loaded) {
+    game = loaded;
+    state = game.villages[game.activeVillage];
+    alertState = null;
+    raidSelection.units = engine.createArmy();
+    centerMap();
   }
 
   /**
-   * Attempt to upgrade an existing building at a given index. Checks for
-   * resources and queue availability.
-   * @param {number} index
+   * Center the map view on the village being shown.
    */
-  function upgradeBuilding(index) {
-    if (state.queue) return;
-    const building = state.buildings[index];
-    const nextLevel = building.level + 1;
-    const cost = calculateCost(building.type, nextLevel);
-    if (!hasResources(cost)) return;
-    // Deduct resources
-    deductResources(cost);
-    const duration = calculateTime(building.type, nextLevel);
-    state.queue = {
-      type: building.type,
-      targetIndex: index,
-      level: nextLevel,
-      startTime: Date.now(),
-      endTime: Date.now() + duration,
-    };
-    saveState();
-    renderQueue();
-    renderBuildings();
-    renderResources();
+  function centerMap() {
+    mapView.x = state.x;
+    mapView.y = state.y;
   }
 
   /**
-   * Check if the player has enough resources to afford a cost object.
-   * @param {Object} cost
+   * Show another village. Selections made in the raid and transport panels
+   * belong to the previous village and are cleared.
+   * @param {number} index
    */
-  function hasResources(cost) {
-    return Object.keys(cost).every((res) => state.resources[res] >= cost[res]);
+  function selectVillage(index) {
+    if (index === game.activeVillage || !game.villages[index]) return;
+    game.activeVillage = index;
+    state = game.villages[index];
+    centerMap();
+    raidSelection.units = engine.createArmy();
+    transportSelection.to = null;
+    transportSelection.resources = {};
+    saveState(false);
+    renderAll();
   }
 
   /**
-   * Deduct a cost object from the player's resources.
-   * @param {Object} cost
+   * Load the state from localStorage. A save that fails to load is kept
+   * aside and replaced by the backup (or a new game if there is none), and
+   * the player is told what happened.
+   * @returns {string} Where the game came from, see engine.loadSave
    */
-  function deductResources(cost) {
-    Object.keys(cost).forEach((res) => {
-      state.resources[res] -= cost[res];
-    });
+  function loadState() {
+    const data = localStorage.getItem(storageKey(SAVE_KEY));
+    const backup = localStorage.getItem(storageKey(BACKUP_KEY));
+    const result = engine.loadSave(data, backup, currentTime());
+    setGame(result.state);
+    if (result.source === 'save') {
+      backupState();
+      return result.source;
+    }
+    if (result.source === 'new') return result.source;
+    localStorage.setItem(storageKey(REJECTED_KEY), data);
+    const reason = result.errors[0];
+    if (result.source === 'backup') {
+      const savedAt = new Date(game.lastUpdate).toLocaleString();
+      renderNotice(`Your save could not be loaded (${reason}). Your last good backup from ${savedAt} was restored.`);
+    } else {
+      renderNotice(`Your save could not be loaded (${reason}) and no backup was available, so a new game was started.`);
+    }
+    return result.source;
   }
 
   /**
-   * Format a number to display with up to one decimal place.
-   * @param {number} num
+   * Advance the game to a given time and persist the result.
+   * @param {number} [now] - Defaults to the current time
+   * @returns {Object} Summary of what was produced and completed
    */
-  function formatNumber(num) {
-    return num < 100 ? num.toFixed(1) : Math.floor(num);
+  function advanceState(now = currentTime()) {
+    const summary = engine.advanceGame(game, now);
+    saveState(false);
+    return summary;
   }
 
   /**
-   * Render the resource bar at the top of the UI.
+   * Announce on the event bus what an update changed.
+   * @param {Object} summary - Result of advanceState
    */
-  function renderResources() {
-    const bar = document.getElementById('resource-bar');
-    bar.innerHTML = '';
-    const resources = [
-      { key: 'wood', img: 'assets/wood.png' },
-      { key: 'stone', img: 'assets/stone.png' },
-      { key: 'food', img: 'assets/food.png' },
-    ];
-    const VERSION = '1';
-    resources.forEach(({ key, img }) => {
-      const div = document.createElement('div');
-      div.className = 'resource-item';
-      const image = document.createElement('img');
-      // Append version query to prevent stale browser caching
-      image.src = `${img}?v=${VERSION}`;
-      image.alt = key;
-      const span = document.createElement('span');
-      span.textContent = `${formatNumber(state.resources[key])}`;
-      div.appendChild(image);
-      div.appendChild(span);
-      bar.appendChild(div);
+  function emitSummary(summary) {
+    // Entries from the first village carry no name in the summary
+    const named = (entry) => ({ village: game.villages[0].name, ...entry });
+    summary.constructions.forEach((entry) => events.emit('constructionCompleted', named(entry)));
+    summary.troops.forEach((entry) => events.emit('troopTrained', named(entry)));
+    summary.raids.forEach((entry) => events.emit('raidReturned', named(entry)));
+    events.emit('resourcesUpdated', {
+      village: state.name,
+      resources: state.resources,
+      produced: summary.produced,
     });
   }
 
   /**
-   * Render the list of existing buildings with their production and upgrade
-   * buttons.
+   * Read the cloud save settings. Playtest games and games kept by a game
+   * server are never synced.
+   * @returns {Object|null} { url, syncId, revision, pending }, null when
+   *   cloud save is off
    */
-  function renderBuildings() {
-    const list = document.getElementById('buildings-list');
-    list.innerHTML = '';
-    if (state.buildings.length === 0) {
-      const p = document.createElement('p');
-      p.textContent = 'No buildings yet. Construct one below to start producing resources!';
-      list.appendChild(p);
-      return;
+  function loadCloudSettings() {
+    if (storageSuffix || authority) return null;
+    try {
+      const settings = JSON.parse(localStorage.getItem(SYNC_KEY));
+      return settings && sync.isValidId(settings.syncId) ? settings : null;
+    } catch (err) {
+      return null;
     }
-    state.buildings.forEach((building, index) => {
-      const card = document.createElement('div');
-      card.className = 'building-card';
-      const info = document.createElement('div');
-      info.className = 'building-info';
-      const title = document.createElement('strong');
-      title.textContent = `${BUILDING_TYPES[building.type].name} (Lv ${building.level})`;
-      // Description: show production or training effect
-      const desc = document.createElement('span');
-      const def = BUILDING_TYPES[building.type];
-      if (def.resource && def.baseRate > 0) {
-        desc.textContent = `Produces ${def.resource}: ${getProduction(building).toFixed(1)}/s`;
-      } else {
-        desc.textContent = `Improves troop training speed`;
-      }
-      info.appendChild(title);
-      info.appendChild(desc);
-      // Cost for next level
-      const nextLevel = building.level + 1;
-      const costObj = calculateCost(building.type, nextLevel);
-      const costStr = Object.entries(costObj)
-        .map(([k, v]) => `${v} ${k}`)
-        .join(', ');
-      const timeStr = (calculateTime(building.type, nextLevel) / 1000).toFixed(0);
-      const cost = document.createElement('span');
-      cost.textContent = `Upgrade cost: ${costStr} (Time: ${timeStr}s)`;
-      cost.style.fontSize = '0.8rem';
-      info.appendChild(cost);
-      card.appendChild(info);
-      const actions = document.createElement('div');
-      actions.className = 'building-actions';
-      const btn = document.createElement('button');
-      btn.textContent = 'Upgrade';
-      btn.disabled = !!state.queue || !hasResources(costObj);
-      btn.onclick = () => upgradeBuilding(index);
-      actions.appendChild(btn);
-      card.appendChild(actions);
-      list.appendChild(card);
-    });
   }
 
   /**
-   * Render the available construction options for new buildings.
+   * Persist the cloud save settings, or remove them when cloud save is off.
    */
-  function renderConstructionOptions() {
-    const container = document.getElementById('construction-options');
-    container.innerHTML = '';
-    Object.keys(BUILDING_TYPES).forEach((type) => {
-      const def = BUILDING_TYPES[type];
-      const card = document.createElement('div');
-      card.className = 'construction-card';
-      const info = document.createElement('div');
-      info.className = 'building-info';
-      const title = document.createElement('strong');
-      title.textContent = def.name;
-      const desc = document.createElement('span');
-      if (def.resource && def.baseRate > 0) {
-        desc.textContent = `Produces ${def.resource}: ${def.baseRate.toFixed(1)}/s`;
-      } else {
-        desc.textContent = `Improves troop training speed`;
-      }
-      info.appendChild(title);
-      info.appendChild(desc);
-      // cost and time for level 1
-      const costObj = calculateCost(type, 1);
-      const costStr = Object.entries(costObj)
-        .map(([k, v]) => `${v} ${k}`)
-        .join(', ');
-      const timeStr = (calculateTime(type, 1) / 1000).toFixed(0);
-      const cost = document.createElement('span');
-      cost.textContent = `Cost: ${costStr} (Time: ${timeStr}s)`;
-      cost.style.fontSize = '0.8rem';
-      info.appendChild(cost);
-      card.appendChild(info);
-      const btn = document.createElement('button');
-      btn.textContent = 'Build';
-      btn.disabled = !!state.queue || !hasResources(costObj);
-      btn.onclick = () => buildNew(type);
-      card.appendChild(btn);
-      container.appendChild(card);
-    });
+  function saveCloudSettings() {
+    if (cloud) localStorage.setItem(SYNC_KEY, JSON.stringify(cloud));
+    else localStorage.removeItem(SYNC_KEY);
   }
 
   /**
-   * Render the construction queue progress bar.
+   * The ID of this device, created the first time it is needed.
+   * @returns {string}
    */
-  function renderQueue() {
-    const container = document.getElementById('queue-container');
-    container.innerHTML = '';
-    if (!state.queue) return;
-    const { type, targetIndex, level, startTime, endTime } = state.queue;
-    const def = BUILDING_TYPES[type];
-    const action = targetIndex === null ? 'Constructing' : 'Upgrading';
-    const card = document.createElement('div');
-    card.className = 'construction-card';
-    const info = document.createElement('div');
-    info.className = 'building-info';
-    const title = document.createElement('strong');
-    title.textContent = `${action} ${def.name} to Lv ${level}`;
-    info.appendChild(title);
-    // progress bar
-    const progress = document.createElement('div');
-    progress.className = 'progress-bar';
-    const bar = document.createElement('div');
-    progress.appendChild(bar);
-    const updateProgress = () => {
-      const now = Date.now();
-      const total = endTime - startTime;
-      const elapsed = Math.min(now - startTime, total);
-      const ratio = Math.max(0, Math.min(1, elapsed / total));
-      bar.style.width = `${ratio * 100}%`;
-      if (ratio >= 1) {
-        clearInterval(interval);
-      }
-    };
-    updateProgress();
-    const interval = setInterval(updateProgress, 1000);
-    info.appendChild(progress);
-    card.appendChild(info);
-    container.appendChild(card);
+  function getDeviceId() {
+    let id = localStorage.getItem(DEVICE_KEY);
+    if (!sync.isValidId(id)) {
+      id = sync.createId(Math.random);
+      localStorage.setItem(DEVICE_KEY, id);
+    }
+    return id;
   }
 
   /**
-   * Calculate the total level of all barracks buildings. Higher levels
-   * reduce troop training time.
+   * Record that the player changed the game since the last sync.
    */
-  function getTotalBarracksLevel() {
-    return state.buildings
-      .filter((b) => b.type === 'barracks')
-      .reduce((sum, b) => sum + b.level, 0);
+  function markChanged() {
+    if (!cloud) return;
+    cloud.pending += 1;
+    saveCloudSettings();
   }
 
   /**
-   * Compute the training duration in milliseconds, factoring in the total
-   * level of barracks. Each level increases the training speed by 50%.
-   * We ensure a minimum duration of 1 second.
+   * Replace the game with a save from the server, once it passes
+   * validation. Nothing changes when it does not, e.g. when it was written
+   * by a newer version of the game.
+   * @param {{revision: number, data: string}} remote
+   * @returns {boolean} Whether the save was used
    */
-  function calculateTrainingDuration() {
-    const total = getTotalBarracksLevel();
-    const multiplier = 1 + 0.5 * total;
-    return Math.max(1000, BASE_TRAIN_TIME / multiplier);
+  function useCloudSave(remote) {
+    const { state: incoming, errors } = engine.parseSave(remote.data, currentTime());
+    if (!incoming) {
+      setCloudStatus(`The cloud save could not be loaded (${errors[0]}).`);
+      return false;
+    }
+    setGame(incoming);
+    const summary = advanceState();
+    backupState();
+    cloud.revision = remote.revision;
+    cloud.pending = 0;
+    saveCloudSettings();
+    events.emit('stateLoaded', { game, source: 'cloud', summary });
+    renderAll();
+    return true;
   }
 
   /**
-   * Start training a single troop. Requires sufficient resources and an
-   * available training queue.
+   * Sync with the cloud save server, if one is set up. Failures only show
+   * in the cloud save status; the next sync retries.
+   * @returns {Promise<void>}
    */
-  function trainTroop() {
-    if (state.trainingQueue) return;
-    if (!hasResources(TRAIN_COST)) return;
-    deductResources(TRAIN_COST);
-    const duration = calculateTrainingDuration();
-    state.trainingQueue = {
-      startTime: Date.now(),
-      endTime: Date.now() + duration,
-    };
-    saveState();
-    renderResources();
-    renderTroops();
-    renderTraining();
+  function syncNow() {
+    if (!cloud || syncing || cloudConflict) return Promise.resolve();
+    const settings = cloud;
+    // Actions taken while the request is under way still count afterwards
+    const pending = settings.pending;
+    const client = sync.createSyncClient({
+      url: settings.url,
+      syncId: settings.syncId,
+      deviceId: getDeviceId(),
+      fetch: (...args) => fetch(...args),
+    });
+    syncing = true;
+    setCloudStatus('Syncing…');
+    return sync
+      .syncOnce(client, settings, engine.serializeState(game))
+      .then(
+        (result) => {
+          // Cloud save was turned off or set up again meanwhile
+          if (cloud !== settings) return;
+          const syncedAt = `Synced at ${new Date().toLocaleTimeString()}.`;
+          if (result.action === 'pushed') {
+            settings.revision = result.revision;
+            settings.pending -= pending;
+            saveCloudSettings();
+            setCloudStatus(syncedAt);
+          } else if (result.action === 'none') {
+            setCloudStatus(syncedAt);
+          } else if (result.action === 'pull' && settings.pending === pending) {
+            if (useCloudSave(result.remote)) setCloudStatus(`${syncedAt} Progress from another device was loaded.`);
+          } else if (result.action === 'conflict') {
+            cloudConflict = result.remote;
+            setCloudStatus('This device and the cloud save have both changed.');
+            renderCloudConflict();
+          }
+        },
+        (err) => {
+          setCloudStatus(`Cloud save unreachable (${err.message}). Playing on; will retry.`);
+        }
+      )
+      .then(() => {
+        syncing = false;
+      });
   }
 
   /**
-   * Check if the troop training queue has finished. If complete, add the
-   * troop to the player's total and clear the queue.
+   * Settle a conflict by keeping the game on this device or the cloud save.
+   * @param {boolean} keepLocal
    */
-  function checkTrainingQueue() {
-    if (!state.trainingQueue) return;
-    const now = Date.now();
-    if (now >= state.trainingQueue.endTime) {
-      state.troops += 1;
-      state.trainingQueue = null;
-      saveState();
-      renderResources();
-      renderTroops();
-      renderTraining();
+  function resolveConflict(keepLocal) {
+    const remote = cloudConflict;
+    cloudConflict = null;
+    renderCloudConflict();
+    if (!keepLocal) {
+      if (useCloudSave(remote)) setCloudStatus('The cloud save was loaded.');
+      return;
     }
+    // Build on the cloud save's revision, so the next push overwrites it
+    cloud.revision = remote.revision;
+    saveCloudSettings();
+    syncNow();
   }
 
   /**
-   * Send a raid using a specified number of troops. The raid consumes
-   * troops, lasts a fixed duration and rewards random resources upon
-   * completion. If a raid is already in progress or insufficient troops
-   * are available, nothing happens.
+   * Turn on authoritative mode when the page was opened with ?server=URL.
    */
-  function raid() {
-    if (state.raidQueue) return;
-    if (state.troops < RAID_COST_TROOPS) return;
-    state.troops -= RAID_COST_TROOPS;
-    // Generate random reward within the defined ranges
-    const reward = {};
-    Object.keys(RAID_REWARD_RANGES).forEach((res) => {
-      const [min, max] = RAID_REWARD_RANGES[res];
-      reward[res] = Math.floor(min + Math.random() * (max - min + 1));
-    });
-    state.raidQueue = {
-      startTime: Date.now(),
-      endTime: Date.now() + RAID_TIME,
-      reward,
-    };
-    saveState();
-    renderResources();
-    renderTroops();
-    renderRaid();
+  function readAuthority() {
+    const url = new URLSearchParams(location.search).get('server');
+    if (!url) return;
+    let playerId = localStorage.getItem(PLAYER_KEY);
+    if (!sync.isValidId(playerId)) {
+      playerId = sync.createId(Math.random);
+      localStorage.setItem(PLAYER_KEY, playerId);
+    }
+    authority = { url: url.replace(/\/+$/, ''), playerId, offset: 0, outbox: [], sending: false, offline: false };
   }
 
   /**
-   * Check if the raid has completed. On completion, distribute the
-   * accumulated reward to the player's resources and clear the queue.
+   * Send a request about this player's game to the game server.
+   * @param {string} path - '' for the game, '/commands' for commands
+   * @param {Object} [options] - fetch options
+   * @returns {Promise<Object>} The server's answer, also when it refused a
+   *   command
    */
-  function checkRaidQueue() {
-    if (!state.raidQueue) return;
-    const now = Date.now();
-    if (now >= state.raidQueue.endTime) {
-      Object.keys(state.raidQueue.reward).forEach((res) => {
-        state.resources[res] += state.raidQueue.reward[res];
-      });
-      state.raidQueue = null;
-      saveState();
-      renderResources();
-      renderTroops();
-      renderRaid();
+  function requestServer(path, options) {
+    const url = `${authority.url}/games/${encodeURIComponent(authority.playerId)}${path}`;
+    return fetch(url, options).then((response) => {
+      if (!response.ok && response.status !== 409) throw new Error(`server answered ${response.status}`);
+      return response.json();
+    });
+  }
+
+  /**
+   * Take the game from a game server answer, and its clock. Commands not
+   * confirmed yet are replayed on it, and the village on screen stays on
+   * screen.
+   * @param {{state: string, serverTime: number}} answer
+   * @returns {boolean} Whether the answer held a usable game
+   */
+  function acceptServerState(answer) {
+    const { state: incoming, errors } = engine.parseSave(answer.state, answer.serverTime);
+    if (!incoming) {
+      console.error(`The game server sent an unusable game: ${errors[0]}`);
+      return false;
     }
+    authority.offset = answer.serverTime - Date.now();
+    authority.outbox.forEach((command) => engine.applyCommand(incoming, command, currentTime(), Math.random));
+    incoming.activeVillage = game && game.activeVillage < incoming.villages.length ? game.activeVillage : 0;
+    game = incoming;
+    state = game.villages[game.activeVillage];
+    return true;
   }
 
   /**
-   * Render the troops information card and training button.
+   * Tell the player once when the game server cannot be reached.
+   * @param {Error} err
    */
-  function renderTroops() {
-    const infoContainer = document.getElementById('troops-info');
-    if (!infoContainer) return;
-    infoContainer.innerHTML = '';
-    const card = document.createElement('div');
-    card.className = 'troop-card';
-    const info = document.createElement('div');
-    info.className = 'troop-info';
-    const title = document.createElement('strong');
-    title.textContent = `Troops: ${state.troops}`;
-    info.appendChild(title);
-    // Cost and time for training
-    const trainDurationSec = Math.round(calculateTrainingDuration() / 1000);
-    const costStr = Object.entries(TRAIN_COST)
-      .map(([k, v]) => `${v} ${k}`)
-      .join(', ');
-    const costSpan = document.createElement('span');
-    costSpan.textContent = `Train cost: ${costStr} (Time: ${trainDurationSec}s)`;
-    costSpan.style.fontSize = '0.8rem';
-    info.appendChild(costSpan);
-    card.appendChild(info);
-    const actions = document.createElement('div');
-    actions.className = 'troop-actions';
-    const btn = document.createElement('button');
-    btn.textContent = 'Train Troop';
-    btn.disabled = !!state.trainingQueue || !hasResources(TRAIN_COST);
-    btn.onclick = () => trainTroop();
-    actions.appendChild(btn);
-    card.appendChild(actions);
-    infoContainer.appendChild(card);
+  function reportServerOffline(err) {
+    if (authority.offline) return;
+    authority.offline = true;
+    renderNotice(
+      `The game server cannot be reached (${err.message}). Your actions are kept and sent once it is back.`
+    );
   }
 
   /**
-   * Render the training queue progress bar.
+   * Send the commands waiting in authoritative mode to the game server, one
+   * at a time and in order. Each answer replaces the game; a refused
+   * command is reported and dropped.
    */
-  function renderTraining() {
-    const container = document.getElementById('training-container');
-    if (!container) return;
-    container.innerHTML = '';
-    if (!state.trainingQueue) return;
-    const card = document.createElement('div');
-    card.className = 'troop-card';
-    const info = document.createElement('div');
-    info.className = 'troop-info';
-    const title = document.createElement('strong');
-    title.textContent = `Training Troop`;
-    info.appendChild(title);
-    // progress bar
-    const progress = document.createElement('div');
-    progress.className = 'progress-bar';
-    const bar = document.createElement('div');
-    progress.appendChild(bar);
-    const { startTime, endTime } = state.trainingQueue;
-    const updateProgress = () => {
-      const now = Date.now();
-      const total = endTime - startTime;
-      const elapsed = Math.min(now - startTime, total);
-      const ratio = Math.max(0, Math.min(1, elapsed / total));
-      bar.style.width = `${ratio * 100}%`;
-      if (ratio >= 1) {
-        clearInterval(interval);
+  function sendCommands() {
+    if (authority.sending || authority.outbox.length === 0) return;
+    authority.sending = true;
+    const command = authority.outbox[0];
+    requestServer('/commands', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ command }),
+    }).then(
+      (answer) => {
+        authority.outbox.shift();
+        authority.sending = false;
+        authority.offline = false;
+        if (answer.error) renderNotice(`The game server refused an action (${command.type}) and was left as it was.`);
+        if (acceptServerState(answer)) renderAll();
+        sendCommands();
+      },
+      (err) => {
+        authority.sending = false;
+        reportServerOffline(err);
+        setTimeout(sendCommands, SERVER_RETRY_TIME);
       }
-    };
-    updateProgress();
-    const interval = setInterval(updateProgress, 1000);
-    info.appendChild(progress);
-    card.appendChild(info);
-    container.appendChild(card);
+    );
   }
 
   /**
-   * Render the raid queue progress bar and start raid button.
+   * Fetch the game from the game server, unless commands are on their way,
+   * whose answers bring it anyway.
+   * @returns {Promise<boolean>} Whether a game was received
    */
-  function renderRaid() {
-    const container = document.getElementById('raid-container');
-    if (!container) return;
-    container.innerHTML = '';
-    // Raid in progress
-    if (state.raidQueue) {
-      const { startTime, endTime, reward } = state.raidQueue;
-      const card = document.createElement('div');
-      card.className = 'raid-card';
-      const info = document.createElement('div');
-      info.className = 'troop-info';
-      const title = document.createElement('strong');
-      title.textContent = `Raid in progress`;
-      info.appendChild(title);
-      // progress bar
-      const progress = document.createElement('div');
-      progress.className = 'progress-bar';
-      const bar = document.createElement('div');
-      progress.appendChild(bar);
-      const updateProgress = () => {
-        const now = Date.now();
-        const total = endTime - startTime;
-        const elapsed = Math.min(now - startTime, total);
-        const ratio = Math.max(0, Math.min(1, elapsed / total));
-        bar.style.width = `${ratio * 100}%`;
-        if (ratio >= 1) {
-          clearInterval(interval);
-        }
-      };
-      updateProgress();
-      const interval = setInterval(updateProgress, 1000);
-      info.appendChild(progress);
-      // show upcoming reward summary
-      const rewardStr = Object.entries(reward)
-        .map(([k, v]) => `${v} ${k}`)
-        .join(', ');
-      const rewardSpan = document.createElement('span');
-      rewardSpan.textContent = `Reward: ${rewardStr}`;
-      rewardSpan.style.fontSize = '0.8rem';
-      info.appendChild(rewardSpan);
-      card.appendChild(info);
-      container.appendChild(card);
-      return;
-    }
-    // No raid; show action card
-    const card = document.createElement('div');
-    card.className = 'raid-card';
-    const info = document.createElement('div');
-    info.className = 'troop-info';
-    const title = document.createElement('strong');
-    title.textContent = 'Send Raid';
-    info.appendChild(title);
-    // show cost/time/required troops
-    const costSpan = document.createElement('span');
-    const rewardMin = Object.fromEntries(
-      Object.keys(RAID_REWARD_RANGES).map((k) => [k, RAID_REWARD_RANGES[k][0]])
-    );
-    const rewardMax = Object.fromEntries(
-      Object.keys(RAID_REWARD_RANGES).map((k) => [k, RAID_REWARD_RANGES[k][1]])
+  function fetchServerState() {
+    if (authority.sending || authority.outbox.length > 0) return Promise.resolve(false);
+    return requestServer('').then(
+      (answer) => {
+        authority.offline = false;
+        if (!acceptServerState(answer)) return false;
+        renderAll();
+        return true;
+      },
+      (err) => {
+        reportServerOffline(err);
+        return false;
+      }
     );
-    const rewardStr = Object.keys(rewardMin)
-      .map((k) => `${rewardMin[k]}-${rewardMax[k]} ${k}`)
-      .join(', ');
-    costSpan.textContent = `Cost: ${RAID_COST_TROOPS} troops (Time: ${RAID_TIME / 1000}s, Reward: ${rewardStr})`;
-    costSpan.style.fontSize = '0.8rem';
-    info.appendChild(costSpan);
-    card.appendChild(info);
-    const actions = document.createElement('div');
-    actions.className = 'raid-actions';
-    const btn = document.createElement('button');
-    btn.textContent = 'Raid';
-    btn.disabled = state.troops < RAID_COST_TROOPS || !!state.raidQueue;
-    btn.onclick = () => raid();
-    actions.appendChild(btn);
-    card.appendChild(actions);
-    container.appendChild(card);
   }
 
   /**
-   * Main update loop: update resources, check queue, then update UI.
+   * Load the game from the game server at startup.
+   * @returns {Promise<string|null>} 'server', or null when the game cannot
+   *   start
    */
-  function tick() {
-    updateResources();
-    checkQueue();
-    checkTrainingQueue();
-    checkRaidQueue();
-    renderResources();
+  function loadServerState() {
+    return requestServer('')
+      .then((answer) => {
+        if (!acceptServerState(answer)) throw new Error('it sent an unusable game');
+        raidSelection.units = engine.createArmy();
+        centerMap();
+        return 'server';
+      })
+      .catch((err) => {
+        renderNotice(
+          `The game cannot start without the game server at ${authority.url} (${err.message}). Reload the page to try again.`
+        );
+        return null;
+      });
+  }
+
+  /**
+   * Carry out a player action in the village on screen, see
+   * engine.applyCommand, and save the game. In authoritative mode the
+   * action is sent to the game server too.
+   * @param {Object} command - Command without its village
+   * @returns {boolean} False if the rules refuse the action
+   */
+  function perform(command) {
+    const full = { ...command, village: game.activeVillage };
+    if (!engine.applyCommand(game, full, currentTime(), Math.random)) return false;
+    saveState();
+    if (authority) {
+      authority.outbox.push(full);
+      sendCommands();
+    }
+    return true;
+  }
+
+  /**
+   * Attempt to queue the construction of a new building. If resources are
+   * insufficient or the queue is full, the function does nothing.
+   * @param {string} type
+   */
+  function buildNew(type) {
+    if (!perform({ type: 'buildNew', building: type })) return;
+    renderQueue();
     renderBuildings();
     renderConstructionOptions();
+    renderResources();
+  }
+
+  /**
+   * Attempt to queue an upgrade of an existing building at a given index.
+   * @param {number} index
+   */
+  function upgradeBuilding(index) {
+    if (!perform({ type: 'upgradeBuilding', index })) return;
     renderQueue();
-    renderTroops();
-    renderTraining();
-    renderRaid();
+    renderBuildings();
+    renderConstructionOptions();
+    renderResources();
   }
 
-  // Initialize the game when DOM is ready
-  document.addEventListener('DOMContentLoaded', () => {
-    loadState();
-    // Calculate offline progress
-    updateResources();
+  /**
+   * Change the number of workers in a building.
+   * @param {number} index
+   * @param {number} workers
+   */
+  function assignWorkers(index, workers) {
+    if (!perform({ type: 'assignWorkers', index, workers })) return;
     renderResources();
     renderBuildings();
+    renderTroops();
+  }
+
+  /**
+   * Cancel the job at a given queue position, refunding part of its cost.
+   * @param {number} position
+   */
+  function cancelJob(position) {
+    if (!perform({ type: 'cancelJob', position })) return;
+    renderQueue();
+    renderBuildings();
     renderConstructionOptions();
+    renderResources();
+  }
+
+  /**
+   * Move a waiting job one position up or down the queue.
+   * @param {number} position
+   * @param {number} offset - -1 to move up, 1 to move down
+   */
+  function moveJob(position, offset) {
+    if (!perform({ type: 'moveJob', position, offset })) return;
     renderQueue();
+  }
+
+  /**
+   * Start researching a technology if the academy, prerequisites, research
+   * queue and resources allow.
+   * @param {string} key
+   */
+  function research(key) {
+    if (!perform({ type: 'research', tech: key })) return;
+    renderResources();
+    renderResearch();
+  }
+
+  /**
+   * Cancel the research at a given queue position, refunding part of its
+   * cost.
+   * @param {number} position
+   */
+  function cancelResearch(position) {
+    if (!perform({ type: 'cancelResearch', position })) return;
+    renderResources();
+    renderResearch();
+  }
+
+  /**
+   * Reset the tribe for renown. The new village is announced to plugins
+   * like a loaded save.
+   */
+  function prestigeReset() {
+    confirmingPrestige = false;
+    if (!perform({ type: 'prestigeReset' })) return;
+    setGame(game);
+    transportSelection.to = null;
+    transportSelection.resources = {};
+    events.emit('stateLoaded', { game, source: 'prestige', summary: engine.createSummary(0) });
+    renderAll();
+  }
+
+  /**
+   * Buy the next level of a prestige upgrade with renown.
+   * @param {string} key
+   */
+  function buyUpgrade(key) {
+    if (!perform({ type: 'buyUpgrade', upgrade: key })) return;
+    renderResources();
+    renderPrestige();
+  }
+
+  /**
+   * Turn a channel of a type of notification on or off.
+   * @param {string} type - Key of NOTIFICATION_TYPES
+   * @param {string} channel - 'toast' or 'browser'
+   * @param {boolean} on
+   */
+  function setNotification(type, channel, on) {
+    if (!perform({ type: 'setNotification', notification: type, channel, on })) return;
+    renderNotifications();
+  }
+
+  /**
+   * Turn browser notifications on, once the browser has given permission,
+   * or off again.
+   * @param {boolean} on
+   */
+  function setBrowserNotifications(on) {
+    const apply = () => {
+      perform({ type: 'setBrowserNotifications', on });
+      renderNotifications();
+    };
+    if (!on || Notification.permission === 'granted') {
+      apply();
+      return;
+    }
+    Notification.requestPermission().then((permission) => {
+      if (permission === 'granted') apply();
+      else renderNotifications();
+    });
+  }
+
+  /**
+   * Wait for the next upgrade of a building to become affordable, or stop
+   * waiting for it.
+   * @param {number} index
+   */
+  function watchUpgrade(index) {
+    if (!perform({ type: 'watchUpgrade', index })) return;
+    alertState = engine.getAlertState(game, currentTime());
+    renderBuildings();
+  }
+
+  /**
+   * Claim the reward of a finished quest.
+   * @param {string} key
+   */
+  function claimQuest(key) {
+    if (!perform({ type: 'claimQuest', quest: key })) return;
+    renderResources();
+    renderQuests();
+    renderConstructionOptions();
+    renderTroops();
+  }
+
+  /**
+   * Start training a single unit if resources and the training queue allow.
+   * @param {string} unit
+   */
+  function trainTroop(unit) {
+    if (!perform({ type: 'trainTroop', unit })) return;
+    renderResources();
+    renderTroops();
+    renderTraining();
+  }
+
+  /**
+   * Send the units selected in the raid panel against the site selected on
+   * the map.
+   */
+  function raid() {
+    const { site, units } = raidSelection;
+    if (!perform({ type: 'raidSite', site, units })) return;
+    raidSelection.units = engine.createArmy();
+    renderResources();
+    renderTroops();
+    renderRaid();
+    renderMap();
+  }
+
+  /**
+   * Send a nobleman with the units selected in the raid panel to conquer
+   * the camp selected on the map.
+   */
+  function conquer() {
+    const { site, units } = raidSelection;
+    if (!perform({ type: 'conquer', site, units })) return;
+    raidSelection.units = engine.createArmy();
+    renderResources();
+    renderTroops();
+    renderRaid();
+    renderVillages();
+    renderMap();
+  }
+
+  /**
+   * Send a nobleman out to found a new village on the ruins selected on the
+   * map.
+   */
+  function foundVillage() {
+    if (!perform({ type: 'foundVillage', site: raidSelection.site })) return;
+    renderResources();
+    renderTroops();
+    renderVillages();
+    renderMap();
+  }
+
+  /**
+   * Send the resources picked in the transport panel to the picked village.
+   */
+  function sendTransport() {
+    const { to, resources } = transportSelection;
+    if (!perform({ type: 'sendTransport', to, resources })) return;
+    transportSelection.resources = {};
+    renderResources();
+    renderVillages();
+  }
+
+  /**
+   * Check if the player has enough resources to afford a cost object.
+   * @param {Object} cost
+   */
+  function hasResources(cost) {
+    return engine.hasResources(state, cost);
+  }
+
+  /**
+   * Check if a cost is more than storage can ever hold, so it cannot be
+   * afforded until storage buildings are upgraded.
+   * @param {Object} cost
+   */
+  function exceedsStorage(cost) {
+    const capacity = engine.getStorageCapacity(state);
+    return Object.keys(cost).some((res) => cost[res] > capacity[res]);
+  }
+
+  /**
+   * Format a duration in milliseconds as a short human readable string,
+   * e.g. "2h 5m" or "40s".
+   * @param {number} ms
+   */
+  function formatDuration(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${seconds}s`;
+    return `${seconds}s`;
+  }
+
+  /**
+   * Format a number to display with up to one decimal place.
+   * @param {number} num
+   */
+  function formatNumber(num) {
+    return num < 100 ? num.toFixed(1) : Math.floor(num);
+  }
+
+  /**
+   * Render the resource bar at the top of the UI.
+   */
+  function renderResources() {
+    renderInto('resource-bar', (bar) => {
+      const capacity = engine.getStorageCapacity(state);
+      engine.RESOURCES.forEach((key) => {
+        const div = document.createElement('div');
+        div.className = 'resource-item';
+        const info = document.createElement('div');
+        info.className = 'resource-info';
+        const span = document.createElement('span');
+        span.textContent = `${formatNumber(state.resources[key])} / ${formatNumber(capacity[key])}`;
+        // Fill level of the storage for this resource
+        const fill = document.createElement('div');
+        fill.className = 'progress-bar storage-bar';
+        const inner = document.createElement('div');
+        inner.style.width = `${Math.min(100, (state.resources[key] / capacity[key]) * 100)}%`;
+        fill.appendChild(inner);
+        const eta = document.createElement('small');
+        const untilFull = engine.getTimeUntilFull(state, key);
+        const untilEmpty = engine.getTimeUntilEmpty(state, key);
+        if (key === 'food' && engine.isStarving(state)) {
+          eta.textContent = 'Starving: output halved';
+          div.classList.add('alert');
+        } else if (untilFull === 0) {
+          eta.textContent = 'Full';
+          div.classList.add('alert');
+        } else if (untilFull !== Infinity) {
+          eta.textContent = `Full in ${formatDuration(untilFull)}`;
+        } else if (untilEmpty !== Infinity) {
+          eta.textContent = `Empty in ${formatDuration(untilEmpty)}`;
+        }
+        info.appendChild(span);
+        info.appendChild(fill);
+        info.appendChild(eta);
+        if (RESOURCE_ICONS[key]) {
+          const image = document.createElement('img');
+          image.src = RESOURCE_ICONS[key];
+          image.alt = key;
+          div.appendChild(image);
+        } else {
+          const name = document.createElement('strong');
+          name.textContent = key;
+          info.prepend(name);
+        }
+        div.appendChild(info);
+        bar.appendChild(div);
+      });
+      // Villagers: workers and troops out of the housing cap
+      const population = engine.getPopulation(state);
+      const people = document.createElement('div');
+      people.className = 'resource-item';
+      const info = document.createElement('div');
+      info.className = 'resource-info';
+      const span = document.createElement('span');
+      span.textContent = `Population ${population.workers + population.troops} / ${population.capacity}`;
+      const detail = document.createElement('small');
+      detail.textContent =
+        `${population.workers} working, ${population.troops} troops, ${population.free} idle`;
+      info.appendChild(span);
+      info.appendChild(detail);
+      people.appendChild(info);
+      bar.appendChild(people);
+    });
+  }
+
+  /**
+   * Check whether the tutorial currently points at a given button.
+   * @param {string} section - 'construction' or 'troops'
+   * @param {string} key - Building or unit type
+   */
+  function isHighlighted(section, key) {
+    const highlight = engine.getTutorialHighlight(game);
+    return !!highlight && highlight.section === section && highlight.key === key;
+  }
+
+  /**
+   * Render the quests on offer with their progress and rewards, followed by
+   * the list of achievements.
+   */
+  function renderQuests() {
+    renderInto('quest-container', (container) => {
+      engine.getAvailableQuests(game).forEach((quest) => {
+        const { current, target } = engine.getObjectiveProgress(game, quest.objective);
+        const done = current >= target;
+        const card = document.createElement('div');
+        card.className = 'construction-card';
+        card.dataset.key = quest.key;
+        if (quest.highlight) card.classList.add('tutorial-card');
+        const info = document.createElement('div');
+        info.className = 'building-info';
+        const title = document.createElement('strong');
+        title.textContent = quest.highlight ? `Tutorial: ${quest.name}` : quest.name;
+        const desc = document.createElement('span');
+        desc.textContent = quest.description;
+        const rewardStr = Object.entries(quest.reward)
+          .filter(([, v]) => v > 0)
+          .map(([k, v]) => `${v} ${k}`)
+          .join(', ');
+        const details = document.createElement('span');
+        details.textContent = `Progress: ${Math.min(current, target)}/${target} (Reward: ${rewardStr})`;
+        details.style.fontSize = '0.8rem';
+        info.appendChild(title);
+        info.appendChild(desc);
+        info.appendChild(details);
+        card.appendChild(info);
+        const btn = document.createElement('button');
+        btn.textContent = 'Claim';
+        btn.disabled = !done;
+        btn.onclick = () => claimQuest(quest.key);
+        card.appendChild(btn);
+        container.appendChild(card);
+      });
+    });
+
+    renderInto('achievement-list', (list) => {
+      ACHIEVEMENTS.forEach((achievement) => {
+        const unlocked = game.achievements[achievement.key];
+        const item = document.createElement('li');
+        item.className = unlocked === undefined ? 'locked' : 'unlocked';
+        const name = document.createElement('strong');
+        name.textContent = achievement.name;
+        const desc = document.createElement('span');
+        desc.textContent =
+          unlocked === undefined
+            ? ` - ${achievement.description}`
+            : ` - ${achievement.description} (${new Date(unlocked).toLocaleString()})`;
+        item.appendChild(name);
+        item.appendChild(desc);
+        list.appendChild(item);
+      });
+    });
+  }
+
+  /**
+   * Render the list of existing buildings with their production and upgrade
+   * buttons.
+   */
+  function renderBuildings() {
+    renderInto('buildings-list', (list) => {
+      if (state.buildings.length === 0) {
+        const p = document.createElement('p');
+        p.textContent =
+          'No buildings yet. Follow the quests above or construct one below to start producing resources!';
+        list.appendChild(p);
+        return;
+      }
+      const watched = engine.getWatchedUpgrade(game);
+      state.buildings.forEach((building, index) => {
+        const card = document.createElement('div');
+        card.className = 'building-card';
+        const info = document.createElement('div');
+        info.className = 'building-info';
+        const title = document.createElement('strong');
+        title.textContent = `${BUILDING_TYPES[building.type].name} (Lv ${building.level})`;
+        // Description: show production or training effect
+        const desc = document.createElement('span');
+        const def = BUILDING_TYPES[building.type];
+        if (def.resource && def.baseRate > 0) {
+          desc.textContent = `Produces ${def.resource}: ${engine.getProduction(building, state).toFixed(1)}/s`;
+        } else {
+          desc.textContent = def.description;
+        }
+        info.appendChild(title);
+        info.appendChild(desc);
+        const slots = engine.getWorkerSlots(building);
+        if (slots > 0) {
+          const free = engine.getPopulation(state).free;
+          const row = document.createElement('div');
+          row.className = 'unit-picker';
+          const label = document.createElement('span');
+          label.textContent = `Workers: ${building.workers}/${slots}`;
+          const less = document.createElement('button');
+          less.textContent = '-';
+          less.disabled = building.workers === 0;
+          less.onclick = () => assignWorkers(index, building.workers - 1);
+          const more = document.createElement('button');
+          more.textContent = '+';
+          more.disabled = building.workers >= slots || free < 1;
+          more.onclick = () => assignWorkers(index, building.workers + 1);
+          const fill = document.createElement('button');
+          fill.textContent = 'Fill';
+          fill.disabled = building.workers >= slots || free < 1;
+          fill.onclick = () => assignWorkers(index, Math.min(slots, building.workers + free));
+          [label, less, more, fill].forEach((el) => row.appendChild(el));
+          info.appendChild(row);
+        }
+        // Cost for the level after any upgrades that are already queued
+        const queuedLevel = engine.getQueuedLevel(state, index);
+        if (queuedLevel > building.level) {
+          const queued = document.createElement('span');
+          queued.textContent = `Upgrading to Lv ${queuedLevel}`;
+          queued.style.fontSize = '0.8rem';
+          info.appendChild(queued);
+        }
+        const nextLevel = queuedLevel + 1;
+        const costObj = engine.calculateCost(building.type, nextLevel, state);
+        const costStr = Object.entries(costObj)
+          .map(([k, v]) => `${v} ${k}`)
+          .join(', ');
+        const timeStr = (engine.calculateTime(building.type, nextLevel, state) / 1000).toFixed(0);
+        const cost = document.createElement('span');
+        cost.textContent = `Upgrade cost: ${costStr} (Time: ${timeStr}s)`;
+        if (exceedsStorage(costObj)) cost.textContent += ' - needs more storage';
+        cost.style.fontSize = '0.8rem';
+        info.appendChild(cost);
+        card.appendChild(info);
+        const actions = document.createElement('div');
+        actions.className = 'building-actions';
+        const btn = document.createElement('button');
+        btn.textContent = 'Upgrade';
+        btn.disabled = state.queue.length >= engine.getQueueSlots(state) || !hasResources(costObj);
+        btn.onclick = () => upgradeBuilding(index);
+        actions.appendChild(btn);
+        // While the upgrade is out of reach, the player can wait for it
+        const watching = !!watched && watched.village === game.activeVillage && watched.index === index;
+        if (watching || !hasResources(costObj)) {
+          const watch = document.createElement('button');
+          watch.textContent = watching ? 'Stop waiting' : 'Notify me';
+          watch.title = watching ? '' : 'Get notified once this upgrade is affordable';
+          watch.onclick = () => watchUpgrade(index);
+          actions.appendChild(watch);
+        }
+        card.appendChild(actions);
+        list.appendChild(card);
+      });
+    });
+  }
+
+  /**
+   * Render the available construction options for new buildings.
+   */
+  function renderConstructionOptions() {
+    renderInto('construction-options', (container) => {
+      Object.keys(BUILDING_TYPES).forEach((type) => {
+        const def = BUILDING_TYPES[type];
+        const card = document.createElement('div');
+        card.className = 'construction-card';
+        const info = document.createElement('div');
+        info.className = 'building-info';
+        const title = document.createElement('strong');
+        title.textContent = def.name;
+        const desc = document.createElement('span');
+        if (def.resource && def.baseRate > 0) {
+          desc.textContent = `Produces ${def.resource}: ${def.baseRate.toFixed(1)}/s`;
+        } else {
+          desc.textContent = def.description;
+        }
+        info.appendChild(title);
+        info.appendChild(desc);
+        // cost and time for level 1
+        const costObj = engine.calculateCost(type, 1, state);
+        const costStr = Object.entries(costObj)
+          .map(([k, v]) => `${v} ${k}`)
+          .join(', ');
+        const timeStr = (engine.calculateTime(type, 1, state) / 1000).toFixed(0);
+        const cost = document.createElement('span');
+        cost.textContent = `Cost: ${costStr} (Time: ${timeStr}s)`;
+        cost.style.fontSize = '0.8rem';
+        info.appendChild(cost);
+        card.appendChild(info);
+        const btn = document.createElement('button');
+        btn.textContent = 'Build';
+        if (isHighlighted('construction', type)) {
+          card.classList.add('tutorial-highlight');
+          btn.classList.add('tutorial-highlight');
+        }
+        btn.disabled = state.queue.length >= engine.getQueueSlots(state) || !hasResources(costObj);
+        btn.onclick = () => buildNew(type);
+        card.appendChild(btn);
+        container.appendChild(card);
+      });
+    });
+  }
+
+  /**
+   * Render the construction queue: a progress bar for the running job and
+   * reorder/cancel controls for every job.
+   */
+  function renderQueue() {
+    renderInto('queue-container', (container) => {
+      if (state.queue.length === 0) return;
+      const slots = document.createElement('span');
+      slots.className = 'queue-slots';
+      slots.textContent = `Queue: ${state.queue.length}/${engine.getQueueSlots(state)}`;
+      container.appendChild(slots);
+      state.queue.forEach((job, position) => {
+        const { type, targetIndex, level, duration, startTime, endTime } = job;
+        const def = BUILDING_TYPES[type];
+        const card = document.createElement('div');
+        card.className = 'construction-card';
+        // Keyed so the cards behind a finished job are kept, see render.js
+        card.dataset.key = `${type}:${targetIndex}:${level}`;
+        const info = document.createElement('div');
+        info.className = 'building-info';
+        const title = document.createElement('strong');
+        if (position === 0) {
+          const action = targetIndex === null ? 'Constructing' : 'Upgrading';
+          title.textContent = `${action} ${def.name} to Lv ${level}`;
+        } else {
+          const action = targetIndex === null ? 'Construct' : 'Upgrade';
+          title.textContent = `Queued: ${action} ${def.name} to Lv ${level}`;
+        }
+        info.appendChild(title);
+        if (position === 0) {
+          info.appendChild(renderProgressBar(startTime, endTime));
+        } else {
+          const time = document.createElement('span');
+          time.textContent = `Time: ${(duration / 1000).toFixed(0)}s`;
+          time.style.fontSize = '0.8rem';
+          info.appendChild(time);
+        }
+        card.appendChild(info);
+        const actions = document.createElement('div');
+        actions.className = 'queue-actions';
+        const up = document.createElement('button');
+        up.textContent = '\u2191';
+        up.title = 'Move up';
+        up.disabled = position < 2;
+        up.onclick = () => moveJob(position, -1);
+        const down = document.createElement('button');
+        down.textContent = '\u2193';
+        down.title = 'Move down';
+        down.disabled = position === 0 || position === state.queue.length - 1;
+        down.onclick = () => moveJob(position, 1);
+        const cancel = document.createElement('button');
+        cancel.textContent = 'Cancel';
+        cancel.title = `Refunds ${CANCEL_REFUND_RATIO * 100}% of the cost`;
+        cancel.onclick = () => cancelJob(position);
+        actions.appendChild(up);
+        actions.appendChild(down);
+        actions.appendChild(cancel);
+        card.appendChild(actions);
+        container.appendChild(card);
+      });
+    });
+  }
+
+  /**
+   * Render the technology tree and the research queue. Each technology shows
+   * what it needs; researched ones are marked as done.
+   */
+  function renderResearch() {
+    renderInto('research-container', (container) => {
+      const academyLevel = engine.getBuildingLevel(state, 'academy');
+      if (academyLevel === 0) {
+        const p = document.createElement('p');
+        p.textContent = 'Build an Academy to start researching technologies.';
+        container.appendChild(p);
+        return;
+      }
+      Object.keys(TECHNOLOGIES).forEach((key) => {
+        const tech = TECHNOLOGIES[key];
+        const card = document.createElement('div');
+        card.className = 'construction-card';
+        const info = document.createElement('div');
+        info.className = 'building-info';
+        const title = document.createElement('strong');
+        title.textContent = tech.name;
+        const desc = document.createElement('span');
+        desc.textContent = tech.description;
+        info.appendChild(title);
+        info.appendChild(desc);
+        const needs = [`Academy Lv ${tech.academyLevel}`].concat(
+          tech.requires.map((req) => TECHNOLOGIES[req].name)
+        );
+        const costStr = Object.entries(tech.cost)
+          .map(([k, v]) => `${v} ${k}`)
+          .join(', ');
+        const details = document.createElement('span');
+        details.textContent =
+          `Requires: ${needs.join(', ')}. Cost: ${costStr} ` +
+          `(Time: ${formatDuration(tech.researchTime)})`;
+        details.style.fontSize = '0.8rem';
+        info.appendChild(details);
+        card.appendChild(info);
+        const btn = document.createElement('button');
+        if (state.technologies.includes(key)) {
+          btn.textContent = 'Researched';
+          btn.disabled = true;
+        } else if (state.researchQueue.some((job) => job.tech === key)) {
+          btn.textContent = 'Queued';
+          btn.disabled = true;
+        } else {
+          btn.textContent = 'Research';
+          btn.disabled =
+            state.researchQueue.length >= RESEARCH_QUEUE_SLOTS ||
+            !engine.canResearch(state, key) ||
+            !hasResources(tech.cost);
+          btn.onclick = () => research(key);
+        }
+        card.appendChild(btn);
+        container.appendChild(card);
+      });
+      if (state.researchQueue.length === 0) return;
+      const slots = document.createElement('span');
+      slots.className = 'queue-slots';
+      slots.textContent = `Research queue: ${state.researchQueue.length}/${RESEARCH_QUEUE_SLOTS}`;
+      container.appendChild(slots);
+      state.researchQueue.forEach(({ tech, duration, startTime, endTime }, position) => {
+        const card = document.createElement('div');
+        card.className = 'construction-card';
+        card.dataset.key = tech;
+        const info = document.createElement('div');
+        info.className = 'building-info';
+        const title = document.createElement('strong');
+        const { name } = TECHNOLOGIES[tech];
+        title.textContent = position === 0 ? `Researching ${name}` : `Queued: ${name}`;
+        info.appendChild(title);
+        if (position === 0) {
+          info.appendChild(renderProgressBar(startTime, endTime));
+        } else {
+          const time = document.createElement('span');
+          time.textContent = `Time: ${formatDuration(duration)}`;
+          time.style.fontSize = '0.8rem';
+          info.appendChild(time);
+        }
+        card.appendChild(info);
+        const actions = document.createElement('div');
+        actions.className = 'queue-actions';
+        const cancel = document.createElement('button');
+        cancel.textContent = 'Cancel';
+        cancel.title = `Refunds ${CANCEL_REFUND_RATIO * 100}% of the cost`;
+        cancel.onclick = () => cancelResearch(position);
+        actions.appendChild(cancel);
+        card.appendChild(actions);
+        container.appendChild(card);
+      });
+    });
+  }
+
+  /**
+   * Format unit counts as a readable list, e.g. "3 Spearman, 1 Cavalry".
+   * @param {Object} army
+   */
+  function formatArmy(army) {
+    const parts = Object.keys(army)
+      .filter((unit) => army[unit] > 0)
+      .map((unit) => `${army[unit]} ${UNIT_TYPES[unit].name}`);
+    return parts.length > 0 ? parts.join(', ') : 'none';
+  }
+
+  /**
+   * Render one card per unit type with its stats and a training button.
+   */
+  function renderTroops() {
+    renderInto('troops-info', (infoContainer) => {
+      Object.keys(UNIT_TYPES).forEach((unit) => {
+        const def = UNIT_TYPES[unit];
+        const card = document.createElement('div');
+        card.className = 'troop-card';
+        const info = document.createElement('div');
+        info.className = 'troop-info';
+        const title = document.createElement('strong');
+        title.textContent = `${def.name}: ${state.troops[unit]}`;
+        info.appendChild(title);
+        const stats = document.createElement('span');
+        const counters = UNIT_TYPES[def.strongAgainst].name.toLowerCase();
+        stats.textContent =
+          `Attack ${def.attack} / Defense ${def.defense} / Carry ${def.carry}, ` +
+          `strong against ${counters}`;
+        stats.style.fontSize = '0.8rem';
+        info.appendChild(stats);
+        // Cost and time for training
+        const trainDurationSec = Math.round(engine.calculateTrainingDuration(state, unit) / 1000);
+        const costStr = Object.entries(def.cost)
+          .map(([k, v]) => `${v} ${k}`)
+          .join(', ');
+        const costSpan = document.createElement('span');
+        costSpan.textContent = `Train cost: ${costStr} (Time: ${trainDurationSec}s)`;
+        costSpan.style.fontSize = '0.8rem';
+        info.appendChild(costSpan);
+        card.appendChild(info);
+        const actions = document.createElement('div');
+        actions.className = 'troop-actions';
+        const btn = document.createElement('button');
+        btn.textContent = 'Train';
+        if (isHighlighted('troops', unit)) {
+          card.classList.add('tutorial-highlight');
+          btn.classList.add('tutorial-highlight');
+        }
+        btn.disabled =
+          !!state.trainingQueue || !hasResources(def.cost) || engine.getPopulation(state).free < 1;
+        btn.onclick = () => trainTroop(unit);
+        actions.appendChild(btn);
+        card.appendChild(actions);
+        infoContainer.appendChild(card);
+      });
+      // The nobleman does not fight, so he gets a card of his own
+      const card = document.createElement('div');
+      card.className = 'troop-card';
+      const info = document.createElement('div');
+      info.className = 'troop-info';
+      const title = document.createElement('strong');
+      title.textContent = `${NOBLEMAN.name}: ${state.noblemen}`;
+      info.appendChild(title);
+      const hasAcademy = engine.getBuildingLevel(state, 'academy') > 0;
+      const about = document.createElement('span');
+      about.textContent = hasAcademy
+        ? 'Founds a new village, or conquers a camp together with an army'
+        : 'Founds or conquers villages. Requires an Academy';
+      about.style.fontSize = '0.8rem';
+      info.appendChild(about);
+      const trainDurationSec = Math.round(engine.calculateTrainingDuration(state, NOBLEMAN.key) / 1000);
+      const costStr = Object.entries(NOBLEMAN.cost)
+        .map(([k, v]) => `${v} ${k}`)
+        .join(', ');
+      const costSpan = document.createElement('span');
+      costSpan.textContent = `Train cost: ${costStr} (Time: ${trainDurationSec}s)`;
+      costSpan.style.fontSize = '0.8rem';
+      info.appendChild(costSpan);
+      card.appendChild(info);
+      const actions = document.createElement('div');
+      actions.className = 'troop-actions';
+      const btn = document.createElement('button');
+      btn.textContent = 'Train';
+      btn.disabled =
+        !hasAcademy ||
+        !!state.trainingQueue ||
+        !hasResources(NOBLEMAN.cost) ||
+        engine.getPopulation(state).free < 1;
+      btn.onclick = () => trainTroop(NOBLEMAN.key);
+      actions.appendChild(btn);
+      card.appendChild(actions);
+      infoContainer.appendChild(card);
+    });
+  }
+
+  /**
+   * Render the training queue progress bar.
+   */
+  function renderTraining() {
+    renderInto('training-container', (container) => {
+      if (!state.trainingQueue) return;
+      const card = document.createElement('div');
+      card.className = 'troop-card';
+      const info = document.createElement('div');
+      info.className = 'troop-info';
+      const title = document.createElement('strong');
+      const { unit } = state.trainingQueue;
+      title.textContent = `Training ${unit === NOBLEMAN.key ? NOBLEMAN.name : UNIT_TYPES[unit].name}`;
+      info.appendChild(title);
+      const { startTime, endTime } = state.trainingQueue;
+      info.appendChild(renderProgressBar(startTime, endTime));
+      card.appendChild(info);
+      container.appendChild(card);
+    });
+  }
+
+  /**
+   * Render the report of a returned raid: the outcome, losses on both sides
+   * and the loot brought home.
+   * @param {Object} report - Entry of state.battleReports
+   * @returns {HTMLElement}
+   */
+  function renderBattleReport(report) {
+    const card = document.createElement('div');
+    card.className = 'raid-card';
+    const info = document.createElement('div');
+    info.className = 'troop-info';
+    const title = document.createElement('strong');
+    const outcome = report.won ? 'Victory' : 'Defeat';
+    title.textContent = `${outcome} at ${engine.getRaidTarget(report.camp).name}`;
+    info.appendChild(title);
+    const lootStr = Object.entries(report.loot)
+      .map(([k, v]) => `${v} ${k}`)
+      .join(', ');
+    [
+      `Sent: ${formatArmy(report.sent)}`,
+      `Lost: ${formatArmy(report.losses)}`,
+      `Enemies slain: ${formatArmy(report.enemyLosses)}`,
+      `Loot: ${report.won ? lootStr : 'none'}`,
+    ].forEach((line) => {
+      const span = document.createElement('span');
+      span.textContent = line;
+      span.style.fontSize = '0.8rem';
+      info.appendChild(span);
+    });
+    card.appendChild(info);
+    return card;
+  }
+
+  /**
+   * Render the raid panel: the raids in progress, a choice of camp and
+   * units to send while a raid slot is free, and the latest battle report.
+   */
+  function renderRaid() {
+    renderInto('raid-container', (container) => {
+      // Raids in progress
+      state.raidQueue.forEach(({ camp, startTime, endTime, sent }) => {
+        const card = document.createElement('div');
+        card.className = 'raid-card';
+        card.dataset.key = `${camp}:${startTime}`;
+        const info = document.createElement('div');
+        info.className = 'troop-info';
+        const title = document.createElement('strong');
+        title.textContent = `Raiding ${engine.getRaidTarget(camp).name}`;
+        info.appendChild(title);
+        const sentSpan = document.createElement('span');
+        sentSpan.textContent = `Units: ${formatArmy(sent)}`;
+        sentSpan.style.fontSize = '0.8rem';
+        info.appendChild(sentSpan);
+        info.appendChild(renderProgressBar(startTime, endTime));
+        card.appendChild(info);
+        container.appendChild(card);
+      });
+      if (state.raidQueue.length < engine.getRaidSlots(state)) {
+        // The target is picked on the world map
+        const site = getSelectedSite();
+        const target = site && site.kind !== 'ruins' ? site : null;
+
+        // Unit selection with steppers, clamped to the units at home
+        const card = document.createElement('div');
+        card.className = 'raid-card';
+        const info = document.createElement('div');
+        info.className = 'troop-info';
+        const title = document.createElement('strong');
+        const slots = `${state.raidQueue.length}/${engine.getRaidSlots(state)} raids out`;
+        if (!target) {
+          title.textContent = `Send Raid (pick a camp or resource node on the map, ${slots})`;
+        } else {
+          const pace = engine.getArmyPace(raidSelection.units);
+          const time = 2 * engine.getTravelTime(engine.getDistance(state, target), pace);
+          const timeStr = pace > 0 ? `Time: ${formatDuration(time)}, ` : '';
+          title.textContent = `Send Raid to ${getSiteName(target)} (${timeStr}${slots})`;
+        }
+        info.appendChild(title);
+        Object.keys(UNIT_TYPES).forEach((unit) => {
+          const available = state.troops[unit];
+          raidSelection.units[unit] = Math.min(raidSelection.units[unit], available);
+          const row = document.createElement('div');
+          row.className = 'unit-picker';
+          const label = document.createElement('span');
+          label.textContent = `${UNIT_TYPES[unit].name}: ${raidSelection.units[unit]}/${available}`;
+          const less = document.createElement('button');
+          less.textContent = '-';
+          less.disabled = raidSelection.units[unit] === 0;
+          less.onclick = () => {
+            raidSelection.units[unit] -= 1;
+            renderRaid();
+          };
+          const more = document.createElement('button');
+          more.textContent = '+';
+          more.disabled = raidSelection.units[unit] >= available;
+          more.onclick = () => {
+            raidSelection.units[unit] += 1;
+            renderRaid();
+          };
+          const all = document.createElement('button');
+          all.textContent = 'All';
+          all.disabled = raidSelection.units[unit] >= available;
+          all.onclick = () => {
+            raidSelection.units[unit] = available;
+            renderRaid();
+          };
+          [label, less, more, all].forEach((el) => row.appendChild(el));
+          info.appendChild(row);
+        });
+        const capacity = document.createElement('span');
+        capacity.textContent = `Carry capacity: ${engine.getCarryCapacity(raidSelection.units)}`;
+        capacity.style.fontSize = '0.8rem';
+        info.appendChild(capacity);
+        card.appendChild(info);
+        const actions = document.createElement('div');
+        actions.className = 'raid-actions';
+        const btn = document.createElement('button');
+        btn.textContent = 'Raid';
+        btn.disabled = !target || engine.countUnits(raidSelection.units) === 0;
+        btn.onclick = () => raid();
+        actions.appendChild(btn);
+        // Conquering takes the same army along with a nobleman
+        const conquerBtn = document.createElement('button');
+        conquerBtn.textContent = 'Conquer';
+        conquerBtn.title = 'Sends a nobleman along to take the camp; the army marches at his pace';
+        conquerBtn.disabled =
+          !target ||
+          target.kind !== 'camp' ||
+          engine.countUnits(raidSelection.units) === 0 ||
+          state.noblemen < 1;
+        conquerBtn.onclick = () => conquer();
+        actions.appendChild(conquerBtn);
+        card.appendChild(actions);
+        container.appendChild(card);
+      }
+      if (state.battleReports.length > 0) {
+        container.appendChild(renderBattleReport(state.battleReports[0]));
+      }
+    });
+  }
+
+  /**
+   * The site selected on the map, or null if none is or it has since been
+   * taken.
+   * @returns {Object|null}
+   */
+  function getSelectedSite() {
+    return raidSelection.site === null ? null : engine.getOpenSite(game, raidSelection.site);
+  }
+
+  /**
+   * Name of a site of the world map.
+   * @param {Object} site
+   * @returns {string}
+   */
+  function getSiteName(site) {
+    return site.kind === 'ruins' ? 'Ruins' : engine.getRaidTarget(site.type).name;
+  }
+
+  /**
+   * Move the map view, keeping it on the map.
+   * @param {number} dx
+   * @param {number} dy
+   */
+  function panMap(dx, dy) {
+    const clamp = (value) => Math.max(0, Math.min(WORLD_SIZE - 1, value));
+    mapView.x = clamp(mapView.x + dx);
+    mapView.y = clamp(mapView.y + dy);
+    renderMap();
+  }
+
+  /**
+   * Render the world map around the view's middle tile: villages, camps,
+   * resource nodes, ruins and everything on the march, with pan controls
+   * and the details of the selected site.
+   */
+  function renderMap() {
+    renderInto('map-container', (container) => {
+      const now = currentTime();
+      const controls = document.createElement('div');
+      controls.className = 'map-controls';
+      [
+        ['\u2190', -1, 0],
+        ['\u2191', 0, -1],
+        ['\u2193', 0, 1],
+        ['\u2192', 1, 0],
+      ].forEach(([label, dx, dy]) => {
+        const btn = document.createElement('button');
+        btn.textContent = label;
+        btn.onclick = () => panMap(dx, dy);
+        controls.appendChild(btn);
+      });
+      const home = document.createElement('button');
+      home.textContent = 'Center';
+      home.onclick = () => {
+        centerMap();
+        renderMap();
+      };
+      controls.appendChild(home);
+      container.appendChild(controls);
+
+      const sites = new Map(engine.getWorld(game).map((site) => [`${site.x},${site.y}`, site]));
+      const villages = new Map(game.villages.map((village, index) => [`${village.x},${village.y}`, index]));
+      const marching = new Set(
+        engine.getMarches(game, now).map(({ x, y }) => `${Math.round(x)},${Math.round(y)}`)
+      );
+      const grid = document.createElement('div');
+      grid.className = 'map-grid';
+      grid.style.gridTemplateColumns = `repeat(${2 * MAP_VIEW_RADIUS + 1}, 1fr)`;
+      for (let y = mapView.y - MAP_VIEW_RADIUS; y <= mapView.y + MAP_VIEW_RADIUS; y += 1) {
+        for (let x = mapView.x - MAP_VIEW_RADIUS; x <= mapView.x + MAP_VIEW_RADIUS; x += 1) {
+          const tile = document.createElement('div');
+          tile.className = 'map-tile';
+          const key = `${x},${y}`;
+          if (x < 0 || y < 0 || x >= WORLD_SIZE || y >= WORLD_SIZE) {
+            tile.classList.add('outside');
+          } else if (villages.has(key)) {
+            const index = villages.get(key);
+            tile.classList.add('village');
+            if (index === game.activeVillage) tile.classList.add('selected');
+            tile.textContent = '\u2302';
+            tile.title = `${game.villages[index].name} (${x}|${y})`;
+            tile.onclick = () => selectVillage(index);
+          } else if (sites.has(key)) {
+            const site = sites.get(key);
+            tile.classList.add(site.kind);
+            if (raidSelection.site === site.id) tile.classList.add('selected');
+            tile.textContent = { camp: '\u2691', node: '\u2663', ruins: '\u2617' }[site.kind];
+            tile.title = `${getSiteName(site)} (${x}|${y})`;
+            tile.onclick = () => {
+              raidSelection.site = site.id;
+              renderMap();
+              renderRaid();
+              renderVillages();
+            };
+          }
+          if (marching.has(key)) {
+            tile.classList.add('march');
+            if (!tile.textContent) tile.textContent = '\u00bb';
+          }
+          grid.appendChild(tile);
+        }
+      }
+      container.appendChild(grid);
+
+      // Details of the selected site
+      const site = getSelectedSite();
+      if (!site) return;
+      const card = document.createElement('div');
+      card.className = 'raid-card';
+      const info = document.createElement('div');
+      info.className = 'troop-info';
+      const title = document.createElement('strong');
+      const distance = engine.getDistance(state, site);
+      title.textContent = `${getSiteName(site)} (${site.x}|${site.y}), ${distance.toFixed(1)} tiles away`;
+      info.appendChild(title);
+      const lines = [];
+      if (site.kind === 'ruins') {
+        lines.push('A nobleman can found a new village here');
+      } else {
+        const stores = engine.getSiteStores(game, site, now);
+        const storesStr = Object.entries(stores)
+          .map(([k, v]) => `${Math.floor(v)} ${k}`)
+          .join(', ');
+        const target = engine.getRaidTarget(site.type);
+        lines.push(
+          site.kind === 'camp' ? `Garrison: ${formatArmy(target.garrison)}` : 'Unguarded',
+          `Stores: ${storesStr}`
+        );
+      }
+      lines.forEach((line) => {
+        const span = document.createElement('span');
+        span.textContent = line;
+        span.style.fontSize = '0.8rem';
+        info.appendChild(span);
+      });
+      card.appendChild(info);
+      container.appendChild(card);
+    });
+  }
+
+  /**
+   * Render one button per village to switch the view between them. Nothing
+   * is shown while there is only one village.
+   */
+  function renderVillageSwitcher() {
+    renderInto('village-switcher', (nav) => {
+      if (game.villages.length < 2) return;
+      game.villages.forEach((village, index) => {
+        const btn = document.createElement('button');
+        btn.textContent = village.name;
+        btn.disabled = index === game.activeVillage;
+        btn.onclick = () => selectVillage(index);
+        nav.appendChild(btn);
+      });
+    });
+  }
+
+  /**
+   * Describe a movement on the road for the villages panel.
+   * @param {Object} movement - Entry of game.movements
+   * @returns {string}
+   */
+  function describeMovement(movement) {
+    const from = game.villages[movement.from].name;
+    if (movement.kind === 'found') return `${NOBLEMAN.name} from ${from} founding a village`;
+    if (movement.kind === 'conquest') {
+      return `${from} conquering ${ENEMY_CAMPS[movement.camp].name} with ${formatArmy(movement.sent)}`;
+    }
+    const to = game.villages[movement.to].name;
+    const merchants = `${movement.merchants} merchant${movement.merchants === 1 ? '' : 's'}`;
+    if (movement.delivered) return `${merchants} returning to ${from}`;
+    const cargoStr = Object.entries(movement.resources)
+      .filter(([, v]) => v > 0)
+      .map(([k, v]) => `${v} ${k}`)
+      .join(', ');
+    return `${merchants} carrying ${cargoStr} from ${from} to ${to}`;
+  }
+
+  /**
+   * Render the villages panel: founding a village, sending merchants to
+   * another village and everything currently on the road.
+   */
+  function renderVillages() {
+    renderInto('village-container', (container) => {
+
+      // Founding a new village
+      const found = document.createElement('div');
+      found.className = 'raid-card';
+      const foundInfo = document.createElement('div');
+      foundInfo.className = 'troop-info';
+      const foundTitle = document.createElement('strong');
+      const site = getSelectedSite();
+      const ruins = site && site.kind === 'ruins' ? site : null;
+      if (ruins) {
+        const time = engine.getTravelTime(engine.getDistance(state, ruins), NOBLEMAN.speed);
+        foundTitle.textContent = `Found a Village at (${ruins.x}|${ruins.y}) (Time: ${formatDuration(time)})`;
+      } else {
+        foundTitle.textContent = 'Found a Village (pick ruins on the map)';
+      }
+      foundInfo.appendChild(foundTitle);
+      const foundDesc = document.createElement('span');
+      foundDesc.textContent = `Noblemen at home: ${state.noblemen}`;
+      foundDesc.style.fontSize = '0.8rem';
+      foundInfo.appendChild(foundDesc);
+      found.appendChild(foundInfo);
+      const foundActions = document.createElement('div');
+      foundActions.className = 'raid-actions';
+      const foundBtn = document.createElement('button');
+      foundBtn.textContent = 'Found';
+      foundBtn.disabled = !ruins || state.noblemen < 1;
+      foundBtn.onclick = () => foundVillage();
+      foundActions.appendChild(foundBtn);
+      found.appendChild(foundActions);
+      container.appendChild(found);
+
+      // Transports to the other villages
+      const others = game.villages
+        .map((village, index) => ({ village, index }))
+        .filter(({ index }) => index !== game.activeVillage);
+      if (others.length > 0) {
+        if (!others.some(({ index }) => index === transportSelection.to)) {
+          transportSelection.to = others[0].index;
+        }
+        const merchants = engine.getFreeMerchants(game, game.activeVillage);
+        const distance = engine.getDistance(state, game.villages[transportSelection.to]);
+        const card = document.createElement('div');
+        card.className = 'raid-card';
+        const info = document.createElement('div');
+        info.className = 'troop-info';
+        const title = document.createElement('strong');
+        title.textContent =
+          `Send Merchants (Time: ${formatDuration(engine.getTravelTime(distance, MERCHANT_SPEED))}, ` +
+          `${merchants}/${engine.getMerchantCount(state)} at home)`;
+        info.appendChild(title);
+        const targets = document.createElement('div');
+        targets.className = 'unit-picker';
+        others.forEach(({ village, index }) => {
+          const btn = document.createElement('button');
+          btn.textContent = village.name;
+          btn.disabled = index === transportSelection.to;
+          btn.onclick = () => {
+            transportSelection.to = index;
+            renderVillages();
+          };
+          targets.appendChild(btn);
+        });
+        info.appendChild(targets);
+        // Resources go in merchant loads, clamped to the stock
+        engine.RESOURCES.forEach((res) => {
+          const available = Math.floor(state.resources[res]);
+          transportSelection.resources[res] = Math.min(transportSelection.resources[res] || 0, available);
+          const row = document.createElement('div');
+          row.className = 'unit-picker';
+          const label = document.createElement('span');
+          label.textContent = `${res}: ${transportSelection.resources[res]}/${available}`;
+          const less = document.createElement('button');
+          less.textContent = '-';
+          less.disabled = transportSelection.resources[res] === 0;
+          less.onclick = () => {
+            transportSelection.resources[res] = Math.max(
+              0,
+              transportSelection.resources[res] - MERCHANT_CAPACITY
+            );
+            renderVillages();
+          };
+          const more = document.createElement('button');
+          more.textContent = '+';
+          more.disabled = transportSelection.resources[res] >= available;
+          more.onclick = () => {
+            transportSelection.resources[res] = Math.min(
+              available,
+              transportSelection.resources[res] + MERCHANT_CAPACITY
+            );
+            renderVillages();
+          };
+          [label, less, more].forEach((el) => row.appendChild(el));
+          info.appendChild(row);
+        });
+        const total = Object.values(transportSelection.resources).reduce((sum, v) => sum + v, 0);
+        const needed = Math.ceil(total / MERCHANT_CAPACITY);
+        const load = document.createElement('span');
+        load.textContent = `Merchants needed: ${needed} (${MERCHANT_CAPACITY} each)`;
+        load.style.fontSize = '0.8rem';
+        info.appendChild(load);
+        card.appendChild(info);
+        const actions = document.createElement('div');
+        actions.className = 'raid-actions';
+        const btn = document.createElement('button');
+        btn.textContent = 'Send';
+        btn.disabled = total === 0 || needed > merchants;
+        btn.onclick = () => sendTransport();
+        actions.appendChild(btn);
+        card.appendChild(actions);
+        container.appendChild(card);
+      }
+
+      // Everything on the road
+      game.movements.forEach((movement) => {
+        const card = document.createElement('div');
+        card.className = 'raid-card';
+        card.dataset.key = `${movement.kind}:${movement.from}:${movement.endTime}`;
+        const info = document.createElement('div');
+        info.className = 'troop-info';
+        const title = document.createElement('strong');
+        title.textContent = describeMovement(movement);
+        info.appendChild(title);
+        const startTime = movement.delivered ? movement.endTime : movement.startTime;
+        const endTime = movement.delivered ? movement.returnTime : movement.endTime;
+        info.appendChild(renderProgressBar(startTime, endTime));
+        card.appendChild(info);
+        container.appendChild(card);
+      });
+    });
+  }
+
+  /**
+   * Render the report of an enemy attack on the village.
+   * @param {Object} report - Entry of state.defenseReports
+   * @returns {HTMLElement}
+   */
+  function renderDefenseReport(report) {
+    const card = document.createElement('div');
+    card.className = 'raid-card';
+    const info = document.createElement('div');
+    info.className = 'troop-info';
+    const title = document.createElement('strong');
+    const outcome = report.repelled ? 'repelled' : 'broke through';
+    title.textContent = `Enemy wave ${report.wave} ${outcome}`;
+    info.appendChild(title);
+    const lines = [
+      `Attackers: ${formatArmy(report.attackers)}`,
+      `Enemies slain: ${formatArmy(report.attackerLosses)}`,
+      `Lost: ${formatArmy(report.losses)}`,
+    ];
+    if (!report.repelled) {
+      const plunderStr = Object.entries(report.plundered)
+        .map(([k, v]) => `${v} ${k}`)
+        .join(', ');
+      lines.push(`Plundered: ${plunderStr}`);
+    }
+    if (report.damaged) {
+      const { type, level } = report.damaged;
+      lines.push(`Damaged: ${BUILDING_TYPES[type].name} (now Lv ${level})`);
+    }
+    lines.forEach((line) => {
+      const span = document.createElement('span');
+      span.textContent = line;
+      span.style.fontSize = '0.8rem';
+      info.appendChild(span);
+    });
+    card.appendChild(info);
+    return card;
+  }
+
+  /**
+   * Render the village defense panel: wall strength, the countdown to the
+   * next attack once it has been spotted, and the latest defense report.
+   */
+  function renderDefense() {
+    renderInto('defense-container', (container) => {
+      const now = currentTime();
+      const card = document.createElement('div');
+      card.className = 'raid-card';
+      const info = document.createElement('div');
+      info.className = 'troop-info';
+      const title = document.createElement('strong');
+      const { wave, arrival, army } = state.nextAttack;
+      if (engine.isAttackVisible(state, now)) {
+        card.classList.add('danger');
+        title.textContent = `Enemy wave ${wave} arrives in ${formatDuration(Math.max(0, arrival - now))}`;
+        info.appendChild(title);
+        const armySpan = document.createElement('span');
+        armySpan.textContent = `Attackers: ${formatArmy(army)}`;
+        armySpan.style.fontSize = '0.8rem';
+        info.appendChild(armySpan);
+      } else {
+        title.textContent = 'No enemies spotted';
+        info.appendChild(title);
+      }
+      const { multiplier, bonus } = engine.getFortification(state);
+      const defenseSpan = document.createElement('span');
+      defenseSpan.textContent =
+        `Walls: +${bonus} defense, x${multiplier.toFixed(1)} troop defense. ` +
+        `Attacks are spotted ${formatDuration(engine.getWarningTime(state))} ahead.`;
+      defenseSpan.style.fontSize = '0.8rem';
+      info.appendChild(defenseSpan);
+      card.appendChild(info);
+      container.appendChild(card);
+      if (state.defenseReports.length > 0) {
+        container.appendChild(renderDefenseReport(state.defenseReports[0]));
+      }
+    });
+  }
+
+  /**
+   * Render the prestige panel: renown, what a reset would earn (asking for
+   * confirmation before resetting) and the upgrades renown buys.
+   */
+  function renderPrestige() {
+    renderInto('prestige-container', (container) => {
+      const { renown, earned, resets } = game.prestige;
+      const gain = engine.getPrestigeGain(game);
+      const card = document.createElement('div');
+      card.className = 'construction-card';
+      const info = document.createElement('div');
+      info.className = 'building-info';
+      const title = document.createElement('strong');
+      title.textContent = `Renown: ${renown}`;
+      const desc = document.createElement('span');
+      desc.textContent =
+        `${earned} earned over ${resets} resets. Resetting now earns ${gain}; ` +
+        'every village is replaced by a new one, keeping only renown, upgrades, quests and achievements.';
+      desc.style.fontSize = '0.8rem';
+      info.appendChild(title);
+      info.appendChild(desc);
+      card.appendChild(info);
+      const actions = document.createElement('div');
+      actions.className = 'queue-actions';
+      if (confirmingPrestige) {
+        const confirm = document.createElement('button');
+        confirm.textContent = `Reset for ${gain} renown`;
+        confirm.disabled = gain < 1;
+        confirm.onclick = () => prestigeReset();
+        const cancel = document.createElement('button');
+        cancel.textContent = 'Cancel';
+        cancel.onclick = () => {
+          confirmingPrestige = false;
+          renderPrestige();
+        };
+        actions.appendChild(confirm);
+        actions.appendChild(cancel);
+      } else {
+        const reset = document.createElement('button');
+        reset.textContent = 'Reset';
+        reset.disabled = gain < 1;
+        reset.title = gain < 1 ? 'Grow the score further to earn renown' : '';
+        reset.onclick = () => {
+          confirmingPrestige = true;
+          renderPrestige();
+        };
+        actions.appendChild(reset);
+      }
+      card.appendChild(actions);
+      container.appendChild(card);
+      Object.keys(PRESTIGE_UPGRADES).forEach((key) => {
+        const upgrade = PRESTIGE_UPGRADES[key];
+        const level = game.prestige.upgrades[key] || 0;
+        const cost = engine.getUpgradeCost(game, key);
+        const upgradeCard = document.createElement('div');
+        upgradeCard.className = 'construction-card';
+        const upgradeInfo = document.createElement('div');
+        upgradeInfo.className = 'building-info';
+        const name = document.createElement('strong');
+        name.textContent = `${upgrade.name} (Lv ${level}/${upgrade.maxLevel})`;
+        const effect = document.createElement('span');
+        effect.textContent = upgrade.description;
+        upgradeInfo.appendChild(name);
+        upgradeInfo.appendChild(effect);
+        upgradeCard.appendChild(upgradeInfo);
+        const btn = document.createElement('button');
+        if (cost === null) {
+          btn.textContent = 'Max level';
+          btn.disabled = true;
+        } else {
+          btn.textContent = `Buy (${cost} renown)`;
+          btn.disabled = renown < cost;
+          btn.onclick = () => buyUpgrade(key);
+        }
+        upgradeCard.appendChild(btn);
+        container.appendChild(upgradeCard);
+      });
+    });
+  }
+
+  /**
+   * Build a table with a row per label and a column per heading.
+   * @param {string[]} headings - The first one heads the labels
+   * @param {Array<Array>} rows - Label followed by one value per column
+   * @returns {HTMLTableElement}
+   */
+  function renderStatsTable(headings, rows) {
+    const table = document.createElement('table');
+    table.className = 'stats-table';
+    [headings, ...rows].forEach((cells, i) => {
+      const tr = document.createElement('tr');
+      cells.forEach((text) => {
+        const cell = document.createElement(i === 0 ? 'th' : 'td');
+        cell.textContent = text;
+        tr.appendChild(cell);
+      });
+      table.appendChild(tr);
+    });
+    return table;
+  }
+
+  /**
+   * Draw a line chart of history samples.
+   * @param {string} title
+   * @param {Array<Object>} samples - At least two, oldest first, see
+   *   engine.createHistorySample
+   * @param {Array<{label: string, colour: string, value: Function}>} lines -
+   *   value picks the line's value out of a sample
+   * @returns {HTMLElement}
+   */
+  function renderChart(title, samples, lines) {
+    const figure = document.createElement('figure');
+    figure.className = 'stats-chart';
+    const caption = document.createElement('figcaption');
+    const start = samples[0].time;
+    const span = Math.max(1, samples[samples.length - 1].time - start);
+    const top = Math.max(1, ...lines.flatMap((line) => samples.map(line.value)));
+    caption.textContent = `${title}, last ${formatDuration(span)} (top: ${Math.floor(top)})`;
+    figure.appendChild(caption);
+    const canvas = document.createElement('canvas');
+    canvas.width = CHART_WIDTH;
+    canvas.height = CHART_HEIGHT;
+    const ctx = canvas.getContext('2d');
+    lines.forEach((line) => {
+      ctx.strokeStyle = line.colour;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      samples.forEach((sample, i) => {
+        const x = 1 + ((sample.time - start) / span) * (CHART_WIDTH - 2);
+        const y = CHART_HEIGHT - 1 - (line.value(sample) / top) * (CHART_HEIGHT - 2);
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      });
+      ctx.stroke();
+    });
+    figure.appendChild(canvas);
+    const legend = document.createElement('div');
+    legend.className = 'chart-legend';
+    lines.forEach((line) => {
+      const item = document.createElement('span');
+      item.style.borderColor = line.colour;
+      item.textContent = `${line.label} ${Math.floor(line.value(samples[samples.length - 1]))}`;
+      legend.appendChild(item);
+    });
+    figure.appendChild(legend);
+    return figure;
+  }
+
+  /**
+   * Render the stats screen: the score of the village on screen and of the
+   * whole tribe, lifetime statistics, and charts of the history with the
+   * current values as their last point.
+   */
+  function renderStats() {
+    renderInto('stats-container', (container) => {
+      const villageScore = engine.getVillageScore(state);
+      const score = engine.getScore(game);
+      const headings = ['', state.name, 'All villages'];
+      container.appendChild(
+        renderStatsTable(headings, [
+          ['Buildings', villageScore.buildings, score.buildings],
+          ['Production', villageScore.production, score.production],
+          ['Troops', villageScore.troops, score.troops],
+          ['Raids won', villageScore.raids, score.raids],
+          ['Score', villageScore.total, score.total],
+        ])
+      );
+      const lifetime = engine.getLifetimeStats(game);
+      const rows = [];
+      engine.RESOURCES.forEach((res) => {
+        rows.push([`${res} produced`, Math.floor(state.stats.produced[res] || 0), Math.floor(lifetime.produced[res] || 0)]);
+      });
+      engine.RESOURCES.forEach((res) => {
+        rows.push([`${res} looted`, Math.floor(state.stats.looted[res] || 0), Math.floor(lifetime.looted[res] || 0)]);
+      });
+      [
+        ['Raids sent', 'raidsSent'],
+        ['Raids won', 'raidsWon'],
+        ['Troops trained', 'troopsTrained'],
+        ['Attacks repelled', 'attacksRepelled'],
+      ].forEach(([label, key]) => rows.push([label, state.stats[key], lifetime[key]]));
+      container.appendChild(renderStatsTable(headings, rows));
+
+      const samples = game.history.concat(engine.createHistorySample(game, currentTime()));
+      if (samples[samples.length - 1].time - samples[0].time < engine.HISTORY_INTERVAL) {
+        const note = document.createElement('p');
+        note.className = 'stats-note';
+        note.textContent = `Charts fill in as you play: a point is added every ${formatDuration(engine.HISTORY_INTERVAL)}.`;
+        container.appendChild(note);
+        return;
+      }
+      container.appendChild(
+        renderChart('Score', samples, [{ label: 'Score', colour: CHART_COLOURS.score, value: (sample) => sample.score }])
+      );
+      const resourceLines = engine.RESOURCES.map((res, i) => ({
+        label: res,
+        colour: CHART_COLOURS[res] || SPARE_CHART_COLOURS[i % SPARE_CHART_COLOURS.length],
+        value: (sample) => sample.produced[res] || 0,
+      }));
+      container.appendChild(renderChart('Resources produced', samples, resourceLines));
+    });
+  }
+
+  /**
+   * Render the leaderboard controls. Like the export/import controls they
+   * are built once, and again when the backend changes.
+   */
+  function renderLeaderboard() {
+    const container = document.getElementById('leaderboard-container');
+    if (!container) return;
+    container.innerHTML = '';
+    const info = document.createElement('p');
+    info.textContent = `Best scores on ${leaderboard.name}.`;
+    container.appendChild(info);
+    const list = document.createElement('ol');
+    list.id = 'leaderboard-list';
+    container.appendChild(list);
+    const actions = document.createElement('div');
+    actions.className = 'transfer-actions';
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.placeholder = 'Tribe name';
+    name.maxLength = leaderboards.NAME_LENGTH;
+    name.value = localStorage.getItem(LEADERBOARD_NAME_KEY) || '';
+    const submit = document.createElement('button');
+    submit.textContent = 'Submit score';
+    const status = document.createElement('p');
+    submit.onclick = () => {
+      const entry = {
+        name: name.value.trim(),
+        score: engine.getScore(game).total,
+        time: currentTime(),
+        flagged: game.clockJumps.count > 0,
+      };
+      const problem = leaderboards.checkEntry(entry);
+      if (problem) {
+        status.textContent = `Cannot submit: ${problem}.`;
+        return;
+      }
+      localStorage.setItem(LEADERBOARD_NAME_KEY, entry.name);
+      status.textContent = 'Submitting...';
+      leaderboard.submit(entry).then(
+        () => {
+          status.textContent = `Submitted ${entry.score} points as ${entry.name}.`;
+          refreshLeaderboard();
+        },
+        (err) => {
+          status.textContent = `The score could not be submitted (${err.message}).`;
+        }
+      );
+    };
+    actions.appendChild(name);
+    actions.appendChild(submit);
+    container.appendChild(actions);
+    container.appendChild(status);
+    refreshLeaderboard();
+  }
+
+  /**
+   * Fetch the best scores from the leaderboard backend and list them.
+   */
+  function refreshLeaderboard() {
+    const list = document.getElementById('leaderboard-list');
+    if (!list) return;
+    const own = localStorage.getItem(LEADERBOARD_NAME_KEY);
+    leaderboard.getTop(LEADERBOARD_SIZE).then(
+      (entries) => {
+        list.innerHTML = '';
+        entries.forEach((entry) => {
+          const item = document.createElement('li');
+          if (entry.name === own) item.className = 'own';
+          item.textContent = `${entry.name}: ${entry.score}${entry.flagged ? ' (clock set back)' : ''}`;
+          list.appendChild(item);
+        });
+      },
+      (err) => {
+        list.innerHTML = '';
+        const item = document.createElement('li');
+        item.textContent = `The leaderboard could not be loaded (${err.message}).`;
+        list.appendChild(item);
+      }
+    );
+  }
+
+  /**
+   * Render the "while you were away" summary after catching up on an
+   * absence. Nothing is shown for short absences or when nothing happened.
+   * @param {Object} summary - Result of advanceState
+   */
+  function renderOfflineSummary(summary) {
+    const container = document.getElementById('offline-summary');
+    if (!container) return;
+    container.innerHTML = '';
+    const producedAny = Object.values(summary.produced).some((amount) => amount >= 1);
+    const happened =
+      producedAny ||
+      summary.produced.food <= -1 ||
+      summary.research.length > 0 ||
+      summary.achievements.length > 0 ||
+      summary.constructions.length > 0 ||
+      summary.troops.length > 0 ||
+      summary.raids.length > 0 ||
+      summary.attacks.length > 0 ||
+      summary.villages.length > 0 ||
+      summary.transports.length > 0;
+    if (summary.elapsed < OFFLINE_SUMMARY_MIN_TIME || !happened) return;
+    const card = document.createElement('div');
+    card.className = 'summary-card';
+    const info = document.createElement('div');
+    info.className = 'building-info';
+    const title = document.createElement('strong');
+    title.textContent = `While you were away (${formatDuration(summary.elapsed)})`;
+    info.appendChild(title);
+    const list = document.createElement('ul');
+    const addLine = (text) => {
+      const li = document.createElement('li');
+      li.textContent = text;
+      list.appendChild(li);
+    };
+    if (producedAny) {
+      const producedStr = Object.entries(summary.produced)
+        .filter(([, v]) => v >= 1)
+        .map(([k, v]) => `${Math.floor(v)} ${k}`)
+        .join(', ');
+      addLine(`Produced: ${producedStr}`);
+    }
+    if (summary.produced.food <= -1) {
+      addLine(`Workers ate ${Math.floor(-summary.produced.food)} more food than the farms grew`);
+    }
+    // Entries from villages other than the first are tagged with their name
+    const where = (entry) => (entry.village ? ` in ${entry.village}` : '');
+    summary.constructions.forEach((entry) => {
+      addLine(`Completed: ${BUILDING_TYPES[entry.type].name} Lv ${entry.level}${where(entry)}`);
+    });
+    summary.research.forEach((key) => {
+      addLine(`Researched: ${TECHNOLOGIES[key].name}`);
+    });
+    summary.achievements.forEach((key) => {
+      addLine(`Achievement unlocked: ${ACHIEVEMENTS.find((a) => a.key === key).name}`);
+    });
+    if (summary.troops.length > 0) {
+      addLine(`Troops trained: ${summary.troops.length}`);
+    }
+    summary.raids.forEach((entry) => {
+      const name = engine.getRaidTarget(entry.camp).name;
+      if (!entry.won) {
+        addLine(`Raid on ${name} was defeated${where(entry)}`);
+        return;
+      }
+      const lootStr = Object.entries(entry.loot)
+        .map(([k, v]) => `${v} ${k}`)
+        .join(', ');
+      addLine(`Raid on ${name} returned with ${lootStr}${where(entry)}`);
+    });
+    summary.attacks.forEach((entry) => {
+      if (entry.repelled) {
+        addLine(`Enemy wave ${entry.wave} was repelled${where(entry)}`);
+        return;
+      }
+      const plunderStr = Object.entries(entry.plundered)
+        .map(([k, v]) => `${v} ${k}`)
+        .join(', ');
+      addLine(`Enemy wave ${entry.wave} plundered ${plunderStr}${where(entry)}`);
+    });
+    summary.villages.forEach((name) => {
+      addLine(`New village: ${name}`);
+    });
+    summary.transports.forEach(({ from, to, resources }) => {
+      const cargoStr = Object.entries(resources)
+        .filter(([, v]) => v > 0)
+        .map(([k, v]) => `${v} ${k}`)
+        .join(', ');
+      addLine(`Merchants from ${from} delivered ${cargoStr || 'nothing'} to ${to}`);
+    });
+    info.appendChild(list);
+    card.appendChild(info);
+    const btn = document.createElement('button');
+    btn.textContent = 'Dismiss';
+    btn.onclick = () => {
+      container.innerHTML = '';
+    };
+    card.appendChild(btn);
+    container.appendChild(card);
+  }
+
+  /**
+   * Notify the player of the alerts raised by an update, see
+   * engine.getAlerts.
+   * @param {Object} summary - Result of advanceState
+   * @param {number} now
+   */
+  function announceAlerts(summary, now) {
+    const after = engine.getAlertState(game, now);
+    const before = alertState || after;
+    alertState = after;
+    engine.getAlerts(game, summary, before, after).forEach((alert) => notify(alert, now));
+  }
+
+  /**
+   * Describe an alert in a sentence.
+   * @param {Object} alert - See engine.getAlerts
+   * @param {number} now
+   * @returns {string}
+   */
+  function describeAlert(alert, now) {
+    const where = alert.village ? ` in ${alert.village}` : '';
+    const amounts = (resources) =>
+      Object.entries(resources)
+        .map(([k, v]) => `${v} ${k}`)
+        .join(', ');
+    if (alert.type === 'construction') {
+      return `${BUILDING_TYPES[alert.building].name} reached Lv ${alert.level}${where}`;
+    }
+    if (alert.type === 'training') {
+      const units = Object.entries(alert.units).map(
+        ([unit, count]) => `${count} ${unit === NOBLEMAN.key ? NOBLEMAN.name : UNIT_TYPES[unit].name}`
+      );
+      return `Trained ${units.join(', ')}${where}`;
+    }
+    if (alert.type === 'raid') {
+      const name = engine.getRaidTarget(alert.camp).name;
+      return alert.won
+        ? `Raid on ${name} returned with ${amounts(alert.loot) || 'nothing'}${where}`
+        : `Raid on ${name} was defeated${where}`;
+    }
+    if (alert.type === 'attack') {
+      if (alert.arrival !== undefined) {
+        return `Enemy wave ${alert.wave} arrives${where} in ${formatDuration(Math.max(0, alert.arrival - now))}`;
+      }
+      return alert.repelled
+        ? `Enemy wave ${alert.wave} was repelled${where}`
+        : `Enemy wave ${alert.wave} plundered ${amounts(alert.plundered) || 'nothing'}${where}`;
+    }
+    if (alert.type === 'storage') return `The ${alert.resource} storage is full${where}`;
+    return `You can afford ${BUILDING_TYPES[alert.building].name} Lv ${alert.level}${where}`;
+  }
+
+  /**
+   * Show an alert in the channels the player chose for its type: as a
+   * toast, and as a browser notification while the page is hidden. Alerts
+   * shown at all are added to the history.
+   * @param {Object} alert - See engine.getAlerts
+   * @param {number} now
+   */
+  function notify(alert, now) {
+    const { toast, browser } = game.notifications.types[alert.type];
+    const showBrowser =
+      browser &&
+      game.notifications.browser &&
+      document.hidden &&
+      typeof Notification !== 'undefined' &&
+      Notification.permission === 'granted';
+    if (!toast && !showBrowser) return;
+    const message = describeAlert(alert, now);
+    notificationHistory.unshift({ type: alert.type, time: now, message });
+    notificationHistory.length = Math.min(notificationHistory.length, NOTIFICATION_HISTORY_LENGTH);
+    localStorage.setItem(storageKey(NOTIFICATION_HISTORY_KEY), JSON.stringify(notificationHistory));
+    if (toast) renderToast(message);
+    if (showBrowser) {
+      // One notification per type, so a burst replaces rather than piles up
+      showBrowserNotification(NOTIFICATION_TYPES[alert.type].name, { body: message, tag: alert.type });
+    }
+  }
+
+  /**
+   * Show a browser notification through the service worker, which mobile
+   * browsers require, or with the Notification constructor when no worker
+   * controls the page. Failures are logged, never thrown: this runs while
+   * the game is stepped.
+   * @param {string} title
+   * @param {Object} options - See Notification
+   */
+  function showBrowserNotification(title, options) {
+    if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+      navigator.serviceWorker.ready
+        .then((registration) => registration.showNotification(title, options))
+        .catch((err) => console.error(err));
+      return;
+    }
+    try {
+      new Notification(title, options);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  /**
+   * Show a message in the corner of the page for a few seconds, or until
+   * clicked.
+   * @param {string} message
+   */
+  function renderToast(message) {
+    const container = document.getElementById('toasts');
+    if (!container) return;
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.textContent = message;
+    const timer = setTimeout(() => toast.remove(), TOAST_TIME);
+    toast.onclick = () => {
+      clearTimeout(timer);
+      toast.remove();
+    };
+    container.appendChild(toast);
+  }
+
+  /**
+   * Read the notification history from localStorage.
+   * @returns {Array<{type: string, time: number, message: string}>}
+   */
+  function loadNotificationHistory() {
+    try {
+      const history = JSON.parse(localStorage.getItem(storageKey(NOTIFICATION_HISTORY_KEY)));
+      return Array.isArray(history) ? history : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  /**
+   * Render the notification settings and the history of alerts.
+   */
+  function renderNotifications() {
+    renderInto('notifications-container', (container) => {
+      const browser = document.createElement('div');
+      browser.className = 'transfer-actions';
+      const status = document.createElement('span');
+      browser.appendChild(status);
+      if (typeof Notification === 'undefined') {
+        status.textContent = 'This browser cannot show notifications; alerts are shown in the game only.';
+      } else if (Notification.permission === 'denied') {
+        status.textContent = "Notifications are blocked for this page in the browser's settings.";
+      } else {
+        const on = game.notifications.browser && Notification.permission === 'granted';
+        status.textContent = on
+          ? 'Browser notifications are on while the game is in the background.'
+          : 'Browser notifications are off.';
+        const toggle = document.createElement('button');
+        toggle.textContent = on ? 'Turn off' : 'Turn on';
+        toggle.onclick = () => setBrowserNotifications(!on);
+        browser.appendChild(toggle);
+      }
+      container.appendChild(browser);
+
+      const table = document.createElement('table');
+      table.className = 'stats-table';
+      const head = document.createElement('tr');
+      ['Alert', 'In game', 'Browser'].forEach((text) => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        head.appendChild(th);
+      });
+      table.appendChild(head);
+      Object.keys(NOTIFICATION_TYPES).forEach((type) => {
+        const tr = document.createElement('tr');
+        const name = document.createElement('td');
+        name.textContent = NOTIFICATION_TYPES[type].name;
+        tr.appendChild(name);
+        ['toast', 'browser'].forEach((channel) => {
+          const on = game.notifications.types[type][channel];
+          const td = document.createElement('td');
+          const btn = document.createElement('button');
+          btn.textContent = on ? 'On' : 'Off';
+          btn.onclick = () => setNotification(type, channel, !on);
+          td.appendChild(btn);
+          tr.appendChild(td);
+        });
+        table.appendChild(tr);
+      });
+      container.appendChild(table);
+
+      const heading = document.createElement('h3');
+      heading.textContent = 'Recent alerts';
+      container.appendChild(heading);
+      if (notificationHistory.length === 0) {
+        const none = document.createElement('p');
+        none.className = 'stats-note';
+        none.textContent = 'Nothing yet.';
+        container.appendChild(none);
+        return;
+      }
+      const list = document.createElement('ul');
+      list.id = 'notification-list';
+      notificationHistory.forEach((entry) => {
+        const item = document.createElement('li');
+        item.dataset.key = `${entry.time}:${entry.message}`;
+        const time = document.createElement('span');
+        time.className = 'notification-time';
+        time.textContent = new Date(entry.time).toLocaleString();
+        const message = document.createElement('span');
+        message.textContent = entry.message;
+        item.appendChild(time);
+        item.appendChild(message);
+        list.appendChild(item);
+      });
+      container.appendChild(list);
+      const actions = document.createElement('div');
+      actions.className = 'transfer-actions';
+      const clear = document.createElement('button');
+      clear.textContent = 'Clear';
+      clear.onclick = () => {
+        notificationHistory = [];
+        localStorage.removeItem(storageKey(NOTIFICATION_HISTORY_KEY));
+        renderNotifications();
+      };
+      actions.appendChild(clear);
+      container.appendChild(actions);
+    });
+  }
+
+  /**
+   * Format resource amounts for the log, leaving out the ones that are
+   * zero, e.g. "40 wood, 12 food".
+   * @param {Object} resources
+   * @returns {string}
+   */
+  function formatAmounts(resources) {
+    return Object.entries(resources)
+      .map(([k, v]) => [k, Math.trunc(v)])
+      .filter(([, v]) => v !== 0)
+      .map(([k, v]) => `${v} ${k}`)
+      .join(', ');
+  }
+
+  /**
+   * Describe a log entry in a sentence.
+   * @param {Object} entry - See engine.logEvent
+   * @returns {string}
+   */
+  function describeLogEntry(entry) {
+    const unitName = (unit) => (unit === NOBLEMAN.key ? NOBLEMAN.name : UNIT_TYPES[unit].name);
+    const amounts = (resources) => formatAmounts(resources) || 'nothing';
+    if (entry.category === 'construction') {
+      return `${BUILDING_TYPES[entry.type].name} reached Lv ${entry.level}`;
+    }
+    if (entry.category === 'training') return `Trained a ${unitName(entry.unit)}`;
+    if (entry.category === 'research') return `Researched ${TECHNOLOGIES[entry.tech].name}`;
+    if (entry.category === 'raid') {
+      const name = engine.getRaidTarget(entry.camp).name;
+      if (entry.conquest) return entry.won ? `Conquered ${name}` : `Conquest of ${name} was defeated`;
+      return entry.won
+        ? `Raid on ${name} brought home ${amounts(entry.stored)}`
+        : `Raid on ${name} was defeated`;
+    }
+    if (entry.category === 'attack') {
+      return entry.repelled
+        ? `Enemy wave ${entry.wave} was repelled`
+        : `Enemy wave ${entry.wave} plundered ${amounts(entry.plundered)}`;
+    }
+    // Spending; refunds are for a building or a technology
+    const subject =
+      entry.reason === 'training' ? unitName(entry.key) : (BUILDING_TYPES[entry.key] || TECHNOLOGIES[entry.key]).name;
+    return entry.reason === 'refund'
+      ? `Refunded ${amounts(entry.resources)} for ${subject}`
+      : `Spent ${amounts(entry.resources)} on ${subject}`;
+  }
+
+  /**
+   * Render the event log: what the village on screen earned over the last
+   * day, from its buildings and from raids, and the latest entries of every
+   * village, optionally of a single category.
+   */
+  function renderLog() {
+    renderInto('log-container', (container) => {
+      const heading = document.createElement('h3');
+      heading.textContent = `${state.name}: income over the last ${engine.INCOME_PERIOD / 3600000} hours`;
+      container.appendChild(heading);
+      const income = engine.getIncome(state, currentTime());
+      const rows = engine.RESOURCES.map((res) => [
+        res,
+        Math.floor(income.buildings[res]),
+        Math.floor(income.raids[res]),
+        Math.floor(income.buildings[res] + income.raids[res]),
+      ]);
+      container.appendChild(renderStatsTable(['', 'Buildings', 'Raids', 'Total'], rows));
+
+      const filters = document.createElement('div');
+      filters.className = 'transfer-actions log-filters';
+      [null, ...Object.keys(LOG_CATEGORIES)].forEach((category) => {
+        const btn = document.createElement('button');
+        btn.textContent = category === null ? 'All' : LOG_CATEGORIES[category].name;
+        btn.disabled = category === logFilter;
+        btn.onclick = () => {
+          logFilter = category;
+          renderLog();
+        };
+        filters.appendChild(btn);
+      });
+      container.appendChild(filters);
+
+      const entries = engine.getLog(game, logFilter === null ? undefined : [logFilter]).slice(0, LOG_VIEW_LENGTH);
+      if (entries.length === 0) {
+        const none = document.createElement('p');
+        none.className = 'stats-note';
+        none.textContent = 'Nothing yet.';
+        container.appendChild(none);
+        return;
+      }
+      const list = document.createElement('ul');
+      list.id = 'log-list';
+      entries.forEach((entry) => {
+        const item = document.createElement('li');
+        item.dataset.key = `${entry.village}:${entry.category}:${entry.time}`;
+        const time = document.createElement('span');
+        time.className = 'notification-time';
+        time.textContent = new Date(entry.time).toLocaleString();
+        const message = document.createElement('span');
+        const where = game.villages.length > 1 ? `${game.villages[entry.village].name}: ` : '';
+        message.textContent = `${where}${describeLogEntry(entry)}`;
+        item.appendChild(time);
+        item.appendChild(message);
+        list.appendChild(item);
+      });
+      container.appendChild(list);
+    });
+  }
+
+  /**
+   * Render the reports section: the latest raids, conquests and attacks of
+   * every village from the event log, one of which can be opened to show
+   * its full battle or defense report.
+   */
+  function renderReports() {
+    renderInto('reports-container', (container) => {
+      const reports = engine.getLog(game, ['raid', 'attack']).slice(0, REPORT_VIEW_LENGTH);
+      if (reports.length === 0) {
+        const none = document.createElement('p');
+        none.className = 'stats-note';
+        none.textContent = 'No battles yet.';
+        container.appendChild(none);
+        return;
+      }
+      reports.forEach((report) => {
+        const key = `${report.village}:${report.category}:${report.time}`;
+        const open = key === openReport;
+        const card = document.createElement('div');
+        card.className = 'raid-card';
+        card.dataset.key = key;
+        const info = document.createElement('div');
+        info.className = 'troop-info';
+        const title = document.createElement('strong');
+        const where = game.villages.length > 1 ? `${game.villages[report.village].name}: ` : '';
+        title.textContent = `${where}${describeLogEntry(report)}`;
+        info.appendChild(title);
+        const time = document.createElement('span');
+        time.textContent = new Date(report.time).toLocaleString();
+        time.style.fontSize = '0.8rem';
+        info.appendChild(time);
+        card.appendChild(info);
+        const actions = document.createElement('div');
+        actions.className = 'raid-actions';
+        const btn = document.createElement('button');
+        btn.textContent = open ? 'Hide' : 'Details';
+        btn.onclick = () => {
+          openReport = open ? null : key;
+          renderReports();
+        };
+        actions.appendChild(btn);
+        card.appendChild(actions);
+        container.appendChild(card);
+        if (open) {
+          const details = report.category === 'raid' ? renderBattleReport(report) : renderDefenseReport(report);
+          details.dataset.key = `${key}:details`;
+          container.appendChild(details);
+        }
+      });
+    });
+  }
+
+  /**
+   * Tell the player when the clock was set back since the last update.
+   * @param {Object} summary - Result of advanceState
+   */
+  function reportClockJump(summary) {
+    if (summary.clockJump === 0) return;
+    renderNotice(
+      `Your device's clock went back ${formatDuration(summary.clockJump)}. ` +
+        'The game waits for it to catch up, and the jump is recorded in your save.'
+    );
+  }
+
+  /**
+   * Show a notice above the game, e.g. after a backup was restored. Notices
+   * stack until dismissed.
+   * @param {string} message
+   */
+  function renderNotice(message) {
+    const container = document.getElementById('notice');
+    if (!container) return;
+    const card = document.createElement('div');
+    card.className = 'notice-card';
+    const text = document.createElement('span');
+    text.textContent = message;
+    card.appendChild(text);
+    const btn = document.createElement('button');
+    btn.textContent = 'Dismiss';
+    btn.onclick = () => {
+      card.remove();
+    };
+    card.appendChild(btn);
+    container.appendChild(card);
+  }
+
+  /**
+   * Offer to reload the page into a new version of the game.
+   * @param {Function} onReload - Called when the player accepts
+   */
+  function renderUpdatePrompt(onReload) {
+    const container = document.getElementById('notice');
+    if (!container) return;
+    const card = document.createElement('div');
+    card.className = 'notice-card';
+    const text = document.createElement('span');
+    text.textContent = 'A new version of the game is ready.';
+    card.appendChild(text);
+    const reload = document.createElement('button');
+    reload.textContent = 'Reload';
+    reload.onclick = () => {
+      reload.disabled = true;
+      onReload();
+    };
+    card.appendChild(reload);
+    const later = document.createElement('button');
+    later.textContent = 'Later';
+    later.onclick = () => {
+      card.remove();
+    };
+    card.appendChild(later);
+    container.appendChild(card);
+  }
+
+  /**
+   * Register the service worker that keeps the game available offline, see
+   * sw.js. Once it has installed a new version next to the running one, the
+   * player is offered to switch; the page reloads when the new worker has
+   * taken over.
+   */
+  function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    let updating = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (updating) location.reload();
+    });
+    const offer = (worker) => {
+      // Without a worker in control this is the first install, not an update
+      if (!navigator.serviceWorker.controller) return;
+      renderUpdatePrompt(() => {
+        updating = true;
+        worker.postMessage({ type: 'skipWaiting' });
+      });
+    };
+    navigator.serviceWorker
+      .register('sw.js')
+      .then((registration) => {
+        if (registration.waiting) offer(registration.waiting);
+        registration.addEventListener('updatefound', () => {
+          const worker = registration.installing;
+          worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed') offer(worker);
+          });
+        });
+      })
+      .catch((err) => console.error(err));
+  }
+
+  /**
+   * Download the current state as a JSON save file.
+   */
+  function downloadSave() {
+    const file = saveCode.createSaveFile(engine.serializeState(game));
+    const url = URL.createObjectURL(new Blob([file], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `idle-tribal-save-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Build a table comparing the current game with another save, with the
+   * rows that differ highlighted.
+   * @param {Object} other
+   * @param {string} currentTitle - Column heading of the current game
+   * @param {string} otherTitle - Column heading of the other save
+   * @returns {HTMLTableElement}
+   */
+  function renderDiffTable(other, currentTitle, otherTitle) {
+    const table = document.createElement('table');
+    table.className = 'import-diff';
+    const head = document.createElement('tr');
+    ['', currentTitle, otherTitle].forEach((text) => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      head.appendChild(th);
+    });
+    table.appendChild(head);
+    engine.diffStates(game, other).forEach(({ label, before, after, changed }) => {
+      const tr = document.createElement('tr');
+      if (changed) tr.className = 'changed';
+      [label, before, after].forEach((text) => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    });
+    return table;
+  }
+
+  /**
+   * Validate a decoded save and show what importing it would change. The
+   * current state is only replaced once the player confirms.
+   * @param {{data: string|null, errors: string[]}} decoded - Result of
+   *   decodeSaveCode or readSaveFile
+   */
+  function previewImport(decoded) {
+    const container = document.getElementById('import-preview');
+    container.innerHTML = '';
+    const { state: incoming, errors } = decoded.data
+      ? engine.parseSave(decoded.data, currentTime())
+      : { state: null, errors: decoded.errors };
+    if (!incoming) {
+      const message = document.createElement('p');
+      message.className = 'import-error';
+      message.textContent = `Import rejected: ${errors[0]}`;
+      container.appendChild(message);
+      return;
+    }
+    container.appendChild(renderDiffTable(incoming, 'Current', 'Imported'));
+    const actions = document.createElement('div');
+    actions.className = 'transfer-actions';
+    const confirm = document.createElement('button');
+    confirm.textContent = 'Replace my save';
+    confirm.onclick = () => {
+      setGame(incoming);
+      const summary = advanceState();
+      backupState();
+      markChanged();
+      events.emit('stateLoaded', { game, source: 'import', summary });
+      container.innerHTML = '';
+      renderAll();
+    };
+    const cancel = document.createElement('button');
+    cancel.textContent = 'Cancel';
+    cancel.onclick = () => {
+      container.innerHTML = '';
+    };
+    actions.appendChild(confirm);
+    actions.appendChild(cancel);
+    container.appendChild(actions);
+  }
+
+  /**
+   * Render the export/import controls. They are built once rather than on
+   * every tick so a code being pasted is not wiped.
+   */
+  function renderSaveTransfer() {
+    const container = document.getElementById('save-transfer');
+    if (!container) return;
+    container.innerHTML = '';
+    const code = document.createElement('textarea');
+    code.className = 'save-code';
+    code.placeholder = authority ? 'Export a save code' : 'Export a save code, or paste one here to import it';
+    code.spellcheck = false;
+    container.appendChild(code);
+    const actions = document.createElement('div');
+    actions.className = 'transfer-actions';
+    const exportBtn = document.createElement('button');
+    exportBtn.textContent = 'Export code';
+    exportBtn.onclick = () => {
+      code.value = saveCode.encodeSaveCode(engine.serializeState(game));
+      code.select();
+    };
+    const downloadBtn = document.createElement('button');
+    downloadBtn.textContent = 'Download file';
+    downloadBtn.onclick = () => downloadSave();
+    const importBtn = document.createElement('button');
+    importBtn.textContent = 'Import code';
+    importBtn.onclick = () => previewImport(saveCode.decodeSaveCode(code.value));
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json,.json';
+    fileInput.hidden = true;
+    fileInput.onchange = () => {
+      const [file] = fileInput.files;
+      if (!file) return;
+      file.text().then((text) => previewImport(saveCode.readSaveFile(text)));
+      fileInput.value = '';
+    };
+    const fileBtn = document.createElement('button');
+    fileBtn.textContent = 'Import file';
+    fileBtn.onclick = () => fileInput.click();
+    // The game server keeps the game in authoritative mode, so there is
+    // nothing to import into
+    const buttons = authority ? [exportBtn, downloadBtn] : [exportBtn, downloadBtn, importBtn, fileBtn, fileInput];
+    buttons.forEach((el) => actions.appendChild(el));
+    container.appendChild(actions);
+    const preview = document.createElement('div');
+    preview.id = 'import-preview';
+    container.appendChild(preview);
+  }
+
+  /**
+   * Show the state of cloud sync, if the cloud save controls are on screen.
+   * @param {string} text
+   */
+  function setCloudStatus(text) {
+    const status = document.getElementById('cloud-status');
+    if (status) status.textContent = text;
+  }
+
+  /**
+   * Render the cloud save controls. Like the export/import controls they
+   * are only rebuilt when cloud save is turned on or off.
+   */
+  function renderCloudSync() {
+    const container = document.getElementById('cloud-sync');
+    if (!container) return;
+    container.innerHTML = '';
+    const info = document.createElement('p');
+    container.appendChild(info);
+    if (storageSuffix || authority) {
+      info.textContent = authority
+        ? 'Cloud save is off while a game server keeps the game.'
+        : 'Cloud save is off while playtesting.';
+      return;
+    }
+    const actions = document.createElement('div');
+    actions.className = 'transfer-actions';
+    if (!cloud) {
+      info.textContent =
+        'Keep this game in step across devices through a sync server. Use the same sync code on every device.';
+      const url = document.createElement('input');
+      url.type = 'url';
+      url.placeholder = 'Sync server URL';
+      const code = document.createElement('input');
+      code.type = 'text';
+      code.placeholder = 'Sync code (leave empty for a new one)';
+      const connect = document.createElement('button');
+      connect.textContent = 'Turn on';
+      connect.onclick = () => {
+        const syncId = code.value.trim() || sync.createId(Math.random);
+        if (!url.value.trim() || !sync.isValidId(syncId)) {
+          info.textContent = 'Enter the server URL and a sync code of 8 to 64 letters, digits, - or _.';
+          return;
+        }
+        // Counted as changed, so an existing cloud save is never replaced
+        // without the player comparing the two first
+        cloud = { url: url.value.trim(), syncId, revision: 0, pending: 1 };
+        saveCloudSettings();
+        renderCloudSync();
+        syncNow();
+      };
+      [url, code, connect].forEach((el) => actions.appendChild(el));
+      container.appendChild(actions);
+      return;
+    }
+    info.textContent = `Syncing with ${cloud.url}. Sync code for your other devices: ${cloud.syncId}`;
+    const syncBtn = document.createElement('button');
+    syncBtn.textContent = 'Sync now';
+    syncBtn.onclick = () => syncNow();
+    const off = document.createElement('button');
+    off.textContent = 'Turn off';
+    off.onclick = () => {
+      cloud = null;
+      cloudConflict = null;
+      saveCloudSettings();
+      renderCloudSync();
+    };
+    actions.appendChild(syncBtn);
+    actions.appendChild(off);
+    container.appendChild(actions);
+    const status = document.createElement('p');
+    status.id = 'cloud-status';
+    container.appendChild(status);
+    const conflict = document.createElement('div');
+    conflict.id = 'cloud-conflict';
+    container.appendChild(conflict);
+    renderCloudConflict();
+  }
+
+  /**
+   * Show the game on this device next to the cloud save after they
+   * diverged, and let the player pick which one to keep.
+   */
+  function renderCloudConflict() {
+    const container = document.getElementById('cloud-conflict');
+    if (!container) return;
+    container.innerHTML = '';
+    if (!cloudConflict) return;
+    const { state: remote, errors } = engine.parseSave(cloudConflict.data, currentTime());
+    const message = document.createElement('p');
+    const savedAt = new Date(cloudConflict.updatedAt).toLocaleString();
+    message.textContent = remote
+      ? `Another device saved this game at ${savedAt}. Which game do you want to keep? The other one is lost.`
+      : `Another device saved this game at ${savedAt}, but it cannot be loaded here (${errors[0]}).`;
+    container.appendChild(message);
+    if (remote) {
+      // Compared as they would be now, the cloud save having caught up
+      engine.advanceGame(remote, currentTime());
+      container.appendChild(renderDiffTable(remote, 'This device', 'Cloud save'));
+    }
+    const actions = document.createElement('div');
+    actions.className = 'transfer-actions';
+    const keepLocal = document.createElement('button');
+    keepLocal.textContent = 'Keep this device';
+    keepLocal.onclick = () => resolveConflict(true);
+    actions.appendChild(keepLocal);
+    if (remote) {
+      const keepRemote = document.createElement('button');
+      keepRemote.textContent = 'Keep cloud save';
+      keepRemote.onclick = () => resolveConflict(false);
+      actions.appendChild(keepRemote);
+    }
+    container.appendChild(actions);
+  }
+
+  /**
+   * Render every part of the game that reflects the current state.
+   */
+  function renderAll() {
+    renderResources();
+    renderVillageSwitcher();
+    renderQuests();
+    renderBuildings();
+    renderConstructionOptions();
+    renderQueue();
+    renderResearch();
+    renderMap();
     renderTroops();
     renderTraining();
     renderRaid();
-    // Start the interval loop
-    setInterval(tick, 1000);
+    renderVillages();
+    renderDefense();
+    renderPrestige();
+    renderStats();
+    renderNotifications();
+    renderLog();
+    renderReports();
+    renderPluginPanels();
+  }
+
+  /**
+   * Render the sections added by plugins, placing them above the save
+   * transfer section the first time. A panel that fails to render does not
+   * stop the others.
+   */
+  function renderPluginPanels() {
+    pluginPanels.forEach((panel) => {
+      if (!panel.section.parentNode) {
+        const main = document.getElementById('main-content');
+        main.insertBefore(panel.section, document.getElementById('save-section'));
+      }
+      panel.container.innerHTML = '';
+      try {
+        panel.render(panel.container, state);
+      } catch (err) {
+        console.error(err);
+      }
+    });
+  }
+
+  /**
+   * Simulation step of the update loop: advance the game and announce what
+   * happened. The scheduler draws the result separately, and not at all
+   * while the page is hidden.
+   * @param {number} now
+   */
+  function step(now) {
+    const summary = advanceState(now);
+    emitSummary(summary);
+    reportClockJump(summary);
+    announceAlerts(summary, now);
+  }
+
+  /**
+   * Add a resource, see engine.registerResource.
+   * @param {{key: string, start?: number, icon?: string}} def - icon is the
+   *   image shown in the resource bar; the key is shown without one
+   */
+  function registerResource(def) {
+    engine.registerResource(def);
+    if (def.icon) RESOURCE_ICONS[def.key] = def.icon;
+  }
+
+  /**
+   * Add a section to the page for a plugin. Its render function is called
+   * with the section's (emptied) container and the village on screen every
+   * time the game is rendered. Unlike the game's own sections the
+   * container is rebuilt from scratch, not patched.
+   * @param {{key: string, title: string, render: Function}} def
+   */
+  function registerPanel(def) {
+    if (pluginPanels.some((panel) => panel.key === def.key)) {
+      throw new Error(`panel ${def.key} is already registered`);
+    }
+    const section = document.createElement('section');
+    section.id = `plugin-${def.key}`;
+    const heading = document.createElement('h2');
+    heading.textContent = def.title;
+    const container = document.createElement('div');
+    section.appendChild(heading);
+    section.appendChild(container);
+    pluginPanels.push({ ...def, section, container });
+  }
+
+  /**
+   * Submit scores to another leaderboard backend, see leaderboard.js.
+   * @param {{name: string, submit: Function, getTop: Function}} backend
+   */
+  function setLeaderboard(backend) {
+    if (!backend || typeof backend.submit !== 'function' || typeof backend.getTop !== 'function') {
+      throw new Error('a leaderboard needs submit and getTop functions');
+    }
+    leaderboard = backend;
+    if (game) renderLeaderboard();
+  }
+
+  // Plugin API. Plugins are plain scripts included after this one; they
+  // register their resources, buildings and queues right away, before the
+  // save is loaded, and reach the game once stateLoaded has been emitted.
+  window.IdleTribal = {
+    engine,
+    EVENT_TYPES: window.IdleTribalEvents.EVENT_TYPES,
+    on: events.on,
+    off: events.off,
+    registerResource,
+    registerBuildingType: engine.registerBuildingType,
+    registerQueue: engine.registerQueue,
+    registerPanel,
+    setLeaderboard,
+    getGame: () => game,
+    getVillage: () => state,
+    // Changes made to the page by rendering so far, see render.js
+    getRenderCounts: () => ({ ...patcher.counts }),
+    // Plugin state kept in the game, or in a village when one is given
+    getPluginState: (key, village) => engine.getPluginState(village || game, key),
+    // Save and redraw after a plugin changed the state outside its queues
+    refresh() {
+      saveState();
+      renderAll();
+    },
+  };
+
+  // Initialize the game when DOM is ready
+  document.addEventListener('DOMContentLoaded', () => {
+    registerServiceWorker();
+    readAuthority();
+    loadBalance()
+      .then((ready) => {
+        if (!ready) return null;
+        return authority ? loadServerState() : loadState();
+      })
+      .then((source) => {
+        if (!source) return;
+        // Replay everything that happened while the game was closed
+        const summary = advanceState();
+        renderOfflineSummary(summary);
+        reportClockJump(summary);
+        notificationHistory = loadNotificationHistory();
+        events.emit('stateLoaded', { game, source, summary });
+        renderAll();
+        renderSaveTransfer();
+        cloud = loadCloudSettings();
+        renderCloudSync();
+        if (!leaderboard) {
+          leaderboard = leaderboards.createLocalLeaderboard(localStorage, { key: storageKey(LEADERBOARD_KEY) });
+        }
+        renderLeaderboard();
+        syncNow();
+        // Start the update loop, and the one moving the progress bars
+        scheduler.setVisible(!document.hidden);
+        scheduler.start();
+        document.addEventListener('visibilitychange', () => scheduler.setVisible(!document.hidden));
+        window.addEventListener('pagehide', () => scheduler.flush());
+        renderer
+          .createProgressLoop({ root: document, now: currentTime, requestFrame: (frame) => requestAnimationFrame(frame) })
+          .start();
+        setInterval(backupState, BACKUP_INTERVAL);
+        setInterval(syncNow, SYNC_INTERVAL);
+        window.addEventListener('online', () => syncNow());
+        if (authority) setInterval(fetchServerState, SERVER_REFRESH_INTERVAL);
+      });
   });
 })();
\ No newline at end of file
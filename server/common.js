@@ -0,0 +1,163 @@
+/*
+  Shared pieces of the Node servers in this directory: JSON file storage,
+  per-key locks and JSON over HTTP with CORS, so the game in any browser
+  tab can reach them.
+*/
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// Largest request body accepted, well above the size of a big save.
+const MAX_BODY_SIZE = 5 * 1024 * 1024; // 5 MB
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+/**
+ * Create a store keeping each save in its own JSON file in a directory,
+ * named by an ID the caller has checked to be a safe file name. Files are
+ * written to a temporary name first and then renamed, so a crash never
+ * leaves half a save behind.
+ * @param {string} dir
+ * @returns {{get: Function, put: Function}}
+ */
+function createFileStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileOf = (id) => path.join(dir, `${id}.json`);
+  return {
+    /**
+     * @param {string} id
+     * @returns {Promise<Object|null>} The stored record, null when there is none
+     */
+    get(id) {
+      return fs.promises.readFile(fileOf(id), 'utf8').then(
+        (text) => JSON.parse(text),
+        (err) => {
+          if (err.code === 'ENOENT') return null;
+          throw err;
+        }
+      );
+    },
+    /**
+     * @param {string} id
+     * @param {Object} record
+     * @returns {Promise<void>}
+     */
+    put(id, record) {
+      const temp = `${fileOf(id)}.tmp`;
+      return fs.promises
+        .writeFile(temp, JSON.stringify(record))
+        .then(() => fs.promises.rename(temp, fileOf(id)));
+    },
+  };
+}
+
+/**
+ * Send a JSON response.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body.
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Object>} Rejects with a status code on the error when
+ *   the body is too large or not JSON
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(Object.assign(new Error('save too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (err) {
+        reject(Object.assign(new Error('body is not JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Create a function running tasks one after another per key, so requests
+ * for the same save cannot interleave their reads and writes.
+ * @returns {Function} (key, task) => the promise returned by task, run once
+ *   the previous task for the key has settled
+ */
+function createLocks() {
+  const locks = new Map();
+  return (key, task) => {
+    const run = (locks.get(key) || Promise.resolve()).then(task, task);
+    const done = run.catch(() => {});
+    locks.set(key, done);
+    done.then(() => {
+      if (locks.get(key) === done) locks.delete(key);
+    });
+    return run;
+  };
+}
+
+/**
+ * Decode an ID taken from a request path.
+ * @param {string} segment - Percent-encoded path segment
+ * @returns {string|null} null when the encoding is malformed
+ */
+function decodeId(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Create an HTTP server answering CORS preflight requests and passing
+ * every other request to a handler. Errors the handler rejects with are
+ * answered with their status, or 500 and a log entry when they have none.
+ * @param {Function} handle - (req, res) => Promise that sends a response
+ * @returns {http.Server}
+ */
+function createJsonServer(handle) {
+  return http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+    Promise.resolve()
+      .then(() => handle(req, res))
+      .catch((err) => {
+        if (!err.status) console.error(err);
+        if (!res.headersSent) sendJson(res, err.status || 500, { error: err.status ? err.message : 'server error' });
+      });
+  });
+}
+
+module.exports = {
+  CORS_HEADERS,
+  createFileStore,
+  createLocks,
+  createJsonServer,
+  decodeId,
+  sendJson,
+  readBody,
+};
@@ -0,0 +1,103 @@
+/*
+  Authoritative game server for the Idle Tribal Game.
+
+  Normally the game trusts the player's device: every timer runs on its
+  clock and the save sits in its localStorage, so changing either changes
+  the game. In authoritative mode (index.html?server=URL) this server keeps
+  each player's game instead, owns the time and carries out their actions
+  with the rules from engine.js. The browser sends every action as a
+  command (see COMMANDS in engine.js), shows its expected result right away
+  and then takes the server's answer as the truth.
+
+    GET  /games/:playerId           ->  200 { state, serverTime }, starting
+                                        a new game the first time
+    POST /games/:playerId/commands  <-  { command }
+                                    ->  200 { state, serverTime }
+                                        409 { error, state, serverTime }
+                                        when the rules refuse the command
+
+  state is the serialized save, advanced to serverTime. Games are played
+  with data/balance.json and without plugins.
+
+  Usage:
+    PORT=8788 DATA_DIR=./game-data node server/game-server.js
+*/
+
+const path = require('path');
+const engine = require('../engine');
+const { isValidId } = require('../sync');
+const { createFileStore, createLocks, createJsonServer, decodeId, sendJson, readBody } = require('./common');
+
+/**
+ * Create the game server. It is not listening yet.
+ * @param {{get: Function, put: Function}} store - See createFileStore
+ * @param {Object} [options]
+ * @param {Function} [options.now] - The game clock, Date.now by default
+ * @param {Function} [options.rng] - Returns a number in [0, 1), Math.random
+ *   by default
+ * @returns {http.Server}
+ */
+function createGameServer(store, { now = Date.now, rng = Math.random } = {}) {
+  // Requests per player run one after another, each on the game the
+  // previous one stored.
+  const withLock = createLocks();
+
+  /**
+   * Load a player's game, advance it to the current time, let a function
+   * change it and store the result.
+   * @param {string} playerId
+   * @param {Function} change - (game, time) => whether the change was made
+   * @returns {Promise<{game: Object, time: number, ok: boolean}>}
+   */
+  const play = (playerId, change) =>
+    withLock(playerId, () => {
+      const time = now();
+      return store.get(playerId).then((record) => {
+        let game = engine.createInitialState(time);
+        if (record) {
+          const { state, errors } = engine.parseSave(record.state, time);
+          if (!state) throw new Error(`the game of ${playerId} is invalid: ${errors[0]}`);
+          game = state;
+        }
+        engine.advanceGame(game, time);
+        const ok = change(game, time);
+        return store.put(playerId, { state: engine.serializeState(game) }).then(() => ({ game, time, ok }));
+      });
+    });
+
+  const respond = (res, { game, time, ok }) =>
+    sendJson(res, ok ? 200 : 409, {
+      ...(ok ? {} : { error: 'command refused' }),
+      state: engine.serializeState(game),
+      serverTime: time,
+    });
+
+  return createJsonServer((req, res) => {
+    const match = /^\/games\/([^/?]+)(\/commands)?$/.exec(req.url);
+    const playerId = match && decodeId(match[1]);
+    if (!playerId || !isValidId(playerId)) return sendJson(res, 404, { error: 'not found' });
+    if (!match[2] && req.method === 'GET') {
+      return play(playerId, () => true).then((result) => respond(res, result));
+    }
+    if (match[2] && req.method === 'POST') {
+      return readBody(req)
+        .then((body) =>
+          play(playerId, (game, time) => engine.applyCommand(game, body && body.command, time, rng))
+        )
+        .then((result) => respond(res, result));
+    }
+    return sendJson(res, 405, { error: 'method not allowed' });
+  });
+}
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 8788;
+  const dir = process.env.DATA_DIR || path.join(__dirname, 'games');
+  createGameServer(createFileStore(dir)).listen(port, () => {
+    console.log(`Game server listening on port ${port}, games in ${dir}`);
+  });
+}
+
+module.exports = {
+  createGameServer,
+};
@@ -0,0 +1,96 @@
+/*
+  Sync server for the Idle Tribal Game's cloud save.
+
+  A minimal self-hostable HTTP server, with no dependencies beyond Node,
+  that stores one save per sync code in a JSON file:
+
+    GET /saves/:syncId  ->  200 { revision, data, deviceId, updatedAt }
+                            404 when there is no save yet
+    PUT /saves/:syncId  <-  { data, baseRevision, deviceId }
+                        ->  200 { revision, updatedAt }
+                            409 with the stored save when baseRevision is
+                            not its latest revision
+
+  Revisions count up from 1 and updatedAt is the server's clock, so devices
+  with wrong clocks cannot make an old save look new. The server never
+  reads the saves themselves; the game decides what a conflict means (see
+  sync.js).
+
+  Usage:
+    PORT=8787 DATA_DIR=./sync-data node server/sync-server.js
+
+  The sync code is the only secret protecting a save; put the server behind
+  HTTPS when it is reachable from the internet.
+*/
+
+const path = require('path');
+const { isValidId } = require('../sync');
+const { createFileStore, createLocks, createJsonServer, decodeId, sendJson, readBody } = require('./common');
+
+/**
+ * Check the body of a PUT request.
+ * @param {Object} body
+ * @returns {string|null} What is wrong with it, null when it is usable
+ */
+function checkPut(body) {
+  if (!body || typeof body.data !== 'string') return 'data must be a string';
+  if (!Number.isInteger(body.baseRevision) || body.baseRevision < 0) {
+    return 'baseRevision must be a non-negative integer';
+  }
+  if (!isValidId(body.deviceId)) return 'deviceId is invalid';
+  return null;
+}
+
+/**
+ * Create the sync server. It is not listening yet.
+ * @param {{get: Function, put: Function}} store - See createFileStore
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock for updatedAt, Date.now by default
+ * @returns {http.Server}
+ */
+function createSyncServer(store, { now = Date.now } = {}) {
+  // Writes per sync code run one after another, so two pushes based on the
+  // same revision cannot both succeed.
+  const withLock = createLocks();
+
+  const handlePut = (req, res, syncId) =>
+    readBody(req).then((body) => {
+      const problem = checkPut(body);
+      if (problem) return sendJson(res, 400, { error: problem });
+      return withLock(syncId, () =>
+        store.get(syncId).then((current) => {
+          const revision = current ? current.revision : 0;
+          if (body.baseRevision !== revision) return sendJson(res, 409, current);
+          const record = { revision: revision + 1, data: body.data, deviceId: body.deviceId, updatedAt: now() };
+          return store.put(syncId, record).then(() =>
+            sendJson(res, 200, { revision: record.revision, updatedAt: record.updatedAt })
+          );
+        })
+      );
+    });
+
+  return createJsonServer((req, res) => {
+    const match = /^\/saves\/([^/?]+)$/.exec(req.url);
+    const syncId = match && decodeId(match[1]);
+    if (!syncId || !isValidId(syncId)) return sendJson(res, 404, { error: 'not found' });
+    if (req.method === 'GET') {
+      return store
+        .get(syncId)
+        .then((record) => (record ? sendJson(res, 200, record) : sendJson(res, 404, { error: 'no save yet' })));
+    }
+    if (req.method === 'PUT') return handlePut(req, res, syncId);
+    return sendJson(res, 405, { error: 'method not allowed' });
+  });
+}
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 8787;
+  const dir = process.env.DATA_DIR || path.join(__dirname, 'data');
+  createSyncServer(createFileStore(dir)).listen(port, () => {
+    console.log(`Sync server listening on port ${port}, saves in ${dir}`);
+  });
+}
+
+module.exports = {
+  createSyncServer,
+};
@@ -0,0 +1,96 @@
+/*
+  Service worker for the Idle Tribal Game.
+
+  Makes the game installable and playable offline. Everything the game
+  needs to start is precached on install under a cache named after
+  CACHE_VERSION, and requests for it are answered from that cache first.
+  Bump CACHE_VERSION whenever a precached file changes: browsers then
+  install the new worker next to the running one, and script.js offers to
+  reload into the new version (the worker takes over once told to with a
+  'skipWaiting' message). The old cache is deleted when it does.
+
+  Requests to other origins, such as a cloud save or game server, are left
+  to the network. Like engine.js this script also loads in Node, where it
+  exposes the precache list for the tests instead of listening for events.
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    factory().listen(root);
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  const CACHE_VERSION = 2;
+  const CACHE_NAME = `idle-tribal-v${CACHE_VERSION}`;
+  // Paths relative to the worker, so the game works from any directory.
+  const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'engine.js',
+    'savecode.js',
+    'events.js',
+    'sync.js',
+    'leaderboard.js',
+    'render.js',
+    'scheduler.js',
+    'script.js',
+    'data/balance.json',
+    'assets/wood.png',
+    'assets/stone.png',
+    'assets/food.png',
+    'assets/icon-192.png',
+    'assets/icon-512.png',
+  ];
+
+  /**
+   * Answer a request from the cache, or from the network when it is not
+   * cached. Pages opened with a query (e.g. ?config=) fall back to the
+   * cached page without it.
+   * @param {Cache} cache
+   * @param {Request} request
+   * @returns {Promise<Response>}
+   */
+  function respond(cache, request) {
+    const ignoreSearch = request.mode === 'navigate';
+    return cache.match(request, { ignoreSearch }).then((cached) => cached || fetch(request));
+  }
+
+  /**
+   * Listen for the service worker events.
+   * @param {ServiceWorkerGlobalScope} scope
+   */
+  function listen(scope) {
+    scope.addEventListener('install', (event) => {
+      event.waitUntil(scope.caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE_URLS)));
+    });
+
+    scope.addEventListener('activate', (event) => {
+      event.waitUntil(
+        scope.caches
+          .keys()
+          .then((names) => Promise.all(names.filter((name) => name !== CACHE_NAME).map((name) => scope.caches.delete(name))))
+          .then(() => scope.clients.claim())
+      );
+    });
+
+    scope.addEventListener('fetch', (event) => {
+      const { request } = event;
+      if (request.method !== 'GET' || new URL(request.url).origin !== scope.location.origin) return;
+      event.respondWith(scope.caches.open(CACHE_NAME).then((cache) => respond(cache, request)));
+    });
+
+    scope.addEventListener('message', (event) => {
+      if (event.data && event.data.type === 'skipWaiting') scope.skipWaiting();
+    });
+  }
+
+  return {
+    CACHE_VERSION,
+    CACHE_NAME,
+    PRECACHE_URLS,
+    listen,
+  };
+});
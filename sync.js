@@ -0,0 +1,140 @@
+/*
+  Cloud sync client for the Idle Tribal Game.
+
+  Pushes the save to and pulls it from a sync server (see
+  server/sync-server.js) under a sync code shared by the player's devices.
+  The server keeps a revision counter per save and only accepts a push
+  based on its latest revision, so two devices that both made progress
+  since they last synced are detected as a conflict, which the player
+  resolves. Passing time alone does not count as progress: every device
+  replays the same absence the same way.
+
+  The module knows nothing about the DOM or localStorage; fetch is passed
+  in. Like engine.js it works as a plain browser script (exposing
+  `window.IdleTribalSync`) and as a CommonJS module in Node.
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.IdleTribalSync = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  // Sync codes and device IDs: letters, digits, '-' and '_'.
+  const ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+  const ID_ALPHABET = 'abcdefghijklmnopqrstuvwxyz0123456789';
+  const ID_LENGTH = 20;
+
+  /**
+   * Create a random sync code or device ID.
+   * @param {Function} rng - Returns a number in [0, 1)
+   * @returns {string}
+   */
+  function createId(rng) {
+    let id = '';
+    for (let i = 0; i < ID_LENGTH; i += 1) {
+      id += ID_ALPHABET[Math.floor(rng() * ID_ALPHABET.length)];
+    }
+    return id;
+  }
+
+  /**
+   * Check that a string can be used as a sync code or device ID.
+   * @param {string} id
+   * @returns {boolean}
+   */
+  function isValidId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+  }
+
+  /**
+   * Decide what a sync should do, given what this device last synced and
+   * the save on the server.
+   * @param {{revision: number, pending: number}} local - Revision last
+   *   synced, and the number of player actions since
+   * @param {{revision: number}|null} remote - null when the server has no save
+   * @returns {string} 'push', 'pull', 'conflict' or 'none'
+   */
+  function decideSync(local, remote) {
+    const changed = local.pending > 0;
+    if (!remote || remote.revision < local.revision) return 'push';
+    if (remote.revision === local.revision) return changed ? 'push' : 'none';
+    return changed ? 'conflict' : 'pull';
+  }
+
+  /**
+   * Create a client for one save on a sync server.
+   * @param {Object} options
+   * @param {string} options.url - Base URL of the sync server
+   * @param {string} options.syncId - Sync code shared by the player's devices
+   * @param {string} options.deviceId - ID of this device
+   * @param {Function} options.fetch
+   * @returns {{pull: Function, push: Function}}
+   */
+  function createSyncClient({ url, syncId, deviceId, fetch }) {
+    const endpoint = `${url.replace(/\/+$/, '')}/saves/${encodeURIComponent(syncId)}`;
+    const readJson = (response) => {
+      if (!response.ok) throw new Error(`server answered ${response.status}`);
+      return response.json();
+    };
+
+    /**
+     * Fetch the save on the server.
+     * @returns {Promise<Object|null>} { revision, data, deviceId, updatedAt },
+     *   or null when there is none
+     */
+    function pull() {
+      return fetch(endpoint).then((response) => (response.status === 404 ? null : readJson(response)));
+    }
+
+    /**
+     * Store a save on the server, based on a given revision.
+     * @param {string} data - Serialized save
+     * @param {number} baseRevision - Revision the save was based on, 0 for none
+     * @returns {Promise<Object>} { ok: true, revision, updatedAt }, or
+     *   { ok: false, remote } when the server holds a newer revision
+     */
+    function push(data, baseRevision) {
+      return fetch(endpoint, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ data, baseRevision, deviceId }),
+      }).then((response) => {
+        if (response.status === 409) return response.json().then((remote) => ({ ok: false, remote }));
+        return readJson(response).then((result) => ({ ok: true, ...result }));
+      });
+    }
+
+    return { pull, push };
+  }
+
+  /**
+   * Sync once: look at the server's save and push, or report what the
+   * caller has to do. Network errors reject the promise; the caller retries
+   * later.
+   * @param {{pull: Function, push: Function}} client
+   * @param {{revision: number, pending: number}} local
+   * @param {string} data - Serialized local save
+   * @returns {Promise<Object>} { action: 'none' }, { action: 'pushed',
+   *   revision }, or { action: 'pull' | 'conflict', remote } when the
+   *   server's save should replace the local one or the player has to choose
+   */
+  function syncOnce(client, local, data) {
+    return client.pull().then((remote) => {
+      const action = decideSync(local, remote);
+      if (action !== 'push') return { action, remote };
+      return client.push(data, remote ? remote.revision : 0).then((result) =>
+        result.ok ? { action: 'pushed', revision: result.revision } : { action: 'conflict', remote: result.remote }
+      );
+    });
+  }
+
+  return {
+    createId,
+    isValidId,
+    decideSync,
+    createSyncClient,
+    syncOnce,
+  };
+});
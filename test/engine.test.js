@@ -0,0 +1,1385 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine');
+
+const T0 = 1_000_000;
+
+/**
+ * Create a fresh village with plenty of resources so actions are affordable.
+ */
+function richState(now = T0) {
+  const state = engine.createVillage(now, 'Village 1');
+  state.resources = { wood: 10000, stone: 10000, food: 10000 };
+  return state;
+}
+
+/**
+ * Create a fresh game whose first village is a rich one.
+ */
+function richGame(now = T0) {
+  const game = engine.createInitialState(now);
+  game.villages[0] = richState(now);
+  return game;
+}
+
+/**
+ * Add storage buildings so a rich state's stockpile stays below the cap.
+ */
+function addStorage(state, level = 20) {
+  state.buildings.push({ type: 'warehouse', level, workers: 0 }, { type: 'granary', level, workers: 0 });
+}
+
+test('calculateCost uses the base cost at level 1 and grows by COST_MULTIPLIER', () => {
+  assert.deepEqual(engine.calculateCost('woodcutter', 1), { wood: 0, stone: 20, food: 10 });
+  assert.deepEqual(engine.calculateCost('woodcutter', 2), { wood: 0, stone: 30, food: 15 });
+  assert.deepEqual(engine.calculateCost('barracks', 3), { wood: 225, stone: 113, food: 113 });
+});
+
+test('calculateTime scales the base time by TIME_MULTIPLIER and returns milliseconds', () => {
+  assert.equal(engine.calculateTime('farm', 1), 5000);
+  assert.equal(engine.calculateTime('farm', 2), 8000);
+  assert.equal(engine.calculateTime('barracks', 3), Math.ceil(8 * 1.6 * 1.6 * 1000));
+});
+
+test('calculateTrainingDuration shortens with barracks levels but never below 1 second', () => {
+  const state = richState();
+  assert.equal(engine.calculateTrainingDuration(state, 'spearman'), 5000);
+  assert.equal(engine.calculateTrainingDuration(state, 'cavalry'), 9000);
+  state.buildings.push({ type: 'barracks', level: 2 });
+  assert.equal(engine.calculateTrainingDuration(state, 'spearman'), 2500);
+  state.buildings.push({ type: 'barracks', level: 20 });
+  assert.equal(engine.calculateTrainingDuration(state, 'spearman'), 1000);
+});
+
+test('buildNew deducts the cost and starts the job immediately', () => {
+  const state = richState();
+  assert.equal(engine.buildNew(state, 'farm', T0), true);
+  assert.equal(state.resources.wood, 9980);
+  assert.equal(state.queue.length, 1);
+  assert.equal(state.queue[0].startTime, T0);
+  assert.equal(state.queue[0].endTime, T0 + 5000);
+});
+
+test('buildNew refuses when resources are insufficient or the queue is full', () => {
+  const poor = engine.createVillage(T0, 'Village 1');
+  assert.equal(engine.buildNew(poor, 'barracks', T0), false);
+  assert.equal(poor.queue.length, 0);
+
+  const state = richState();
+  for (let i = 0; i < engine.QUEUE_SLOTS; i += 1) {
+    assert.equal(engine.buildNew(state, 'farm', T0), true);
+  }
+  assert.equal(engine.buildNew(state, 'farm', T0), false);
+});
+
+test('checkQueue completes a chain of jobs back to back', () => {
+  const state = richState();
+  engine.buildNew(state, 'woodcutter', T0);
+  engine.buildNew(state, 'farm', T0);
+  // The second job only starts once the first has finished
+  assert.equal(state.queue[1].startTime, null);
+  engine.checkQueue(state, T0 + 5000);
+  assert.deepEqual(state.buildings, [{ type: 'woodcutter', level: 1, workers: 2 }]);
+  assert.equal(state.queue[0].startTime, T0 + 5000);
+  engine.checkQueue(state, T0 + 60000);
+  assert.equal(state.buildings.length, 2);
+  assert.equal(state.queue.length, 0);
+});
+
+test('upgradeBuilding targets the level after queued upgrades', () => {
+  const state = richState();
+  state.buildings.push({ type: 'woodcutter', level: 1, workers: 2 });
+  engine.upgradeBuilding(state, 0, T0);
+  engine.upgradeBuilding(state, 0, T0);
+  assert.deepEqual(
+    state.queue.map((job) => job.level),
+    [2, 3]
+  );
+  assert.equal(engine.getQueuedLevel(state, 0), 3);
+});
+
+test('cancelJob refunds part of the cost and cancels dependent upgrades', () => {
+  const state = richState();
+  state.buildings.push({ type: 'woodcutter', level: 1, workers: 2 });
+  addStorage(state);
+  engine.upgradeBuilding(state, 0, T0);
+  engine.upgradeBuilding(state, 0, T0);
+  engine.buildNew(state, 'farm', T0);
+  const before = { ...state.resources };
+  assert.equal(engine.cancelJob(state, 0, T0 + 1000), true);
+  // Both woodcutter upgrades go; the farm starts right away
+  assert.equal(state.queue.length, 1);
+  assert.equal(state.queue[0].type, 'farm');
+  assert.equal(state.queue[0].startTime, T0 + 1000);
+  const refundedStone = Math.floor(30 * 0.75) + Math.floor(45 * 0.75);
+  assert.equal(state.resources.stone, before.stone + refundedStone);
+});
+
+test('moveJob keeps the running job and same-building upgrades in order', () => {
+  const state = richState();
+  state.buildings.push({ type: 'woodcutter', level: 1, workers: 2 });
+  engine.buildNew(state, 'farm', T0);
+  engine.upgradeBuilding(state, 0, T0);
+  engine.upgradeBuilding(state, 0, T0);
+  assert.equal(engine.moveJob(state, 1, -1), false);
+  assert.equal(engine.moveJob(state, 2, -1), false);
+  engine.cancelJob(state, 2, T0);
+  engine.buildNew(state, 'quarry', T0);
+  assert.equal(engine.moveJob(state, 2, -1), true);
+  assert.deepEqual(
+    state.queue.map((job) => job.type),
+    ['farm', 'quarry', 'woodcutter']
+  );
+});
+
+test('advanceState applies upgrades at their endTime before crediting more production', () => {
+  const state = richState();
+  state.resources.wood = 0;
+  state.buildings.push({ type: 'woodcutter', level: 1, workers: 2 });
+  addStorage(state);
+  engine.upgradeBuilding(state, 0, T0);
+  const summary = engine.advanceState(state, T0 + 3600 * 1000);
+  // 8 seconds at level 1, the rest of the hour at level 2
+  assert.equal(summary.produced.wood, 8 + 2 * (3600 - 8));
+  assert.deepEqual(summary.constructions, [{ type: 'woodcutter', level: 2 }]);
+  assert.equal(state.lastUpdate, T0 + 3600 * 1000);
+});
+
+test('advanceState reaches the same state in one step as in many small ones', () => {
+  const a = richState();
+  a.buildings.push({ type: 'woodcutter', level: 1, workers: 2 }, { type: 'farm', level: 2, workers: 4 });
+  engine.upgradeBuilding(a, 0, T0);
+  engine.buildNew(a, 'quarry', T0);
+  engine.trainTroop(a, 'archer', T0);
+  const b = JSON.parse(JSON.stringify(a));
+  engine.advanceState(a, T0 + 120000);
+  for (let t = T0 + 1000; t <= T0 + 120000; t += 1000) engine.advanceState(b, t);
+  assert.deepEqual(b.buildings, a.buildings);
+  assert.deepEqual(b.troops, a.troops);
+  Object.keys(a.resources).forEach((res) => {
+    assert.ok(Math.abs(a.resources[res] - b.resources[res]) < 1e-6);
+  });
+});
+
+test('trainTroop trains one unit at a time', () => {
+  const state = richState();
+  assert.equal(engine.trainTroop(state, 'knight', T0), false);
+  assert.equal(engine.trainTroop(state, 'spearman', T0), true);
+  assert.equal(engine.trainTroop(state, 'archer', T0), false);
+  assert.equal(state.resources.wood, 10000 - engine.UNIT_TYPES.spearman.cost.wood);
+  engine.checkTrainingQueue(state, T0 + 4999);
+  assert.equal(state.troops.spearman, 0);
+  engine.checkTrainingQueue(state, T0 + 5000);
+  assert.deepEqual(state.troops, { spearman: 1, archer: 0, cavalry: 0 });
+  assert.equal(state.trainingQueue, null);
+});
+
+test('resolveBattle lets the stronger side win and scales winner losses', () => {
+  const attackers = { spearman: 0, archer: 10, cavalry: 0 };
+  const defenders = { spearman: 5, archer: 0, cavalry: 0 };
+  // Archers counter spearmen: 10 * 15 * 1.5 = 225 attack vs 5 * 15 / 1.5 = 50 defense
+  const result = engine.resolveBattle(attackers, defenders, () => 0.5);
+  assert.equal(result.won, true);
+  assert.equal(result.attackPower, 225);
+  assert.equal(result.defensePower, 50);
+  assert.deepEqual(result.defenderLosses, defenders);
+  assert.equal(result.attackerLosses.archer, Math.round(10 * Math.pow(50 / 225, 1.5)));
+
+  const lost = engine.resolveBattle({ spearman: 1, archer: 0, cavalry: 0 }, defenders, () => 0.5);
+  assert.equal(lost.won, false);
+  assert.deepEqual(lost.attackerLosses, { spearman: 1, archer: 0, cavalry: 0 });
+});
+
+test('counter modifiers decide battles between equal armies', () => {
+  const cavalry = { spearman: 0, archer: 0, cavalry: 10 };
+  const spearmen = { spearman: 10, archer: 0, cavalry: 0 };
+  const archers = { spearman: 0, archer: 10, cavalry: 0 };
+  assert.equal(engine.resolveBattle(cavalry, spearmen, () => 0.5).won, false);
+  assert.equal(engine.resolveBattle(cavalry, archers, () => 0.5).won, true);
+});
+
+test('capLoot limits loot to the carry capacity', () => {
+  assert.deepEqual(engine.capLoot({ wood: 10, stone: 10 }, 100), { wood: 10, stone: 10 });
+  assert.deepEqual(engine.capLoot({ wood: 300, stone: 100 }, 100), { wood: 75, stone: 25 });
+  assert.equal(engine.getCarryCapacity({ spearman: 2, archer: 1, cavalry: 1 }), 50 + 15 + 60);
+});
+
+test('raid fights the camp garrison and brings survivors and loot home', () => {
+  const state = richState();
+  addStorage(state);
+  const units = { cavalry: 2 };
+  assert.equal(engine.raid(state, 'outpost', units, T0, () => 0), false);
+  state.troops = { spearman: 0, archer: 0, cavalry: 12 };
+  assert.equal(engine.raid(state, 'nowhere', units, T0, () => 0), false);
+  assert.equal(engine.raid(state, 'outpost', { cavalry: 13 }, T0, () => 0), false);
+  assert.equal(engine.raid(state, 'outpost', { cavalry: 0 }, T0, () => 0), false);
+  assert.equal(engine.raid(state, 'outpost', { cavalry: 10 }, T0, () => 0), true);
+  assert.equal(state.troops.cavalry, 2);
+  const { won, losses, loot } = state.raidQueue[0];
+  assert.equal(won, true);
+  assert.deepEqual(loot, { wood: 40, stone: 40, food: 20 });
+  const summary = engine.advanceState(state, T0 + engine.RAID_TIME);
+  assert.deepEqual(state.raidQueue, []);
+  assert.equal(state.troops.cavalry, 12 - losses.cavalry);
+  assert.equal(state.resources.stone, 10040);
+  assert.equal(summary.raids.length, 1);
+  assert.equal(state.battleReports[0].camp, 'outpost');
+  assert.deepEqual(state.battleReports[0].loot, loot);
+});
+
+test('a lost raid brings nothing home', () => {
+  const state = richState();
+  state.troops = { spearman: 3, archer: 0, cavalry: 0 };
+  engine.raid(state, 'fortress', { spearman: 3 }, T0, () => 0.99);
+  assert.equal(state.raidQueue[0].won, false);
+  assert.deepEqual(state.raidQueue[0].loot, { wood: 0, stone: 0, food: 0 });
+  engine.advanceState(state, T0 + engine.RAID_TIME);
+  assert.deepEqual(state.troops, { spearman: 0, archer: 0, cavalry: 0 });
+  assert.equal(state.battleReports[0].won, false);
+});
+
+test('battle reports are capped', () => {
+  const state = richState();
+  state.troops.cavalry = 100;
+  for (let i = 0; i < engine.MAX_BATTLE_REPORTS + 3; i += 1) {
+    const now = T0 + i * engine.RAID_TIME;
+    engine.advanceState(state, now);
+    engine.raid(state, 'outpost', { cavalry: 5 }, now, () => 0.5);
+  }
+  engine.advanceState(state, T0 + 100 * engine.RAID_TIME);
+  assert.equal(state.battleReports.length, engine.MAX_BATTLE_REPORTS);
+});
+
+test('loadSave round-trips a serialized state', () => {
+  const state = richGame();
+  engine.buildNew(state.villages[0], 'farm', T0);
+  const result = engine.loadSave(engine.serializeState(state), null, T0 + 10);
+  assert.equal(result.source, 'save');
+  assert.deepEqual(result.state, state);
+});
+
+test('loadSave starts a new game when there is no save', () => {
+  const result = engine.loadSave(null, null, T0);
+  assert.equal(result.source, 'new');
+  assert.deepEqual(result.state, engine.createInitialState(T0));
+});
+
+test('loadSave migrates saves written before schema versioning', () => {
+  const legacy = {
+    resources: { wood: 1, stone: 2, food: 3 },
+    buildings: [{ type: 'woodcutter', level: 1 }],
+    queue: { type: 'woodcutter', targetIndex: 0, level: 2, startTime: T0, endTime: T0 + 8000 },
+    lastUpdate: T0,
+  };
+  const { state: game, source } = engine.loadSave(JSON.stringify(legacy), null, T0 + 100);
+  assert.equal(source, 'save');
+  assert.equal(game.schemaVersion, engine.SCHEMA_VERSION);
+  const state = game.villages[0];
+  assert.deepEqual(state.troops, { spearman: 0, archer: 0, cavalry: 0 });
+  assert.equal(state.trainingQueue, null);
+  assert.deepEqual(state.raidQueue, []);
+  assert.equal(state.buildings[0].workers, 2);
+  assert.equal(state.queue.length, 1);
+  assert.equal(state.queue[0].duration, 8000);
+  assert.deepEqual(state.queue[0].cost, { wood: 0, stone: 30, food: 15 });
+  const idle = engine.loadSave(JSON.stringify({ ...legacy, queue: null }), null, T0);
+  assert.deepEqual(idle.state.villages[0].queue, []);
+});
+
+test('loadSave turns plain troop counts into spearmen and keeps raids in flight', () => {
+  const v2 = {
+    ...engine.createVillage(T0, 'Village 1'),
+    schemaVersion: 2,
+    troops: 7,
+    trainingQueue: { startTime: T0, endTime: T0 + 5000 },
+    raidQueue: { startTime: T0, endTime: T0 + 30000, reward: { wood: 20, stone: 30, food: 10 } },
+  };
+  delete v2.battleReports;
+  const state = engine.loadSave(JSON.stringify(v2), null, T0).state.villages[0];
+  assert.deepEqual(state.troops, { spearman: 7, archer: 0, cavalry: 0 });
+  assert.equal(state.trainingQueue.unit, 'spearman');
+  engine.advanceState(state, T0 + 30000);
+  assert.equal(state.troops.spearman, 7 + 1 + 5);
+  assert.equal(state.resources.stone, 50 + 30);
+  assert.equal(state.battleReports.length, 1);
+});
+
+test('validateState reports unknown buildings and non-finite resources', () => {
+  const game = richGame();
+  assert.deepEqual(engine.validateState(game), []);
+  const state = game.villages[0];
+  state.buildings.push({ type: 'castle', level: 1 });
+  state.resources.wood = null;
+  state.troops.archer = -1;
+  game.activeVillage = 1;
+  assert.deepEqual(engine.validateState(game), [
+    'villages[0].resources.wood must be a finite number',
+    'villages[0].buildings[0].type must be a known building type',
+    'villages[0].troops.archer must be a non-negative integer',
+    'activeVillage must be the index of a village',
+  ]);
+});
+
+test('parseSave rejects unreadable saves and saves from a newer schema', () => {
+  assert.deepEqual(engine.parseSave('{not json', T0).errors, ['save is not valid JSON']);
+  const future = { ...richGame(), schemaVersion: engine.SCHEMA_VERSION + 1 };
+  const result = engine.parseSave(JSON.stringify(future), T0);
+  assert.equal(result.state, null);
+  assert.match(result.errors[0], /newer|supports up to/);
+});
+
+test('loadSave restores the backup when the save is corrupt', () => {
+  const good = richGame();
+  good.villages[0].buildings.push({ type: 'farm', level: 4, workers: 8 });
+  const corrupt = { ...good, villages: [{ ...good.villages[0], buildings: [{ type: 'castle', level: 1 }] }] };
+  const result = engine.loadSave(JSON.stringify(corrupt), engine.serializeState(good), T0);
+  assert.equal(result.source, 'backup');
+  assert.deepEqual(result.state.villages[0].buildings, [{ type: 'farm', level: 4, workers: 8 }]);
+  assert.deepEqual(result.errors, ['villages[0].buildings[0].type must be a known building type']);
+});
+
+test('loadSave resets only when neither save nor backup can be used', () => {
+  const result = engine.loadSave('{not json', '[]', T0);
+  assert.equal(result.source, 'reset');
+  assert.deepEqual(result.state, engine.createInitialState(T0));
+  assert.deepEqual(result.errors, ['save is not valid JSON']);
+});
+
+test('diffStates lists villages, resources, building levels and troops with changes flagged', () => {
+  const current = richGame();
+  current.villages[0].buildings.push({ type: 'woodcutter', level: 2 });
+  const incoming = JSON.parse(JSON.stringify(current));
+  incoming.villages.push(richState());
+  incoming.villages[1].name = 'Village 2';
+  incoming.villages[1].buildings.push({ type: 'woodcutter', level: 1 });
+  incoming.villages[1].troops.archer = 3;
+  const rows = engine.diffStates(current, incoming);
+  assert.deepEqual(rows[0], {
+    label: 'Villages',
+    before: 'Village 1',
+    after: 'Village 1, Village 2',
+    changed: true,
+  });
+  assert.deepEqual(rows.find((row) => row.label === 'wood'), {
+    label: 'wood',
+    before: '10000',
+    after: '20000',
+    changed: true,
+  });
+  assert.deepEqual(rows.find((row) => row.label === 'Woodcutter'), {
+    label: 'Woodcutter',
+    before: 'Lv 2',
+    after: 'Lv 2, Lv 1',
+    changed: true,
+  });
+  assert.deepEqual(rows.find((row) => row.label === 'Archer'), {
+    label: 'Archer',
+    before: '0',
+    after: '3',
+    changed: true,
+  });
+});
+
+test('createRng is deterministic for a seed', () => {
+  const a = engine.createRng(42);
+  const b = engine.createRng(42);
+  const values = [a(), a(), a()];
+  assert.deepEqual([b(), b(), b()], values);
+  values.forEach((value) => assert.ok(value >= 0 && value < 1));
+  assert.notEqual(engine.createRng(43)(), values[0]);
+});
+
+test('scheduleAttack draws the same wave for the same seed and grows each wave', () => {
+  const a = richState();
+  const b = richState();
+  assert.deepEqual(a.nextAttack, b.nextAttack);
+  const { arrival, army } = a.nextAttack;
+  assert.ok(arrival >= T0 + engine.ATTACK_INTERVAL * 0.75);
+  assert.ok(arrival <= T0 + engine.ATTACK_INTERVAL * 1.25);
+  assert.equal(engine.countUnits(army), 2);
+  engine.scheduleAttack(a, 5, T0);
+  assert.equal(engine.countUnits(a.nextAttack.army), 10);
+});
+
+test('watchtowers spot attacks earlier', () => {
+  const state = richState();
+  const { arrival } = state.nextAttack;
+  assert.equal(engine.isAttackVisible(state, arrival - 61000), false);
+  assert.equal(engine.isAttackVisible(state, arrival - 60000), true);
+  state.buildings.push({ type: 'watchtower', level: 2 });
+  assert.equal(engine.getWarningTime(state), 5 * 60000);
+  assert.equal(engine.isAttackVisible(state, arrival - 5 * 60000), true);
+});
+
+test('walls repel a wave even without troops at home', () => {
+  const state = richState();
+  state.buildings.push({ type: 'wall', level: 3 });
+  assert.deepEqual(engine.getFortification(state), { multiplier: 1.3, bonus: 60 });
+  state.nextAttack.army = { spearman: 2, archer: 0, cavalry: 0 };
+  const { arrival } = state.nextAttack;
+  const summary = engine.advanceState(state, arrival);
+  assert.equal(summary.attacks.length, 1);
+  assert.equal(state.defenseReports[0].repelled, true);
+  assert.deepEqual(state.defenseReports[0].plundered, { wood: 0, stone: 0, food: 0 });
+  assert.equal(state.nextAttack.wave, 2);
+  assert.ok(state.nextAttack.arrival > arrival);
+});
+
+test('an undefended village is plundered and can lose a building level', () => {
+  const state = richState();
+  state.resources = { wood: 100, stone: 100, food: 1000 };
+  state.lastUpdate = state.nextAttack.arrival;
+  state.buildings.push({ type: 'barracks', level: 3 }, { type: 'barracks', level: 1 });
+  state.nextAttack.army = { spearman: 0, archer: 0, cavalry: 10 };
+  state.nextAttack.damageRoll = 0;
+  engine.checkAttack(state, state.nextAttack.arrival);
+  const [report] = state.defenseReports;
+  assert.equal(report.repelled, false);
+  // 30% of each resource, well within the carry capacity of 10 cavalry
+  assert.deepEqual(report.plundered, { wood: 30, stone: 30, food: 300 });
+  assert.deepEqual(state.resources, { wood: 70, stone: 70, food: 700 });
+  assert.deepEqual(report.damaged, { type: 'barracks', level: 2 });
+  assert.equal(state.buildings[0].level, 2);
+});
+
+test('defending troops fight the wave and take losses', () => {
+  const state = richState();
+  state.troops = { spearman: 20, archer: 0, cavalry: 0 };
+  state.nextAttack.army = { spearman: 0, archer: 0, cavalry: 6 };
+  engine.checkAttack(state, state.nextAttack.arrival);
+  const [report] = state.defenseReports;
+  assert.equal(report.repelled, true);
+  assert.deepEqual(report.attackerLosses, { spearman: 0, archer: 0, cavalry: 6 });
+  assert.equal(state.troops.spearman, 20 - report.losses.spearman);
+});
+
+test('loadSave schedules the first attack for saves from before attacks', () => {
+  const v3 = { ...richState(), schemaVersion: 3 };
+  delete v3.nextAttack;
+  delete v3.attackSeed;
+  delete v3.defenseReports;
+  const state = engine.loadSave(JSON.stringify(v3), null, T0 + 5000).state.villages[0];
+  assert.deepEqual(state.defenseReports, []);
+  assert.equal(state.nextAttack.wave, 1);
+  assert.ok(state.nextAttack.arrival > T0 + 5000);
+});
+
+test('storage buildings raise the cap for the resources they store', () => {
+  const state = engine.createVillage(T0, 'Village 1');
+  assert.deepEqual(engine.getStorageCapacity(state), { wood: 500, stone: 500, food: 500 });
+  state.buildings.push({ type: 'warehouse', level: 2 }, { type: 'granary', level: 1 });
+  assert.deepEqual(engine.getStorageCapacity(state), { wood: 1125, stone: 1125, food: 750 });
+});
+
+test('production stops at the storage cap and only stored amounts are reported', () => {
+  const state = engine.createVillage(T0, 'Village 1');
+  state.resources = { wood: 480, stone: 600, food: 400 };
+  state.buildings.push(
+    { type: 'woodcutter', level: 1, workers: 2 },
+    { type: 'quarry', level: 1, workers: 2 }
+  );
+  assert.equal(engine.getTimeUntilFull(state, 'wood'), 20000);
+  assert.equal(engine.getTimeUntilFull(state, 'stone'), 0);
+  assert.equal(engine.getTimeUntilFull(state, 'food'), Infinity);
+  const summary = engine.advanceState(state, T0 + 60 * 1000);
+  assert.equal(state.resources.wood, 500);
+  assert.equal(summary.produced.wood, 20);
+  // A stockpile already over the cap is kept but does not grow
+  assert.equal(state.resources.stone, 600);
+  assert.equal(summary.produced.stone, 0);
+});
+
+test('raid loot beyond the storage cap is lost', () => {
+  const state = engine.createVillage(T0, 'Village 1');
+  state.resources = { wood: 490, stone: 0, food: 500 };
+  state.troops.cavalry = 10;
+  engine.raid(state, 'outpost', { cavalry: 10 }, T0, () => 0);
+  engine.checkRaidQueue(state, T0 + engine.RAID_TIME);
+  assert.deepEqual(state.resources, { wood: 500, stone: 40, food: 500 });
+});
+
+test('a warehouse finished during an absence raises the cap from then on', () => {
+  const state = engine.createVillage(T0, 'Village 1');
+  state.resources = { wood: 500, stone: 500, food: 500 };
+  state.buildings.push({ type: 'woodcutter', level: 1, workers: 2 });
+  engine.buildNew(state, 'warehouse', T0);
+  const done = state.queue[0].endTime;
+  engine.advanceState(state, done + 10 * 1000);
+  assert.equal(engine.getStorageCapacity(state).wood, 750);
+  assert.equal(state.resources.wood, 500 - 60 + 10 + (done - T0) / 1000);
+});
+
+test('finished buildings are staffed from free villagers and production follows staffing', () => {
+  const state = richState();
+  state.buildings.push({ type: 'farm', level: 1, workers: 2 });
+  assert.deepEqual(engine.getPopulation(state), { capacity: 10, workers: 2, troops: 0, free: 8 });
+  state.troops.spearman = 5;
+  engine.buildNew(state, 'woodcutter', T0);
+  engine.checkQueue(state, T0 + 5000);
+  assert.equal(state.buildings[1].workers, 2);
+  assert.equal(engine.assignWorkers(state, 1, 1, T0 + 5000), true);
+  assert.equal(engine.getProduction(state.buildings[1]), 0.5);
+  assert.equal(engine.assignWorkers(state, 1, 3, T0 + 5000), false);
+  assert.equal(engine.assignWorkers(state, 0, -1, T0 + 5000), false);
+  // Only one villager is free, so a new building is only partly staffed
+  state.troops.spearman = 6;
+  engine.buildNew(state, 'quarry', T0 + 5000);
+  engine.checkQueue(state, T0 + 10000);
+  assert.equal(state.buildings[2].workers, 1);
+  assert.equal(engine.getPopulation(state).free, 0);
+  assert.equal(engine.assignWorkers(state, 1, 2, T0 + 5000), false);
+});
+
+test('troops draw from the population', () => {
+  const state = richState();
+  state.troops.spearman = 4;
+  assert.equal(engine.trainTroop(state, 'spearman', T0), true);
+  engine.checkTrainingQueue(state, T0 + 5000);
+  assert.equal(engine.getPopulation(state).free, 0);
+  assert.equal(engine.trainTroop(state, 'spearman', T0 + 5000), false);
+  // Raiders still count until they are killed or return
+  engine.raid(state, 'outpost', { spearman: 5 }, T0 + 5000, () => 0);
+  const { sent, losses } = state.raidQueue[0];
+  assert.equal(engine.getPopulation(state).troops, sent.spearman - losses.spearman);
+});
+
+test('workers eat food and output halves once the food store runs out', () => {
+  const state = engine.createVillage(T0, 'Village 1');
+  state.resources = { wood: 0, stone: 0, food: 10 };
+  state.buildings.push({ type: 'woodcutter', level: 2, workers: 4 });
+  assert.equal(engine.getProductionRates(state).food, -0.2);
+  assert.equal(engine.getTimeUntilEmpty(state, 'food'), 50000);
+  const a = JSON.parse(JSON.stringify(state));
+  engine.advanceState(a, T0 + 100000);
+  assert.equal(a.resources.food, 0);
+  assert.equal(engine.isStarving(a), true);
+  assert.equal(a.resources.wood, 2 * 50 + 1 * 50);
+  const b = JSON.parse(JSON.stringify(state));
+  for (let t = T0 + 3000; t <= T0 + 100000; t += 3000) engine.advanceState(b, t);
+  engine.advanceState(b, T0 + 100000);
+  assert.ok(Math.abs(a.resources.wood - b.resources.wood) < 1e-6);
+});
+
+test('loadSave staffs the buildings of version 4 saves as far as housing allows', () => {
+  const save = {
+    ...richState(),
+    schemaVersion: 4,
+    buildings: [
+      { type: 'woodcutter', level: 3 },
+      { type: 'wall', level: 1 },
+      { type: 'quarry', level: 2 },
+    ],
+  };
+  save.troops.spearman = 10;
+  const state = engine.loadSave(JSON.stringify(save), null, T0).state.villages[0];
+  assert.deepEqual(
+    state.buildings.map((building) => building.workers),
+    [5, 0, 0]
+  );
+  assert.deepEqual(engine.validateVillage({ ...state, buildings: [{ type: 'farm', level: 1, workers: 3 }] }), [
+    "buildings[0].workers must be between 0 and the building's worker slots",
+  ]);
+});
+
+test('applyModifiers adds percent effects on a stat together before flat ones', () => {
+  const state = richState();
+  state.technologies = ['betterAxes', 'logistics'];
+  assert.equal(engine.applyModifiers(state, 'production', 10, 'wood'), 12);
+  assert.equal(engine.applyModifiers(state, 'production', 10, 'stone'), 10);
+  assert.equal(engine.getRaidSlots(state), 2);
+  // A second wood bonus stacks additively with Better Axes
+  engine.TECHNOLOGIES.betterAxes.effects.push({ stat: 'production', target: 'wood', percent: 0.3 });
+  try {
+    assert.equal(engine.applyModifiers(state, 'production', 10, 'wood'), 15);
+  } finally {
+    engine.TECHNOLOGIES.betterAxes.effects.pop();
+  }
+});
+
+test('research needs the academy level and prerequisites, which may still be queued', () => {
+  const state = richState();
+  assert.equal(engine.research(state, 'betterAxes', T0), false);
+  state.buildings.push({ type: 'academy', level: 2, workers: 0 });
+  addStorage(state);
+  assert.equal(engine.research(state, 'masonry', T0), false);
+  assert.equal(engine.research(state, 'betterAxes', T0), true);
+  assert.equal(engine.research(state, 'betterAxes', T0), false);
+  assert.equal(engine.research(state, 'masonry', T0), true);
+  assert.equal(engine.research(state, 'cropRotation', T0), false);
+  assert.equal(state.researchQueue[1].startTime, null);
+  assert.equal(state.resources.stone, 10000 - 60 - 200);
+  // Cancelling Better Axes also cancels Masonry, which requires it
+  assert.equal(engine.cancelResearch(state, 0, T0 + 1000), true);
+  assert.deepEqual(state.researchQueue, []);
+  assert.equal(state.resources.stone, 10000 - 60 - 200 + Math.floor(60 * 0.75) + 150);
+});
+
+test('finished research changes production from the moment it completes', () => {
+  const state = engine.createVillage(T0, 'Village 1');
+  state.resources = { wood: 100, stone: 500, food: 500 };
+  state.buildings.push(
+    { type: 'academy', level: 1, workers: 0 },
+    { type: 'woodcutter', level: 1, workers: 2 },
+    { type: 'granary', level: 10, workers: 0 },
+    { type: 'warehouse', level: 10, workers: 0 }
+  );
+  engine.research(state, 'betterAxes', T0);
+  state.resources.wood = 0;
+  const summary = engine.advanceState(state, T0 + 120000);
+  assert.deepEqual(summary.research, ['betterAxes']);
+  assert.deepEqual(state.technologies, ['betterAxes']);
+  assert.ok(Math.abs(state.resources.wood - (60 + 60 * 1.2)) < 1e-6);
+});
+
+test('technologies reduce costs and training time and add raid slots', () => {
+  const state = richState();
+  state.technologies = ['betterAxes', 'masonry', 'cropRotation', 'drill', 'logistics'];
+  assert.deepEqual(engine.calculateCost('wall', 1, state), { wood: 50, stone: 135, food: 0 });
+  assert.deepEqual(engine.calculateCost('wall', 1), { wood: 50, stone: 150, food: 0 });
+  assert.equal(engine.calculateTrainingDuration(state, 'spearman'), 4250);
+  engine.buildNew(state, 'wall', T0);
+  assert.deepEqual(state.queue[0].cost, { wood: 50, stone: 135, food: 0 });
+  state.troops.cavalry = 20;
+  assert.equal(engine.raid(state, 'outpost', { cavalry: 5 }, T0, () => 0), true);
+  assert.equal(engine.raid(state, 'outpost', { cavalry: 5 }, T0 + 1000, () => 0), true);
+  assert.equal(engine.raid(state, 'outpost', { cavalry: 5 }, T0 + 2000, () => 0), false);
+  const summary = engine.advanceState(state, T0 + engine.RAID_TIME + 1000);
+  assert.equal(summary.raids.length, 2);
+  assert.deepEqual(state.raidQueue, []);
+});
+
+test('loadSave keeps a version 5 raid in flight as the only raid in the list', () => {
+  const v5 = { ...richState(), schemaVersion: 5 };
+  delete v5.technologies;
+  delete v5.researchQueue;
+  v5.troops.spearman = 3;
+  engine.raid(v5, 'outpost', { spearman: 3 }, T0, () => 0);
+  v5.raidQueue = v5.raidQueue[0];
+  const state = engine.loadSave(JSON.stringify(v5), null, T0).state.villages[0];
+  assert.equal(state.raidQueue.length, 1);
+  assert.deepEqual(state.technologies, []);
+  assert.deepEqual(state.researchQueue, []);
+});
+
+test('quests unlock in a chain and pay their reward once when claimed', () => {
+  const game = engine.createInitialState(T0);
+  const state = game.villages[0];
+  assert.deepEqual(
+    engine.getAvailableQuests(game).map((quest) => quest.key),
+    ['firstWoodcutter']
+  );
+  assert.deepEqual(engine.getTutorialHighlight(game), { section: 'construction', key: 'woodcutter' });
+  assert.equal(engine.claimQuest(game, 'firstWoodcutter'), false);
+  engine.buildNew(state, 'woodcutter', T0);
+  engine.advanceGame(game, T0 + 5000);
+  const stone = state.resources.stone;
+  assert.equal(engine.claimQuest(game, 'firstWoodcutter'), true);
+  assert.equal(state.resources.stone, stone + 30);
+  assert.equal(engine.claimQuest(game, 'firstWoodcutter'), false);
+  assert.deepEqual(game.quests, ['firstWoodcutter']);
+  assert.deepEqual(engine.getTutorialHighlight(game), { section: 'construction', key: 'farm' });
+  assert.equal(engine.claimQuest(game, 'twoFarms'), false);
+});
+
+test('objectives are measured against buildings, lifetime counters and research', () => {
+  const game = richGame();
+  const state = game.villages[0];
+  state.buildings.push({ type: 'woodcutter', level: 3, workers: 6 });
+  game.villages.push(richState());
+  game.villages[1].buildings.push({ type: 'woodcutter', level: 4, workers: 8 });
+  game.villages[1].stats.raidsWon = 1;
+  const progress = (objective) => engine.getObjectiveProgress(game, objective);
+  assert.deepEqual(progress({ type: 'building', building: 'woodcutter', level: 5 }), {
+    current: 4,
+    target: 5,
+  });
+  assert.deepEqual(progress({ type: 'building', building: 'woodcutter', count: 2 }), {
+    current: 2,
+    target: 2,
+  });
+  state.troops.cavalry = 10;
+  engine.raid(state, 'outpost', { cavalry: 10 }, T0, () => 0);
+  engine.advanceState(state, T0 + engine.RAID_TIME);
+  assert.deepEqual(progress({ type: 'stat', stat: 'raidsWon', count: 3 }), { current: 2, target: 3 });
+});
+
+test('achievements unlock at the moment they are reached, even while away', () => {
+  const game = engine.createInitialState(T0);
+  engine.buildNew(game.villages[0], 'farm', T0);
+  const summary = engine.advanceGame(game, T0 + 3600 * 1000);
+  assert.deepEqual(summary.achievements, ['founder']);
+  assert.deepEqual(game.achievements, { founder: T0 + 5000 });
+  engine.advanceGame(game, T0 + 7200 * 1000);
+  assert.deepEqual(game.achievements, { founder: T0 + 5000 });
+});
+
+test('loadSave starts lifetime counters from the reports kept in version 6 saves', () => {
+  const v6 = { ...richState(), schemaVersion: 6 };
+  ['name', 'noblemen', 'stats'].forEach((key) => delete v6[key]);
+  v6.battleReports = [{ won: true }, { won: false }, { won: true }];
+  v6.defenseReports = [{ repelled: true }];
+  const { state } = engine.loadSave(JSON.stringify(v6), null, T0);
+  const { troopsTrained, raidsWon, attacksRepelled } = state.villages[0].stats;
+  assert.deepEqual({ troopsTrained, raidsWon, attacksRepelled }, { troopsTrained: 0, raidsWon: 2, attacksRepelled: 1 });
+  assert.deepEqual(state.quests, []);
+  assert.deepEqual(state.achievements, {});
+});
+
+test('loadSave moves a version 7 save into the first village', () => {
+  const v7 = { ...richState(), schemaVersion: 7, quests: ['firstWoodcutter'], achievements: { founder: T0 } };
+  delete v7.name;
+  delete v7.noblemen;
+  const { state, source } = engine.loadSave(JSON.stringify(v7), null, T0);
+  assert.equal(source, 'save');
+  assert.equal(state.villages.length, 1);
+  assert.equal(state.villages[0].name, 'Village 1');
+  assert.equal(state.villages[0].noblemen, 0);
+  assert.equal(state.villages[0].resources.wood, 10000);
+  assert.equal(state.villages[0].quests, undefined);
+  assert.equal(state.activeVillage, 0);
+  assert.deepEqual(state.movements, []);
+  assert.deepEqual(state.quests, ['firstWoodcutter']);
+  assert.deepEqual(state.achievements, { founder: T0 });
+});
+
+/**
+ * Find the first site of a kind on a game's world map.
+ */
+function findSite(game, kind, type) {
+  return engine.getWorld(game).find((site) => site.kind === kind && (!type || site.type === type));
+}
+
+test('noblemen need an academy and found a new village on ruins when they arrive', () => {
+  const game = richGame();
+  const state = game.villages[0];
+  state.buildings.push({ type: 'house', level: 1, workers: 0 });
+  assert.equal(engine.trainTroop(state, 'nobleman', T0), false);
+  state.buildings.push({ type: 'academy', level: 1, workers: 0 });
+  assert.equal(engine.trainTroop(state, 'nobleman', T0), true);
+  const ruins = findSite(game, 'ruins');
+  assert.equal(engine.foundVillage(game, 0, ruins.id, T0), false);
+  engine.advanceGame(game, T0 + engine.NOBLEMAN.trainTime);
+  assert.equal(state.noblemen, 1);
+  assert.equal(engine.getPopulation(state).troops, 1);
+
+  const sent = T0 + engine.NOBLEMAN.trainTime;
+  assert.equal(engine.foundVillage(game, 0, findSite(game, 'camp').id, sent), false);
+  assert.equal(engine.foundVillage(game, 0, ruins.id, sent), true);
+  assert.equal(state.noblemen, 0);
+  const arrival = sent + engine.getTravelTime(engine.getDistance(state, ruins), engine.NOBLEMAN.speed);
+  assert.equal(game.movements[0].endTime, arrival);
+  const summary = engine.advanceGame(game, arrival + 1000);
+  assert.deepEqual(summary.villages, ['Village 2']);
+  assert.equal(game.villages.length, 2);
+  assert.deepEqual([game.villages[1].x, game.villages[1].y], [ruins.x, ruins.y]);
+  assert.equal(game.villages[1].lastUpdate, arrival + 1000);
+  assert.deepEqual(game.villages[1].resources, { wood: 50, stone: 50, food: 50 });
+  assert.deepEqual(game.movements, []);
+  assert.equal(engine.getOpenSite(game, ruins.id), null);
+  assert.deepEqual(engine.validateState(game), []);
+});
+
+test('a conquest that wins turns the camp into a village held by the survivors', () => {
+  const game = richGame();
+  const state = game.villages[0];
+  const outpost = findSite(game, 'camp', 'outpost');
+  state.noblemen = 1;
+  state.troops.cavalry = 20;
+  assert.equal(engine.conquer(game, 0, outpost.id, { spearman: 1 }, T0, () => 0.5), false);
+  assert.equal(engine.conquer(game, 0, outpost.id, { cavalry: 20 }, T0, () => 0.5), true);
+  assert.equal(state.noblemen, 0);
+  assert.equal(state.troops.cavalry, 0);
+  // The army keeps pace with the nobleman
+  const travelTime = engine.getTravelTime(engine.getDistance(state, outpost), engine.NOBLEMAN.speed);
+  const summary = engine.advanceGame(game, T0 + travelTime);
+  assert.deepEqual(summary.villages, ['Bandit Outpost']);
+  const conquered = game.villages[1];
+  assert.deepEqual([conquered.x, conquered.y], [outpost.x, outpost.y]);
+  assert.equal(conquered.troops.cavalry, 20 - state.battleReports[0].losses.cavalry);
+  assert.deepEqual(conquered.resources, { wood: 80, stone: 80, food: 50 });
+  assert.equal(state.battleReports[0].won, true);
+  assert.equal(state.battleReports[0].site, outpost.id);
+  assert.equal(state.stats.raidsWon, 1);
+});
+
+test('a conquest that loses costs the nobleman and the army', () => {
+  const game = richGame();
+  const state = game.villages[0];
+  state.noblemen = 1;
+  state.troops.spearman = 3;
+  engine.conquer(game, 0, findSite(game, 'camp', 'outpost').id, { spearman: 3 }, T0, () => 0.5);
+  engine.advanceGame(game, T0 + 3600 * 1000);
+  assert.equal(game.villages.length, 1);
+  assert.equal(state.noblemen, 0);
+  assert.equal(state.troops.spearman, 0);
+  assert.equal(state.battleReports[0].won, false);
+});
+
+test('merchants deliver resources, carry back what does not fit and return later', () => {
+  const game = richGame();
+  const state = game.villages[0];
+  game.villages.push(engine.createVillage(T0, 'Village 2', engine.findFreeTile(game)));
+  const travelTime = engine.getTravelTime(
+    engine.getDistance(state, game.villages[1]),
+    engine.MERCHANT_SPEED
+  );
+  assert.equal(engine.sendTransport(game, 0, 1, { wood: 100 }, T0), false);
+  addStorage(state);
+  state.buildings.push({ type: 'market', level: 2, workers: 0 });
+  assert.equal(engine.getFreeMerchants(game, 0), 4);
+  assert.equal(engine.sendTransport(game, 0, 1, { wood: 450, stone: 100 }, T0), false);
+  assert.equal(engine.sendTransport(game, 0, 0, { wood: 100 }, T0), false);
+  assert.equal(engine.sendTransport(game, 0, 1, { wood: 300, stone: 100 }, T0), true);
+  assert.equal(state.resources.wood, 9700);
+  assert.equal(engine.getFreeMerchants(game, 0), 0);
+
+  const summary = engine.advanceGame(game, T0 + travelTime);
+  assert.deepEqual(summary.transports, [
+    { from: 'Village 1', to: 'Village 2', resources: { wood: 300, stone: 100, food: 0 } },
+  ]);
+  assert.equal(game.villages[1].resources.wood, 350);
+  assert.equal(engine.getFreeMerchants(game, 0), 0);
+  engine.advanceGame(game, T0 + 2 * travelTime);
+  assert.equal(engine.getFreeMerchants(game, 0), 4);
+
+  game.villages[1].resources.wood = 450;
+  engine.sendTransport(game, 0, 1, { wood: 100 }, T0 + 2 * travelTime);
+  engine.advanceGame(game, T0 + 4 * travelTime);
+  assert.equal(game.villages[1].resources.wood, 500);
+  assert.equal(state.resources.wood, 9650);
+});
+
+test('advanceGame reaches the same state in one step as in many small ones', () => {
+  const setup = () => {
+    const game = richGame();
+    game.villages[0].buildings.push(
+      { type: 'market', level: 1, workers: 0 },
+      { type: 'woodcutter', level: 1, workers: 2 }
+    );
+    game.villages.push(engine.createVillage(T0, 'Village 2', { x: 0, y: 0 }));
+    engine.buildNew(game.villages[1], 'woodcutter', T0);
+    engine.sendTransport(game, 0, 1, { food: 150 }, T0);
+    return game;
+  };
+  const once = setup();
+  engine.advanceGame(once, T0 + 10 * 60000);
+  const steps = setup();
+  for (let t = T0 + 7000; t <= T0 + 10 * 60000; t += 7000) engine.advanceGame(steps, t);
+  engine.advanceGame(steps, T0 + 10 * 60000);
+  assert.deepEqual(steps.movements, once.movements);
+  assert.deepEqual(steps.achievements, once.achievements);
+  once.villages.forEach((village, i) => {
+    assert.deepEqual(steps.villages[i].buildings, village.buildings);
+    Object.keys(village.resources).forEach((res) => {
+      assert.ok(Math.abs(village.resources[res] - steps.villages[i].resources[res]) < 1e-6);
+    });
+  });
+});
+
+test('the world map is the same for the same seed and keeps sites apart', () => {
+  const sites = engine.generateWorld(42);
+  assert.deepEqual(engine.generateWorld(42), sites);
+  assert.notDeepEqual(engine.generateWorld(43), sites);
+  const total = engine.WORLD_SITES.reduce((sum, { count }) => sum + count, 0);
+  assert.equal(sites.length, total);
+  const tiles = new Set(sites.map(({ x, y }) => `${x},${y}`));
+  assert.equal(tiles.size, sites.length);
+  assert.ok(!tiles.has(`${engine.WORLD_CENTER},${engine.WORLD_CENTER}`));
+  sites.forEach((site) => {
+    assert.ok(site.x >= 0 && site.x < engine.WORLD_SIZE && site.y >= 0 && site.y < engine.WORLD_SIZE);
+  });
+});
+
+test('raids on the map travel at the slowest unit\'s pace and empty the camp for a while', () => {
+  const game = richGame();
+  const state = game.villages[0];
+  const outpost = findSite(game, 'camp', 'outpost');
+  const distance = engine.getDistance(state, outpost);
+  state.troops.spearman = 10;
+  state.troops.cavalry = 10;
+  assert.equal(engine.raidSite(game, 0, outpost.id, { spearman: 10, cavalry: 10 }, T0, () => 0.5), true);
+  const raid = state.raidQueue[0];
+  assert.equal(raid.site, outpost.id);
+  assert.equal(raid.endTime, T0 + 2 * engine.getTravelTime(distance, engine.UNIT_TYPES.spearman.speed));
+  assert.deepEqual(raid.loot, { wood: 80, stone: 80, food: 50 });
+  assert.deepEqual(engine.getSiteStores(game, outpost, T0), { wood: 0, stone: 0, food: 0 });
+  assert.deepEqual(engine.getSiteStores(game, outpost, T0 + engine.CAMP_REGEN_TIME / 2), {
+    wood: 40,
+    stone: 40,
+    food: 25,
+  });
+  assert.deepEqual(
+    engine.getSiteStores(game, outpost, T0 + engine.CAMP_REGEN_TIME * 2),
+    { wood: 80, stone: 80, food: 50 }
+  );
+  // Halfway through, the raiders stand at the camp
+  const [march] = engine.getMarches(game, (T0 + raid.endTime) / 2);
+  assert.deepEqual({ x: march.x, y: march.y }, { x: outpost.x, y: outpost.y });
+  engine.advanceGame(game, raid.endTime);
+  assert.equal(state.battleReports[0].site, outpost.id);
+  assert.equal(engine.raidSite(game, 0, findSite(game, 'ruins').id, { spearman: 1 }, T0, () => 0.5), false);
+});
+
+test('resource nodes are unguarded and give up one resource', () => {
+  const game = richGame();
+  const state = game.villages[0];
+  const grove = findSite(game, 'node', 'grove');
+  state.troops.archer = 4;
+  assert.equal(engine.raidSite(game, 0, grove.id, { archer: 4 }, T0, () => 0.5), true);
+  assert.deepEqual(state.raidQueue[0].losses, { spearman: 0, archer: 0, cavalry: 0 });
+  assert.deepEqual(state.raidQueue[0].loot, { wood: 60 });
+});
+
+test('loadSave places the villages of version 8 saves on the world map', () => {
+  const game = richGame();
+  delete game.world;
+  game.schemaVersion = 8;
+  game.villages.push({ ...richState(), name: 'Village 2' });
+  game.villages.forEach((village) => {
+    delete village.x;
+    delete village.y;
+  });
+  game.movements.push({ kind: 'found', from: 0, startTime: T0, endTime: T0 + 1000 });
+  const { state, errors } = engine.loadSave(JSON.stringify(game), null, T0);
+  assert.deepEqual(errors, []);
+  assert.deepEqual([state.villages[0].x, state.villages[0].y], [engine.WORLD_CENTER, engine.WORLD_CENTER]);
+  assert.equal(engine.getDistance(state.villages[0], state.villages[1]) < 2, true);
+  assert.equal(state.movements[0].site, null);
+  engine.advanceGame(state, T0 + 1000);
+  assert.equal(state.villages.length, 3);
+  assert.deepEqual(engine.validateState(state), []);
+});
+
+test('loadSave gives version 9 saves room for plugin state', () => {
+  const game = richGame();
+  game.schemaVersion = 9;
+  delete game.plugins;
+  delete game.villages[0].plugins;
+  const { state, errors } = engine.loadSave(JSON.stringify(game), null, T0);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(state.plugins, {});
+  assert.deepEqual(state.villages[0].plugins, {});
+});
+
+test('loadSave starts version 10 saves without clock jumps', () => {
+  const game = richGame();
+  game.schemaVersion = 10;
+  delete game.clockJumps;
+  const { state, errors } = engine.loadSave(JSON.stringify(game), null, T0);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(state.clockJumps, { count: 0, largest: 0, last: null });
+});
+
+test('advanceGame records a clock set back without going back in time', () => {
+  const game = richGame();
+  engine.buildNew(game.villages[0], 'woodcutter', T0);
+  engine.advanceGame(game, T0 + 3600000);
+  const { wood } = game.villages[0].resources;
+  // Small corrections are not jumps
+  assert.equal(engine.advanceGame(game, T0 + 3600000 - 5000).clockJump, 0);
+  const summary = engine.advanceGame(game, T0 + 600000);
+  assert.equal(summary.clockJump, 3000000 - 5000);
+  assert.deepEqual(game.clockJumps, { count: 1, largest: 3000000 - 5000, last: T0 + 600000 });
+  assert.equal(game.villages[0].resources.wood, wood);
+  // Counted once, then time runs on from where the clock is
+  assert.equal(engine.advanceGame(game, T0 + 601000).clockJump, 0);
+  assert.equal(game.clockJumps.count, 1);
+  assert.deepEqual(engine.validateState(game), []);
+});
+
+test('applyCommand carries out valid commands and refuses the rest', () => {
+  const game = richGame();
+  const rng = engine.createRng(1);
+  const apply = (command) => engine.applyCommand(game, command, T0, rng);
+  assert.equal(apply({ type: 'buildNew', village: 0, building: 'woodcutter' }), true);
+  assert.equal(game.villages[0].queue[0].type, 'woodcutter');
+  assert.equal(apply({ type: 'buildNew', village: 0, building: 'castle' }), false);
+  assert.equal(apply({ type: 'buildNew', village: 3, building: 'farm' }), false);
+  assert.equal(apply({ type: 'buildNew', building: 'farm' }), false);
+  assert.equal(apply({ type: 'upgradeBuilding', village: 0, index: 99 }), false);
+  assert.equal(apply({ type: 'moveJob', village: 0, position: 1, offset: 5 }), false);
+  assert.equal(apply({ type: 'raidSite', village: 0, site: 0, units: { dragon: 1 } }), false);
+  assert.equal(apply({ type: 'sendTransport', village: 0, to: 0, resources: { wood: -5 } }), false);
+  assert.equal(apply({ type: 'toString', village: 0 }), false);
+  assert.equal(apply({ type: 'research', village: 0, tech: 'toString' }), false);
+  assert.equal(apply(null), false);
+  assert.equal(game.villages[0].queue.length, 1);
+});
+
+test('loadSave adds the new lifetime statistics to version 11 saves', () => {
+  const game = richGame();
+  game.schemaVersion = 11;
+  game.villages[0].stats = { troopsTrained: 4, raidsWon: 2, attacksRepelled: 1 };
+  delete game.history;
+  const { state, errors } = engine.loadSave(JSON.stringify(game), null, T0);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(state.villages[0].stats, {
+    troopsTrained: 4,
+    raidsSent: 0,
+    raidsWon: 2,
+    attacksRepelled: 1,
+    produced: { wood: 0, stone: 0, food: 0 },
+    looted: { wood: 0, stone: 0, food: 0 },
+  });
+  assert.deepEqual(state.history, []);
+});
+
+test('lifetime statistics count production, raids and loot', () => {
+  const game = richGame();
+  const village = game.villages[0];
+  addStorage(village);
+  village.buildings.push({ type: 'woodcutter', level: 1, workers: 2 });
+  village.troops.spearman = 50;
+  engine.advanceGame(game, T0 + 10000);
+  const rate = engine.getProductionRates(village).wood;
+  assert.equal(Math.abs(village.stats.produced.wood - rate * 10) < 1e-9, true);
+  assert.equal(village.stats.produced.food, 0);
+  assert.equal(engine.raid(village, 'outpost', { spearman: 50 }, T0 + 10000, () => 0), true);
+  const { loot } = village.raidQueue[0];
+  engine.advanceGame(game, village.raidQueue[0].endTime);
+  assert.equal(village.stats.raidsSent, 1);
+  assert.equal(village.stats.raidsWon, 1);
+  assert.deepEqual(village.stats.looted, { wood: loot.wood || 0, stone: loot.stone || 0, food: loot.food || 0 });
+  assert.equal(engine.getLifetimeStats(game).raidsWon, 1);
+});
+
+test('the score adds up building levels, production, troops and raids won', () => {
+  const game = richGame();
+  const village = game.villages[0];
+  village.buildings.push({ type: 'woodcutter', level: 3, workers: 0 }, { type: 'farm', level: 2, workers: 0 });
+  village.stats.produced = { wood: 950, stone: 100, food: 0 };
+  village.troops.spearman = 4;
+  village.stats.raidsWon = 2;
+  assert.deepEqual(engine.getVillageScore(village), {
+    buildings: 50,
+    production: 10,
+    troops: 8,
+    raids: 50,
+    total: 118,
+  });
+  game.villages.push(engine.createVillage(T0, 'Village 2'));
+  game.villages[1].buildings.push({ type: 'house', level: 1, workers: 0 });
+  assert.equal(engine.getScore(game).total, 128);
+});
+
+test('the history samples the score at most every interval', () => {
+  const game = richGame();
+  engine.advanceGame(game, T0 + 1000);
+  engine.advanceGame(game, T0 + 2000);
+  assert.equal(game.history.length, 1);
+  assert.equal(game.history[0].time, T0 + 1000);
+  for (let i = 1; i <= engine.HISTORY_LENGTH + 5; i += 1) {
+    engine.advanceGame(game, T0 + 1000 + i * engine.HISTORY_INTERVAL);
+  }
+  assert.equal(game.history.length, engine.HISTORY_LENGTH);
+  assert.equal(game.history[0].time, T0 + 1000 + 6 * engine.HISTORY_INTERVAL);
+  assert.deepEqual(engine.validateState(game), []);
+});
+
+test('loadSave starts version 12 saves without prestige', () => {
+  const game = richGame();
+  game.schemaVersion = 12;
+  delete game.prestige;
+  delete game.villages[0].prestige;
+  const { state, errors } = engine.loadSave(JSON.stringify(game), null, T0);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(state.prestige, engine.createPrestige());
+  assert.deepEqual(state.villages[0].prestige, {});
+});
+
+test('a prestige reset trades the villages for renown and keeps the upgrades', () => {
+  const game = richGame();
+  const village = game.villages[0];
+  village.buildings.push({ type: 'woodcutter', level: 10, workers: 0 }, { type: 'farm', level: 10, workers: 0 });
+  village.stats.produced.wood = 30000;
+  game.villages.push(engine.createVillage(T0, 'Village 2', engine.findFreeTile(game)));
+  game.quests.push('firstWoodcutter');
+  // 200 + 300 points: one renown
+  assert.equal(engine.getPrestigeGain(game), 1);
+  assert.equal(engine.applyCommand(game, { type: 'prestigeReset', village: 0 }, T0 + 1000), true);
+  assert.deepEqual(
+    { ...game.prestige, upgrades: undefined },
+    { renown: 1, earned: 1, resets: 1, pastScore: 500, lastReset: T0 + 1000, upgrades: undefined }
+  );
+  assert.equal(game.villages.length, 1);
+  assert.deepEqual(game.villages[0].buildings, []);
+  assert.deepEqual(game.villages[0].resources, engine.STARTING_RESOURCES);
+  assert.deepEqual(game.quests, ['firstWoodcutter']);
+  // Nothing more to earn until the next run gets further
+  assert.equal(engine.getPrestigeGain(game), 0);
+  assert.equal(engine.prestigeReset(game, T0 + 2000), false);
+
+  assert.equal(engine.buyUpgrade(game, 'masterPlanner', T0 + 2000), false);
+  assert.equal(engine.buyUpgrade(game, 'toString', T0 + 2000), false);
+  assert.equal(engine.applyCommand(game, { type: 'buyUpgrade', village: 0, upgrade: 'provisions' }, T0 + 2000), true);
+  assert.equal(game.prestige.renown, 0);
+  assert.deepEqual(game.villages[0].prestige, { provisions: 1 });
+  assert.equal(engine.getUpgradeCost(game, 'provisions'), 2);
+
+  // The next run starts with the upgrade applied
+  game.villages[0].stats.produced.wood = 150000;
+  assert.equal(engine.prestigeReset(game, T0 + 3000), true);
+  assert.equal(game.prestige.earned, 2);
+  assert.deepEqual(game.villages[0].resources, { wood: 150, stone: 150, food: 150 });
+  assert.deepEqual(game.villages[0].prestige, { provisions: 1 });
+  assert.deepEqual(engine.validateState(game), []);
+});
+
+test('prestige upgrades feed the modifier pipeline once per level', () => {
+  const game = richGame();
+  const village = game.villages[0];
+  const time = engine.calculateTime('woodcutter', 1, village);
+  game.prestige.renown = 20;
+  engine.buyUpgrade(game, 'swiftBuilders', T0);
+  engine.buyUpgrade(game, 'swiftBuilders', T0);
+  engine.buyUpgrade(game, 'richHarvest', T0);
+  engine.buyUpgrade(game, 'masterPlanner', T0);
+  assert.equal(game.prestige.renown, 20 - 1 - 2 - 1 - 5);
+  assert.equal(engine.calculateTime('woodcutter', 1, village), Math.ceil(time * 0.9));
+  const building = { type: 'woodcutter', level: 1, workers: 2 };
+  assert.equal(engine.getProduction(building, village), engine.getProduction(building) * 1.1);
+  assert.equal(engine.getQueueSlots(village), engine.QUEUE_SLOTS + 1);
+  assert.equal(engine.getUpgradeCost(game, 'masterPlanner'), null);
+  assert.equal(engine.buyUpgrade(game, 'masterPlanner', T0), false);
+
+  game.villages[0].prestige = { swiftBuilders: 9 };
+  assert.match(engine.validateState(game).join(), /villages\[0\]\.prestige\.swiftBuilders/);
+
+  // A village cannot apply upgrades that were never bought
+  const edited = richGame();
+  edited.villages[0].prestige = { richHarvest: 1 };
+  assert.deepEqual(engine.validateState(edited), ['villages[0].prestige must match prestige.upgrades']);
+  edited.prestige.upgrades = { richHarvest: 1 };
+  assert.deepEqual(engine.validateState(edited), []);
+});
+
+test('loadSave gives version 13 saves the default notification settings', () => {
+  const game = richGame();
+  game.schemaVersion = 13;
+  delete game.notifications;
+  const { state, errors } = engine.loadSave(JSON.stringify(game), null, T0);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(state.notifications, engine.createNotifications());
+  assert.equal(state.notifications.browser, false);
+});
+
+test('notification settings are commands and are validated', () => {
+  const game = richGame();
+  const command = { type: 'setNotification', village: 0, notification: 'storage', channel: 'toast', on: false };
+  assert.equal(engine.applyCommand(game, command, T0), true);
+  assert.deepEqual(game.notifications.types.storage, { toast: false, browser: true });
+  assert.equal(engine.applyCommand(game, { ...command, on: 'no' }, T0), false);
+  assert.equal(engine.applyCommand(game, { ...command, channel: 'email' }, T0), false);
+  assert.equal(engine.applyCommand(game, { ...command, notification: 'toString' }, T0), false);
+  assert.equal(engine.applyCommand(game, { type: 'setBrowserNotifications', village: 0, on: true }, T0), true);
+  assert.equal(game.notifications.browser, true);
+  assert.deepEqual(engine.validateState(game), []);
+
+  game.notifications.types.weather = { toast: true, browser: true };
+  delete game.notifications.types.raid;
+  game.notifications.watch = { village: 3, index: 0, level: 2 };
+  assert.deepEqual(engine.validateState(game), [
+    'notifications.types.raid must be the channels of a known type',
+    'notifications.types.weather must be the channels of a known type',
+    'notifications.watch must be null or a village, building index and level',
+  ]);
+});
+
+test('alerts come from completed jobs and from conditions that start to hold', () => {
+  const game = richGame();
+  const village = game.villages[0];
+  village.buildings.push({ type: 'woodcutter', level: 1, workers: 2 });
+  village.resources = { wood: 0, stone: 0, food: 0 };
+  assert.equal(engine.applyCommand(game, { type: 'watchUpgrade', village: 0, index: 0 }, T0), true);
+  const watched = engine.getWatchedUpgrade(game);
+  assert.deepEqual({ ...watched, cost: undefined }, { village: 0, index: 0, level: 2, type: 'woodcutter', cost: undefined });
+
+  const before = engine.getAlertState(game, T0);
+  assert.deepEqual(before, { full: [], danger: [], affordable: null });
+  village.resources = { ...watched.cost };
+  village.resources.food = engine.getStorageCapacity(village).food;
+  const arrival = T0 + engine.getWarningTime(village);
+  village.nextAttack.arrival = arrival;
+  const summary = engine.createSummary(0);
+  summary.constructions.push({ type: 'farm', level: 1 });
+  summary.troops.push({ unit: 'spearman' }, { unit: 'spearman' }, { unit: 'archer', village: 'Village 2' });
+  const after = engine.getAlertState(game, T0);
+  assert.deepEqual(engine.getAlerts(game, summary, before, after), [
+    { type: 'construction', building: 'farm', level: 1 },
+    { type: 'training', units: { spearman: 2 } },
+    { type: 'training', units: { archer: 1 }, village: 'Village 2' },
+    { type: 'attack', wave: village.nextAttack.wave, arrival },
+    { type: 'storage', resource: 'food' },
+    { type: 'affordable', building: 'woodcutter', level: 2 },
+  ]);
+  // Conditions that still hold are not announced again
+  assert.deepEqual(engine.getAlerts(game, engine.createSummary(0), after, engine.getAlertState(game, T0)), []);
+
+  // A wave is announced when the village can see it, no sooner and no later
+  const { wave } = village.nextAttack;
+  village.nextAttack.arrival = arrival + 1;
+  assert.deepEqual(engine.getAlertState(game, T0).danger, []);
+  village.buildings.push({ type: 'watchtower', level: 2, workers: 0 });
+  assert.equal(engine.getWarningTime(village) > arrival - T0, true);
+  village.nextAttack.arrival = T0 + engine.getWarningTime(village);
+  assert.equal(engine.isAttackVisible(village, T0), true);
+  assert.deepEqual(engine.getAlertState(game, T0).danger, [`0:${wave}`]);
+  assert.deepEqual(engine.getAlertState(game, T0 - 1).danger, []);
+  village.buildings.pop();
+
+  // The watch lapses once the upgrade is queued
+  assert.equal(engine.applyCommand(game, { type: 'upgradeBuilding', village: 0, index: 0 }, T0), true);
+  assert.equal(engine.getWatchedUpgrade(game), null);
+  assert.equal(engine.applyCommand(game, { type: 'watchUpgrade', village: 0, index: 0 }, T0), true);
+  assert.equal(engine.getWatchedUpgrade(game).level, 3);
+  assert.equal(engine.applyCommand(game, { type: 'watchUpgrade', village: 0, index: 0 }, T0), true);
+  assert.equal(game.notifications.watch, null);
+  assert.equal(engine.applyCommand(game, { type: 'watchUpgrade', village: 0, index: 5 }, T0), false);
+});
+
+test('loadSave gives version 14 saves an empty log and checks log entries', () => {
+  const game = richGame();
+  game.schemaVersion = 14;
+  delete game.villages[0].log;
+  const { state, errors } = engine.loadSave(JSON.stringify(game), null, T0);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(state.villages[0].log, []);
+  state.villages[0].log = [
+    { time: T0, category: 'gossip' },
+    { time: null, category: 'training', unit: 'spearman' },
+    { time: T0, category: 'construction', type: 'farm', level: 0 },
+    { time: T0, category: 'research', tech: 'alchemy' },
+    { time: T0, category: 'spending', reason: 'gift', resources: {} },
+    { time: T0, category: 'spending', reason: 'training', key: 'farm', resources: { wood: 'a lot' } },
+  ];
+  assert.deepEqual(engine.validateState(state), [
+    'villages[0].log[0].category must be a known log category',
+    'villages[0].log[1].time must be a finite number',
+    'villages[0].log[2].level must be a positive integer',
+    'villages[0].log[3].tech must be a known technology',
+    'villages[0].log[4].reason must be construction, training, research or refund',
+    'villages[0].log[5].key must be what the resources were spent on',
+    'villages[0].log[5].resources.wood must be a finite number',
+  ]);
+
+  // A raid or attack entry must hold its whole report, since the reports
+  // section shows it in full
+  state.villages[0].log = [
+    { time: T0, category: 'raid', camp: 'outpost', won: true, sent: { spearman: 3 }, losses: {}, loot: {} },
+    { time: T0, category: 'attack', wave: 1, repelled: false, attackers: {}, plundered: {}, damaged: null },
+  ];
+  assert.deepEqual(engine.validateState(state), [
+    'villages[0].log[0].enemyLosses must give a count per known unit type',
+    'villages[0].log[0].stored must be an object',
+    'villages[0].log[1].attackerLosses must give a count per known unit type',
+    'villages[0].log[1].defenders must give a count per known unit type',
+    'villages[0].log[1].losses must give a count per known unit type',
+  ]);
+});
+
+test('the log records completed jobs, spending and refunds, most recent first', () => {
+  const game = richGame();
+  const village = game.villages[0];
+  addStorage(village);
+  assert.equal(engine.applyCommand(game, { type: 'buildNew', village: 0, building: 'farm' }, T0), true);
+  assert.equal(engine.applyCommand(game, { type: 'buildNew', village: 0, building: 'house' }, T0), true);
+  assert.equal(engine.cancelJob(village, 1, T0), true);
+  const farm = engine.calculateCost('farm', 1);
+  assert.deepEqual(engine.getLog(game, ['spending']), [
+    { time: T0, category: 'spending', reason: 'refund', key: 'house', resources: village.log[0].resources, village: 0 },
+    { time: T0, category: 'spending', reason: 'construction', key: 'house', resources: engine.calculateCost('house', 1), village: 0 },
+    { time: T0, category: 'spending', reason: 'construction', key: 'farm', resources: farm, village: 0 },
+  ]);
+  const { endTime } = village.queue[0];
+  engine.advanceGame(game, endTime);
+  assert.deepEqual(village.log[0], { time: endTime, category: 'construction', type: 'farm', level: 1 });
+  assert.deepEqual(
+    engine.getLog(game).map((entry) => entry.category),
+    ['construction', 'spending', 'spending', 'spending']
+  );
+
+  // Entries beyond the cap are dropped, oldest first
+  for (let i = 0; i < engine.LOG_LENGTH; i += 1) {
+    engine.logEvent(village, { time: endTime + i, category: 'training', unit: 'spearman' });
+  }
+  assert.equal(village.log.length, engine.LOG_LENGTH);
+  assert.equal(village.log[0].time, endTime + engine.LOG_LENGTH - 1);
+});
+
+test('income is split between buildings and raids and kept apart from the log', () => {
+  const game = richGame();
+  const village = game.villages[0];
+  addStorage(village);
+  village.resources.food = 100000;
+  village.buildings.push({ type: 'woodcutter', level: 1, workers: 2 });
+  village.troops.spearman = 50;
+  const rate = engine.getProductionRates(village).wood;
+  assert.equal(engine.raid(village, 'outpost', { spearman: 50 }, T0, () => 0), true);
+  const { endTime, loot } = village.raidQueue[0];
+  engine.advanceGame(game, endTime);
+  const report = village.log.find((entry) => entry.category === 'raid');
+  assert.deepEqual(report.stored, loot);
+  assert.equal(report.won, true);
+  const income = engine.getIncome(village, endTime);
+  assert.deepEqual(income.raids, loot);
+  assert.equal(Math.abs(income.buildings.wood - (rate * (endTime - T0)) / 1000) < 1e-6, true);
+
+  // A busy day fills the log many times over without losing any income. It
+  // starts on the hour, since the hour the period starts in is prorated.
+  const dayStart = Math.ceil(endTime / engine.INCOME_BUCKET_TIME) * engine.INCOME_BUCKET_TIME;
+  engine.advanceGame(game, dayStart);
+  const producedBefore = village.stats.produced.wood;
+  for (let time = dayStart + 300000; time <= dayStart + engine.INCOME_PERIOD; time += 300000) {
+    engine.advanceGame(game, time);
+    assert.equal(engine.buildNew(village, 'farm', time), true);
+    assert.equal(engine.cancelJob(village, 0, time), true);
+  }
+  const dayEnd = dayStart + engine.INCOME_PERIOD;
+  assert.equal(village.log.length, engine.LOG_LENGTH);
+  assert.equal(village.log[engine.LOG_LENGTH - 1].time > dayStart, true);
+  assert.equal(village.income.length <= engine.INCOME_PERIOD / engine.INCOME_BUCKET_TIME + 1, true);
+  const produced = village.stats.produced.wood - producedBefore;
+  assert.equal(Math.abs(engine.getIncome(village, dayEnd).buildings.wood - produced) < 1e-6, true);
+  assert.equal(Math.abs(produced - (rate * engine.INCOME_PERIOD) / 1000) < 1e-6, true);
+});
+
+test('validateBalance explains what is wrong with balance data', () => {
+  const data = JSON.parse(JSON.stringify(require('../data/balance.json')));
+  assert.deepEqual(engine.validateBalance(data), []);
+  delete data.buildings.market;
+  data.buildings.farm.baseCots = { wood: 5 };
+  data.units.archer.strongAgainst = 'dragon';
+  data.enemyCamps.outpost.loot.wood = [80, 40];
+  data.timeMultiplier = 0.5;
+  assert.deepEqual(engine.validateBalance(data), [
+    'timeMultiplier must be a number of at least 1',
+    'buildings.market is missing; the game refers to it',
+    'buildings.farm.baseCots is not a known field',
+    'units.archer.strongAgainst must be a unit type',
+    'enemyCamps.outpost.loot.wood must be a [min, max] range of non-negative integers',
+  ]);
+  assert.equal(engine.applyBalance(data).length, 5);
+  assert.equal(engine.BUILDING_TYPES.market.name, 'Market');
+});
+
+test('applyBalance sets per-building cost curves and fixed costs for single levels', () => {
+  const standard = require('../data/balance.json');
+  const data = JSON.parse(JSON.stringify(standard));
+  data.costMultiplier = 2;
+  data.buildings.farm.costMultiplier = 3;
+  data.buildings.farm.levels = { 2: { cost: { wood: 7 } }, 3: { time: 1 } };
+  data.enemyCamps.outpost.garrison = { archer: 2 };
+  try {
+    assert.deepEqual(engine.applyBalance(data), []);
+    assert.equal(engine.COST_MULTIPLIER, 2);
+    assert.deepEqual(engine.calculateCost('woodcutter', 2), { wood: 0, stone: 40, food: 20 });
+    assert.deepEqual(engine.calculateCost('farm', 2), { wood: 7 });
+    assert.deepEqual(engine.calculateCost('farm', 3), { wood: 180, stone: 90, food: 0 });
+    assert.equal(engine.calculateTime('farm', 3), 1000);
+    assert.equal(engine.calculateTime('farm', 2), 8000);
+    assert.deepEqual(engine.ENEMY_CAMPS.outpost.garrison, { spearman: 0, archer: 2, cavalry: 0 });
+  } finally {
+    assert.deepEqual(engine.applyBalance(standard), []);
+  }
+  assert.equal(engine.COST_MULTIPLIER, 1.5);
+});
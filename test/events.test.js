@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EVENT_TYPES, createEventBus } = require('../events');
+
+test('handlers are called in order with the payload until they are removed', () => {
+  const bus = createEventBus();
+  const calls = [];
+  const first = (payload) => calls.push(['first', payload.type]);
+  bus.on('constructionCompleted', first);
+  const remove = bus.on('constructionCompleted', (payload) => calls.push(['second', payload.type]));
+  bus.emit('constructionCompleted', { type: 'farm', level: 1 });
+  bus.off('constructionCompleted', first);
+  remove();
+  bus.emit('constructionCompleted', { type: 'farm', level: 2 });
+  assert.deepEqual(calls, [
+    ['first', 'farm'],
+    ['second', 'farm'],
+  ]);
+});
+
+test('unknown event types are rejected', () => {
+  const bus = createEventBus();
+  assert.ok(EVENT_TYPES.includes('raidReturned'));
+  assert.throws(() => bus.on('raidReturn', () => {}), /unknown event type: raidReturn/);
+  assert.throws(() => bus.emit('troopsTrained', {}), /unknown event type/);
+});
+
+test('a handler that throws does not stop the others', () => {
+  const errors = [];
+  const bus = createEventBus(['tick'], (err, type) => errors.push([err.message, type]));
+  let called = false;
+  bus.on('tick', () => {
+    throw new Error('broken plugin');
+  });
+  bus.on('tick', () => {
+    called = true;
+  });
+  bus.emit('tick', {});
+  assert.equal(called, true);
+  assert.deepEqual(errors, [['broken plugin', 'tick']]);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const engine = require('../engine');
+const { createFileStore } = require('../server/common');
+const { createGameServer } = require('../server/game-server');
+
+const T0 = 1_000_000;
+
+test('the game server owns the clock and checks every command', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'idle-tribal-game-'));
+  let clock = T0;
+  const server = createGameServer(createFileStore(dir), { now: () => clock, rng: engine.createRng(1) });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/games/player-one`;
+  const send = (command) =>
+    fetch(`${url}/commands`, { method: 'POST', body: JSON.stringify({ command }) }).then((response) =>
+      response.json().then((body) => ({ status: response.status, body, game: JSON.parse(body.state) }))
+    );
+  try {
+    const first = await fetch(url).then((response) => response.json());
+    assert.equal(first.serverTime, T0);
+    assert.equal(JSON.parse(first.state).lastUpdate, T0);
+
+    clock += 1000;
+    const built = await send({ type: 'buildNew', village: 0, building: 'woodcutter' });
+    assert.equal(built.status, 200);
+    assert.equal(built.game.villages[0].queue[0].startTime, T0 + 1000);
+
+    // The job only finishes once the server's clock says so
+    const { endTime } = built.game.villages[0].queue[0];
+    const refused = await send({ type: 'buildNew', village: 0, building: 'castle' });
+    assert.equal(refused.status, 409);
+    assert.equal(refused.body.error, 'command refused');
+    assert.equal(refused.game.villages[0].buildings.length, 0);
+    clock = endTime;
+    const done = await fetch(url).then((response) => response.json());
+    assert.equal(JSON.parse(done.state).villages[0].buildings[0].type, 'woodcutter');
+
+    assert.equal((await send(undefined)).status, 409);
+    assert.equal((await fetch(`${url.replace('player-one', 'x')}`)).status, 404);
+    assert.equal((await fetch(`${url.replace('player-one', '%E0%A4%A')}`)).status, 404);
+    assert.equal((await fetch(url, { method: 'POST' })).status, 405);
+    assert.deepEqual(fs.readdirSync(dir), ['player-one.json']);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkEntry, createLocalLeaderboard } = require('../leaderboard');
+
+/**
+ * A Storage kept in memory.
+ * @returns {{getItem: Function, setItem: Function}}
+ */
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
+test('leaderboard entries are checked', () => {
+  assert.equal(checkEntry({ name: 'Tribe', score: 10, time: 1 }), null);
+  assert.equal(checkEntry({ name: '  ', score: 10, time: 1 }), 'name is missing');
+  assert.match(checkEntry({ name: 'x'.repeat(25), score: 10, time: 1 }), /longer/);
+  assert.match(checkEntry({ name: 'Tribe', score: 1.5, time: 1 }), /score/);
+  assert.match(checkEntry({ name: 'Tribe', score: 10 }), /time/);
+});
+
+test('the local leaderboard keeps the best score per name among the rivals', async () => {
+  const storage = memoryStorage();
+  const rivals = [{ name: 'Rival', score: 50 }];
+  const board = createLocalLeaderboard(storage, { rivals });
+  await board.submit({ name: 'Tribe', score: 40, time: 1 });
+  await board.submit({ name: ' Tribe ', score: 30, time: 2 });
+  await board.submit({ name: 'Other', score: 60, time: 3, flagged: true });
+  await assert.rejects(board.submit({ name: '', score: 70, time: 4 }), /name is missing/);
+
+  const top = await board.getTop();
+  assert.deepEqual(
+    top.map(({ rank, name, score }) => [rank, name, score]),
+    [
+      [1, 'Other', 60],
+      [2, 'Rival', 50],
+      [3, 'Tribe', 40],
+    ]
+  );
+  assert.equal(top[0].flagged, true);
+  assert.equal(top[1].rival, true);
+  assert.equal((await board.getTop(1)).length, 1);
+
+  // Scores survive a reload, and a better score replaces the old one
+  const reloaded = createLocalLeaderboard(storage, { rivals });
+  await reloaded.submit({ name: 'Tribe', score: 80, time: 5 });
+  assert.deepEqual((await reloaded.getTop(1))[0], {
+    name: 'Tribe',
+    score: 80,
+    time: 5,
+    flagged: false,
+    rank: 1,
+  });
+
+  storage.setItem('idleTribalLeaderboard', 'not json');
+  assert.equal((await reloaded.getTop()).length, 1);
+});
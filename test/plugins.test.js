@@ -0,0 +1,79 @@
+// Plugins register into module-wide tables, so these tests get a file (and
+// with it an engine) of their own.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine');
+
+const T0 = 1_000_000;
+
+// A save written before the plugin below was installed
+const oldSave = engine.serializeState(engine.createInitialState(T0));
+
+engine.registerResource({ key: 'clay', start: 20 });
+engine.registerBuildingType({
+  key: 'claypit',
+  name: 'Clay Pit',
+  resource: 'clay',
+  baseRate: 1,
+  baseCost: { wood: 20, stone: 0, food: 10, clay: 0 },
+  baseTime: 5,
+});
+// Festivals cost nothing and give food when they end
+engine.registerQueue({
+  key: 'festival',
+  getNextEventTime(village) {
+    const { festivals = [] } = engine.getPluginState(village, 'festival');
+    return festivals.length > 0 ? festivals[0].endTime : null;
+  },
+  check(village, now, summary) {
+    const { festivals = [] } = engine.getPluginState(village, 'festival');
+    while (festivals.length > 0 && festivals[0].endTime <= now) {
+      const festival = festivals.shift();
+      engine.addResources(village, { food: 100 });
+      summary.plugins.festival.push({ endTime: festival.endTime });
+    }
+  },
+});
+
+test('registered resources and buildings behave like the built-in ones', () => {
+  const game = engine.createInitialState(T0);
+  const village = game.villages[0];
+  assert.equal(village.resources.clay, 20);
+  assert.equal(engine.buildNew(village, 'claypit', T0), true);
+  engine.advanceGame(game, T0 + 15000);
+  // Built after 5s, then 10s at 1 clay per second with both workers
+  assert.ok(Math.abs(village.resources.clay - 30) < 1e-6);
+  assert.equal(engine.getStorageCapacity(village).clay, engine.BASE_STORAGE);
+});
+
+test('saves from before a resource was registered load with none of it', () => {
+  const { state, errors } = engine.parseSave(oldSave, T0);
+  assert.deepEqual(errors, []);
+  assert.equal(state.villages[0].resources.clay, 0);
+});
+
+test('registrations are checked', () => {
+  assert.throws(() => engine.registerResource({ key: 'wood' }), /already registered/);
+  assert.throws(
+    () => engine.registerBuildingType({ key: 'farm', name: 'Farm', baseCost: {}, baseTime: 1 }),
+    /already registered/
+  );
+  assert.throws(
+    () => engine.registerBuildingType({ key: 'kiln', name: 'Kiln', baseCost: { gold: 5 }, baseTime: 1 }),
+    /baseCost/
+  );
+  assert.throws(() => engine.registerQueue({ key: 'feast' }), /needs getNextEventTime and check/);
+});
+
+test('plugin queues complete on time during catch-up and their state is saved', () => {
+  const game = engine.createInitialState(T0);
+  engine.getPluginState(game.villages[0], 'festival').festivals = [{ endTime: T0 + 60000 }];
+  engine.getPluginState(game, 'festival').held = 1;
+  const { state: loaded } = engine.parseSave(engine.serializeState(game), T0);
+  assert.deepEqual(loaded.plugins, { festival: { held: 1 } });
+  const food = loaded.villages[0].resources.food;
+  const summary = engine.advanceGame(loaded, T0 + 120000);
+  assert.deepEqual(summary.plugins.festival, [{ endTime: T0 + 60000 }]);
+  assert.deepEqual(engine.getPluginState(loaded.villages[0], 'festival').festivals, []);
+  assert.ok(loaded.villages[0].resources.food >= food + 100 - 1e-6);
+});
@@ -0,0 +1,212 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPatcher, createProgressBar, createProgressLoop, getProgressWidth } = require('../render');
+
+/**
+ * Just enough of the DOM for the render layer: elements with attributes,
+ * children and text, and a style that writes the style attribute.
+ */
+class FakeNode {
+  constructor(nodeType, nodeName) {
+    this.nodeType = nodeType;
+    this.nodeName = nodeName;
+    this.parentNode = null;
+    this.childNodes = [];
+    this.attributeMap = new Map();
+    const node = this;
+    this.style = {
+      get width() {
+        const match = /width: ([^;]*)/.exec(node.getAttribute('style') || '');
+        return match ? match[1] : '';
+      },
+      set width(value) {
+        node.setAttribute('style', `width: ${value};`);
+      },
+    };
+  }
+
+  get attributes() {
+    return Array.from(this.attributeMap, ([name, value]) => ({ name, value }));
+  }
+
+  getAttribute(name) {
+    return this.attributeMap.has(name) ? this.attributeMap.get(name) : null;
+  }
+
+  setAttribute(name, value) {
+    this.attributeMap.set(name, String(value));
+  }
+
+  removeAttribute(name) {
+    this.attributeMap.delete(name);
+  }
+
+  hasAttribute(name) {
+    return this.attributeMap.has(name);
+  }
+
+  set className(value) {
+    this.setAttribute('class', value);
+  }
+
+  set textContent(value) {
+    this.childNodes.forEach((child) => {
+      child.parentNode = null;
+    });
+    this.childNodes = [];
+    const text = new FakeNode(3, '#text');
+    text.nodeValue = String(value);
+    this.appendChild(text);
+  }
+
+  get textContent() {
+    return this.nodeType === 3 ? this.nodeValue : this.childNodes.map((child) => child.textContent).join('');
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get lastChild() {
+    return this.childNodes[this.childNodes.length - 1] || null;
+  }
+
+  insertBefore(node, ref) {
+    if (node.parentNode) node.parentNode.removeChild(node);
+    const index = ref ? this.childNodes.indexOf(ref) : this.childNodes.length;
+    this.childNodes.splice(index, 0, node);
+    node.parentNode = this;
+    return node;
+  }
+
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  removeChild(node) {
+    this.childNodes.splice(this.childNodes.indexOf(node), 1);
+    node.parentNode = null;
+    return node;
+  }
+
+  querySelectorAll() {
+    const found = [];
+    const walk = (node) =>
+      node.childNodes.forEach((child) => {
+        if (child.nodeType === 1 && child.hasAttribute('data-end')) found.push(child);
+        walk(child);
+      });
+    walk(this);
+    return found;
+  }
+}
+
+const document = { createElement: (tag) => new FakeNode(1, tag.toUpperCase()) };
+
+/**
+ * Build a list of job cards the way script.js builds a section.
+ * @param {Array<{key: string, name: string, ready: boolean}>} jobs
+ * @returns {FakeNode} The draft
+ */
+function draftJobs(jobs, onclick = () => {}) {
+  const draft = document.createElement('div');
+  jobs.forEach((job) => {
+    const card = document.createElement('div');
+    card.className = 'construction-card';
+    card.setAttribute('data-key', job.key);
+    const title = document.createElement('strong');
+    title.textContent = job.name;
+    const button = document.createElement('button');
+    button.textContent = 'Go';
+    if (!job.ready) button.setAttribute('disabled', '');
+    button.onclick = onclick;
+    card.appendChild(title);
+    card.appendChild(button);
+    draft.appendChild(card);
+  });
+  return draft;
+}
+
+test('patching the same draft again changes nothing on the page', () => {
+  const page = document.createElement('div');
+  const patcher = createPatcher();
+  const jobs = [
+    { key: 'a', name: 'Farm', ready: true },
+    { key: 'b', name: 'Quarry', ready: false },
+  ];
+  patcher.patchChildren(page, draftJobs(jobs));
+  assert.equal(page.textContent, 'FarmGoQuarryGo');
+  const cards = page.childNodes.slice();
+  const before = { ...patcher.counts };
+  for (let i = 0; i < 100; i += 1) patcher.patchChildren(page, draftJobs(jobs));
+  assert.deepEqual(patcher.counts, before);
+  assert.deepEqual(page.childNodes, cards);
+});
+
+test('only changed texts and attributes are patched, and handlers carried over', () => {
+  const page = document.createElement('div');
+  const patcher = createPatcher();
+  patcher.patchChildren(page, draftJobs([{ key: 'a', name: 'Farm', ready: false }]));
+  const [card] = page.childNodes;
+  const before = { ...patcher.counts };
+  const onclick = () => 'clicked';
+  patcher.patchChildren(page, draftJobs([{ key: 'a', name: 'Farm Lv 2', ready: true }], onclick));
+  assert.equal(page.childNodes[0], card);
+  assert.equal(card.textContent, 'Farm Lv 2Go');
+  assert.equal(card.childNodes[1].hasAttribute('disabled'), false);
+  assert.equal(card.childNodes[1].onclick(), 'clicked');
+  assert.deepEqual(patcher.counts, { ...before, texts: before.texts + 1, attributes: before.attributes + 1 });
+});
+
+test('keyed entries keep their nodes when entries ahead of them come and go', () => {
+  const page = document.createElement('div');
+  const patcher = createPatcher();
+  const farm = { key: 'farm', name: 'Farm', ready: true };
+  const quarry = { key: 'quarry', name: 'Quarry', ready: true };
+  const house = { key: 'house', name: 'House', ready: true };
+  patcher.patchChildren(page, draftJobs([farm, quarry, house]));
+  const [, quarryCard, houseCard] = page.childNodes;
+  const before = { ...patcher.counts };
+  patcher.patchChildren(page, draftJobs([quarry, house]));
+  assert.deepEqual(page.childNodes, [quarryCard, houseCard]);
+  assert.deepEqual(patcher.counts, { ...before, removed: before.removed + 1 });
+
+  patcher.patchChildren(page, draftJobs([farm, quarry, house]));
+  assert.deepEqual(page.childNodes.slice(1), [quarryCard, houseCard]);
+  assert.equal(patcher.counts.inserted, before.inserted + 1);
+});
+
+test('one loop moves the progress bars, which patching leaves alone', () => {
+  const page = document.createElement('div');
+  const patcher = createPatcher();
+  const draftBar = (now) => {
+    const draft = document.createElement('div');
+    draft.appendChild(createProgressBar(document, 1000, 3000, now));
+    return draft;
+  };
+  patcher.patchChildren(page, draftBar(1000));
+  const bar = page.firstChild.firstChild;
+  assert.equal(bar.style.width, '0.0%');
+
+  let clock = 2000;
+  const frames = [];
+  const loop = createProgressLoop({ root: page, now: () => clock, requestFrame: (frame) => frames.push(frame) });
+  loop.start();
+  loop.start();
+  assert.equal(frames.length, 1);
+  frames.shift()();
+  assert.equal(bar.style.width, '50.0%');
+  assert.equal(frames.length, 1);
+
+  // Redrawn a second later, the bar is not reset to the draft's width
+  const before = { ...patcher.counts };
+  patcher.patchChildren(page, draftBar(1500));
+  assert.equal(page.firstChild.firstChild, bar);
+  assert.equal(bar.style.width, '50.0%');
+  assert.deepEqual(patcher.counts, before);
+
+  clock = 5000;
+  loop.update();
+  assert.equal(bar.style.width, getProgressWidth(1000, 3000, 5000));
+  assert.equal(bar.style.width, '100.0%');
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine');
+const saveCode = require('../savecode');
+
+const T0 = 1_000_000;
+
+function sampleSave() {
+  const state = engine.createInitialState(T0);
+  const village = state.villages[0];
+  village.resources = { wood: 1234.5, stone: 99, food: 0.25 };
+  village.buildings.push({ type: 'woodcutter', level: 3 }, { type: 'farm', level: 1 });
+  village.troops = 4;
+  return engine.serializeState(state);
+}
+
+test('compress and decompress round-trip repetitive and non-ASCII text', () => {
+  const samples = ['', 'a', 'abababababababab', 'TOBEORNOTTOBEORTOBEORNOT', 'żółw 🐢 '.repeat(50)];
+  samples.forEach((text) => {
+    const binary = Array.from(new TextEncoder().encode(text), (b) => String.fromCharCode(b)).join('');
+    assert.equal(saveCode.decompress(saveCode.compress(binary)), binary);
+  });
+});
+
+test('checksum is the standard CRC-32', () => {
+  assert.equal(saveCode.checksum('123456789'), 'cbf43926');
+  assert.equal(saveCode.checksum(''), '00000000');
+});
+
+test('save codes round-trip and are smaller than the raw save', () => {
+  const data = sampleSave();
+  const code = saveCode.encodeSaveCode(data);
+  assert.match(code, /^ITG1\.[A-Za-z0-9+/=]+\.[0-9a-f]{8}$/);
+  assert.deepEqual(saveCode.decodeSaveCode(code), { data, errors: [] });
+
+  const big = engine.createInitialState(T0);
+  for (let i = 0; i < 50; i += 1) big.villages[0].buildings.push({ type: 'quarry', level: i + 1 });
+  const bigData = engine.serializeState(big);
+  assert.ok(saveCode.encodeSaveCode(bigData).length < bigData.length);
+});
+
+test('decodeSaveCode rejects foreign, damaged and tampered codes', () => {
+  const code = saveCode.encodeSaveCode(sampleSave());
+  const [prefix, payload, sum] = code.split('.');
+  assert.match(saveCode.decodeSaveCode('hello').errors[0], /not an Idle Tribal save code/);
+  assert.match(saveCode.decodeSaveCode(`${prefix}.!!!.${sum}`).errors[0], /damaged/);
+  const flipped = payload[5] === 'A' ? 'B' : 'A';
+  const tampered = `${prefix}.${payload.slice(0, 5)}${flipped}${payload.slice(6)}.${sum}`;
+  assert.equal(saveCode.decodeSaveCode(tampered).data, null);
+  assert.match(saveCode.decodeSaveCode(`${prefix}.${payload}.00000000`).errors[0], /checksum mismatch/);
+});
+
+test('save files round-trip and reject edited contents', () => {
+  const data = sampleSave();
+  const file = saveCode.createSaveFile(data);
+  assert.deepEqual(saveCode.readSaveFile(file), { data, errors: [] });
+
+  const edited = JSON.parse(file);
+  edited.save.villages[0].resources.wood = 1e9;
+  assert.match(saveCode.readSaveFile(JSON.stringify(edited)).errors[0], /checksum mismatch/);
+  assert.match(saveCode.readSaveFile('{}').errors[0], /not an Idle Tribal save file/);
+  assert.match(saveCode.readSaveFile('nope').errors[0], /not valid JSON/);
+});
+
+test('decoded saves from a newer schema version are rejected by parseSave', () => {
+  const future = JSON.stringify({ ...JSON.parse(sampleSave()), schemaVersion: engine.SCHEMA_VERSION + 1 });
+  const { data } = saveCode.decodeSaveCode(saveCode.encodeSaveCode(future));
+  assert.equal(engine.parseSave(data, T0).state, null);
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine');
+const { createScheduler, TICK_INTERVAL, HIDDEN_INTERVAL, SAVE_DELAY } = require('../scheduler');
+
+/**
+ * Timers run by hand against a fake clock.
+ * @returns {{clock: Object, setTimer: Function, clearTimer: Function, advance: Function, pending: Function}}
+ */
+function createTimers() {
+  const clock = { time: 0 };
+  let timers = [];
+  let nextId = 1;
+  return {
+    clock,
+    setTimer(fn, ms) {
+      timers.push({ id: nextId, fn, at: clock.time + ms });
+      nextId += 1;
+      return nextId - 1;
+    },
+    clearTimer(id) {
+      timers = timers.filter((timer) => timer.id !== id);
+    },
+    // Move the clock forward, firing the timers due on the way
+    advance(ms) {
+      const end = clock.time + ms;
+      for (;;) {
+        const due = timers.filter((timer) => timer.at <= end).sort((a, b) => a.at - b.at)[0];
+        if (!due) break;
+        timers = timers.filter((timer) => timer !== due);
+        clock.time = due.at;
+        due.fn();
+      }
+      clock.time = end;
+    },
+    pending: () => timers.length,
+  };
+}
+
+/**
+ * A scheduler stepping a real game, recording what it does.
+ * @returns {Object}
+ */
+function setup() {
+  const timers = createTimers();
+  const game = engine.createInitialState(0);
+  const log = { steps: 0, renders: 0, saves: 0 };
+  const scheduler = createScheduler({
+    now: () => timers.clock.time,
+    step: (now) => {
+      log.steps += 1;
+      engine.advanceGame(game, now);
+      scheduler.requestSave();
+    },
+    render: () => {
+      log.renders += 1;
+    },
+    save: () => {
+      log.saves += 1;
+    },
+    getNextEventTime: () => engine.getNextGameEventTime(game),
+    setTimer: timers.setTimer,
+    clearTimer: timers.clearTimer,
+  });
+  return { timers, game, log, scheduler };
+}
+
+test('a visible game is stepped and drawn every second and saved in batches', () => {
+  const { timers, log, scheduler } = setup();
+  scheduler.start();
+  scheduler.start();
+  timers.advance(12 * TICK_INTERVAL);
+  // Saved once for the first five steps and once for the next five
+  assert.equal(SAVE_DELAY, 5 * TICK_INTERVAL);
+  assert.deepEqual(log, { steps: 12, renders: 12, saves: 2 });
+});
+
+test('a hidden game is not drawn and only stepped when something is due', () => {
+  const { timers, game, log, scheduler } = setup();
+  const village = game.villages[0];
+  assert.ok(engine.buildNew(village, 'woodcutter', 0));
+  const { endTime } = village.queue[0];
+  scheduler.start();
+  scheduler.setVisible(false);
+  timers.advance(endTime);
+  // One step when the woodcutter is done, then only once a minute
+  assert.equal(log.steps, 1);
+  assert.equal(log.renders, 0);
+  assert.equal(village.buildings.length, 1);
+  timers.advance(10 * HIDDEN_INTERVAL);
+  assert.equal(log.steps, 11);
+  assert.equal(log.renders, 0);
+
+  // Shown again, the game catches up and is drawn right away
+  timers.advance(HIDDEN_INTERVAL / 2);
+  scheduler.setVisible(true);
+  assert.equal(log.steps, 12);
+  assert.equal(log.renders, 1);
+  assert.equal(game.lastUpdate, timers.clock.time);
+});
+
+test('hiding the page saves at once, and stopping leaves no timers behind', () => {
+  const { timers, log, scheduler } = setup();
+  scheduler.start();
+  timers.advance(TICK_INTERVAL);
+  assert.equal(log.saves, 0);
+  scheduler.setVisible(false);
+  assert.equal(log.saves, 1);
+  scheduler.flush();
+  assert.equal(log.saves, 1);
+  scheduler.setVisible(true);
+  scheduler.stop();
+  assert.equal(log.saves, 2);
+  assert.equal(timers.pending(), 0);
+});
+
+test('a step or render that throws does not stop the schedule', () => {
+  const timers = createTimers();
+  let steps = 0;
+  const scheduler = createScheduler({
+    now: () => timers.clock.time,
+    step: () => {
+      steps += 1;
+      if (steps === 2) throw new Error('step failed');
+    },
+    render: () => {
+      if (steps === 3) throw new Error('render failed');
+    },
+    save: () => {},
+    setTimer: timers.setTimer,
+    clearTimer: timers.clearTimer,
+  });
+  scheduler.start();
+  // The timers run the ticks, so the errors reach the test
+  for (let i = 0; i < 4; i += 1) {
+    try {
+      timers.advance(TICK_INTERVAL);
+    } catch (err) {
+      assert.match(err.message, /failed/);
+    }
+  }
+  assert.equal(steps, 4);
+  assert.equal(timers.pending(), 1);
+  scheduler.stop();
+});
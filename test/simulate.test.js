@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulate, toCsv, parseArgs } = require('../tools/simulate');
+
+test('simulations are repeatable and record a row per sample', () => {
+  const options = { strategy: 'greedy', hours: 1, step: 30, sample: 900, seed: 7 };
+  const first = simulate(options);
+  assert.deepEqual(simulate(options), first);
+  assert.deepEqual(
+    first.timeline.map((row) => row.time),
+    [0, 900, 1800, 2700, 3600]
+  );
+  assert.equal(first.milestones.woodcutter[1] > 0, true);
+  assert.equal(first.timeline[4].woodcutter >= 1, true);
+});
+
+test('the rush strategy raids for income', () => {
+  const { timeline } = simulate({ strategy: 'rush', hours: 2, step: 10, sample: 3600 });
+  const last = timeline[timeline.length - 1];
+  assert.equal(last.barracks, 1);
+  assert.equal(last.raidsWon > 0, true);
+});
+
+test('timelines are written as CSV with a header row', () => {
+  const csv = toCsv([
+    { time: 0, wood: 50 },
+    { time: 600, wood: 80 },
+  ]);
+  assert.equal(csv, 'time,wood\n0,50\n600,80\n');
+});
+
+test('command line options are checked', () => {
+  assert.deepEqual(parseArgs(['--strategy', 'rush', '--hours', '2']), { strategy: 'rush', hours: 2 });
+  assert.throws(() => parseArgs(['--speed', '2']), /unknown or incomplete option/);
+  assert.throws(() => parseArgs(['--hours', 'many']), /non-negative number/);
+  assert.throws(() => parseArgs(['--format', 'xml']), /csv or json/);
+  assert.throws(() => simulate({ strategy: 'turtle' }), /unknown strategy/);
+});
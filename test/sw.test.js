@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { CACHE_NAME, CACHE_VERSION, PRECACHE_URLS } = require('../sw');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Read a file of the game.
+ * @param {string} file - Path relative to the repository root
+ * @returns {string}
+ */
+function read(file) {
+  return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+test('every precached file exists', () => {
+  PRECACHE_URLS.filter((url) => url !== './').forEach((url) => {
+    assert.ok(fs.existsSync(path.join(ROOT, url)), `${url} is missing`);
+  });
+  assert.equal(CACHE_NAME, `idle-tribal-v${CACHE_VERSION}`);
+});
+
+test('everything the page loads is precached, so it starts offline', () => {
+  const html = read('index.html');
+  const linked = [...html.matchAll(/(?:src|href)="([^"]+)"/g)].map((match) => match[1]);
+  assert.ok(linked.includes('script.js'));
+  const manifest = JSON.parse(read('manifest.webmanifest'));
+  const icons = manifest.icons.map((icon) => icon.src);
+  const resourceIcons = [...read('script.js').matchAll(/'(assets\/[^']+)'/g)].map((match) => match[1]);
+  assert.equal(resourceIcons.length, 3);
+  [...linked, ...icons, ...resourceIcons, 'data/balance.json'].forEach((url) => {
+    assert.ok(PRECACHE_URLS.includes(url), `${url} is not precached`);
+  });
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createId, isValidId, decideSync, createSyncClient, syncOnce } = require('../sync');
+const { createFileStore } = require('../server/common');
+const { createSyncServer } = require('../server/sync-server');
+const { createRng } = require('../engine');
+
+/**
+ * Start a sync server on a free port with saves in a temporary directory.
+ * @returns {Promise<{url: string, dir: string, close: Function}>}
+ */
+function startServer() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'idle-tribal-sync-'));
+  let clock = 1000;
+  const server = createSyncServer(createFileStore(dir), { now: () => (clock += 1000) });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/`,
+        dir,
+        close: () =>
+          new Promise((done) => server.close(done)).then(() => fs.rmSync(dir, { recursive: true, force: true })),
+      });
+    });
+  });
+}
+
+test('sync codes are random and checked', () => {
+  const rng = createRng(3);
+  const id = createId(rng);
+  assert.equal(isValidId(id), true);
+  assert.notEqual(createId(rng), id);
+  assert.equal(isValidId('short'), false);
+  assert.equal(isValidId('../../etc/passwd'), false);
+  assert.equal(isValidId(undefined), false);
+});
+
+test('a sync pushes, pulls or reports a conflict depending on both sides', () => {
+  assert.equal(decideSync({ revision: 0, pending: 0 }, null), 'push');
+  assert.equal(decideSync({ revision: 2, pending: 0 }, { revision: 2 }), 'none');
+  assert.equal(decideSync({ revision: 2, pending: 3 }, { revision: 2 }), 'push');
+  assert.equal(decideSync({ revision: 2, pending: 0 }, { revision: 4 }), 'pull');
+  assert.equal(decideSync({ revision: 2, pending: 1 }, { revision: 4 }), 'conflict');
+  // The server lost its saves: this device has the newest one
+  assert.equal(decideSync({ revision: 5, pending: 0 }, { revision: 1 }), 'push');
+});
+
+test('two devices sync through the server and detect diverging saves', async () => {
+  const server = await startServer();
+  try {
+    const laptop = createSyncClient({ url: server.url, syncId: 'player-one', deviceId: 'laptop01', fetch });
+    const phone = createSyncClient({ url: server.url, syncId: 'player-one', deviceId: 'phone001', fetch });
+
+    assert.equal(await laptop.pull(), null);
+    assert.deepEqual(await syncOnce(laptop, { revision: 0, pending: 1 }, 'save A'), { action: 'pushed', revision: 1 });
+
+    const pulled = await syncOnce(phone, { revision: 0, pending: 0 }, 'new game');
+    assert.equal(pulled.action, 'pull');
+    assert.deepEqual(pulled.remote, { revision: 1, data: 'save A', deviceId: 'laptop01', updatedAt: 2000 });
+
+    // Both play on from revision 1; the phone syncs first
+    assert.deepEqual(await syncOnce(phone, { revision: 1, pending: 2 }, 'save B'), { action: 'pushed', revision: 2 });
+    const conflict = await syncOnce(laptop, { revision: 1, pending: 1 }, 'save C');
+    assert.equal(conflict.action, 'conflict');
+    assert.equal(conflict.remote.data, 'save B');
+    assert.equal(conflict.remote.deviceId, 'phone001');
+
+    // A push based on an old revision is refused even without a pull first
+    const stale = await laptop.push('save C', 1);
+    assert.equal(stale.ok, false);
+    assert.equal(stale.remote.revision, 2);
+    // Keeping this device's save after the conflict
+    assert.equal((await laptop.push('save C', 2)).revision, 3);
+    assert.equal((await phone.pull()).data, 'save C');
+    assert.deepEqual(fs.readdirSync(server.dir), ['player-one.json']);
+  } finally {
+    await server.close();
+  }
+});
+
+test('the server rejects bad sync codes and bodies', async () => {
+  const server = await startServer();
+  try {
+    assert.equal((await fetch(`${server.url}saves/..%2Fsecret`)).status, 404);
+    assert.equal((await fetch(`${server.url}saves/%E0%A4%A`)).status, 404);
+    assert.equal((await fetch(`${server.url}other`)).status, 404);
+    const put = (body) =>
+      fetch(`${server.url}saves/player-one`, { method: 'PUT', body: typeof body === 'string' ? body : JSON.stringify(body) });
+    assert.equal((await put('not json')).status, 400);
+    assert.equal((await put({ data: 'x', baseRevision: -1, deviceId: 'laptop01' })).status, 400);
+    assert.equal((await put({ data: 'x', baseRevision: 0, deviceId: 'no' })).status, 400);
+    assert.equal((await fetch(`${server.url}saves/player-one`, { method: 'DELETE' })).status, 405);
+    assert.equal((await fetch(`${server.url}saves/player-one`, { method: 'OPTIONS' })).status, 204);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,345 @@
+/*
+  Balance simulator for the Idle Tribal Game.
+
+  Plays a new game headlessly with the rules from engine.js and a bot
+  strategy, and reports a timeline of resources, building levels and raid
+  income, plus the moment each building type first reached each level. It
+  answers questions like "how long until Woodcutter Lv 10?" or "do barracks
+  pay for themselves?" so BUILDING_TYPES, ENEMY_CAMPS and the cost and time
+  multipliers can be tuned with data.
+
+  Usage:
+    node tools/simulate.js [--strategy greedy|balanced|rush] [--hours 8]
+      [--step 10] [--sample 600] [--seed 1] [--format csv|json]
+      [--config data/balance.json]
+
+  --step is how often (in seconds) the bot acts and --sample how often a
+  timeline row is recorded. --config plays with another balance file
+  instead of data/balance.json. CSV output holds the timeline only; JSON adds
+  the milestones. Runs with the same options always give the same result.
+*/
+
+const fs = require('fs');
+const engine = require('../engine');
+
+const { BUILDING_TYPES, RESOURCES } = engine;
+
+// Spearmen at home before the rush strategy sends them on a raid.
+const RUSH_RAID_SIZE = 10;
+// The balanced strategy builds storage for a resource that fills up sooner
+// than this.
+const STORAGE_WARNING_TIME = 10 * 60000; // 10 minutes
+
+const DEFAULT_OPTIONS = {
+  strategy: 'balanced',
+  hours: 8,
+  step: 10,
+  sample: 600,
+  seed: 1,
+  format: 'csv',
+  config: '',
+};
+
+/**
+ * Total amount of resources in a cost object, used to compare costs.
+ * @param {Object} cost
+ * @returns {number}
+ */
+function totalCost(cost) {
+  return Object.values(cost).reduce((sum, amount) => sum + amount, 0);
+}
+
+/**
+ * The construction jobs the bots consider: an upgrade of each building, and
+ * the first building of each type not built or queued yet. Bots never build
+ * a second building of a type, since a new level 1 building would always be
+ * the cheapest option.
+ * @param {Object} village
+ * @returns {{type: string, index: number|null, cost: Object}[]}
+ */
+function getBuildOptions(village) {
+  const upgrades = village.buildings.map((building, index) => ({
+    type: building.type,
+    index,
+    cost: engine.calculateCost(building.type, engine.getQueuedLevel(village, index) + 1, village),
+  }));
+  const builds = Object.keys(BUILDING_TYPES)
+    .filter((type) => !village.buildings.concat(village.queue).some((entry) => entry.type === type))
+    .map((type) => ({ type, index: null, cost: engine.calculateCost(type, 1, village) }));
+  return upgrades.concat(builds);
+}
+
+/**
+ * Queue a construction option. Fails when it cannot be afforded or the
+ * queue is full.
+ * @param {Object} village
+ * @param {{type: string, index: number|null}} option
+ * @param {number} now
+ * @returns {boolean}
+ */
+function queueOption(village, option, now) {
+  if (!option) return false;
+  return option.index === null
+    ? engine.buildNew(village, option.type, now)
+    : engine.upgradeBuilding(village, option.index, now);
+}
+
+/**
+ * The cheapest way to raise a building type: upgrading its lowest level
+ * building, or building the first one.
+ * @param {Object} village
+ * @param {string} type
+ * @returns {{type: string, index: number|null, cost: Object}|undefined}
+ *   undefined while the first one is still queued
+ */
+function getCheapestOption(village, type) {
+  return getBuildOptions(village)
+    .filter((option) => option.type === type)
+    .sort((a, b) => totalCost(a.cost) - totalCost(b.cost))[0];
+}
+
+/**
+ * Pick what the balanced strategy wants to build next: a house when nobody
+ * is idle, storage for a resource about to fill up, otherwise a producer of
+ * the resource produced the slowest.
+ * @param {Object} village
+ * @returns {{type: string, index: number|null, cost: Object}}
+ */
+function chooseBalanced(village) {
+  const queued = (type) => village.queue.some((job) => job.type === type);
+  if (engine.getPopulation(village).free === 0 && !queued('house')) {
+    return getCheapestOption(village, 'house');
+  }
+  const filling = RESOURCES.find((res) => engine.getTimeUntilFull(village, res) < STORAGE_WARNING_TIME);
+  if (filling) {
+    const storage = Object.keys(BUILDING_TYPES).find((type) =>
+      (BUILDING_TYPES[type].storage || []).includes(filling)
+    );
+    if (storage && !queued(storage)) return getCheapestOption(village, storage);
+  }
+  const rates = engine.getProductionRates(village);
+  const slowest = RESOURCES.filter((res) =>
+    Object.values(BUILDING_TYPES).some((def) => def.resource === res)
+  ).sort((a, b) => rates[a] - rates[b])[0];
+  const producer = Object.keys(BUILDING_TYPES).find((type) => BUILDING_TYPES[type].resource === slowest);
+  return getCheapestOption(village, producer);
+}
+
+/**
+ * Send every spearman at home to raid the nearest camp once there are
+ * enough of them.
+ * @param {Object} game
+ * @param {number} now
+ * @param {Function} rng
+ */
+function raidNearestCamp(game, now, rng) {
+  const village = game.villages[0];
+  if (village.troops.spearman < RUSH_RAID_SIZE) return;
+  if (village.raidQueue.length >= engine.getRaidSlots(village)) return;
+  const camp = engine
+    .getWorld(game)
+    .filter((site) => site.kind === 'camp' && engine.getOpenSite(game, site.id))
+    .sort((a, b) => engine.getDistance(village, a) - engine.getDistance(village, b))[0];
+  if (!camp) return;
+  engine.raidSite(game, 0, camp.id, { spearman: village.troops.spearman }, now, rng);
+}
+
+/**
+ * Bot strategies. Each one takes its turn in the first village with
+ * (game, now, rng) and may queue any number of actions.
+ */
+const STRATEGIES = {
+  // Always queue the cheapest construction it can afford
+  greedy(game, now) {
+    const village = game.villages[0];
+    let queued = true;
+    while (queued && village.queue.length < engine.getQueueSlots(village)) {
+      const option = getBuildOptions(village)
+        .filter((o) => engine.hasResources(village, o.cost))
+        .sort((a, b) => totalCost(a.cost) - totalCost(b.cost))[0];
+      queued = Boolean(option) && queueOption(village, option, now);
+    }
+  },
+  // Keep production, housing and storage in step, saving up when needed
+  balanced(game, now) {
+    const village = game.villages[0];
+    if (village.queue.length >= engine.getQueueSlots(village)) return;
+    queueOption(village, chooseBalanced(village), now);
+  },
+  // Build one of each producer, save up for barracks, then keep training
+  // spearmen and raiding, spending what is left like the balanced strategy
+  rush(game, now, rng) {
+    const village = game.villages[0];
+    if (engine.getBuildingLevel(village, 'barracks') === 0) {
+      const planned = village.buildings.concat(village.queue);
+      const missingProducer = Object.keys(BUILDING_TYPES).some(
+        (type) => BUILDING_TYPES[type].resource && !planned.some((entry) => entry.type === type)
+      );
+      if (missingProducer) STRATEGIES.balanced(game, now);
+      else queueOption(village, getCheapestOption(village, 'barracks'), now);
+      return;
+    }
+    engine.trainTroop(village, 'spearman', now);
+    raidNearestCamp(game, now, rng);
+    STRATEGIES.balanced(game, now);
+  },
+};
+
+/**
+ * Claim every quest whose objective has been met, as a player would.
+ * @param {Object} game
+ */
+function claimQuests(game) {
+  engine.getAvailableQuests(game).forEach((quest) => engine.claimQuest(game, quest.key));
+}
+
+/**
+ * The highest level of each building type in a village, 0 when there is none.
+ * @param {Object} village
+ * @returns {Object}
+ */
+function getHighestLevels(village) {
+  const levels = Object.fromEntries(Object.keys(BUILDING_TYPES).map((type) => [type, 0]));
+  village.buildings.forEach((building) => {
+    levels[building.type] = Math.max(levels[building.type], building.level);
+  });
+  return levels;
+}
+
+/**
+ * Play a new game with a bot strategy.
+ * @param {Object} [options] - strategy, hours, step (seconds), sample
+ *   (seconds) and seed, see DEFAULT_OPTIONS
+ * @returns {{options: Object, timeline: Object[], milestones: Object}}
+ *   timeline holds one row per sample: time in seconds, the stockpile,
+ *   the highest level per building type, troops and the raids won and loot
+ *   brought home so far; milestones gives per building type the time in
+ *   seconds (to within one step) each level was first reached
+ */
+function simulate(options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const strategy = STRATEGIES[settings.strategy];
+  if (!strategy) throw new Error(`unknown strategy: ${settings.strategy}`);
+  // The map and the enemy waves are seeded from the start time
+  const start = settings.seed;
+  const end = start + settings.hours * 3600000;
+  const rng = engine.createRng(settings.seed);
+  const game = engine.createInitialState(start);
+  const village = game.villages[0];
+  const timeline = [];
+  const milestones = Object.fromEntries(Object.keys(BUILDING_TYPES).map((type) => [type, {}]));
+  const raidIncome = Object.fromEntries(RESOURCES.map((res) => [res, 0]));
+  let raidsWon = 0;
+
+  const record = (now) => {
+    const row = { time: Math.round((now - start) / 1000) };
+    RESOURCES.forEach((res) => {
+      row[res] = Math.floor(village.resources[res]);
+    });
+    Object.assign(row, getHighestLevels(village));
+    row.troops = engine.getPopulation(village).troops;
+    row.raidsWon = raidsWon;
+    RESOURCES.forEach((res) => {
+      row[`raid_${res}`] = raidIncome[res];
+    });
+    timeline.push(row);
+  };
+
+  let now = start;
+  let nextSample = start;
+  while (now <= end) {
+    claimQuests(game);
+    strategy(game, now, rng);
+    if (now >= nextSample) {
+      record(now);
+      nextSample += settings.sample * 1000;
+    }
+    now += settings.step * 1000;
+    const summary = engine.advanceGame(game, Math.min(now, end));
+    summary.constructions.forEach(({ type, level }) => {
+      if (milestones[type][level] === undefined) {
+        milestones[type][level] = Math.round((game.lastUpdate - start) / 1000);
+      }
+    });
+    summary.raids
+      .filter((report) => report.won && !report.village)
+      .forEach((report) => {
+        raidsWon += 1;
+        RESOURCES.forEach((res) => {
+          raidIncome[res] += report.loot[res] || 0;
+        });
+      });
+  }
+  return { options: settings, timeline, milestones };
+}
+
+/**
+ * Format a timeline as CSV with a header row.
+ * @param {Object[]} timeline
+ * @returns {string}
+ */
+function toCsv(timeline) {
+  if (timeline.length === 0) return '';
+  const columns = Object.keys(timeline[0]);
+  const lines = [columns.join(',')].concat(timeline.map((row) => columns.map((col) => row[col]).join(',')));
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Read `--name value` options from the command line.
+ * @param {string[]} args
+ * @returns {Object}
+ */
+function parseArgs(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, '');
+    if (!args[i].startsWith('--') || !(name in DEFAULT_OPTIONS) || args[i + 1] === undefined) {
+      throw new Error(`unknown or incomplete option: ${args[i]}`);
+    }
+    const value = args[i + 1];
+    if (typeof DEFAULT_OPTIONS[name] === 'number') {
+      options[name] = Number(value);
+      if (!Number.isFinite(options[name]) || options[name] < 0) {
+        throw new Error(`--${name} must be a non-negative number`);
+      }
+    } else {
+      options[name] = value;
+    }
+  }
+  if (options.format && !['csv', 'json'].includes(options.format)) {
+    throw new Error('--format must be csv or json');
+  }
+  if (options.step === 0 || options.sample === 0) throw new Error('--step and --sample must be positive');
+  return options;
+}
+
+/**
+ * Play with the balance data in a file instead of the standard one.
+ * @param {string} path
+ */
+function loadConfig(path) {
+  const errors = engine.applyBalance(JSON.parse(fs.readFileSync(path, 'utf8')));
+  if (errors.length > 0) throw new Error(`${path} is invalid:\n${errors.join('\n')}`);
+}
+
+if (require.main === module) {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.config) loadConfig(options.config);
+    const result = simulate(options);
+    process.stdout.write(
+      result.options.format === 'json' ? `${JSON.stringify(result, null, 2)}\n` : toCsv(result.timeline)
+    );
+  } catch (err) {
+    process.stderr.write(`${err.message}\n`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  STRATEGIES,
+  simulate,
+  toCsv,
+  parseArgs,
+};